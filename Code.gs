@@ -56,36 +56,79 @@ function getUserAccount() {
 // SHEET SCHEMA EXTRACTION
 // ============================================================
 
+// Sheets whose names start with this prefix belong to the agent (undo snapshots, logs) and are never described
+const INTERNAL_SHEET_PREFIX = '_';
+
+// Rows read per non-active sheet when summarizing it for cross-sheet awareness
+const OTHER_SHEET_SAMPLE_ROWS = 200;
+
+// Rows scanned for the header row
+const HEADER_SCAN_ROWS = 10;
+
+// Schema stats read every row up to this size, otherwise evenly spaced chunks of SCHEMA_CHUNK_ROWS
+const SCHEMA_MAX_ROWS = 5000;
+const SCHEMA_CHUNK_ROWS = 1000;
+
+// Bottom rows checked for totals or blank separators under the table
+const DATA_END_SCAN_ROWS = 20;
+
 /**
- * Extracts the schema of the current sheet for AI analysis
+ * Extracts the schema of the workbook for AI analysis.
+ * The active sheet is described in detail at the top level (as before); every other
+ * sheet is summarized under "sheets" so plans can look up and write across tabs.
  */
+function getSheetSchema() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const activeSheet = ss.getActiveSheet();
+  const schema = describeSheet(activeSheet);
+
+  schema.sheets = ss.getSheets()
+    .filter(sheet => !sheet.getName().startsWith(INTERNAL_SHEET_PREFIX))
+    .map(sheet => {
+      if (sheet.getSheetId() !== activeSheet.getSheetId()) return summarizeSheet(sheet);
+      // The active sheet is already described in detail above
+      return {
+        sheetName: schema.sheetName,
+        isActive: true,
+        headers: schema.headers.map(h => ({ name: h.name, column: h.column, detectedType: h.detectedType })),
+        rowCount: schema.rowCount,
+        colCount: schema.colCount,
+        headerRow: schema.headerRow,
+        dataEndRow: schema.dataEndRow
+      };
+    });
+
+  return schema;
+}
+
 /**
- * Extracts the schema of the current sheet for AI analysis.
+ * Extracts the schema of one sheet for AI analysis.
  * Uses diverse sampling and top-value detection for improved accuracy.
  */
-function getSheetSchema() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const dataRange = sheet.getDataRange();
-  const values = dataRange.getValues();
+function describeSheet(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
   
-  if (values.length <= 1) { // 0 or just 1 row (possibly header only)
-    return { sheetName: sheet.getName(), headers: [], sampleData: [], rowCount: values.length, colCount: 0 };
+  if (lastRow <= 1 || lastCol === 0) { // 0 or just 1 row (possibly header only)
+    return { sheetName: sheet.getName(), headers: [], sampleData: [], rowCount: lastRow, colCount: 0, charts: listCharts(sheet) };
   }
 
   // Smart Header Detection
-  const headerRowIndex = detectHeaderRow(values);
+  const headerArea = readHeaderArea(sheet);
+  const headerRowIndex = detectHeaderRow(headerArea);
   const headerRowNumber = headerRowIndex + 1; // 1-based index
-  const dataStartIndex = headerRowIndex + 1;
 
-  const headers = values[headerRowIndex].map((header, index) => ({
-    name: header ? String(header) : `Column ${String.fromCharCode(65 + index)}`,
-    column: String.fromCharCode(65 + index),
+  const headers = headerArea[headerRowIndex].map((header, index) => ({
+    name: header ? String(header) : `Column ${columnIndexToLetter(index + 1)}`,
+    column: columnIndexToLetter(index + 1),
     index: index
   }));
 
+  // Large sheets are read in capped chunks rather than all at once
+  const { rows: dataRows, rowNumbers, total: totalRows } = readDataSample(sheet, headerRowNumber + 1, lastRow, lastCol);
+
   // --- 1. DIVERSE SAMPLING ---
   // Pick up to 9 rows: 3 from start, 3 from middle, 3 from end
-  const dataRows = values.slice(dataStartIndex);
   const totalDataRows = dataRows.length;
   let sampledIndices = [];
 
@@ -108,7 +151,7 @@ function getSheetSchema() {
 
   const sampleData = sampledIndices.map(idx => {
     const row = dataRows[idx];
-    const rowObj = { _rowNumber: idx + dataStartIndex + 1 };
+    const rowObj = { _rowNumber: rowNumbers[idx] };
     headers.forEach((h, i) => {
       rowObj[h.name] = row[i];
     });
@@ -150,12 +193,39 @@ function getSheetSchema() {
     sheetName: sheet.getName(),
     headers: columnTypes,
     sampleData: sampleData,
-    rowCount: values.length,
+    rowCount: lastRow,
     colCount: headers.length,
-    headerRow: headerRowNumber
+    headerRow: headerRowNumber,
+    dataEndRow: findDataEndRow(sheet, headerRowNumber, lastRow, lastCol),
+    sampledRows: totalRows > dataRows.length ? dataRows.length : undefined,
+    charts: listCharts(sheet)
   };
 }
 
+/**
+ * Lightweight description of a non-active sheet: headers with detected types,
+ * based on the first rows only.
+ */
+function summarizeSheet(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  const summary = { sheetName: sheet.getName(), isActive: false, headers: [], rowCount: lastRow, colCount: lastCol };
+  if (lastRow === 0 || lastCol === 0) return summary;
+
+  const values = sheet.getRange(1, 1, Math.min(lastRow, OTHER_SHEET_SAMPLE_ROWS), lastCol).getValues();
+  const headerRowIndex = detectHeaderRow(values);
+  const dataRows = values.slice(headerRowIndex + 1);
+
+  summary.headerRow = headerRowIndex + 1;
+  summary.dataEndRow = findDataEndRow(sheet, summary.headerRow, lastRow, lastCol);
+  summary.headers = values[headerRowIndex].map((header, index) => ({
+    name: header ? String(header) : `Column ${columnIndexToLetter(index + 1)}`,
+    column: columnIndexToLetter(index + 1),
+    detectedType: detectDataType(dataRows.map(row => row[index]).filter(v => v !== '' && v !== null))
+  }));
+  return summary;
+}
+
 /**
  * Detects the index of the header row (0-based)
  * Strategy: Find the first row with the most non-empty string values
@@ -164,8 +234,8 @@ function detectHeaderRow(values) {
   let maxNonEmpty = 0;
   let bestRow = 0;
   
-  // Scan first 10 rows (or all if less than 10)
-  const limit = Math.min(values.length, 10);
+  // Scan first HEADER_SCAN_ROWS rows (or all if fewer)
+  const limit = Math.min(values.length, HEADER_SCAN_ROWS);
   
   for (let i = 0; i < limit; i++) {
     const row = values[i];
@@ -182,6 +252,70 @@ function detectHeaderRow(values) {
   return bestRow;
 }
 
+/**
+ * Reads only the rows header detection looks at, instead of the whole sheet.
+ */
+function readHeaderArea(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  if (lastRow === 0 || lastCol === 0) return [];
+  return sheet.getRange(1, 1, Math.min(lastRow, HEADER_SCAN_ROWS), lastCol).getValues();
+}
+
+/**
+ * Reads the data rows used for schema stats. Small sheets are read whole;
+ * larger ones in evenly spaced chunks that always include the first and last rows.
+ * Returns { rows, rowNumbers, total } with 1-based sheet row numbers.
+ */
+function readDataSample(sheet, firstRow, lastRow, lastCol) {
+  const total = lastRow - firstRow + 1;
+  if (total <= 0) return { rows: [], rowNumbers: [], total: 0 };
+
+  if (total <= SCHEMA_MAX_ROWS) {
+    const rows = sheet.getRange(firstRow, 1, total, lastCol).getValues();
+    return { rows, rowNumbers: rows.map((_, i) => firstRow + i), total };
+  }
+
+  const chunkCount = Math.floor(SCHEMA_MAX_ROWS / SCHEMA_CHUNK_ROWS);
+  const span = total - SCHEMA_CHUNK_ROWS;
+  const rows = [];
+  const rowNumbers = [];
+  for (let c = 0; c < chunkCount; c++) {
+    const start = firstRow + Math.round(span * c / (chunkCount - 1));
+    sheet.getRange(start, 1, SCHEMA_CHUNK_ROWS, lastCol).getValues().forEach((row, i) => {
+      rows.push(row);
+      rowNumbers.push(start + i);
+    });
+  }
+  return { rows, rowNumbers, total };
+}
+
+/**
+ * Last row of the table itself: trailing blank rows and totals kept under the
+ * table (a "Total" label or a SUM/AVERAGE/... formula) are not data.
+ * Formula builders use it to bound their ranges.
+ */
+function findDataEndRow(sheet, headerRowNumber, lastRow, lastCol) {
+  const firstRow = Math.max(headerRowNumber + 1, lastRow - DATA_END_SCAN_ROWS + 1);
+  if (lastRow < firstRow) return lastRow;
+
+  const range = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, lastCol);
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const totalLabel = /^\s*(grand\s+|sub)?totals?\b/i;
+  const totalFormula = /^=\s*(SUM|SUBTOTAL|AVERAGE|COUNTA?|MIN|MAX)\(/i;
+
+  let end = lastRow;
+  for (let i = values.length - 1; i >= 0; i--) {
+    const blank = values[i].every(v => v === '' || v === null);
+    const summary = values[i].some(v => typeof v === 'string' && totalLabel.test(v)) ||
+      formulas[i].some(f => totalFormula.test(f));
+    if (!blank && !summary) break;
+    end = firstRow + i - 1;
+  }
+  return Math.max(end, headerRowNumber);
+}
+
 /**
  * Detects the predominant data type in a column
  */
@@ -207,71 +341,133 @@ function detectDataType(values) {
 // ============================================================
 
 /**
- * Process user query - calls backend API and executes the plan
+ * Process user query - calls backend API and executes the plan.
+ * Plans that touch existing data are not executed right away: they are
+ * dry-run first and returned as a preview the user has to confirm.
+ * Each phase is recorded under jobId (generated by the Sidebar) so it can show progress.
  */
-function processQuery(prompt) {
+function processQuery(prompt, sessionId, jobId) {
   try {
     const userEmail = Session.getActiveUser().getEmail();
     console.log(`User ${userEmail} prompted: ${prompt}`);
 
     // Step 1: Get sheet schema
+    recordJobPhase(jobId, { id: 'schema', label: 'Reading the sheet', status: 'running' });
     const sheetSchema = getSheetSchema();
+    recordJobPhase(jobId, {
+      id: 'schema',
+      status: 'success',
+      detail: `${sheetSchema.sheetName}: ${sheetSchema.headers.length} columns, ${sheetSchema.rowCount} rows`
+    });
     
     // Step 2: Call backend API to get action plan
-    const actionPlan = callPlanAPI(prompt, sheetSchema);
-    
+    const actionPlan = planWithProgress(jobId, () => callPlanAPI(prompt, sheetSchema, sessionId, jobId));
+    return withJobProgress(handleActionPlan(prompt, actionPlan, sessionId, jobId), jobId);
+
+  } catch (e) {
+    console.error('processQuery error:', e);
+    return {
+      status: 'error',
+      message: e.toString()
+    };
+  }
+}
+
+/**
+ * Answers a clarification question from the Sidebar; the backend resumes
+ * the same plan with the chosen value.
+ */
+function answerClarification(clarificationId, answer, prompt, sessionId, jobId) {
+  try {
+    console.log(`Clarification ${clarificationId} answered: ${answer}`);
+    const actionPlan = planWithProgress(jobId, () => postToBackend('/plan', {
+      sessionId: sessionId || null,
+      clarificationId: clarificationId,
+      answer: answer,
+      jobId: jobId || null
+    }));
+    return withJobProgress(handleActionPlan(prompt, actionPlan, sessionId, jobId), jobId);
+  } catch (e) {
+    console.error('answerClarification error:', e);
+    return { status: 'error', message: e.toString() };
+  }
+}
+
+// Backend error codes for requests over the user's rate limit or daily quota
+const USAGE_LIMIT_CODES = ['rate_limited', 'quota_exceeded'];
+
+/**
+ * Turns a /plan response into the Sidebar's result and writes it to the agent log
+ */
+function handleActionPlan(prompt, actionPlan, sessionId, jobId) {
+  // The log id travels with a previewed plan, so applying it updates the same log row
+  actionPlan.logId = actionPlan.logId || (actionPlan.audit && actionPlan.audit.id) || `local_${Utilities.getUuid().slice(0, 8)}`;
+  const result = resolveActionPlan(prompt, actionPlan, sessionId, jobId);
+  writeAgentLog({ prompt: prompt, actionPlan: actionPlan, status: result.status, results: result.details, runId: result.runId });
+  return result;
+}
+
+/**
+ * Resolves a /plan response into a clarification question, a preview to confirm,
+ * or the executed plan
+ */
+function resolveActionPlan(prompt, actionPlan, sessionId, jobId) {
+  try {
+    if (actionPlan.cancelled || isJobCancelled(jobId)) {
+      return { status: 'cancelled', message: 'Request cancelled. Nothing was changed.' };
+    }
+
     if (!actionPlan.success) {
       return {
-        status: 'error',
-        message: actionPlan.error || 'Failed to generate action plan'
+        // Rate limits and the daily quota are shown as a limit notice rather than an error
+        status: USAGE_LIMIT_CODES.includes(actionPlan.code) ? 'limit' : 'error',
+        message: actionPlan.error || actionPlan.answer || 'Failed to generate action plan',
+        retryAfter: actionPlan.retryAfter,
+        quota: actionPlan.quota
       };
     }
 
-    // Step 3: Execute the action plan (if any steps exist)
-    let executionResult = { summary: '', stepResults: [] };
-    if (actionPlan.plan && actionPlan.plan.steps && actionPlan.plan.steps.length > 0) {
-      executionResult = executePlan(actionPlan.plan);
-    }
-    
-    // Combine the AI's conversational answer with the execution summary and direct results
-    let finalMessage = "";
-    
-    // 1. Extract and format Calculation Results (QUERY_VALUE)
-    const calculationResults = executionResult.stepResults
-      .filter(r => r.status === 'success' && r.result && String(r.result).startsWith('RESULT:'))
-      .map(r => String(r.result).replace('RESULT: ', '').replace('RESULT:', ''));
-
-    if (calculationResults.length > 0) {
-      finalMessage += "ANALYSIS RESULTS\n";
-      if (calculationResults.length === 1) {
-        finalMessage += `${calculationResults[0]}\n\n`;
-      } else {
-        calculationResults.forEach(res => {
-          finalMessage += `• ${res}\n`;
-        });
-        finalMessage += "\n";
-      }
+    // The backend needs an answer before it can finish the plan
+    if (actionPlan.clarification) {
+      return {
+        status: 'clarification',
+        message: actionPlan.clarification.question,
+        clarification: actionPlan.clarification
+      };
     }
 
-    // 2. Add the AI's conversational answer
-    if (actionPlan.answer) {
-      finalMessage += `**AI Insight**\n${actionPlan.answer}\n\n`;
+    const hasSteps = actionPlan.plan && actionPlan.plan.steps && actionPlan.plan.steps.length > 0;
+
+    // Step 3: Preview destructive plans instead of running them
+    if (hasSteps && planRequiresPreview(actionPlan.plan)) {
+      const preview = previewPlan(actionPlan.plan);
+      const previewId = storePendingPlan(prompt, actionPlan, sessionId);
+      return {
+        status: 'preview',
+        previewId: previewId,
+        message: buildPreviewMessage(actionPlan, preview),
+        preview: preview
+      };
     }
 
-    // 3. Add technical summary
-    if (executionResult.summary) {
-      finalMessage += "\n";
-      finalMessage += executionResult.summary;
+    // Step 4: Execute the action plan (if any steps exist)
+    let executionResult = { summary: '', stepResults: [] };
+    let runId = null;
+    if (hasSteps) {
+      ({ executionResult, runId } = runPlanWithSnapshot(prompt, actionPlan.plan, jobId));
+      reportTurnResults(sessionId, actionPlan, executionResult.stepResults);
     }
 
     return {
       status: 'success',
-      message: finalMessage.trim(),
-      details: executionResult.stepResults
+      message: buildResultMessage(actionPlan, executionResult),
+      details: executionResult.stepResults,
+      runId: runId,
+      recipeDraftId: storeRecipeDraft(actionPlan.logId, prompt, executionResult)
     };
 
   } catch (e) {
-    console.error('processQuery error:', e);
+    console.error('resolveActionPlan error:', e);
     return {
       status: 'error',
       message: e.toString()
@@ -279,19 +475,162 @@ function processQuery(prompt) {
   }
 }
 
+/**
+ * Executes a plan the user confirmed from the preview card
+ */
+function applyPreviewedPlan(previewId, jobId) {
+  try {
+    const pending = takePendingPlan(previewId);
+    if (!pending) {
+      return { status: 'error', message: 'This preview has expired. Please send your request again.' };
+    }
+
+    const { actionPlan, prompt, sessionId } = pending;
+    const { executionResult, runId } = runPlanWithSnapshot(prompt, actionPlan.plan, jobId);
+    reportTurnResults(sessionId, actionPlan, executionResult.stepResults);
+    writeAgentLog({ prompt: prompt, actionPlan: actionPlan, status: 'applied', results: executionResult.stepResults, runId: runId });
+    return withJobProgress({
+      status: 'success',
+      message: buildResultMessage(actionPlan, executionResult),
+      details: executionResult.stepResults,
+      runId: runId,
+      recipeDraftId: storeRecipeDraft(actionPlan.logId, prompt, executionResult)
+    }, jobId);
+  } catch (e) {
+    console.error('applyPreviewedPlan error:', e);
+    return { status: 'error', message: e.toString() };
+  }
+}
+
+/**
+ * Discards a previewed plan without touching the sheet
+ */
+function cancelPreviewedPlan(previewId) {
+  const pending = takePendingPlan(previewId);
+  if (pending) {
+    const results = [{ status: 'cancelled', result: 'Plan was cancelled by the user; nothing was changed' }];
+    reportTurnResults(pending.sessionId, pending.actionPlan, results);
+    writeAgentLog({ prompt: pending.prompt, actionPlan: pending.actionPlan, status: 'discarded', results: results });
+  }
+  return { status: 'success', message: 'Cancelled. No changes were made to your sheet.' };
+}
+
+/**
+ * Combines the AI's conversational answer with the execution summary and direct results
+ */
+function buildResultMessage(actionPlan, executionResult) {
+  let finalMessage = "";
+  
+  // 1. Extract and format Calculation Results (QUERY_VALUE)
+  const calculationResults = executionResult.stepResults
+    .filter(r => r.status === 'success' && r.result && String(r.result).startsWith('RESULT:'))
+    .map(r => String(r.result).replace('RESULT: ', '').replace('RESULT:', ''));
+
+  if (calculationResults.length > 0) {
+    finalMessage += "ANALYSIS RESULTS\n";
+    if (calculationResults.length === 1) {
+      finalMessage += `${calculationResults[0]}\n\n`;
+    } else {
+      calculationResults.forEach(res => {
+        finalMessage += `• ${res}\n`;
+      });
+      finalMessage += "\n";
+    }
+  }
+
+  // 2. Add the AI's answer: grounded insights (ANALYZE_DATA) replace the planner's answer
+  const insightResults = executionResult.stepResults
+    .filter(r => r.status === 'success' && r.result && String(r.result).startsWith('INSIGHT:'))
+    .map(r => String(r.result).replace(/^INSIGHT:\s*/, ''));
+
+  if (insightResults.length > 0) {
+    finalMessage += `**AI Insight**\n${insightResults.join('\n\n')}\n\n`;
+  } else if (actionPlan.answer) {
+    finalMessage += `**AI Insight**\n${actionPlan.answer}\n\n`;
+  }
+
+  // 3. Add technical summary
+  if (executionResult.summary) {
+    finalMessage += "\n";
+    finalMessage += executionResult.summary;
+  }
+
+  // 4. Steps the backend rejected as invalid
+  finalMessage += formatRejectedSteps(actionPlan);
+
+  return finalMessage.trim();
+}
+
+/**
+ * Lists the plan items the backend rejected (and why), or returns '' when there were none
+ */
+function formatRejectedSteps(actionPlan) {
+  const rejected = actionPlan.rejected || [];
+  if (rejected.length === 0) return '';
+  let message = "\n\nSKIPPED (not valid):\n";
+  rejected.forEach(r => {
+    message += `• ${r.description || r.item}: ${r.reasons.join('; ')}\n`;
+  });
+  return message;
+}
+
 /**
  * Calls the backend /plan API
  */
-function callPlanAPI(prompt, sheetSchema) {
-  const url = `${BACKEND_URL}/plan`;
+function callPlanAPI(prompt, sheetSchema, sessionId, jobId) {
+  return postToBackend('/plan', {
+    prompt: prompt,
+    sheetSchema: sheetSchema,
+    sessionId: sessionId || null,
+    jobId: jobId || null
+  });
+}
+
+/**
+ * Sends a turn's execution results to the backend so follow-up prompts can refer to them;
+ * the backend also adds them to the run's audit entry.
+ * Conversation context is best-effort: failures are logged, never surfaced.
+ */
+function reportTurnResults(sessionId, actionPlan, stepResults) {
+  if (!sessionId || !actionPlan.turnId) return;
+  try {
+    const results = stepResults.map(r => ({
+      action: r.action,
+      status: r.status,
+      result: r.result,
+      error: r.error
+    }));
+    postToBackend('/session/results', {
+      sessionId: sessionId,
+      turnId: actionPlan.turnId,
+      auditId: actionPlan.audit ? actionPlan.audit.id : null,
+      results: results
+    });
+  } catch (e) {
+    console.warn('Could not report turn results:', e.toString());
+  }
+}
+
+/**
+ * Starts a new conversation: the backend forgets the session's history
+ */
+function resetConversation(sessionId) {
+  if (sessionId) postToBackend('/session/reset', { sessionId: sessionId });
+  return { status: 'success' };
+}
+
+/**
+ * POSTs JSON to the backend and parses the JSON response
+ */
+function postToBackend(path, payload) {
+  const url = `${BACKEND_URL}${path}`;
+  const body = JSON.stringify(payload);
   
   const options = {
     method: 'post',
     contentType: 'application/json',
-    payload: JSON.stringify({
-      prompt: prompt,
-      sheetSchema: sheetSchema
-    }),
+    payload: body,
+    headers: signRequest('post', path, body),
     muteHttpExceptions: true
   };
 
@@ -301,33 +640,142 @@ function callPlanAPI(prompt, sheetSchema) {
 
   if (responseCode !== 200) {
     console.error('API Error:', responseCode, responseText);
-    return { success: false, error: `API returned ${responseCode}` };
+    return backendError(responseCode, responseText);
   }
 
   return JSON.parse(responseText);
 }
 
+/**
+ * GET request to the backend; returns null instead of throwing on errors
+ */
+function getFromBackend(path) {
+  const response = UrlFetchApp.fetch(`${BACKEND_URL}${path}`, {
+    method: 'get',
+    headers: signRequest('get', path, ''),
+    muteHttpExceptions: true
+  });
+  if (response.getResponseCode() !== 200) {
+    console.warn('API Error:', response.getResponseCode(), response.getContentText());
+    return null;
+  }
+  return JSON.parse(response.getContentText());
+}
+
+// Script property holding the secret shared with the backend (AGENT_SHARED_SECRET there too)
+const SHARED_SECRET_PROPERTY = 'AGENT_SHARED_SECRET';
+
+/**
+ * Signature headers for a backend request: the user's identity, a timestamp and an
+ * HMAC-SHA256 of both plus the method, path and body, keyed with the shared secret
+ */
+function signRequest(method, path, body) {
+  const secret = PropertiesService.getScriptProperties().getProperty(SHARED_SECRET_PROPERTY);
+  if (!secret) {
+    throw new Error(`The add-on isn't configured: set the ${SHARED_SECRET_PROPERTY} script property (Project Settings → Script properties).`);
+  }
+  const user = getAgentUser();
+  const timestamp = String(Date.now());
+  const message = [timestamp, user, method.toUpperCase(), path, body || ''].join('\n');
+  const signature = Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8)
+    .map(b => ('0' + (b & 0xff).toString(16)).slice(-2))
+    .join('');
+  return {
+    'X-Agent-User': user,
+    'X-Agent-Timestamp': timestamp,
+    'X-Agent-Signature': signature
+  };
+}
+
+/**
+ * The identity requests are counted under: the user's email, or Apps Script's
+ * temporary user key when the email isn't available (e.g. consumer accounts)
+ */
+function getAgentUser() {
+  return Session.getActiveUser().getEmail() || Session.getTemporaryActiveUserKey();
+}
+
+/**
+ * Turns a failed backend response into { success: false, error, code }, keeping the
+ * backend's message for refused, rate-limited and over-quota requests
+ */
+function backendError(responseCode, responseText) {
+  let body = {};
+  try {
+    body = JSON.parse(responseText);
+  } catch (e) {
+    // Not JSON (e.g. a proxy error page)
+  }
+  if (responseCode === 401) {
+    return { success: false, code: 'unauthorized', error: `The backend refused this add-on's signature. Check that ${SHARED_SECRET_PROPERTY} matches the server's.` };
+  }
+  if (responseCode === 429) {
+    return { success: false, code: body.code || 'rate_limited', error: body.error || 'Too many requests.', retryAfter: body.retryAfter, quota: body.quota };
+  }
+  return { success: false, code: body.code, error: body.error || `API returned ${responseCode}` };
+}
+
 // ============================================================
 // ACTION PLAN EXECUTOR
 // ============================================================
 
 /**
- * Executes an action plan step by step
+ * Executes an action plan step by step.
+ * Each step is a progress phase of the job; a cancelled job stops before its next step.
+ * Successful steps are also returned as recipe steps (columns by header name).
+ * options.resolveStep turns each step into the one to execute just before it runs (recipes
+ * look up their columns then); when it throws, the plan stops at that step.
  */
-function executePlan(plan) {
+function executePlan(plan, jobId, options) {
+  const resolveStep = (options && options.resolveStep) || (step => step);
   const stepResults = [];
+  const recipeSteps = [];
   let successCount = 0;
 
   if (!plan.steps || plan.steps.length === 0) {
     return {
       summary: '',
-      stepResults: []
+      stepResults: [],
+      recipeSteps: []
     };
   }
 
-  for (const step of plan.steps) {
+  // Shared between steps of one plan (e.g. the sheet a pivot was written to, for a following chart)
+  const context = { lastPivotSheet: null };
+
+  // List every step up front so the Sidebar shows what is still to come
+  recordJobPhases(jobId, plan.steps.map(step => ({
+    id: `step_${step.stepNumber}`,
+    label: step.description || step.action,
+    status: 'pending'
+  })));
+
+  let cancelledAt = null;
+  let stoppedAt = null;
+  for (const planStep of plan.steps) {
+    const phaseId = `step_${planStep.stepNumber}`;
+    if (cancelledAt === null && stoppedAt === null && isJobCancelled(jobId)) cancelledAt = planStep.stepNumber;
+    if (cancelledAt !== null || stoppedAt !== null) {
+      stepResults.push({ step: planStep.stepNumber, action: planStep.action, description: planStep.description, status: 'cancelled' });
+      recordJobPhase(jobId, { id: phaseId, status: 'skipped', detail: cancelledAt !== null ? 'Cancelled' : 'Not run' });
+      continue;
+    }
+
+    recordJobPhase(jobId, { id: phaseId, status: 'running' });
+    let step;
+    try {
+      step = resolveStep(planStep);
+    } catch (e) {
+      stoppedAt = planStep.stepNumber;
+      stepResults.push({ step: planStep.stepNumber, action: planStep.action, description: planStep.description, status: 'error', error: e.toString() });
+      recordJobPhase(jobId, { id: phaseId, status: 'error', detail: String(e.message || e).slice(0, JOB_DETAIL_CHARS) });
+      continue;
+    }
+
     try {
-      const result = executeAction(step);
+      const recipeStep = toRecipeStep(step);
+      const result = executeAction(step, context);
+      recipeSteps.push(recipeStep);
       stepResults.push({
         step: step.stepNumber,
         action: step.action,
@@ -336,6 +784,7 @@ function executePlan(plan) {
         result: result
       });
       successCount++;
+      recordJobPhase(jobId, { id: phaseId, status: 'success', detail: String(result || '').replace(/^(RESULT|INSIGHT):\s*/, '').slice(0, JOB_DETAIL_CHARS) });
     } catch (e) {
       stepResults.push({
         step: step.stepNumber,
@@ -344,20 +793,30 @@ function executePlan(plan) {
         status: 'error',
         error: e.toString()
       });
+      recordJobPhase(jobId, { id: phaseId, status: 'error', detail: String(e.message || e).slice(0, JOB_DETAIL_CHARS) });
     }
   }
 
   const planSummary = plan.summary || 'Operation complete.';
+  let status = `Execution status: ${successCount} of ${plan.steps.length} items processed correctly.`;
+  if (cancelledAt !== null) {
+    status += ` Cancelled before step ${cancelledAt}.`;
+  }
+  if (stoppedAt !== null) {
+    status += ` Stopped at step ${stoppedAt}.`;
+  }
   return {
-    summary: `${planSummary}\n\nExecution status: ${successCount} of ${plan.steps.length} items processed correctly.`,
-    stepResults: stepResults
+    summary: `${planSummary}\n\n${status}`,
+    stepResults: stepResults,
+    recipeSteps: recipeSteps
   };
 }
 
 /**
  * Executes a single action based on its type
  */
-function executeAction(step) {
+function executeAction(step, context) {
+  context = context || {};
   let action = step.action;
   let params = step.params;
   
@@ -377,7 +836,13 @@ function executeAction(step) {
     case 'ADD_FORMULA':
       return addFormula(params);
     case 'CREATE_CHART':
-      return createChart(params);
+      return createChart(params, context);
+    case 'CREATE_PIVOT':
+      return createPivot(params, context);
+    case 'UPDATE_CHART':
+      return updateChart(params);
+    case 'DELETE_CHART':
+      return deleteChart(params);
     case 'SORT_DATA':
       return sortData(params);
     case 'FILTER_DATA':
@@ -390,6 +855,14 @@ function executeAction(step) {
       return deleteRows(params);
     case 'FORMAT_CELLS':
       return formatCells(params);
+    case 'CONDITIONAL_FORMAT':
+      return addConditionalFormat(params);
+    case 'STYLE_HEADER':
+      return styleHeader(params);
+    case 'FREEZE_PANES':
+      return freezePanes(params);
+    case 'DATA_VALIDATION':
+      return addDataValidation(params);
     case 'CLEAN_DATA':
       return cleanData(params);
     case 'AGGREGATE':
@@ -398,151 +871,1830 @@ function executeAction(step) {
       return yoyCalculation(params);
     case 'QUERY_VALUE':
       return queryValue(params);
+    case 'ANALYZE_DATA':
+      return analyzeData(params);
     default:
       throw new Error(`Unknown action: ${action}`);
   }
 }
 
 // ============================================================
-// EXECUTOR FUNCTIONS
+// PLAN PREVIEW (DRY RUN)
 // ============================================================
 
+// Actions that delete or overwrite existing data always need confirmation
+const DESTRUCTIVE_ACTIONS = ['FILTER_DATA', 'DELETE_ROWS', 'DELETE_COLUMN', 'CLEAN_DATA', 'CONVERT_DATATYPE', 'DELETE_CHART'];
+
+// How long a previewed plan waits for Apply/Cancel (seconds)
+const PREVIEW_TTL_SECONDS = 600;
+
 /**
- * Converts data type of a column
+ * Decides whether a plan must be previewed before it runs.
+ * The backend flags plans whose skill has rules.preview_required.
  */
-function convertDataType(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const col = columnLetterToIndex(params.column);
-  const lastRow = sheet.getLastRow();
-  
-  const range = sheet.getRange(2, col, lastRow - 1, 1);
-  const values = range.getValues();
-  
-  const converted = values.map(([val]) => {
-    if (params.toType === 'number') {
-      return [parseFloat(val) || 0];
-    } else if (params.toType === 'string') {
-      return [String(val)];
-    } else if (params.toType === 'date') {
-      return [new Date(val)];
+function planRequiresPreview(plan) {
+  if (plan.previewRequired) return true;
+  return (plan.steps || []).some(step => DESTRUCTIVE_ACTIONS.includes(step.action));
+}
+
+// Actions that leave cell values, row order and column positions as they are, so the
+// preview of a later step still sees the sheet it will run on
+const PREVIEW_NEUTRAL_ACTIONS = ['QUERY_VALUE', 'ANALYZE_DATA', 'FORMAT_CELLS', 'STYLE_HEADER', 'FREEZE_PANES', 'DATA_VALIDATION', 'CREATE_CHART', 'UPDATE_CHART', 'DELETE_CHART'];
+
+/**
+ * Dry-runs every step of a plan and reports what it would change.
+ * Nothing is written to the sheet. Every step is evaluated against the current sheet,
+ * so steps after the first one that changes the data are marked as estimates: their
+ * counts don't include what the earlier steps do.
+ */
+function previewPlan(plan) {
+  let changedBy = null;
+  const items = plan.steps.map(step => {
+    const estimate = changedBy !== null;
+    if (!estimate && !previewIsNeutral(step)) changedBy = step.stepNumber;
+    try {
+      return {
+        step: step.stepNumber,
+        action: step.action,
+        description: step.description,
+        status: 'ok',
+        estimate: estimate,
+        ...previewAction(getTargetSheet(step.params), step)
+      };
+    } catch (e) {
+      // A column or sheet an earlier step creates doesn't exist yet
+      if (estimate) {
+        return {
+          step: step.stepNumber,
+          action: step.action,
+          description: step.description,
+          status: 'ok',
+          estimate: true,
+          deferred: true,
+          effect: `${step.description || step.action} (can't be previewed before the earlier steps run)`
+        };
+      }
+      return {
+        step: step.stepNumber,
+        action: step.action,
+        description: step.description,
+        status: 'error',
+        effect: `This step would fail: ${e.message}`
+      };
     }
-    return [val];
   });
-  
-  range.setValues(converted);
-  return `Converted column ${params.column} to ${params.toType}`;
+
+  const totals = items.reduce((acc, item) => {
+    acc.rowsDeleted += item.rowsDeleted || 0;
+    acc.cellsChanged += item.cellsChanged || 0;
+    acc.columnsInserted += item.columnsInserted || 0;
+    return acc;
+  }, { rowsDeleted: 0, cellsChanged: 0, columnsInserted: 0 });
+
+  const firstEstimate = items.find(item => item.estimate);
+  return {
+    steps: items,
+    totals: totals,
+    estimatedFrom: firstEstimate ? firstEstimate.step : null,
+    highImpact: items.some(item => Number(item.impactPercent) > 50)
+  };
 }
 
 /**
- * Adds a formula to a column
+ * Whether a step leaves the sheet as the previews of later steps read it
+ * (conditional formats do, unless they insert a data bar column)
  */
-function addFormula(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const col = columnLetterToIndex(params.targetColumn);
-  
-  // Dynamic Start Row
-  // If params.startRow is not provided, detect headers
-  let startRow = params.startRow;
-  if (!startRow) {
-    const values = sheet.getDataRange().getValues();
-    // header index + 1 (for 1-based) + 1 (for next row that is data)
-    startRow = detectHeaderRow(values) + 2; 
-  }
-  
-  const endRow = params.endRow || sheet.getLastRow();
-  
-  // Extract the base row number from the formula if possible (e.g. "2" from "=H2*10")
-  // Look for a letter followed by a number
-  const rowMatch = params.formula.match(/[A-Za-z]+(\d+)/);
-  const baseRow = rowMatch ? rowMatch[1] : '1'; // Default to 1 if no row found
-  const rowRegex = new RegExp(`([A-Za-z]+)${baseRow}\\b`, 'g');
-
-  for (let row = startRow; row <= endRow; row++) {
-    const formula = params.formula.replace(rowRegex, `$1${row}`);
-    sheet.getRange(row, col).setFormula(formula);
-  }
-  
-  return `Added formula to column ${params.targetColumn}`;
+function previewIsNeutral(step) {
+  if (step.action === 'CONDITIONAL_FORMAT') return String((step.params || {}).rule).toLowerCase() !== 'data_bars';
+  return PREVIEW_NEUTRAL_ACTIONS.includes(step.action);
 }
 
 /**
- * Creates a chart with improved options
+ * Describes the effect of a single step without executing it
  */
-function createChart(params) {
-  try {
+function previewAction(sheet, step) {
+  const params = step.params || {};
+
+  switch (step.action) {
+    case 'FILTER_DATA': {
+      const { rowsToDelete, totalDataRows, impactPercent } = findFilterMatches(sheet, params);
+      return {
+        rowsDeleted: rowsToDelete.length,
+        impactPercent: impactPercent,
+        sampleRows: rowsToDelete.slice(0, 10),
+        effect: `Would delete ${rowsToDelete.length} of ${totalDataRows} rows (${impactPercent}%) that don't match ${params.column} ${params.operator} "${params.value}"`
+      };
+    }
+    case 'DELETE_ROWS': {
+      const { rowsToDelete, totalDataRows, impactPercent } = findRowsToDelete(sheet, params);
+      return {
+        rowsDeleted: rowsToDelete.length,
+        impactPercent: impactPercent,
+        sampleRows: rowsToDelete.slice(0, 10),
+        effect: `Would delete ${rowsToDelete.length} of ${totalDataRows} rows (${impactPercent}%) based on ${params.condition}`
+      };
+    }
+    case 'CLEAN_DATA':
+      return previewCleanData(sheet, params);
+    case 'CONVERT_DATATYPE': {
+      const { original, converted } = computeConvertedColumn(sheet, params);
+      const changed = countChangedCells(original, converted);
+      return {
+        cellsChanged: changed,
+        effect: `Would convert ${changed} cells in column ${params.column} to ${params.toType}`
+      };
+    }
+    case 'DELETE_COLUMN': {
+      const dataRows = Math.max(sheet.getLastRow(), 0);
+      return {
+        cellsChanged: dataRows,
+        effect: `Would delete column ${params.column} (${dataRows} cells)`
+      };
+    }
+    case 'ADD_COLUMN': {
+      const dataRows = Math.max(sheet.getLastRow() - getDataStartRow(sheet) + 1, 0);
+      const target = params.referenceColumn
+        ? `${params.position || 'after'} column ${params.referenceColumn}`
+        : 'after the last column';
+      return {
+        columnsInserted: 1,
+        cellsChanged: params.formula ? dataRows : 0,
+        effect: `Would insert column "${params.columnName}" ${target}` + (params.formula ? ` and fill ${dataRows} formula cells` : '')
+      };
+    }
+    case 'YOY_CALCULATION': {
+      const dataRows = Math.max(sheet.getLastRow() - getDataStartRow(sheet), 0);
+      return {
+        columnsInserted: 1,
+        cellsChanged: dataRows,
+        effect: `Would add column "${params.newColumnName || 'YoY Growth %'}" with ${dataRows} formula cells`
+      };
+    }
+    case 'ADD_FORMULA': {
+      const startRow = params.startRow || getDataStartRow(sheet);
+      const endRow = params.endRow || sheet.getLastRow();
+      const cells = Math.max(endRow - startRow + 1, 0);
+      return {
+        cellsChanged: cells,
+        effect: `Would write formulas into ${cells} cells of column ${params.targetColumn}`
+      };
+    }
+    case 'AGGREGATE':
+      return {
+        cellsChanged: 1,
+        effect: `Would write a ${params.operation} formula into ${params.targetCell}`
+      };
+    case 'SORT_DATA': {
+      const dataRows = Math.max(sheet.getLastRow() - getDataStartRow(sheet) + 1, 0);
+      return {
+        effect: `Would reorder ${dataRows} rows by column ${params.column} (${params.order})`
+      };
+    }
+    case 'FORMAT_CELLS':
+      return {
+        effect: `Would format ${params.range || getFormatRange(sheet, params).getA1Notation()} as ${params.format} (${buildNumberFormat(params)}; values are unchanged)`
+      };
+    case 'CONDITIONAL_FORMAT': {
+      if (String(params.rule).toLowerCase() === 'data_bars') {
+        return {
+          columnsInserted: 1,
+          effect: `Would insert a data bar column after column ${params.column}`
+        };
+      }
+      const target = getConditionalRange(sheet, params);
+      return {
+        effect: `Would add a ${params.rule} formatting rule to ${target.range.getA1Notation()} (values are unchanged)`
+      };
+    }
+    case 'STYLE_HEADER':
+      return {
+        effect: `Would style header row ${detectHeaderRow(readHeaderArea(sheet)) + 1}` + (params.freeze ? ' and freeze it' : '')
+      };
+    case 'FREEZE_PANES': {
+      const parts = [];
+      if (params.rows !== undefined) parts.push(`rows: ${params.rows}`);
+      if (params.columns !== undefined) parts.push(`columns: ${params.columns}`);
+      return {
+        effect: `Would freeze ${parts.length > 0 ? parts.join(', ') : 'the header row'}`
+      };
+    }
+    case 'DATA_VALIDATION': {
+      const { options, existing } = getDropdownOptions(sheet, params);
+      const invalid = existing.filter(v => v !== '' && !options.includes(v)).length;
+      return {
+        effect: `Would add a dropdown with ${options.length} options to column ${params.column}` +
+          (invalid > 0 ? ` (${invalid} existing cells are not in the list)` : '')
+      };
+    }
+    case 'CREATE_CHART': {
+      const columns = [params.xAxisColumn].concat(params.seriesColumns || []).filter(Boolean);
+      const source = columns.length > 0 ? ` from columns ${columns.join(', ')}` : '';
+      return {
+        effect: `Would create a ${(params.chartType || params.type || 'column').toLowerCase()} chart "${params.title || 'Untitled'}"${source}`
+      };
+    }
+    case 'UPDATE_CHART': {
+      const chart = findChart(sheet, params);
+      const changes = ['chartType', 'title', 'xAxisColumn', 'seriesColumns', 'xAxisTitle', 'yAxisTitle', 'colors', 'position']
+        .filter(key => params[key] !== undefined && params[key] !== null);
+      return {
+        effect: `Would update chart "${getChartTitle(chart)}" (${changes.join(', ') || 'no changes'})`
+      };
+    }
+    case 'DELETE_CHART':
+      return {
+        effect: `Would delete chart "${getChartTitle(findChart(sheet, params))}"`
+      };
+    case 'CREATE_PIVOT':
+      return {
+        effect: `Would create a new sheet "${params.outputSheet}" with a summary table of ${params.values.map(v => `${v.function} of ${v.column}`).join(', ')} by ${params.rows.map(r => r.column).join(', ')}`
+      };
+    case 'QUERY_VALUE':
+      return {
+        effect: `Would calculate ${params.label || 'a value'} (read-only)`
+      };
+    case 'ANALYZE_DATA':
+      return {
+        effect: `Would analyze columns ${params.columns.map(c => c.column).join(', ')} (read-only)`
+      };
+    default:
+      throw new Error(`Unknown action: ${step.action}`);
+  }
+}
+
+/**
+ * Counts cells whose value differs between two single-column value arrays
+ */
+function countChangedCells(original, updated) {
+  let changed = 0;
+  original.forEach(([before], i) => {
+    const after = updated[i][0];
+    const beforeKey = before instanceof Date ? before.getTime() : before;
+    const afterKey = after instanceof Date ? after.getTime() : after;
+    if (beforeKey !== afterKey) changed++;
+  });
+  return changed;
+}
+
+/**
+ * Dry-run of one CLEAN_DATA step, matching what cleanData would do
+ */
+function previewCleanData(sheet, params) {
+  switch (params.operation) {
+    case 'remove_duplicates': {
+      const { rowsToDelete, totalDataRows, impactPercent } = findDuplicateRows(sheet, params);
+      return {
+        rowsDeleted: rowsToDelete.length,
+        impactPercent: impactPercent,
+        sampleRows: rowsToDelete.slice(0, 10),
+        effect: `Would delete ${rowsToDelete.length} of ${totalDataRows} rows (${impactPercent}%) as duplicates`
+      };
+    }
+    case 'split_column': {
+      const { names, cellsWritten } = computeSplitColumn(sheet, params);
+      return {
+        columnsInserted: names.length,
+        cellsChanged: cellsWritten,
+        effect: `Would split column ${params.column} into ${names.length} new columns (${cellsWritten} cells)`
+      };
+    }
+    case 'merge_columns': {
+      const { cellsWritten } = computeMergedColumn(sheet, params);
+      return {
+        columnsInserted: 1,
+        cellsChanged: cellsWritten,
+        effect: `Would merge columns ${params.columns.join(', ')} into a new column (${cellsWritten} cells)`
+      };
+    }
+  }
+
+  if (params.operation === 'regex_extract' && params.newColumnName) {
+    const startRow = getDataStartRow(sheet);
+    const lastRow = sheet.getLastRow();
+    const source = lastRow < startRow ? [] : sheet.getRange(startRow, columnLetterToIndex(params.column), lastRow - startRow + 1, 1).getValues().map(([v]) => v);
+    const written = extractMatches(source, params).filter(v => v !== '' && v !== null).length;
+    return {
+      columnsInserted: 1,
+      cellsChanged: written,
+      effect: `Would extract matches from column ${params.column} into new column "${params.newColumnName}" (${written} cells)`
+    };
+  }
+
+  const { original, cleaned, note } = computeCleanedColumn(sheet, params);
+  const changed = countChangedCells(original, cleaned);
+  return {
+    cellsChanged: changed,
+    effect: `Would change ${changed} cells in column ${params.column} (${params.operation})${note ? `. ${note}` : ''}`
+  };
+}
+
+/**
+ * Returns the 1-based row number where data starts (the row after the header)
+ */
+function getDataStartRow(sheet) {
+  return detectHeaderRow(readHeaderArea(sheet)) + 2;
+}
+
+/**
+ * Builds the chat message shown above the Apply/Cancel buttons
+ */
+function buildPreviewMessage(actionPlan, preview) {
+  let message = "";
+  if (actionPlan.answer) {
+    message += `${actionPlan.answer}\n\n`;
+  }
+  message += "PREVIEW: nothing has been changed yet.\n";
+  preview.steps.forEach(item => {
+    message += `• ${item.effect}${item.estimate && !item.deferred ? ' (estimate)' : ''}\n`;
+  });
+  if (preview.estimatedFrom) {
+    message += `\nCounts from step ${preview.estimatedFrom} on are estimates: they are taken from the sheet as it is now, before the earlier steps change it.`;
+  }
+  if (preview.highImpact) {
+    message += "\n⚠️ This would remove more than half of your data.";
+  }
+  message += formatRejectedSteps(actionPlan);
+  return message.trim();
+}
+
+/**
+ * Keeps a plan (and the prompt and conversation that produced it) in the user cache until it is applied or cancelled
+ */
+function storePendingPlan(prompt, actionPlan, sessionId) {
+  const previewId = Utilities.getUuid();
+  const pending = { prompt: prompt, actionPlan: actionPlan, sessionId: sessionId || null };
+  putChunked(CacheService.getUserCache(), `preview_${previewId}`, JSON.stringify(pending), PREVIEW_TTL_SECONDS);
+  return previewId;
+}
+
+/**
+ * Reads and removes a pending { prompt, actionPlan, sessionId }. Returns null when it has expired.
+ */
+function takePendingPlan(previewId) {
+  const cache = CacheService.getUserCache();
+  const key = `preview_${previewId}`;
+  const stored = getChunked(cache, key);
+  removeChunked(cache, key);
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Cache values are limited to 100 KB; a chunk of this many characters stays under it even at 3 bytes per character
+const CACHE_CHUNK_CHARS = 30000;
+
+/**
+ * Stores a string that may be larger than one cache value: the chunks go under "<key>_<n>"
+ * and the key itself holds their count
+ */
+function putChunked(cache, key, value, ttlSeconds) {
+  const chunks = {};
+  let count = 0;
+  for (let start = 0; start < value.length; start += CACHE_CHUNK_CHARS) {
+    chunks[`${key}_${count++}`] = value.slice(start, start + CACHE_CHUNK_CHARS);
+  }
+  chunks[key] = String(count);
+  cache.putAll(chunks, ttlSeconds);
+}
+
+/**
+ * Reads a string stored with putChunked; null when it, or any of its chunks, has expired
+ */
+function getChunked(cache, key) {
+  const count = Number(cache.get(key));
+  if (!count) return null;
+  const chunkKeys = Array.from({ length: count }, (_, i) => `${key}_${i}`);
+  const chunks = cache.getAll(chunkKeys);
+  if (chunkKeys.some(k => chunks[k] === undefined || chunks[k] === null)) return null;
+  return chunkKeys.map(k => chunks[k]).join('');
+}
+
+function removeChunked(cache, key) {
+  const count = Number(cache.get(key)) || 0;
+  cache.removeAll([key].concat(Array.from({ length: count }, (_, i) => `${key}_${i}`)));
+}
+
+// ============================================================
+// PROGRESS JOBS
+// ============================================================
+
+// Progress of one Sidebar request, kept in the user cache under the Sidebar's job id
+const JOB_KEY_PREFIX = 'job_';
+const JOB_TTL_SECONDS = 1800;
+// Step results shown in the progress list are cut to this length
+const JOB_DETAIL_CHARS = 120;
+
+/**
+ * Adds a phase to the job, or updates the phase with the same id.
+ * Phase: { id, label, status: pending | running | success | error | skipped, detail? }.
+ * Does nothing without a job id (e.g. when called from the editor).
+ */
+function recordJobPhase(jobId, phase) {
+  recordJobPhases(jobId, [phase]);
+}
+
+function recordJobPhases(jobId, phases) {
+  if (!jobId) return;
+  try {
+    const job = readJob(jobId);
+    phases.forEach(phase => {
+      const existing = job.phases.find(p => p.id === phase.id);
+      if (existing) Object.assign(existing, phase);
+      else job.phases.push(phase);
+    });
+    CacheService.getUserCache().put(JOB_KEY_PREFIX + jobId, JSON.stringify(job), JOB_TTL_SECONDS);
+  } catch (e) {
+    // Progress is best-effort and must never fail the request
+    console.warn('Could not record progress:', e.toString());
+  }
+}
+
+function readJob(jobId) {
+  const stored = CacheService.getUserCache().get(JOB_KEY_PREFIX + jobId);
+  return stored ? JSON.parse(stored) : { phases: [] };
+}
+
+/**
+ * Runs the /plan call as the "plan" phase. While it runs, getJobProgress reads the
+ * backend's own phases (classification, planning each sub-task); afterwards they are
+ * kept from the response.
+ */
+function planWithProgress(jobId, callPlan) {
+  recordJobPhase(jobId, { id: 'plan', label: 'Planning', status: 'running', backend: true });
+  const actionPlan = callPlan();
+  recordJobPhase(jobId, {
+    id: 'plan',
+    status: actionPlan.success ? 'success' : 'error',
+    backend: false,
+    phases: actionPlan.progress || []
+  });
+  return actionPlan;
+}
+
+/**
+ * Called by the Sidebar while a request runs: the job's phases in order, with the
+ * backend's planning phases in place of the "plan" phase
+ */
+function getJobProgress(jobId) {
+  const job = readJob(jobId);
+  const phases = [];
+  job.phases.forEach(phase => {
+    if (phase.id !== 'plan') {
+      phases.push(phase);
+      return;
+    }
+    let backendPhases = phase.phases;
+    if (phase.backend) {
+      try {
+        const progress = getFromBackend(`/jobs/${encodeURIComponent(jobId)}`);
+        backendPhases = progress ? progress.phases : null;
+      } catch (e) {
+        backendPhases = null;
+      }
+    }
+    if (backendPhases && backendPhases.length > 0) phases.push(...backendPhases);
+    else phases.push({ id: 'plan', label: phase.label, status: phase.status });
+  });
+  return { phases: phases, cancelled: isJobCancelled(jobId) };
+}
+
+/**
+ * Asks a running request to stop. Planning stops before its next sub-task and
+ * execution before its next step; steps that already ran stay (and can be undone).
+ */
+function cancelJob(jobId) {
+  if (!jobId) return { status: 'error', message: 'No job to cancel' };
+  CacheService.getUserCache().put(`${JOB_KEY_PREFIX}${jobId}_cancel`, '1', JOB_TTL_SECONDS);
+  try {
+    postToBackend(`/jobs/${encodeURIComponent(jobId)}/cancel`, {});
+  } catch (e) {
+    console.warn('Could not cancel planning:', e.toString());
+  }
+  return { status: 'success' };
+}
+
+function isJobCancelled(jobId) {
+  if (!jobId) return false;
+  return CacheService.getUserCache().get(`${JOB_KEY_PREFIX}${jobId}_cancel`) === '1';
+}
+
+/**
+ * Attaches the job's final phases to a Sidebar result, so the finished progress list can stay on screen
+ */
+function withJobProgress(result, jobId) {
+  if (jobId && result) result.progress = getJobProgress(jobId).phases;
+  return result;
+}
+
+// ============================================================
+// UNDO SNAPSHOTS
+// ============================================================
+
+// Index of undo snapshots, newest last, stored as a document property
+const UNDO_HISTORY_KEY = 'AGENT_UNDO_HISTORY';
+const UNDO_SHEET_PREFIX = '_undo_';
+const UNDO_HISTORY_LIMIT = 10;
+// Snapshot sheets count towards the spreadsheet's cell limit, so cap their total size
+const UNDO_MAX_SNAPSHOT_CELLS = 2000000;
+// Document property values are limited to 9 KB; keep the serialized history under it
+const UNDO_HISTORY_MAX_CHARS = 8000;
+
+// Actions that never modify the sheet and therefore need no snapshot
+const READ_ONLY_ACTIONS = ['QUERY_VALUE', 'ANALYZE_DATA'];
+
+/**
+ * Snapshots every sheet the plan writes to, then executes the plan (options as for executePlan).
+ * If the snapshot cannot be taken, nothing is executed.
+ */
+function runPlanWithSnapshot(prompt, plan, jobId, options) {
+  const writingSteps = (plan.steps || []).filter(step => !READ_ONLY_ACTIONS.includes(step.action));
+
+  let runId = null;
+  if (writingSteps.length > 0) {
+    recordJobPhase(jobId, { id: 'snapshot', label: 'Saving an undo snapshot', status: 'running' });
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheets = [];
+      writingSteps.forEach(step => {
+        // Sheets an earlier step creates (pivot output) don't exist yet; undo removes them
+        if (step.params && step.params.sheetName && !ss.getSheetByName(step.params.sheetName)) return;
+        const sheet = getTargetSheet(step.params);
+        if (!sheets.some(s => s.getSheetId() === sheet.getSheetId())) sheets.push(sheet);
+      });
+      runId = createSnapshot(prompt, sheets);
+      recordJobPhase(jobId, { id: 'snapshot', status: 'success' });
+    } catch (e) {
+      console.error('Snapshot failed:', e.toString());
+      recordJobPhase(jobId, { id: 'snapshot', status: 'error', detail: e.message });
+      throw new Error(`Couldn't save an undo snapshot, so no changes were made: ${e.message}`);
+    }
+  }
+
+  const sheetIdsBefore = SpreadsheetApp.getActiveSpreadsheet().getSheets().map(sh => sh.getSheetId());
+  const executionResult = executePlan(plan, jobId, options);
+
+  // Sheets the plan created (e.g. pivot output) are removed again on undo
+  if (runId) {
+    const createdSheetIds = SpreadsheetApp.getActiveSpreadsheet().getSheets()
+      .filter(sh => !sheetIdsBefore.includes(sh.getSheetId()) && !sh.getName().startsWith(UNDO_SHEET_PREFIX))
+      .map(sh => sh.getSheetId());
+    if (createdSheetIds.length > 0) {
+      const history = getUndoEntries();
+      const entry = history.find(e => e.runId === runId);
+      if (entry) {
+        entry.createdSheetIds = createdSheetIds;
+        saveUndoEntries(history);
+      }
+    }
+  }
+
+  return { executionResult, runId };
+}
+
+/**
+ * Copies each sheet into a hidden snapshot sheet and records them as one undo entry.
+ * The copy keeps values, formulas, formats and validation; the recorded chart ids
+ * let undo remove charts created after the snapshot. Chart specs are too large for the
+ * history property, so they are kept in the snapshot sheet (see storeChartSpecs).
+ */
+function createSnapshot(label, sheets) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const activeSheet = ss.getActiveSheet();
+  const runId = Utilities.formatDate(new Date(), 'GMT', 'yyyyMMddHHmmss') + '_' + Utilities.getUuid().slice(0, 8);
+
+  const snapshots = sheets.map((sheet, i) => {
+    const copy = sheet.copyTo(ss);
+    copy.setName(UNDO_SHEET_PREFIX + runId + (sheets.length > 1 ? `_${i + 1}` : ''));
+    copy.hideSheet();
+    const charts = sheet.getCharts();
+    storeChartSpecs(copy, sheet.getMaxColumns(), charts.map(getChartSpec));
+    return {
+      sheetId: sheet.getSheetId(),
+      sheetName: sheet.getName(),
+      snapshotSheetName: copy.getName(),
+      maxRows: sheet.getMaxRows(),
+      maxColumns: sheet.getMaxColumns(),
+      frozenRows: sheet.getFrozenRows(),
+      frozenColumns: sheet.getFrozenColumns(),
+      chartIds: charts.map(chart => chart.getChartId())
+    };
+  });
+  // copyTo may move the focus; keep the user on their sheet
+  ss.setActiveSheet(activeSheet);
+
+  const history = getUndoEntries();
+  history.push({
+    runId: runId,
+    label: String(label || 'Agent action').slice(0, 200),
+    createdAt: new Date().toISOString(),
+    sheetName: snapshots.map(snap => snap.sheetName).join(', '),
+    sheets: snapshots
+  });
+  saveUndoEntries(history);
+
+  console.log(`Snapshot ${runId} saved for ${snapshots.length} sheet(s)`);
+  return runId;
+}
+
+/**
+ * Returns the undo history for the Sidebar, newest first
+ */
+function getUndoHistory() {
+  return getUndoEntries()
+    .slice()
+    .reverse()
+    .map(entry => ({
+      runId: entry.runId,
+      label: entry.label,
+      createdAt: entry.createdAt,
+      sheetName: entry.sheetName
+    }));
+}
+
+/**
+ * Reverts the most recent agent action
+ */
+function undoLastAction() {
+  const history = getUndoEntries();
+  if (history.length === 0) {
+    return { status: 'error', message: 'There is nothing to undo.' };
+  }
+  return undoRun(history[history.length - 1].runId);
+}
+
+/**
+ * Restores the sheets to how they were before the given run.
+ * Later runs on the same sheets are undone as well, since the snapshot predates them.
+ */
+function undoRun(runId) {
+  try {
+    const history = getUndoEntries();
+    const index = history.findIndex(entry => entry.runId === runId);
+    if (index === -1) {
+      return { status: 'error', message: 'That action is no longer in the undo history.' };
+    }
+
+    const entry = history[index];
+    deleteCreatedSheets(entry);
+    entry.sheets.forEach(snap => restoreSnapshot(snap));
+
+    // Drop this snapshot and every newer snapshot touching the same sheets
+    const sheetIds = entry.sheets.map(snap => snap.sheetId);
+    const superseded = history.filter((e, i) => i >= index && e.sheets.some(snap => sheetIds.includes(snap.sheetId)));
+    superseded.forEach(e => {
+      deleteCreatedSheets(e);
+      deleteSnapshotSheets(e);
+    });
+    saveUndoEntries(history.filter(e => !superseded.includes(e)));
+
+    const laterCount = superseded.length - 1;
+    let message = `Undid "${entry.label}" on ${entry.sheetName}.`;
+    if (laterCount > 0) message += ` ${laterCount} later action(s) on those sheets were undone too.`;
+    return { status: 'success', message: message };
+  } catch (e) {
+    console.error('undoRun error:', e);
+    return { status: 'error', message: `Undo failed: ${e.message}` };
+  }
+}
+
+/**
+ * Writes one sheet's snapshot back over it: grid size, contents, formats,
+ * frozen panes; removes charts that did not exist before and rebuilds edited or deleted ones.
+ */
+function restoreSnapshot(snap) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheets().find(s => s.getSheetId() === snap.sheetId);
+  const snapshot = ss.getSheetByName(snap.snapshotSheetName);
+
+  if (!sheet) throw new Error(`Sheet "${snap.sheetName}" no longer exists`);
+  if (!snapshot) throw new Error('The undo snapshot is missing');
+
+  // 1. Remove charts created after the snapshot
+  sheet.getCharts()
+    .filter(chart => !snap.chartIds.includes(chart.getChartId()))
+    .forEach(chart => sheet.removeChart(chart));
+
+  // 2. Restore the grid size (brings back deleted rows, drops inserted columns)
+  const currentRows = sheet.getMaxRows();
+  if (currentRows < snap.maxRows) {
+    sheet.insertRowsAfter(currentRows, snap.maxRows - currentRows);
+  } else if (currentRows > snap.maxRows) {
+    sheet.deleteRows(snap.maxRows + 1, currentRows - snap.maxRows);
+  }
+
+  const currentCols = sheet.getMaxColumns();
+  if (currentCols < snap.maxColumns) {
+    sheet.insertColumnsAfter(currentCols, snap.maxColumns - currentCols);
+  } else if (currentCols > snap.maxColumns) {
+    sheet.deleteColumns(snap.maxColumns + 1, currentCols - snap.maxColumns);
+  }
+
+  // 3. Copy contents and formats back over the whole grid
+  sheet.clear();
+  sheet.clearConditionalFormatRules();
+  sheet.getRange(1, 1, snap.maxRows, snap.maxColumns).clearDataValidations();
+  snapshot.getRange(1, 1, snap.maxRows, snap.maxColumns).copyTo(sheet.getRange(1, 1));
+
+  sheet.setFrozenRows(snap.frozenRows || 0);
+  sheet.setFrozenColumns(snap.frozenColumns || 0);
+
+  // 4. Rebuild charts that were edited or deleted since the snapshot
+  readChartSpecs(snapshot, snap).forEach(spec => {
+    const current = sheet.getCharts().find(chart => chart.getChartId() === spec.chartId);
+    if (current && JSON.stringify(getChartSpec(current)) === JSON.stringify(spec)) return;
+    if (current) sheet.removeChart(current);
+    rebuildChart(sheet, spec);
+  });
+  SpreadsheetApp.flush();
+}
+
+/**
+ * Writes chart specs into the snapshot sheet, one JSON spec per cell in the column after
+ * the copied grid, so restoring the grid never copies them back
+ */
+function storeChartSpecs(copy, gridColumns, specs) {
+  if (specs.length === 0) return;
+  if (copy.getMaxColumns() <= gridColumns) copy.insertColumnAfter(gridColumns);
+  if (copy.getMaxRows() < specs.length) copy.insertRowsAfter(copy.getMaxRows(), specs.length - copy.getMaxRows());
+  copy.getRange(1, gridColumns + 1, specs.length, 1).setValues(specs.map(spec => [JSON.stringify(spec)]));
+}
+
+/**
+ * Chart specs of a snapshot: from the snapshot sheet, or inline in entries saved before they moved there
+ */
+function readChartSpecs(snapshot, snap) {
+  if (snap.charts) return snap.charts;
+  if (snap.chartIds.length === 0 || snapshot.getMaxColumns() <= snap.maxColumns) return [];
+  return snapshot.getRange(1, snap.maxColumns + 1, snap.chartIds.length, 1).getValues()
+    .filter(([json]) => json)
+    .map(([json]) => JSON.parse(json));
+}
+
+/**
+ * Removes the oldest snapshots beyond the history limit, the cell budget or the property size limit
+ */
+function pruneUndoEntries(history) {
+  const kept = history.slice();
+  const cellsOf = entry => entry.sheets.reduce((sum, snap) => sum + snap.maxRows * snap.maxColumns, 0);
+  let totalCells = kept.reduce((sum, entry) => sum + cellsOf(entry), 0);
+  const tooLarge = () => JSON.stringify(kept).length > UNDO_HISTORY_MAX_CHARS;
+
+  while (kept.length > 1 && (kept.length > UNDO_HISTORY_LIMIT || totalCells > UNDO_MAX_SNAPSHOT_CELLS || tooLarge())) {
+    const oldest = kept.shift();
+    totalCells -= cellsOf(oldest);
+    deleteSnapshotSheets(oldest);
+  }
+  return kept;
+}
+
+function deleteCreatedSheets(entry) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  (entry.createdSheetIds || []).forEach(id => {
+    const created = ss.getSheets().find(sh => sh.getSheetId() === id);
+    if (created) ss.deleteSheet(created);
+  });
+}
+
+function deleteSnapshotSheets(entry) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  entry.sheets.forEach(snap => {
+    const snapshot = ss.getSheetByName(snap.snapshotSheetName);
+    if (snapshot) ss.deleteSheet(snapshot);
+  });
+}
+
+function getUndoEntries() {
+  const stored = PropertiesService.getDocumentProperties().getProperty(UNDO_HISTORY_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+function saveUndoEntries(history) {
+  PropertiesService.getDocumentProperties().setProperty(UNDO_HISTORY_KEY, JSON.stringify(pruneUndoEntries(history)));
+}
+
+// ============================================================
+// AGENT LOG
+// ============================================================
+
+// Hidden sheet with one row per request; the Sidebar's prompt history reads it
+const AGENT_LOG_SHEET = `${INTERNAL_SHEET_PREFIX}Agent Log`;
+const AGENT_LOG_HEADERS = ['Time', 'Log ID', 'User', 'Prompt', 'Status', 'Schema Hash', 'Classification', 'Plan', 'Steps', 'Results', 'Formulas', 'Undo Run'];
+// A cell holds at most 50,000 characters
+const AGENT_LOG_CELL_CHARS = 49000;
+const PROMPT_HISTORY_LIMIT = 30;
+// Actions whose params.formula is written into the sheet
+const FORMULA_ACTIONS = ['ADD_FORMULA', 'ADD_COLUMN'];
+
+/**
+ * Writes a request's row to the agent log: the prompt, schema hash, raw LLM responses,
+ * built steps, step results and inserted formulas. A row whose Log ID is already there is
+ * updated (an answered clarification, an applied or discarded preview).
+ * The log is best-effort: failures are logged, never surfaced.
+ * @param {object} entry - { prompt, actionPlan, status, results, runId }
+ */
+function writeAgentLog(entry) {
+  try {
+    const actionPlan = entry.actionPlan || {};
+    const audit = actionPlan.audit || {};
+    const steps = (actionPlan.plan && actionPlan.plan.steps) || [];
+    const logId = actionPlan.logId || audit.id;
+
+    const row = [
+      new Date(),
+      logId,
+      getAgentUser(),
+      entry.prompt || '',
+      entry.status,
+      audit.schemaHash || '',
+      audit.classification ? JSON.stringify(audit.classification) : '',
+      audit.plans ? JSON.stringify(audit.plans) : '',
+      JSON.stringify(steps),
+      entry.results ? JSON.stringify(entry.results) : '',
+      collectFormulas(steps).join('\n'),
+      entry.runId || ''
+    ].map(value => value instanceof Date ? value : logText(value));
+
+    const sheet = getAgentLogSheet();
+    const found = sheet.getLastRow() > 1
+      ? sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).createTextFinder(logId).matchEntireCell(true).findNext()
+      : null;
+    if (found) {
+      // Keep the time the request was first logged
+      row[0] = sheet.getRange(found.getRow(), 1).getValue();
+      sheet.getRange(found.getRow(), 1, 1, row.length).setValues([row]);
+    } else {
+      sheet.appendRow(row);
+    }
+  } catch (e) {
+    console.warn('Could not write the agent log:', e.toString());
+  }
+}
+
+/**
+ * Past requests for the Sidebar's history panel, newest first
+ */
+function getPromptHistory(limit) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AGENT_LOG_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const count = Math.min(sheet.getLastRow() - 1, limit || PROMPT_HISTORY_LIMIT);
+  const firstRow = sheet.getLastRow() - count + 1;
+  const rows = sheet.getRange(firstRow, 1, count, AGENT_LOG_HEADERS.length).getValues();
+
+  return rows.reverse().map(row => {
+    let steps = [];
+    try {
+      steps = JSON.parse(row[8] || '[]');
+    } catch (e) {
+      // Cut at the cell limit; the count is unknown
+    }
+    return {
+      logId: row[1],
+      time: row[0] instanceof Date ? row[0].toISOString() : String(row[0]),
+      user: row[2],
+      prompt: row[3],
+      status: row[4],
+      stepCount: steps.length,
+      steps: steps.map(step => step.description || step.action),
+      formulas: row[10] ? String(row[10]).split('\n') : [],
+      runId: row[11] || null
+    };
+  });
+}
+
+/**
+ * Formulas the plan's steps write into the sheet, as planned (before row shifting)
+ */
+function collectFormulas(steps) {
+  return steps
+    .filter(step => FORMULA_ACTIONS.includes(step.action) && step.params && step.params.formula)
+    .map(step => step.params.formula);
+}
+
+/**
+ * Finds the hidden log sheet, creating it on first use
+ */
+function getAgentLogSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(AGENT_LOG_SHEET);
+  if (sheet) return sheet;
+
+  const activeSheet = ss.getActiveSheet();
+  sheet = ss.insertSheet(AGENT_LOG_SHEET, ss.getSheets().length);
+  sheet.getRange(1, 1, 1, AGENT_LOG_HEADERS.length).setValues([AGENT_LOG_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  sheet.hideSheet();
+  ss.setActiveSheet(activeSheet);
+  return sheet;
+}
+
+/**
+ * Cell text for the log: cut at the cell limit, and kept as text when it starts like a formula
+ */
+function logText(value) {
+  const text = String(value === null || value === undefined ? '' : value).slice(0, AGENT_LOG_CELL_CHARS);
+  return /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+// ============================================================
+// RECIPES
+// ============================================================
+
+// Saved recipes are document properties, one per recipe: AGENT_RECIPE_<id>
+const RECIPE_KEY_PREFIX = 'AGENT_RECIPE_';
+// Executed steps stay saveable (as a recipe draft) this long after a run
+const RECIPE_DRAFT_PREFIX = 'recipe_draft_';
+const RECIPE_DRAFT_TTL_SECONDS = 21600;
+// A document property value holds at most 9 KB
+const RECIPE_MAX_BYTES = 9000;
+// Step params that hold column letters, lists of letters or { column } objects
+const RECIPE_COLUMN_PARAMS = ['column', 'targetColumn', 'referenceColumn', 'xAxisColumn', 'valueColumn', 'seriesColumns', 'columns', 'rows'];
+// Params that hold columns only for some actions (DATA_VALIDATION values are dropdown options)
+const RECIPE_ACTION_COLUMN_PARAMS = { CREATE_PIVOT: ['values'] };
+// Written answers come from the LLM (/insight), so recipes leave these steps out
+const RECIPE_SKIPPED_ACTIONS = ['ANALYZE_DATA'];
+const RECIPE_WEEK_DAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+/**
+ * Copy of a step with its columns stored by header name, read from the sheet just before
+ * the step runs (so columns inserted by earlier steps are named too). A column letter
+ * becomes { header }, and cell references in formulas become {{col:Header}}.
+ * Columns without a header keep their letter.
+ */
+function toRecipeStep(step) {
+  const recipeStep = JSON.parse(JSON.stringify(step));
+  const params = recipeStep.params || {};
+  let headers;
+  try {
+    headers = readRecipeHeaders(getTargetSheet(params));
+  } catch (e) {
+    return recipeStep; // e.g. a sheet an earlier step creates
+  }
+
+  const toHeader = (value) => {
+    if (typeof value !== 'string' || !/^[A-Za-z]{1,3}$/.test(value)) return value;
+    const header = headers[columnLetterToIndex(value) - 1];
+    return header ? { header: header } : value;
+  };
+  const convert = (value) => {
+    if (Array.isArray(value)) return value.map(convert);
+    if (value && typeof value === 'object' && 'column' in value) return Object.assign({}, value, { column: toHeader(value.column) });
+    return toHeader(value);
+  };
+
+  recipeColumnParams(recipeStep.action).forEach(key => {
+    if (params[key] !== undefined) params[key] = convert(params[key]);
+  });
+  if (typeof params.formula === 'string') params.formula = formulaToHeaders(params.formula, headers);
+  return recipeStep;
+}
+
+/**
+ * Names of the params that hold columns for an action
+ */
+function recipeColumnParams(action) {
+  return RECIPE_COLUMN_PARAMS.concat(RECIPE_ACTION_COLUMN_PARAMS[action] || []);
+}
+
+/**
+ * Turns a recipe step back into an executable step for the sheet as it is now.
+ * Throws with the missing header names when a column can't be found.
+ */
+function fromRecipeStep(recipeStep) {
+  const step = JSON.parse(JSON.stringify(recipeStep));
+  const params = step.params || {};
+  let headers = [];
+  let sheetName = params.sheetName;
+  try {
+    const sheet = getTargetSheet(params);
+    headers = readRecipeHeaders(sheet);
+    sheetName = sheet.getName();
+  } catch (e) {
+    // The sheet doesn't exist: steps without header names still run (and report it themselves)
+  }
+  const missing = [];
+
+  const toLetter = (header) => {
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      if (!missing.includes(header)) missing.push(header);
+      return header;
+    }
+    return columnIndexToLetter(index + 1);
+  };
+  const convert = (value) => {
+    if (Array.isArray(value)) return value.map(convert);
+    if (value && typeof value === 'object' && 'header' in value) return toLetter(value.header);
+    if (value && typeof value === 'object' && value.column && typeof value.column === 'object') return Object.assign({}, value, { column: toLetter(value.column.header) });
+    return value;
+  };
+
+  recipeColumnParams(step.action).forEach(key => {
+    if (params[key] !== undefined) params[key] = convert(params[key]);
+  });
+  if (typeof params.formula === 'string') {
+    params.formula = params.formula.replace(/\{\{col:(.*?)\}\}/g, (match, header) => toLetter(header));
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Step ${step.stepNumber} (${step.description || step.action}) needs columns that aren't in "${sheetName}": ${missing.join(', ')}`);
+  }
+  return step;
+}
+
+/**
+ * Header names of the sheet's detected header row, by column position
+ */
+function readRecipeHeaders(sheet) {
+  const values = readHeaderArea(sheet);
+  const headerRow = values[detectHeaderRow(values)] || [];
+  return headerRow.map(h => String(h).trim());
+}
+
+/**
+ * Replaces the column letters of cell references (B2, $B$2, B:B) with {{col:Header}},
+ * leaving quoted text and function names alone
+ */
+function formulaToHeaders(formula, headers) {
+  const refRegex = /(?<![A-Za-z0-9_!.])(\$?)([A-Za-z]{1,3})(?=\$?\d+\b(?!\()|:\$?[A-Za-z]{1,3}\b(?![\d(]))|(?<=:)(\$?)([A-Za-z]{1,3})(?=\b(?![\d(!]))/g;
+  return formula
+    .split(/('(?:[^']|'')*'|"(?:[^"]|"")*")/)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(refRegex, (match, dollar, letters, dollar2, letters2) => {
+      const column = letters || letters2;
+      const header = headers[columnLetterToIndex(column.toUpperCase()) - 1];
+      return header ? `${dollar || dollar2 || ''}{{col:${header}}}` : match;
+    })))
+    .join('');
+}
+
+/**
+ * Keeps a run's executed steps for a while so the Sidebar can save them as a recipe.
+ * Returns the draft id, or null when there is nothing to save.
+ */
+function storeRecipeDraft(logId, prompt, executionResult) {
+  const steps = (executionResult.recipeSteps || []).filter(step => !RECIPE_SKIPPED_ACTIONS.includes(step.action));
+  if (!logId || steps.length === 0) return null;
+  try {
+    const draft = { prompt: prompt, sheetName: SpreadsheetApp.getActiveSheet().getName(), steps: steps };
+    CacheService.getUserCache().put(`${RECIPE_DRAFT_PREFIX}${logId}`, JSON.stringify(draft), RECIPE_DRAFT_TTL_SECONDS);
+    return logId;
+  } catch (e) {
+    console.warn('Could not keep the recipe draft:', e.toString());
+    return null;
+  }
+}
+
+/**
+ * Saves a run's steps as a named recipe. Saving under an existing name replaces its steps
+ * and keeps its schedule.
+ * Replays skip the preview, so steps that delete or overwrite data are only saved when
+ * approveDestructive is set; the approval is kept with the recipe. Without it the result
+ * has status 'needs_approval' and lists those steps.
+ */
+function saveRecipe(draftId, name, approveDestructive) {
+  const recipeName = String(name || '').trim();
+  if (!recipeName) return { status: 'error', message: 'Please give the recipe a name.' };
+
+  const stored = CacheService.getUserCache().get(`${RECIPE_DRAFT_PREFIX}${draftId}`);
+  if (!stored) return { status: 'error', message: 'These steps are no longer available. Run the request again, then save it.' };
+  const draft = JSON.parse(stored);
+
+  const destructive = destructiveRecipeSteps(draft.steps);
+  if (destructive.length > 0 && !approveDestructive) {
+    return {
+      status: 'needs_approval',
+      message: `This recipe deletes or overwrites data (${destructive.join('; ')}). Runs and scheduled runs won't show a preview first. Save it anyway?`,
+      destructiveSteps: destructive
+    };
+  }
+
+  const existing = listRecipes().find(r => r.name.toLowerCase() === recipeName.toLowerCase());
+  const recipe = Object.assign(existing || { id: Utilities.getUuid().slice(0, 8), schedule: null, lastRun: null }, {
+    name: recipeName,
+    prompt: draft.prompt,
+    sheetName: draft.sheetName,
+    steps: draft.steps.map((step, i) => Object.assign(step, { stepNumber: i + 1 })),
+    savedAt: new Date().toISOString(),
+    savedBy: getAgentUser(),
+    approval: destructive.length > 0 ? { by: getAgentUser(), at: new Date().toISOString(), steps: destructive } : null
+  });
+
+  try {
+    saveRecipeEntry(recipe);
+  } catch (e) {
+    return { status: 'error', message: e.message };
+  }
+  return { status: 'success', message: `Saved recipe "${recipe.name}" (${recipe.steps.length} steps).`, recipe: describeRecipe(recipe) };
+}
+
+/**
+ * Descriptions of the steps that delete or overwrite data (the ones a plan previews)
+ */
+function destructiveRecipeSteps(steps) {
+  return steps
+    .filter(step => DESTRUCTIVE_ACTIONS.includes(step.action))
+    .map(step => step.description || step.action);
+}
+
+/**
+ * Recipes for the Sidebar's recipe manager, by name
+ */
+function getRecipes() {
+  return listRecipes().map(describeRecipe).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Replays a recipe on the active sheet, without the LLM. Each step's columns are looked up
+ * by header name just before it runs, so columns earlier steps insert are found; a missing
+ * one stops the replay at that step. Takes an undo snapshot like any plan.
+ */
+function runRecipe(recipeId, jobId) {
+  try {
+    const recipe = getRecipe(recipeId);
+    if (!recipe) return { status: 'error', message: 'That recipe no longer exists.' };
+    return withJobProgress(replayRecipe(recipe, jobId), jobId);
+  } catch (e) {
+    console.error('runRecipe error:', e);
+    return { status: 'error', message: e.toString() };
+  }
+}
+
+function replayRecipe(recipe, jobId) {
+  const label = `Recipe: ${recipe.name}`;
+  const actionPlan = { logId: `recipe_${Utilities.getUuid().slice(0, 8)}`, plan: { summary: label, steps: [] } };
+
+  let result;
+  try {
+    // Saved before approvals were recorded, or edited outside saveRecipe
+    if (destructiveRecipeSteps(recipe.steps).length > 0 && !recipe.approval) {
+      throw new Error('it deletes or overwrites data and was saved without approval. Run the request again and save it as a recipe to approve it.');
+    }
+    // Logged with the columns the steps ran on
+    const resolved = {};
+    const resolveStep = (step) => {
+      resolved[step.stepNumber] = fromRecipeStep(step);
+      return resolved[step.stepNumber];
+    };
+    const { executionResult, runId } = runPlanWithSnapshot(label, { summary: label, steps: recipe.steps }, jobId, { resolveStep: resolveStep });
+    actionPlan.plan.steps = recipe.steps.map(step => resolved[step.stepNumber] || step);
+    const failed = executionResult.stepResults.filter(r => r.status === 'error').length;
+    result = {
+      status: 'success',
+      message: buildResultMessage(actionPlan, executionResult),
+      details: executionResult.stepResults,
+      runId: runId,
+      recipeStatus: failed > 0 ? `${failed} step(s) failed` : 'success'
+    };
+  } catch (e) {
+    result = { status: 'error', message: `Recipe "${recipe.name}" didn't run: ${e.message}`, recipeStatus: e.message };
+  }
+
+  writeAgentLog({ prompt: label, actionPlan: actionPlan, status: result.status === 'success' ? 'recipe' : 'error', results: result.details, runId: result.runId });
+  recipe.lastRun = { at: new Date().toISOString(), status: result.recipeStatus };
+  try {
+    saveRecipeEntry(recipe);
+  } catch (e) {
+    console.warn('Could not record the recipe run:', e.toString());
+  }
+  return result;
+}
+
+/**
+ * Deletes a recipe and its schedule
+ */
+function deleteRecipe(recipeId) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe) return { status: 'success' };
+  removeRecipeTrigger(recipe);
+  PropertiesService.getDocumentProperties().deleteProperty(`${RECIPE_KEY_PREFIX}${recipeId}`);
+  return { status: 'success', message: `Deleted recipe "${recipe.name}".` };
+}
+
+/**
+ * Runs a recipe on a schedule with a time-driven trigger, on the sheet it was saved from.
+ * @param {string} recipeId
+ * @param {object} schedule - { frequency: 'none' | 'daily' | 'weekly', hour: 0-23, weekDay: 'MONDAY'... }
+ */
+function scheduleRecipe(recipeId, schedule) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe) return { status: 'error', message: 'That recipe no longer exists.' };
+
+  removeRecipeTrigger(recipe);
+  recipe.schedule = null;
+
+  const frequency = schedule && schedule.frequency;
+  if (frequency === 'daily' || frequency === 'weekly') {
+    const hour = Math.min(Math.max(parseInt(schedule.hour, 10) || 0, 0), 23);
+    const weekDay = RECIPE_WEEK_DAYS.includes(schedule.weekDay) ? schedule.weekDay : 'MONDAY';
+    try {
+      let builder = ScriptApp.newTrigger('runScheduledRecipe').timeBased().atHour(hour);
+      builder = frequency === 'daily' ? builder.everyDays(1) : builder.onWeekDay(ScriptApp.WeekDay[weekDay]);
+      const trigger = builder.create();
+      recipe.schedule = { frequency: frequency, hour: hour, weekDay: frequency === 'weekly' ? weekDay : null, triggerId: trigger.getUniqueId(), owner: getAgentUser() };
+    } catch (e) {
+      saveRecipeEntry(recipe);
+      return { status: 'error', message: `Couldn't schedule "${recipe.name}": ${e.message}` };
+    }
+  }
+
+  saveRecipeEntry(recipe);
+  return { status: 'success', message: recipe.schedule ? `"${recipe.name}" runs ${describeSchedule(recipe.schedule)}.` : `"${recipe.name}" is no longer scheduled.`, recipe: describeRecipe(recipe) };
+}
+
+/**
+ * Time-driven trigger handler: runs the recipe the trigger was created for
+ */
+function runScheduledRecipe(e) {
+  const recipe = listRecipes().find(r => r.schedule && r.schedule.triggerId === (e && e.triggerUid));
+  if (!recipe) {
+    console.warn(`No recipe for trigger ${e && e.triggerUid}`);
+    return;
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = recipe.sheetName && ss.getSheetByName(recipe.sheetName);
+  if (sheet) ss.setActiveSheet(sheet);
+  const result = replayRecipe(recipe, null);
+  console.log(`Scheduled recipe "${recipe.name}": ${result.status}`);
+}
+
+function removeRecipeTrigger(recipe) {
+  if (!recipe.schedule || !recipe.schedule.triggerId) return;
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getUniqueId() === recipe.schedule.triggerId)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+}
+
+function describeRecipe(recipe) {
+  return {
+    id: recipe.id,
+    name: recipe.name,
+    prompt: recipe.prompt,
+    sheetName: recipe.sheetName,
+    steps: recipe.steps.map(step => step.description || step.action),
+    schedule: recipe.schedule ? { frequency: recipe.schedule.frequency, hour: recipe.schedule.hour, weekDay: recipe.schedule.weekDay } : null,
+    scheduleText: recipe.schedule ? describeSchedule(recipe.schedule) : '',
+    approval: recipe.approval ? { by: recipe.approval.by, at: recipe.approval.at } : null,
+    lastRun: recipe.lastRun
+  };
+}
+
+function describeSchedule(schedule) {
+  const time = `${String(schedule.hour).padStart(2, '0')}:00`;
+  if (schedule.frequency === 'weekly') {
+    const day = schedule.weekDay.charAt(0) + schedule.weekDay.slice(1).toLowerCase();
+    return `every ${day} at ${time}`;
+  }
+  return `every day at ${time}`;
+}
+
+function getRecipe(recipeId) {
+  const stored = PropertiesService.getDocumentProperties().getProperty(`${RECIPE_KEY_PREFIX}${recipeId}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+function listRecipes() {
+  const properties = PropertiesService.getDocumentProperties().getProperties();
+  return Object.keys(properties)
+    .filter(key => key.startsWith(RECIPE_KEY_PREFIX))
+    .map(key => JSON.parse(properties[key]));
+}
+
+function saveRecipeEntry(recipe) {
+  const value = JSON.stringify(recipe);
+  if (Utilities.newBlob(value).getBytes().length > RECIPE_MAX_BYTES) {
+    throw new Error(`Recipe "${recipe.name}" is too large to save (${recipe.steps.length} steps). Try saving a shorter run.`);
+  }
+  PropertiesService.getDocumentProperties().setProperty(`${RECIPE_KEY_PREFIX}${recipe.id}`, value);
+}
+
+// ============================================================
+// EXECUTOR FUNCTIONS
+// ============================================================
+
+/**
+ * Converts data type of a column
+ */
+function convertDataType(params) {
+  const sheet = getTargetSheet(params);
+  const { range, converted } = computeConvertedColumn(sheet, params);
+  
+  if (range) range.setValues(converted);
+  return `Converted column ${params.column} to ${params.toType}`;
+}
+
+/**
+ * Computes the converted values for a column without writing them.
+ * Shared by the executor and the dry-run preview.
+ */
+function computeConvertedColumn(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow < 2) return { range: null, original: [], converted: [] };
+  
+  const range = sheet.getRange(2, col, lastRow - 1, 1);
+  const values = range.getValues();
+  
+  const converted = values.map(([val]) => {
+    if (params.toType === 'number') {
+      return [parseFloat(val) || 0];
+    } else if (params.toType === 'string') {
+      return [String(val)];
+    } else if (params.toType === 'date') {
+      return [new Date(val)];
+    }
+    return [val];
+  });
+  
+  return { range, original: values, converted };
+}
+
+/**
+ * Adds a formula to a column
+ */
+function addFormula(params) {
+  const sheet = getTargetSheet(params);
+  const col = columnLetterToIndex(params.targetColumn);
+  
+  // Dynamic Start Row
+  // If params.startRow is not provided, detect headers
+  let startRow = params.startRow;
+  if (!startRow) {
+    startRow = getDataStartRow(sheet);
+  }
+  
+  const endRow = params.endRow || sheet.getLastRow();
+  
+  // Extract the base row number from the formula if possible (e.g. "2" from "=H2*10")
+  const baseRow = detectFormulaBaseRow(params.formula);
+
+  // Build every row's formula, then write them in one call
+  const formulas = [];
+  for (let row = startRow; row <= endRow; row++) {
+    formulas.push([shiftFormulaRow(params.formula, baseRow, row)]);
+  }
+  if (formulas.length > 0) sheet.getRange(startRow, col, formulas.length, 1).setFormulas(formulas);
+  
+  return `Added formula to column ${params.targetColumn}`;
+}
+
+/**
+ * Creates a chart with improved options
+ */
+function createChart(params, context) {
+  try {
     console.log('createChart called with params:', JSON.stringify(params));
     
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-    let range;
-    
-    if (params.range) {
-      console.log('Using params.range:', params.range);
-      range = sheet.getRange(params.range);
-    } else if (params.dataRange) {
-      console.log('Using params.dataRange:', params.dataRange);
-      range = sheet.getRange(params.dataRange);
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = getTargetSheet(params);
+
+    // Chart a summary table produced earlier in the same plan
+    if (params.dataSource === 'last_pivot') {
+      if (!context || !context.lastPivotSheet) throw new Error('No summary table was created before this chart');
+      sheet = ss.getSheetByName(context.lastPivotSheet);
+    }
+
+    const typeStr = (params.chartType || params.type || 'column').toLowerCase();
+    console.log('Chart type:', typeStr);
+
+    let ranges;
+    let seriesCount;
+    let aggregatedNote = '';
+
+    if (params.range || params.dataRange) {
+      console.log('Using explicit range:', params.range || params.dataRange);
+      const range = sheet.getRange(params.range || params.dataRange);
+      ranges = [range];
+      seriesCount = Math.max(range.getNumColumns() - 1, 1);
+    } else if (params.xAxisColumn || (params.seriesColumns || []).length > 0) {
+      const data = collectChartData(sheet, params, typeStr);
+      ranges = data.ranges;
+      seriesCount = data.seriesCount;
+      if (data.aggregated) aggregatedNote = ` (${data.aggregation} per ${data.xHeader})`;
     } else {
       console.log('Using entire data range');
-      range = sheet.getDataRange();
+      const range = sheet.getDataRange();
+      ranges = [range];
+      seriesCount = Math.max(range.getNumColumns() - 1, 1);
     }
+
+    console.log('Ranges:', ranges.map(r => `${r.getSheet().getName()}!${r.getA1Notation()}`).join(', '));
+    
+    const chartType = toChartType(typeStr);
+    
+    // Position the chart to the right of the data unless asked otherwise
+    const position = resolveChartPosition(sheet, params.position || 'right_of_data');
+    const positionRow = position.row;
+    const positionCol = position.column;
+    console.log('Chart position: Row', positionRow, 'Col', positionCol);
+
+    const styling = params.styling || {};
+    const rules = params.rules || {};
+    const palette = (styling.default_palette || ['#4285F4', '#EA4335', '#FBBC04', '#34A853', '#FF6D01'])
+      .slice(0, rules.max_colors || undefined);
+    const hideLegend = rules.single_series_hide_legend && seriesCount === 1 && typeStr !== 'pie';
+    
+    const chartBuilder = sheet.newChart().setChartType(chartType);
+    ranges.forEach(range => chartBuilder.addRange(range));
+    chartBuilder
+      .setPosition(positionRow, positionCol, 0, 0)
+      .setOption('title', params.title || 'Data Analysis')
+      .setOption('titleTextStyle', Object.assign({ fontSize: 16, bold: true, color: '#202124' }, styling.title_style || {}))
+      .setOption('legend', hideLegend ? { position: 'none' } : { position: 'right', textStyle: { fontSize: 12 } })
+      .setOption('colors', palette)
+      .setOption('chartArea', styling.chart_area || { width: '75%', height: '75%' })
+      .setOption('useFirstRowAsHeaders', true);
+
+    applyChartTypeOptions(chartBuilder, typeStr, seriesCount);
+    if (params.xAxisTitle) chartBuilder.setOption('hAxis.title', params.xAxisTitle);
+    if (params.yAxisTitle) chartBuilder.setOption('vAxis.title', params.yAxisTitle);
+    
+    console.log('Building chart...');
+    const chart = chartBuilder.build();
+    
+    console.log('Inserting chart into sheet...');
+    sheet.insertChart(chart);
+    
+    console.log('Chart created successfully');
+    return `Created ${typeStr} chart: "${params.title || 'Untitled'}"${aggregatedNote} at Column ${positionCol}`;
     
-    console.log('Range A1 notation:', range.getA1Notation());
+  } catch (e) {
+    console.error('Error in createChart:', e.toString());
+    console.error('Stack:', e.stack);
+    throw new Error(`Failed to create chart: ${e.toString()}`);
+  }
+}
+
+/**
+ * Builds the chart ranges for exactly the requested X and Y columns.
+ * Columns need not be adjacent: each becomes its own range, X first.
+ * A categorical X with repeated values is aggregated into a hidden helper sheet first.
+ */
+function collectChartData(sheet, params, typeStr) {
+  const headerRow = getDataStartRow(sheet) - 1;
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= headerRow) throw new Error('Not enough data to chart');
+  const numRows = lastRow - headerRow + 1;
+
+  const xCol = params.xAxisColumn ? columnLetterToIndex(params.xAxisColumn) : null;
+  let seriesCols = (params.seriesColumns || []).map(columnLetterToIndex);
+  // Pie charts show a single series
+  if (typeStr === 'pie') seriesCols = seriesCols.slice(0, 1);
+
+  // Histograms bucket the raw values of their series; no X axis
+  if (typeStr === 'histogram' || xCol === null) {
+    if (seriesCols.length === 0) throw new Error('No column to chart');
+    return {
+      ranges: seriesCols.map(col => sheet.getRange(headerRow, col, numRows, 1)),
+      seriesCount: seriesCols.length,
+      aggregated: false
+    };
+  }
+
+  const aggregation = (params.aggregation || 'sum').toLowerCase();
+  const xValues = sheet.getRange(headerRow + 1, xCol, numRows - 1, 1).getValues().map(r => r[0]);
+  const distinct = new Set(xValues.map(v => v instanceof Date ? v.getTime() : v));
+  const shouldAggregate = aggregation !== 'none'
+    && typeStr !== 'scatter'
+    && (distinct.size < xValues.length || seriesCols.length === 0
+      || (typeStr === 'pie' && params.rules && distinct.size > params.rules.pie_max_slices));
+
+  if (!shouldAggregate) {
+    return {
+      ranges: [xCol].concat(seriesCols).map(col => sheet.getRange(headerRow, col, numRows, 1)),
+      seriesCount: seriesCols.length,
+      aggregated: false
+    };
+  }
+
+  const table = aggregateChartData(sheet, headerRow, numRows, xCol, seriesCols, aggregation, typeStr, params.rules || {});
+
+  // Write the aggregated table to a hidden helper sheet; undo removes it with the chart
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const activeSheet = ss.getActiveSheet();
+  const helper = ss.insertSheet(`${INTERNAL_SHEET_PREFIX}chart_${Utilities.getUuid().slice(0, 8)}`);
+  helper.getRange(1, 1, table.length, table[0].length).setValues(table);
+  helper.hideSheet();
+  ss.setActiveSheet(activeSheet);
+
+  return {
+    ranges: [helper.getRange(1, 1, table.length, table[0].length)],
+    seriesCount: table[0].length - 1,
+    aggregated: true,
+    aggregation: aggregation,
+    xHeader: table[0][0]
+  };
+}
+
+/**
+ * Groups rows by the X column and applies sum / average / count to each series.
+ * Returns a 2D table with a header row. Dates are sorted ascending; pie charts
+ * keep their largest slices and fold the rest into "Other".
+ */
+function aggregateChartData(sheet, headerRow, numRows, xCol, seriesCols, aggregation, typeStr, rules) {
+  const lastCol = Math.max(xCol, ...seriesCols);
+  const values = sheet.getRange(headerRow, 1, numRows, lastCol).getValues();
+  const headers = values[0];
+  const rows = values.slice(1);
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const x = row[xCol - 1];
+    if (x === '' || x === null) return;
+    const key = x instanceof Date ? x.getTime() : x;
+    if (!groups.has(key)) groups.set(key, { x: x, sums: seriesCols.map(() => 0), counts: seriesCols.map(() => 0), rows: 0 });
+    const group = groups.get(key);
+    group.rows++;
+    seriesCols.forEach((col, i) => {
+      const num = parseFloat(String(row[col - 1]).replace(/[^0-9.\-]/g, ''));
+      if (!isNaN(num)) {
+        group.sums[i] += num;
+        group.counts[i]++;
+      }
+    });
+  });
+
+  const seriesHeaders = seriesCols.length > 0 ? seriesCols.map(col => headers[col - 1]) : ['Count'];
+  let table = Array.from(groups.values()).map(group => {
+    if (seriesCols.length === 0 || aggregation === 'count') {
+      return [group.x].concat(seriesCols.length === 0 ? [group.rows] : group.counts);
+    }
+    if (aggregation === 'average') {
+      return [group.x].concat(group.sums.map((sum, i) => group.counts[i] ? sum / group.counts[i] : 0));
+    }
+    return [group.x].concat(group.sums);
+  });
+
+  if (table.length > 0 && table.every(row => row[0] instanceof Date)) {
+    table.sort((a, b) => a[0].getTime() - b[0].getTime());
+  }
+
+  const maxSlices = rules.pie_max_slices;
+  if (typeStr === 'pie' && maxSlices && table.length > maxSlices) {
+    table.sort((a, b) => b[1] - a[1]);
+    const other = table.slice(maxSlices - 1).reduce((sum, row) => sum + row[1], 0);
+    table = table.slice(0, maxSlices - 1).concat([['Other', other]]);
+  }
+
+  if (table.length === 0) throw new Error('No values to chart');
+  return [[headers[xCol - 1]].concat(seriesHeaders)].concat(table);
+}
+
+// ============================================================
+// EXISTING CHARTS
+// ============================================================
+
+/**
+ * Maps a chart type name from the plan to Charts.ChartType
+ */
+function toChartType(typeStr) {
+  switch (typeStr) {
+    case 'bar': return Charts.ChartType.BAR;
+    case 'line': return Charts.ChartType.LINE;
+    case 'pie': return Charts.ChartType.PIE;
+    case 'scatter': return Charts.ChartType.SCATTER;
+    case 'area': return Charts.ChartType.AREA;
+    case 'histogram': return Charts.ChartType.HISTOGRAM;
+    case 'combo': return Charts.ChartType.COMBO;
+    default: return Charts.ChartType.COLUMN; // column, stacked
+  }
+}
+
+/**
+ * Options that only some chart types use (stacked columns, combo bars + line)
+ */
+function applyChartTypeOptions(builder, typeStr, seriesCount) {
+  builder.setOption('isStacked', typeStr === 'stacked');
+  if (typeStr === 'combo') {
+    // Bars for every series except the last, which is drawn as a line
+    builder.setOption('seriesType', 'bars');
+    builder.setOption('series', { [Math.max(seriesCount - 1, 0)]: { type: 'line' } });
+  }
+}
+
+/**
+ * Turns a plan position into an anchor cell:
+ * "right_of_data", "below_data", or { row, column } (column may be a letter)
+ */
+function resolveChartPosition(sheet, position) {
+  if (position === 'below_data') {
+    return { row: sheet.getLastRow() + 2, column: 1 };
+  }
+  if (position && typeof position === 'object') {
+    const column = typeof position.column === 'string' ? columnLetterToIndex(position.column) : position.column;
+    return { row: Math.max(parseInt(position.row, 10) || 1, 1), column: Math.max(column || 1, 1) };
+  }
+  return { row: 2, column: sheet.getLastColumn() + 2 };
+}
+
+/**
+ * Lists the charts on a sheet for the schema, so plans can refer to them by title or id
+ */
+function listCharts(sheet) {
+  return sheet.getCharts().map(chart => {
+    const anchor = chart.getContainerInfo();
+    return {
+      chartId: chart.getChartId(),
+      title: getChartTitle(chart),
+      type: String(chart.modify().getChartType()).toLowerCase(),
+      ranges: chart.getRanges().map(range => `${range.getSheet().getName()}!${range.getA1Notation()}`),
+      anchor: `${columnIndexToLetter(anchor.getAnchorColumn())}${anchor.getAnchorRow()}`
+    };
+  });
+}
+
+function getChartTitle(chart) {
+  return chart.getOptions().get('title') || 'Untitled';
+}
+
+/**
+ * Finds the chart a step refers to: by chartId, else by title (exact, then partial match)
+ */
+function findChart(sheet, params) {
+  const charts = sheet.getCharts();
+  if (params.chartId !== undefined && params.chartId !== null) {
+    const byId = charts.find(chart => chart.getChartId() === Number(params.chartId));
+    if (byId) return byId;
+  }
+
+  const wanted = String(params.chartTitle || '').trim().toLowerCase();
+  if (!wanted && charts.length === 1) return charts[0];
+  if (!wanted) throw new Error(`Which chart? This sheet has ${charts.length} charts`);
+
+  const exact = charts.filter(chart => getChartTitle(chart).toLowerCase() === wanted);
+  const matches = exact.length > 0 ? exact : charts.filter(chart => getChartTitle(chart).toLowerCase().includes(wanted));
+  if (matches.length === 0) throw new Error(`No chart titled "${params.chartTitle}" on ${sheet.getName()}`);
+  if (matches.length > 1) throw new Error(`${matches.length} charts match "${params.chartTitle}"; please use the full title`);
+  return matches[0];
+}
+
+/**
+ * Changes an existing chart in place: type, title, data columns, axis titles, colors, position
+ */
+function updateChart(params) {
+  const sheet = getTargetSheet(params);
+  const chart = findChart(sheet, params);
+  const title = getChartTitle(chart);
+  const builder = chart.modify();
+
+  const typeStr = (params.chartType || String(builder.getChartType())).toLowerCase();
+  let seriesCount = Math.max(chart.getRanges().length - 1, 1);
+
+  if (params.xAxisColumn || (params.seriesColumns || []).length > 0) {
+    const data = collectChartData(sheet, params, typeStr);
+    builder.clearRanges();
+    data.ranges.forEach(range => builder.addRange(range));
+    seriesCount = data.seriesCount;
+  }
+  if (params.chartType) {
+    builder.setChartType(toChartType(typeStr));
+    applyChartTypeOptions(builder, typeStr, seriesCount);
+  }
+  if (params.title) builder.setOption('title', params.title);
+  if (params.xAxisTitle) builder.setOption('hAxis.title', params.xAxisTitle);
+  if (params.yAxisTitle) builder.setOption('vAxis.title', params.yAxisTitle);
+  if (Array.isArray(params.colors) && params.colors.length > 0) builder.setOption('colors', params.colors);
+  if (params.position) {
+    const position = resolveChartPosition(sheet, params.position);
+    builder.setPosition(position.row, position.column, 0, 0);
+  }
+
+  sheet.updateChart(builder.build());
+  return `Updated chart "${title}"`;
+}
+
+function deleteChart(params) {
+  const sheet = getTargetSheet(params);
+  const chart = findChart(sheet, params);
+  const title = getChartTitle(chart);
+  sheet.removeChart(chart);
+  return `Deleted chart "${title}"`;
+}
+
+// Chart options recorded in undo snapshots so edited or deleted charts can be rebuilt
+const CHART_SPEC_OPTIONS = ['title', 'colors', 'legend', 'chartArea', 'titleTextStyle', 'hAxis.title', 'vAxis.title', 'isStacked', 'seriesType', 'series', 'useFirstRowAsHeaders'];
+
+/**
+ * Serializable description of a chart: type, ranges, anchor and the options above
+ */
+function getChartSpec(chart) {
+  const anchor = chart.getContainerInfo();
+  const options = {};
+  CHART_SPEC_OPTIONS.forEach(key => {
+    const value = chart.getOptions().get(key);
+    if (value !== null && value !== undefined) options[key] = value;
+  });
+  return {
+    chartId: chart.getChartId(),
+    type: String(chart.modify().getChartType()),
+    ranges: chart.getRanges().map(range => ({ sheetName: range.getSheet().getName(), a1: range.getA1Notation() })),
+    anchor: {
+      row: anchor.getAnchorRow(),
+      column: anchor.getAnchorColumn(),
+      offsetX: anchor.getOffsetX(),
+      offsetY: anchor.getOffsetY()
+    },
+    options: options
+  };
+}
 
-    const typeStr = (params.chartType || params.type || 'column').toLowerCase();
-    console.log('Chart type:', typeStr);
-    
-    let chartType;
-    switch (typeStr) {
-      case 'bar': chartType = Charts.ChartType.BAR; break;
-      case 'line': chartType = Charts.ChartType.LINE; break;
-      case 'pie': chartType = Charts.ChartType.PIE; break;
-      case 'scatter': chartType = Charts.ChartType.SCATTER; break;
-      case 'area': chartType = Charts.ChartType.AREA; break;
-      default: chartType = Charts.ChartType.COLUMN;
-    }
-    
-    // Position the chart to the right of the data
-    const positionRow = 2;
-    const positionCol = sheet.getLastColumn() + 2;
-    console.log('Chart position: Row', positionRow, 'Col', positionCol);
-    
-    const chartBuilder = sheet.newChart()
-      .setChartType(chartType)
-      .addRange(range)
-      .setPosition(positionRow, positionCol, 0, 0)
-      .setOption('title', params.title || 'Data Analysis')
-      .setOption('titleTextStyle', { fontSize: 16, bold: true, color: '#202124' })
-      .setOption('legend', { position: 'right', textStyle: { fontSize: 12 } })
-      .setOption('colors', ['#4285F4', '#EA4335', '#FBBC04', '#34A853', '#FF6D01'])
-      .setOption('chartArea', { width: '75%', height: '75%' })
-      .setOption('useFirstRowAsHeaders', true);
-    
-    console.log('Building chart...');
-    const chart = chartBuilder.build();
-    
-    console.log('Inserting chart into sheet...');
-    sheet.insertChart(chart);
-    
-    console.log('Chart created successfully');
-    return `Created ${typeStr} chart: "${params.title || 'Untitled'}" at Column ${positionCol}`;
-    
-  } catch (e) {
-    console.error('Error in createChart:', e.toString());
-    console.error('Stack:', e.stack);
-    throw new Error(`Failed to create chart: ${e.toString()}`);
+/**
+ * Re-inserts a chart from a recorded spec
+ */
+function rebuildChart(sheet, spec) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const builder = sheet.newChart().setChartType(Charts.ChartType[spec.type]);
+  spec.ranges.forEach(ref => {
+    const rangeSheet = ss.getSheetByName(ref.sheetName);
+    if (rangeSheet) builder.addRange(rangeSheet.getRange(ref.a1));
+  });
+  builder.setPosition(spec.anchor.row, spec.anchor.column, spec.anchor.offsetX, spec.anchor.offsetY);
+  Object.keys(spec.options).forEach(key => builder.setOption(key, spec.options[key]));
+  sheet.insertChart(builder.build());
+}
+
+// Pivot summary functions accepted from the backend ('count' counts text too)
+const PIVOT_FUNCTIONS = {
+  sum: 'SUM',
+  average: 'AVERAGE',
+  count: 'COUNTA',
+  min: 'MIN',
+  max: 'MAX'
+};
+
+const PIVOT_DATE_GROUPINGS = {
+  year: 'YEAR',
+  quarter: 'QUARTER',
+  month: 'MONTH',
+  year_quarter: 'YEAR_QUARTER',
+  year_month: 'YEAR_MONTH',
+  day_of_week: 'DAY_OF_WEEK'
+};
+
+/**
+ * Creates a native pivot table (grouped summary) on a new sheet.
+ * Records the output sheet in the plan context so a following CREATE_CHART can use it.
+ */
+function createPivot(params, context) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const activeSheet = ss.getActiveSheet();
+  const source = params.sourceSheet ? ss.getSheetByName(params.sourceSheet) : activeSheet;
+  if (!source) throw new Error(`Sheet "${params.sourceSheet}" not found`);
+
+  const headerRow = getDataStartRow(source) - 1;
+  const lastRow = source.getLastRow();
+  if (lastRow <= headerRow) throw new Error('Not enough data to summarize');
+
+  const sourceRange = source.getRange(headerRow, 1, lastRow - headerRow + 1, source.getLastColumn());
+  const headerNames = sourceRange.offset(0, 0, 1).getValues()[0];
+
+  // Never overwrite an existing sheet: pick a free name
+  const baseName = params.outputSheet || `Pivot - ${source.getName()}`;
+  let outputName = baseName;
+  for (let n = 2; ss.getSheetByName(outputName); n++) {
+    outputName = `${baseName} ${n}`;
   }
+  const output = ss.insertSheet(outputName);
+
+  const pivot = output.getRange('A1').createPivotTable(sourceRange);
+
+  const addGroup = (dim, isRow) => {
+    const colIndex = columnLetterToIndex(dim.column);
+    const group = isRow ? pivot.addRowGroup(colIndex) : pivot.addColumnGroup(colIndex);
+    if (dim.groupBy && PIVOT_DATE_GROUPINGS[dim.groupBy]) {
+      group.setDateTimeGroupingRule(SpreadsheetApp.DateTimeGroupingRuleType[PIVOT_DATE_GROUPINGS[dim.groupBy]]);
+    }
+    if (params.showTotals === false) group.showTotals(false);
+  };
+
+  (params.rows || []).forEach(dim => addGroup(dim, true));
+  (params.columns || []).forEach(dim => addGroup(dim, false));
+
+  (params.values || []).forEach(v => {
+    const fnName = PIVOT_FUNCTIONS[v.function];
+    if (!fnName) throw new Error(`Unsupported summary function: ${v.function}`);
+    const colIndex = columnLetterToIndex(v.column);
+    const header = headerNames[colIndex - 1] || v.column;
+    pivot.addPivotValue(colIndex, SpreadsheetApp.PivotTableSummarizeFunction[fnName])
+      .setDisplayName(`${v.function.charAt(0).toUpperCase() + v.function.slice(1)} of ${header}`);
+  });
+
+  SpreadsheetApp.flush();
+  // insertSheet activates the new sheet; later steps of the plan work on the user's sheet
+  ss.setActiveSheet(activeSheet);
+
+  if (context) context.lastPivotSheet = outputName;
+  return `Created summary table on sheet "${outputName}"`;
 }
 
 /**
  * Sorts data by a column
  */
 function sortData(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const sheet = getTargetSheet(params);
   const col = columnLetterToIndex(params.column);
   
   // Smart Header Detection for sorting
-  const values = sheet.getDataRange().getValues();
-  const headerRowIndex = detectHeaderRow(values);
+  const headerRowIndex = detectHeaderRow(readHeaderArea(sheet));
   const startRow = headerRowIndex + 2; // Data starts after header
   
   const lastRow = sheet.getLastRow();
@@ -556,6 +2708,78 @@ function sortData(params) {
   return `Sorted data by column ${params.column} (${params.order})`;
 }
 
+// Above this many separate runs of rows, deleting run by run is slower than rewriting the kept rows
+const MAX_DELETE_RUNS = 50;
+
+/**
+ * Deletes the given 1-based rows. Contiguous rows are removed together with native
+ * deleteRows, bottom to top. When the rows are scattered, one call per run would hit the
+ * execution time limit, so the kept rows below the first deleted one are rewritten in one
+ * pass (values, R1C1 formulas, number formats and basic styling) and the freed rows are
+ * removed from the bottom in a single call. The rewrite does not carry validation, notes
+ * or merges along with the rows.
+ */
+function deleteRowsInBulk(sheet, rows) {
+  const sorted = [...new Set(rows)].sort((a, b) => a - b);
+  if (sorted.length === 0) return;
+
+  // Group into contiguous runs
+  const runs = [];
+  sorted.forEach(row => {
+    const last = runs[runs.length - 1];
+    if (last && row === last.start + last.count) last.count++;
+    else runs.push({ start: row, count: 1 });
+  });
+
+  if (runs.length <= MAX_DELETE_RUNS) {
+    // Bottom to top so earlier row numbers stay valid
+    for (let i = runs.length - 1; i >= 0; i--) {
+      sheet.deleteRows(runs[i].start, runs[i].count);
+    }
+    return;
+  }
+
+  const firstRow = sorted[0];
+  const lastRow = Math.max(sheet.getLastRow(), sorted[sorted.length - 1]);
+  const lastCol = sheet.getLastColumn();
+  const range = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, lastCol);
+
+  const deleted = new Set(sorted);
+  const keep = (_, i) => !deleted.has(firstRow + i);
+  const values = range.getValues().filter(keep);
+  const formulas = range.getFormulasR1C1().filter(keep);
+  const numberFormats = range.getNumberFormats().filter(keep);
+  const backgrounds = range.getBackgrounds().filter(keep);
+  const fontColors = range.getFontColors().filter(keep);
+  const fontWeights = range.getFontWeights().filter(keep);
+
+  console.log(`Rewriting ${values.length} kept rows instead of ${runs.length} separate deletions`);
+
+  if (values.length > 0) {
+    const kept = sheet.getRange(firstRow, 1, values.length, lastCol);
+    kept.setValues(values);
+    kept.setNumberFormats(numberFormats);
+    kept.setBackgrounds(backgrounds);
+    kept.setFontColors(fontColors);
+    kept.setFontWeights(fontWeights);
+
+    // Re-apply formulas column by column, one call per run of identical R1C1 formulas
+    for (let c = 0; c < lastCol; c++) {
+      let runStart = -1;
+      for (let r = 0; r <= formulas.length; r++) {
+        const formula = r < formulas.length ? formulas[r][c] : '';
+        if (runStart >= 0 && formula !== formulas[runStart][c]) {
+          sheet.getRange(firstRow + runStart, c + 1, r - runStart, 1).setFormulaR1C1(formulas[runStart][c]);
+          runStart = -1;
+        }
+        if (runStart < 0 && formula) runStart = r;
+      }
+    }
+  }
+
+  sheet.deleteRows(firstRow + values.length, sorted.length);
+}
+
 /**
  * Filters data based on a condition
  * IMPORTANT: This function REMOVES rows that match the condition
@@ -564,67 +2788,11 @@ function filterData(params) {
   try {
     console.log('filterData called with params:', JSON.stringify(params));
     
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-    const col = columnLetterToIndex(params.column);
-    const lastRow = sheet.getLastRow();
-    
-    const values = sheet.getDataRange().getValues();
-    const headerRowIndex = detectHeaderRow(values);
-    const startRow = headerRowIndex + 2;
-
-    // We read specific column values starting from data row
-    const checkRange = sheet.getRange(startRow, col, lastRow - startRow + 1, 1);
-    const checkValues = checkRange.getValues();
-    
-    console.log(`Checking ${checkValues.length} rows for filter condition`);
-    
-    let rowsToDelete = [];
-    checkValues.forEach(([val], i) => {
-      let isMatch = false;
-      
-      // Ensure comparisons are robust
-      const checkVal = (val === '' || val === null) ? '' : String(val).toLowerCase().trim();
-      const paramVal = String(params.value).toLowerCase().trim();
-
-      switch (params.operator) {
-        case 'equals': 
-          isMatch = checkVal === paramVal;
-          break;
-        case 'not_equals':
-          isMatch = checkVal !== paramVal;
-          break;
-        case 'contains': 
-          isMatch = checkVal.includes(paramVal);
-          break;
-        case 'not_contains':
-          isMatch = !checkVal.includes(paramVal);
-          break;
-        case 'greater': 
-          isMatch = parseFloat(val) > parseFloat(params.value);
-          break;
-        case 'less': 
-          isMatch = parseFloat(val) < parseFloat(params.value);
-          break;
-        case 'empty':
-          isMatch = val === '' || val === null || val === '';
-          break;
-        case 'not_empty':
-          isMatch = val !== '' && val !== null;
-          break;
-      }
-      
-      // LOGIC: Filter means WHAT TO KEEP. So we delete if it is NOT a match.
-      if (!isMatch) {
-        rowsToDelete.push(startRow + i);
-      }
-    });
+    const sheet = getTargetSheet(params);
+    const { rowsToDelete, impactPercent } = findFilterMatches(sheet, params);
     
     console.log(`Found ${rowsToDelete.length} rows to delete:`, rowsToDelete);
     
-    // Safety & Impact Analysis
-    const totalDataRows = lastRow - startRow + 1;
-    const impactPercent = totalDataRows > 0 ? (rowsToDelete.length / totalDataRows * 100).toFixed(1) : 0;
-    
     if (rowsToDelete.length === 0) {
       return `No rows found where ${params.column} ${params.operator} "${params.value}"`;
     }
@@ -634,14 +2802,7 @@ function filterData(params) {
       // We still proceed, but the logging is heavy
     }
 
-    // CRITICAL: Sort in DESCENDING order and delete from bottom to top
-    // This prevents row index shifting issues
-    rowsToDelete.sort((a, b) => b - a);
-    
-    console.log('Deleting rows in order:', rowsToDelete);
-    rowsToDelete.forEach(row => {
-      sheet.deleteRow(row);
-    });
+    deleteRowsInBulk(sheet, rowsToDelete);
     
     let resultMsg = `Kept rows where ${params.column} ${params.operator} "${params.value}" (Deleted ${rowsToDelete.length} non-matching rows)`;
     if (impactPercent > 50) resultMsg = "⚠️ " + resultMsg + ". This removed more than half your data.";
@@ -655,158 +2816,1032 @@ function filterData(params) {
 }
 
 /**
- * Deletes a column
+ * Finds the rows filterData would delete (rows that do NOT match the condition).
+ * Shared by the executor and the dry-run preview.
+ */
+function findFilterMatches(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const lastRow = sheet.getLastRow();
+  
+  const headerRowIndex = detectHeaderRow(readHeaderArea(sheet));
+  const startRow = headerRowIndex + 2;
+  const totalDataRows = lastRow - startRow + 1;
+
+  if (totalDataRows <= 0) {
+    return { startRow, totalDataRows: 0, rowsToDelete: [], impactPercent: 0 };
+  }
+
+  // We read specific column values starting from data row
+  const checkRange = sheet.getRange(startRow, col, totalDataRows, 1);
+  const checkValues = checkRange.getValues();
+  
+  console.log(`Checking ${checkValues.length} rows for filter condition`);
+  
+  const rowsToDelete = [];
+  checkValues.forEach(([val], i) => {
+    let isMatch = false;
+    
+    // Ensure comparisons are robust
+    const checkVal = (val === '' || val === null) ? '' : String(val).toLowerCase().trim();
+    const paramVal = String(params.value).toLowerCase().trim();
+
+    switch (params.operator) {
+      case 'equals': 
+        isMatch = checkVal === paramVal;
+        break;
+      case 'not_equals':
+        isMatch = checkVal !== paramVal;
+        break;
+      case 'contains': 
+        isMatch = checkVal.includes(paramVal);
+        break;
+      case 'not_contains':
+        isMatch = !checkVal.includes(paramVal);
+        break;
+      case 'greater': 
+        isMatch = parseFloat(val) > parseFloat(params.value);
+        break;
+      case 'less': 
+        isMatch = parseFloat(val) < parseFloat(params.value);
+        break;
+      case 'empty':
+        isMatch = val === '' || val === null;
+        break;
+      case 'not_empty':
+        isMatch = val !== '' && val !== null;
+        break;
+    }
+    
+    // LOGIC: Filter means WHAT TO KEEP. So we delete if it is NOT a match.
+    if (!isMatch) {
+      rowsToDelete.push(startRow + i);
+    }
+  });
+
+  // Safety & Impact Analysis
+  const impactPercent = (rowsToDelete.length / totalDataRows * 100).toFixed(1);
+
+  return { startRow, totalDataRows, rowsToDelete, impactPercent };
+}
+
+/**
+ * Deletes a column
+ */
+function deleteColumn(params) {
+  const sheet = getTargetSheet(params);
+  const col = columnLetterToIndex(params.column);
+  sheet.deleteColumn(col);
+  return `Deleted column ${params.column}`;
+}
+
+/**
+ * Deletes rows based on condition
+ */
+function deleteRows(params) {
+  const sheet = getTargetSheet(params);
+  const { rowsToDelete, impactPercent } = findRowsToDelete(sheet, params);
+
+  if (rowsToDelete.length === 0) return 'No matching rows found to delete';
+
+  deleteRowsInBulk(sheet, rowsToDelete);
+  
+  let resultMsg = `Deleted ${rowsToDelete.length} rows (${impactPercent}% of data) based on ${params.condition}`;
+  if (impactPercent > 50) resultMsg = "⚠️ " + resultMsg + ". This removed more than half your data.";
+  
+  return resultMsg;
+}
+
+/**
+ * Finds the rows deleteRows would remove for the given condition.
+ * Shared by the executor and the dry-run preview.
+ */
+function findRowsToDelete(sheet, params) {
+  // Keep the first occurrence, delete every later repeat (across several columns when given)
+  if (params.condition === 'duplicate') return findDuplicateRows(sheet, params);
+
+  const col = columnLetterToIndex(params.column);
+  const lastRow = sheet.getLastRow();
+  
+  const headerRowIndex = detectHeaderRow(readHeaderArea(sheet));
+  const startRow = headerRowIndex + 2;
+  const totalDataRows = lastRow - startRow + 1;
+
+  if (totalDataRows <= 0) {
+    return { startRow, totalDataRows: 0, rowsToDelete: [], impactPercent: 0 };
+  }
+  
+  const range = sheet.getRange(startRow, col, totalDataRows, 1);
+  const checkValues = range.getValues();
+  
+  const rowsToDelete = [];
+
+  checkValues.forEach(([val], i) => {
+    let shouldDelete = false;
+    const checkVal = String(val).toLowerCase();
+    const paramVal = String(params.value).toLowerCase();
+    
+    switch (params.condition) {
+      case 'empty': shouldDelete = val === '' || val === null; break;
+      case 'equals': shouldDelete = checkVal == paramVal; break;
+    }
+    if (shouldDelete) rowsToDelete.push(startRow + i);
+  });
+
+  // Safety & Impact Analysis
+  const impactPercent = (rowsToDelete.length / totalDataRows * 100).toFixed(1);
+
+  return { startRow, totalDataRows, rowsToDelete, impactPercent };
+}
+
+/**
+ * Formats a range, a column's data rows or the whole data area with a number format
+ * built from the plan (see buildNumberFormat)
+ */
+function formatCells(params) {
+  const sheet = getTargetSheet(params);
+  const range = getFormatRange(sheet, params);
+  const pattern = buildNumberFormat(params);
+  range.setNumberFormat(pattern);
+  
+  return `Formatted ${params.range || range.getA1Notation()} as ${params.format} (${pattern})`;
+}
+
+/**
+ * Adds a conditional formatting rule: value/text/date/formula conditions with a
+ * highlight style, a color scale, or data bars (a SPARKLINE column next to the data)
+ */
+function addConditionalFormat(params) {
+  const sheet = getTargetSheet(params);
+  const rule = String(params.rule || '').toLowerCase();
+  if (rule === 'data_bars') return addDataBars(sheet, params);
+
+  const target = getConditionalRange(sheet, params);
+  const builder = SpreadsheetApp.newConditionalFormatRule().setRanges([target.range]);
+  let description;
+
+  if (rule === 'color_scale') {
+    builder
+      .setGradientMinpoint(resolveColor(params.minColor || DEFAULT_SCALE_COLORS.min, 'font'))
+      .setGradientMaxpoint(resolveColor(params.maxColor || DEFAULT_SCALE_COLORS.max, 'font'));
+    if (params.midColor) {
+      builder.setGradientMidpointWithValue(resolveColor(params.midColor, 'font'), SpreadsheetApp.InterpolationType.PERCENTILE, '50');
+    }
+    description = 'color scale';
+  } else {
+    const formula = buildConditionFormula(rule, target.ref, params, target.range.getRow());
+    builder.whenFormulaSatisfied(formula);
+    applyHighlightStyle(builder, params);
+    description = `${rule} (${formula})`;
+  }
+
+  const rules = sheet.getConditionalFormatRules();
+  rules.push(builder.build());
+  sheet.setConditionalFormatRules(rules);
+  
+  return `Added conditional formatting to ${target.range.getA1Notation()}: ${description}`;
+}
+
+/**
+ * Styles the header row (bold, colors, size, alignment) and optionally freezes it
+ */
+function styleHeader(params) {
+  const sheet = getTargetSheet(params);
+  const lastCol = sheet.getLastColumn();
+  if (lastCol === 0) return 'No header row to style';
+
+  const headerRow = detectHeaderRow(readHeaderArea(sheet)) + 1;
+  const range = sheet.getRange(headerRow, 1, 1, lastCol);
+  // A bare "style the header" gets the default look
+  const style = ['background', 'fontColor', 'bold', 'fontSize', 'alignment'].some(key => params[key] !== undefined)
+    ? params
+    : { ...HEADER_STYLE_DEFAULTS, ...params };
+
+  range.setFontWeight(style.bold === false ? 'normal' : 'bold');
+  if (style.background) range.setBackground(resolveColor(style.background, 'background'));
+  if (style.fontColor) range.setFontColor(resolveColor(style.fontColor, 'font'));
+  if (style.fontSize) range.setFontSize(Number(style.fontSize));
+  if (style.alignment) range.setHorizontalAlignment(style.alignment);
+  if (style.wrap) range.setWrap(true);
+  if (style.freeze) sheet.setFrozenRows(headerRow);
+
+  return `Styled header row ${headerRow}` + (style.freeze ? ' and froze it' : '');
+}
+
+/**
+ * Freezes rows and/or columns. "header" freezes through the header row;
+ * columns may be a count or the last column letter to freeze.
+ */
+function freezePanes(params) {
+  const sheet = getTargetSheet(params);
+  const rows = params.rows === undefined && params.columns === undefined ? 'header' : params.rows;
+  const results = [];
+
+  if (rows !== undefined && rows !== null) {
+    const count = rows === 'header' ? detectHeaderRow(readHeaderArea(sheet)) + 1 : Number(rows);
+    if (!(count >= 0)) throw new Error(`Invalid number of rows to freeze: ${rows}`);
+    sheet.setFrozenRows(count);
+    results.push(`${count} row${count === 1 ? '' : 's'}`);
+  }
+  if (params.columns !== undefined && params.columns !== null) {
+    const count = /^[A-Za-z]+$/.test(String(params.columns)) ? columnLetterToIndex(params.columns) : Number(params.columns);
+    if (!(count >= 0)) throw new Error(`Invalid number of columns to freeze: ${params.columns}`);
+    sheet.setFrozenColumns(count);
+    results.push(`${count} column${count === 1 ? '' : 's'}`);
+  }
+
+  return `Froze ${results.join(' and ')}`;
+}
+
+/**
+ * Adds a dropdown to a column's data rows (and the empty rows below them).
+ * Options come from the plan, or from the column's distinct values.
+ */
+function addDataValidation(params) {
+  const sheet = getTargetSheet(params);
+  const { options, startRow, existing } = getDropdownOptions(sheet, params);
+
+  const validation = SpreadsheetApp.newDataValidation()
+    .requireValueInList(options, true)
+    .setAllowInvalid(params.allowInvalid === true)
+    .build();
+  const numRows = Math.max(sheet.getMaxRows() - startRow + 1, 1);
+  sheet.getRange(startRow, columnLetterToIndex(params.column), numRows, 1).setDataValidation(validation);
+
+  const invalid = existing.filter(v => v !== '' && !options.includes(v)).length;
+  let resultMsg = `Added a dropdown to column ${params.column} with ${options.length} options (${options.slice(0, 5).join(', ')}${options.length > 5 ? ', …' : ''})`;
+  if (invalid > 0) resultMsg += `. ${invalid} existing cells are not in the list`;
+  return resultMsg;
+}
+
+// ============================================================
+// FORMATTING HELPERS
+// ============================================================
+
+// Currency symbols for ISO codes; the symbol follows the amount for SUFFIX_CURRENCIES
+const CURRENCY_SYMBOLS = {
+  USD: '$', EUR: '€', GBP: '£', JPY: '¥', CNY: '¥', INR: '₹', KRW: '₩', BRL: 'R$', CAD: 'CA$',
+  AUD: 'A$', MXN: 'MX$', CHF: 'CHF ', RUB: '₽', TRY: '₺', ZAR: 'R', SEK: ' kr', NOK: ' kr',
+  DKK: ' kr', PLN: ' zł', CZK: ' Kč'
+};
+const SUFFIX_CURRENCIES = ['SEK', 'NOK', 'DKK', 'PLN', 'CZK'];
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW'];
+
+// Currency used when the plan names none, by the spreadsheet locale's country
+const LOCALE_CURRENCIES = {
+  US: 'USD', GB: 'GBP', IE: 'EUR', DE: 'EUR', FR: 'EUR', ES: 'EUR', IT: 'EUR', NL: 'EUR', BE: 'EUR',
+  AT: 'EUR', PT: 'EUR', FI: 'EUR', JP: 'JPY', CN: 'CNY', IN: 'INR', KR: 'KRW', BR: 'BRL', CA: 'CAD',
+  AU: 'AUD', MX: 'MXN', CH: 'CHF', RU: 'RUB', TR: 'TRY', ZA: 'ZAR', SE: 'SEK', NO: 'NOK', DK: 'DKK',
+  PL: 'PLN', CZ: 'CZK'
+};
+
+// Suffixes for "scale": 1,234,567 shown as 1,234.6K or 1.2M
+const SCALE_SUFFIXES = { thousands: ',"K"', millions: ',,"M"', billions: ',,,"B"' };
+
+// [background, font] pairs for color names; hex colors are used as given
+const COLOR_NAMES = {
+  red: ['#f4cccc', '#cc0000'],
+  green: ['#d9ead3', '#38761d'],
+  yellow: ['#fff2cc', '#bf9000'],
+  orange: ['#fce5cd', '#e69138'],
+  blue: ['#cfe2f3', '#1155cc'],
+  purple: ['#d9d2e9', '#674ea7'],
+  gray: ['#efefef', '#666666'],
+  grey: ['#efefef', '#666666']
+};
+
+const DEFAULT_HIGHLIGHT = { background: 'red', fontColor: 'red' };
+const DEFAULT_SCALE_COLORS = { min: '#ffffff', max: '#57bb8a' };
+const DEFAULT_BAR_COLOR = '#4285f4';
+const HEADER_STYLE_DEFAULTS = { background: '#1f4e78', fontColor: '#ffffff', bold: true };
+
+// Sheets accepts at most this many options in a list dropdown
+const MAX_DROPDOWN_OPTIONS = 500;
+
+/**
+ * Number format pattern for a plan's format keyword and options:
+ * currency (ISO code, or the spreadsheet locale's), decimals, thousandsSeparator,
+ * scale (thousands/millions/billions), or a custom pattern.
+ */
+function buildNumberFormat(params) {
+  if (params.pattern) return params.pattern;
+
+  const format = String(params.format || 'number').toLowerCase();
+  const isMoney = format === 'currency' || format === 'accounting';
+  const currency = String(params.currency || (isMoney ? localeCurrency() : 'USD')).toUpperCase();
+  const defaultDecimals = {
+    number: 2, integer: 0, percentage: 2, scientific: 2,
+    currency: ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2
+  };
+  defaultDecimals.accounting = defaultDecimals.currency;
+
+  const decimals = params.decimals !== undefined && params.decimals !== null
+    ? Math.max(0, Math.min(10, parseInt(params.decimals, 10) || 0))
+    : defaultDecimals[format];
+  const fraction = decimals > 0 ? '.' + '0'.repeat(decimals) : '';
+  const digits = (params.thousandsSeparator === false ? '0' : '#,##0') + fraction + (SCALE_SUFFIXES[params.scale] || '');
+
+  switch (format) {
+    case 'number':
+    case 'integer':
+      return digits;
+    case 'currency':
+    case 'accounting': {
+      // e.g. $#,##0.00, "€"#,##0.00 or #,##0.00" kr"
+      const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+      const quoted = /^[$]$/.test(symbol) ? symbol : `"${symbol}"`;
+      const amount = SUFFIX_CURRENCIES.includes(currency) ? `${digits}${quoted}` : `${quoted}${digits}`;
+      return format === 'accounting' ? `${amount};(${amount})` : amount;
+    }
+    case 'percentage':
+      return `0${fraction}%`;
+    case 'scientific':
+      return `0${fraction}E+00`;
+    case 'date':
+      return 'yyyy-mm-dd';
+    case 'datetime':
+      return 'yyyy-mm-dd hh:mm';
+    case 'time':
+      return 'hh:mm';
+    case 'text':
+      return '@';
+    default:
+      throw new Error(`Unknown number format: ${params.format}`);
+  }
+}
+
+/**
+ * ISO currency of the spreadsheet locale (e.g. de_DE -> EUR), USD when unknown
+ */
+function localeCurrency() {
+  const locale = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetLocale() || '';
+  const country = locale.split(/[_-]/)[1];
+  return LOCALE_CURRENCIES[String(country).toUpperCase()] || 'USD';
+}
+
+/**
+ * Range to format: an explicit A1 range, a column's data rows, or the whole data area
+ */
+function getFormatRange(sheet, params) {
+  if (params.range) return sheet.getRange(params.range);
+
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) throw new Error('There is no data to format');
+  if (params.column) return sheet.getRange(startRow, columnLetterToIndex(params.column), lastRow - startRow + 1, 1);
+  return sheet.getRange(startRow, 1, lastRow - startRow + 1, sheet.getLastColumn());
+}
+
+/**
+ * Range a conditional rule applies to, and the reference its formula tests:
+ * whole data rows ("$C2") when applyTo is "row", otherwise each cell ("C2")
+ */
+function getConditionalRange(sheet, params) {
+  if (params.range && params.applyTo !== 'row') {
+    const range = sheet.getRange(params.range);
+    return { range, ref: `${columnIndexToLetter(range.getColumn())}${range.getRow()}` };
+  }
+
+  const startRow = getDataStartRow(sheet);
+  const numRows = Math.max(sheet.getLastRow() - startRow + 1, 1);
+  if (params.applyTo === 'row') {
+    const range = sheet.getRange(startRow, 1, numRows, sheet.getLastColumn());
+    return { range, ref: params.column ? `$${params.column}${startRow}` : null };
+  }
+  if (!params.column) throw new Error('Conditional formatting needs a column or a range');
+  return { range: sheet.getRange(startRow, columnLetterToIndex(params.column), numRows, 1), ref: `${params.column}${startRow}` };
+}
+
+/**
+ * Custom formula for a highlight rule, written for the first cell of the range (ref).
+ * Custom formulas planned for another row (e.g. "=$F2>$E2") are shifted to firstRow.
+ */
+function buildConditionFormula(rule, ref, params, firstRow) {
+  if (rule === 'custom_formula') {
+    if (!params.formula) throw new Error('custom_formula needs a formula');
+    const formula = String(params.formula).startsWith('=') ? params.formula : `=${params.formula}`;
+    return firstRow ? shiftFormulaRow(formula, detectFormulaBaseRow(formula), firstRow) : formula;
+  }
+  if (!ref) throw new Error(`The ${rule} rule needs a column`);
+
+  const value = formulaLiteral(params.value);
+  const comparisons = { greater: '>', greater_or_equal: '>=', less: '<', less_or_equal: '<=' };
+  const text = `${ref}&""`;
+
+  switch (rule) {
+    case 'greater':
+    case 'greater_or_equal':
+    case 'less':
+    case 'less_or_equal':
+      // Blank cells are never highlighted by comparisons
+      return `=AND(${ref}<>"", ${ref}${comparisons[rule]}${value})`;
+    case 'between':
+      return `=AND(${ref}<>"", ${ref}>=${value}, ${ref}<=${formulaLiteral(params.value2)})`;
+    case 'not_between':
+      return `=AND(${ref}<>"", OR(${ref}<${value}, ${ref}>${formulaLiteral(params.value2)}))`;
+    case 'equals':
+      return `=${ref}=${value}`;
+    case 'not_equals':
+      return `=AND(${ref}<>"", ${ref}<>${value})`;
+    case 'text_contains':
+      return `=ISNUMBER(SEARCH(${quoteFormulaText(params.value)}, ${text}))`;
+    case 'text_not_contains':
+      return `=AND(${ref}<>"", NOT(ISNUMBER(SEARCH(${quoteFormulaText(params.value)}, ${text}))))`;
+    case 'text_starts_with':
+      return `=LEFT(LOWER(${text}), ${String(params.value).length})=LOWER(${quoteFormulaText(params.value)})`;
+    case 'text_ends_with':
+      return `=RIGHT(LOWER(${text}), ${String(params.value).length})=LOWER(${quoteFormulaText(params.value)})`;
+    case 'date_before':
+      return `=AND(ISNUMBER(${ref}), ${ref}<${value})`;
+    case 'date_after':
+      return `=AND(ISNUMBER(${ref}), ${ref}>${value})`;
+    case 'empty':
+      return `=${ref}=""`;
+    case 'not_empty':
+      return `=${ref}<>""`;
+    case 'duplicate': {
+      const column = ref.replace(/[$\d]/g, '');
+      const row = ref.replace(/\D/g, '');
+      return `=AND(${ref}<>"", COUNTIF($${column}$${row}:$${column}, ${ref})>1)`;
+    }
+    default:
+      throw new Error(`Unknown conditional formatting rule: ${rule}`);
+  }
+}
+
+/**
+ * Formula literal for a rule value: numbers, TRUE/FALSE, TODAY() for "today",
+ * DATE() for YYYY-MM-DD, quoted text otherwise
  */
-function deleteColumn(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const col = columnLetterToIndex(params.column);
-  sheet.deleteColumn(col);
-  return `Deleted column ${params.column}`;
+function formulaLiteral(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value).toUpperCase();
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (/^-?\d+(\.\d+)?$/.test(text)) return text;
+  if (/^(true|false)$/i.test(text)) return text.toUpperCase();
+  if (/^today$/i.test(text)) return 'TODAY()';
+  const date = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (date) return `DATE(${Number(date[1])}, ${Number(date[2])}, ${Number(date[3])})`;
+  return quoteFormulaText(value);
+}
+
+function quoteFormulaText(value) {
+  return `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
 }
 
 /**
- * Deletes rows based on condition
+ * Background, font color and weight of a highlight rule; red when the plan gives none
  */
-function deleteRows(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+function applyHighlightStyle(builder, params) {
+  const style = ['background', 'fontColor', 'bold', 'italic', 'strikethrough'].some(key => params[key] !== undefined)
+    ? params
+    : DEFAULT_HIGHLIGHT;
+  if (style.background) builder.setBackground(resolveColor(style.background, 'background'));
+  if (style.fontColor) builder.setFontColor(resolveColor(style.fontColor, 'font'));
+  if (style.bold) builder.setBold(true);
+  if (style.italic) builder.setItalic(true);
+  if (style.strikethrough) builder.setStrikethrough(true);
+}
+
+/**
+ * Hex color for a color name, using the light tint for backgrounds and the strong one for text
+ */
+function resolveColor(color, kind) {
+  const pair = COLOR_NAMES[String(color).toLowerCase().trim()];
+  if (!pair) return color;
+  return kind === 'background' ? pair[0] : pair[1];
+}
+
+/**
+ * Sheets has no native data bars: inserts a column after the source column
+ * with an in-cell SPARKLINE bar per row, scaled to the column's maximum
+ */
+function addDataBars(sheet, params) {
+  if (!params.column) throw new Error('Data bars need a column');
   const col = columnLetterToIndex(params.column);
+  const startRow = getDataStartRow(sheet);
   const lastRow = sheet.getLastRow();
-  
-  const values = sheet.getDataRange().getValues();
-  const headerRowIndex = detectHeaderRow(values);
-  const startRow = headerRowIndex + 2;
-  
-  const range = sheet.getRange(startRow, col, lastRow - startRow + 1, 1);
-  const checkValues = range.getValues();
-  
-  let rowsToDelete = [];
-  
-  checkValues.forEach(([val], i) => {
-    let shouldDelete = false;
-    const checkVal = String(val).toLowerCase();
-    const paramVal = String(params.value).toLowerCase();
-    
-    switch (params.condition) {
-      case 'empty': shouldDelete = val === '' || val === null; break;
-      case 'equals': shouldDelete = checkVal == paramVal; break;
-      case 'duplicate':
-        // Basic duplicate check in current dataset
-        const count = checkValues.filter(([v]) => String(v).toLowerCase() === checkVal).length;
-        // Mark for deletion if it appears earlier? No, usually keep first.
-        // This logic is complex for O(N^2). Simplified:
-        // If we've seen it before in the loop, delete it.
-        // We need a Set outside.
-        break;
-    }
-    if (shouldDelete) rowsToDelete.unshift(startRow + i);
-  });
-  
-  // Special handling for duplicates to be efficient
-  if (params.condition === 'duplicate') {
-     const seen = new Set();
-     rowsToDelete = [];
-     checkValues.forEach(([val], i) => {
-       const key = String(val).toLowerCase();
-       if (seen.has(key)) {
-         rowsToDelete.unshift(startRow + i);
-       } else {
-         seen.add(key);
-       }
-     });
+  if (lastRow < startRow) throw new Error('There is no data for data bars');
+
+  const headerRow = startRow - 1;
+  const header = headerRow > 0 ? sheet.getRange(headerRow, col).getValue() : '';
+  const barCol = col + 1;
+  sheet.insertColumnAfter(col);
+  if (headerRow > 0) sheet.getRange(headerRow, barCol).setValue(`${header || params.column} Bar`);
+
+  const color = resolveColor(params.color || params.background || DEFAULT_BAR_COLOR, 'font');
+  const values = `$${params.column}$${startRow}:$${params.column}$${lastRow}`;
+  const formulas = [];
+  for (let row = startRow; row <= lastRow; row++) {
+    formulas.push([`=IF(ISNUMBER(${params.column}${row}), SPARKLINE(${params.column}${row}, {"charttype","bar";"max",MAX(${values});"color1","${color}"}), "")`]);
   }
+  sheet.getRange(startRow, barCol, formulas.length, 1).setFormulas(formulas);
 
-  // Safety & Impact Analysis
-  const totalDataRows = lastRow - startRow + 1;
-  const impactPercent = totalDataRows > 0 ? (rowsToDelete.length / totalDataRows * 100).toFixed(1) : 0;
+  return `Added data bars for column ${params.column} in new column ${columnIndexToLetter(barCol)}`;
+}
 
-  if (rowsToDelete.length === 0) return 'No matching rows found to delete';
+/**
+ * Options for a dropdown: the plan's values, or the column's distinct display values (sorted).
+ * Also returns the existing values so invalid cells can be reported.
+ */
+function getDropdownOptions(sheet, params) {
+  if (!params.column) throw new Error('A dropdown needs a column');
+  const col = columnLetterToIndex(params.column);
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  const existing = lastRow >= startRow
+    ? sheet.getRange(startRow, col, lastRow - startRow + 1, 1).getDisplayValues().map(([v]) => String(v).trim())
+    : [];
 
-  // Sort descending and delete from bottom to top
-  rowsToDelete.sort((a, b) => b - a);
-  rowsToDelete.forEach(row => sheet.deleteRow(row));
-  
-  let resultMsg = `Deleted ${rowsToDelete.length} rows (${impactPercent}% of data) based on ${params.condition}`;
-  if (impactPercent > 50) resultMsg = "⚠️ " + resultMsg + ". This removed more than half your data.";
-  
-  return resultMsg;
+  const options = Array.isArray(params.values) && params.values.length > 0
+    ? [...new Set(params.values.map(v => String(v).trim()).filter(v => v !== ''))]
+    : [...new Set(existing.filter(v => v !== ''))].sort((a, b) => a.localeCompare(b));
+
+  if (options.length === 0) throw new Error(`Column ${params.column} has no values to build a dropdown from`);
+  if (options.length > MAX_DROPDOWN_OPTIONS) {
+    throw new Error(`Column ${params.column} has ${options.length} distinct values; a dropdown allows at most ${MAX_DROPDOWN_OPTIONS}`);
+  }
+  return { options, startRow, existing };
 }
 
 /**
- * Formats cells
+ * Cleans data. Row- and column-level operations (dedupe, split, merge, extract
+ * into a new column) have their own helpers; everything else rewrites one column in place.
  */
-function formatCells(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const range = sheet.getRange(params.range);
-  
-  switch (params.format) {
-    case 'currency':
-      range.setNumberFormat('$#,##0.00');
-      break;
-    case 'percentage':
-      range.setNumberFormat('0.00%');
-      break;
-    case 'date':
-      range.setNumberFormat('yyyy-mm-dd');
+function cleanData(params) {
+  const sheet = getTargetSheet(params);
+
+  switch (params.operation) {
+    case 'remove_duplicates':
+      return removeDuplicateRows(sheet, params);
+    case 'split_column':
+      return splitColumn(sheet, params);
+    case 'merge_columns':
+      return mergeColumns(sheet, params);
+    case 'regex_extract':
+      if (params.newColumnName) return extractToNewColumn(sheet, params);
       break;
   }
-  
-  return `Formatted ${params.range} as ${params.format}`;
+
+  const { range, original, cleaned, note } = computeCleanedColumn(sheet, params);
+  if (!range) return `No data to clean in column ${params.column}`;
+
+  const changed = countChangedCells(original, cleaned);
+  range.setValues(cleaned);
+  if (params.operation === 'standardize_dates') {
+    range.setNumberFormat(params.format || DEFAULT_DATE_FORMAT);
+  }
+  return `Cleaned column ${params.column} (${params.operation}): ${changed} cells changed${note ? `. ${note}` : ''}`;
 }
 
 /**
- * Cleans data in a column
+ * Computes the cleaned values for a column without writing them.
+ * Shared by the executor and the dry-run preview.
  */
-function cleanData(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+function computeCleanedColumn(sheet, params) {
   const col = columnLetterToIndex(params.column);
   const lastRow = sheet.getLastRow();
-  
-  const values = sheet.getDataRange().getValues();
-  const headerRowIndex = detectHeaderRow(values);
-  const startRow = headerRowIndex + 2;
+  const startRow = getDataStartRow(sheet);
+
+  if (lastRow < startRow) return { range: null, original: [], cleaned: [] };
   
   const range = sheet.getRange(startRow, col, lastRow - startRow + 1, 1);
   const checkValues = range.getValues();
+  const isBlank = v => v === '' || v === null;
   
   let cleaned;
+  let note = '';
   switch (params.operation) {
     case 'trim':
     case 'trim_whitespace':
-      cleaned = checkValues.map(([v]) => [String(v).trim()]);
+      cleaned = checkValues.map(([v]) => [typeof v === 'string' ? v.trim() : v]);
       break;
-    case 'uppercase':
-      cleaned = checkValues.map(([v]) => [String(v).toUpperCase()]);
+    case 'normalize_whitespace':
+      // Non-breaking spaces, tabs and repeated spaces become single spaces
+      cleaned = checkValues.map(([v]) => [typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : v]);
       break;
+    case 'uppercase':
     case 'lowercase':
-      cleaned = checkValues.map(([v]) => [String(v).toLowerCase()]);
+    case 'change_case': {
+      const mode = params.operation === 'change_case' ? (params.case || 'lower') : params.operation.replace('case', '');
+      cleaned = checkValues.map(([v]) => [typeof v === 'string' ? changeCase(v, mode) : v]);
       break;
+    }
     case 'convert_to_number':
       cleaned = checkValues.map(([v]) => {
         const num = parseFloat(String(v).replace(/[$,]/g, ''));
         return [isNaN(num) ? v : num];
       });
       break;
-    case 'fill_missing_values':
-      cleaned = checkValues.map(([v]) => [ (v === '' || v === null) ? (params.fillValue || 0) : v ]);
+    case 'fill_missing_values': {
+      const filled = fillMissingValues(checkValues.map(([v]) => v), params);
+      cleaned = filled.values.map(v => [v]);
+      note = filled.note;
+      break;
+    }
+    case 'standardize_dates': {
+      const raw = checkValues.map(([v]) => v);
+      const dayFirst = params.dayFirst !== undefined ? params.dayFirst : inferDayFirst(raw);
+      let unparsed = 0;
+      cleaned = raw.map(v => {
+        if (isBlank(v)) return [v];
+        const date = parseDateValue(v, dayFirst);
+        if (!date) unparsed++;
+        return [date || v];
+      });
+      if (unparsed > 0) note = `${unparsed} values could not be read as dates and were left unchanged`;
+      break;
+    }
+    case 'regex_replace': {
+      const regex = buildRegex(params.pattern, params.flags || 'g');
+      cleaned = checkValues.map(([v]) => {
+        if (isBlank(v)) return [v];
+        const replaced = String(v).replace(regex, params.replacement || '');
+        return [replaced === String(v) ? v : replaced];
+      });
+      break;
+    }
+    case 'regex_extract':
+      cleaned = extractMatches(checkValues.map(([v]) => v), params).map(v => [v]);
       break;
     default:
-      cleaned = checkValues;
+      throw new Error(`Unsupported cleaning operation: ${params.operation}`);
   }
   
-  range.setValues(cleaned);
-  return `Cleaned column ${params.column} (${params.operation})`;
+  return { range, original: checkValues, cleaned, note };
+}
+
+// ============================================================
+// CLEANING HELPERS
+// ============================================================
+
+const DEFAULT_DATE_FORMAT = 'yyyy-mm-dd';
+
+// Fuzzy dedupe compares every new row with the rows kept so far; above this many
+// comparisons it only matches on normalized text
+const FUZZY_MAX_COMPARISONS = 250000;
+
+const MONTH_INDEX = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+function changeCase(text, mode) {
+  switch (mode) {
+    case 'upper': return text.toUpperCase();
+    case 'title': return text.toLowerCase().replace(/(^|[\s\-'(])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+    case 'sentence': return text.toLowerCase().replace(/(^\s*|[.!?]\s+)(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+    default: return text.toLowerCase();
+  }
+}
+
+function buildRegex(pattern, flags) {
+  try {
+    return new RegExp(pattern, flags);
+  } catch (e) {
+    throw new Error(`Invalid pattern "${pattern}": ${e.message}`);
+  }
+}
+
+/**
+ * Pulls the first match (or capture group) out of each value; no match gives an empty cell
+ */
+function extractMatches(values, params) {
+  const regex = buildRegex(params.pattern, (params.flags || '').replace('g', ''));
+  return values.map(v => {
+    if (v === '' || v === null) return v;
+    const match = String(v).match(regex);
+    if (!match) return '';
+    const group = params.group !== undefined ? params.group : (match.length > 1 ? 1 : 0);
+    return match[group] !== undefined ? match[group] : '';
+  });
+}
+
+/**
+ * Fills blank cells. Strategies: value, mean (outliers excluded), median, mode, forward, backward.
+ * Without a strategy, a given fillValue is used; otherwise numeric columns get the median and text columns the mode.
+ */
+function fillMissingValues(values, params) {
+  const isBlank = v => v === '' || v === null;
+  const present = values.filter(v => !isBlank(v));
+  const numbers = present.filter(v => typeof v === 'number');
+  const isNumeric = present.length > 0 && numbers.length / present.length >= 0.8;
+
+  let strategy = params.strategy;
+  if (!strategy) {
+    strategy = params.fillValue !== undefined && params.fillValue !== null ? 'value' : (isNumeric ? 'median' : 'mode');
+  }
+
+  if (strategy === 'forward' || strategy === 'backward') {
+    const ordered = strategy === 'forward' ? values.slice() : values.slice().reverse();
+    let last = null;
+    const filled = ordered.map(v => {
+      if (!isBlank(v)) {
+        last = v;
+        return v;
+      }
+      return last !== null ? last : v;
+    });
+    return { values: strategy === 'forward' ? filled : filled.reverse(), note: `Filled from the ${strategy === 'forward' ? 'previous' : 'next'} value` };
+  }
+
+  let fill;
+  let note = '';
+  switch (strategy) {
+    case 'mean': {
+      if (!isNumeric) throw new Error('Mean fill needs a numeric column');
+      const { kept, outliers } = excludeOutliers(numbers);
+      fill = kept.reduce((a, b) => a + b, 0) / kept.length;
+      fill = Math.round(fill * 100) / 100;
+      note = `Filled with the mean ${fill}${outliers > 0 ? ` (${outliers} outliers excluded)` : ''}`;
+      break;
+    }
+    case 'median': {
+      if (!isNumeric) throw new Error('Median fill needs a numeric column');
+      fill = median(numbers);
+      note = `Filled with the median ${fill}`;
+      break;
+    }
+    case 'mode': {
+      const counts = {};
+      present.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+      const top = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+      fill = present.find(v => String(v) === top);
+      note = `Filled with the most common value "${fill}"`;
+      break;
+    }
+    default:
+      fill = params.fillValue !== undefined && params.fillValue !== null ? params.fillValue : 0;
+  }
+  if (fill === undefined) return { values: values, note: 'No values to fill from' };
+
+  return { values: values.map(v => (isBlank(v) ? fill : v)), note: note };
+}
+
+function median(numbers) {
+  const sorted = numbers.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Drops values outside 1.5 × IQR so a few extreme values don't skew a mean
+ */
+function excludeOutliers(numbers) {
+  if (numbers.length < 4) return { kept: numbers, outliers: 0 };
+  const sorted = numbers.slice().sort((a, b) => a - b);
+  const q1 = sorted[Math.floor((sorted.length - 1) * 0.25)];
+  const q3 = sorted[Math.floor((sorted.length - 1) * 0.75)];
+  const iqr = q3 - q1;
+  const kept = numbers.filter(n => n >= q1 - 1.5 * iqr && n <= q3 + 1.5 * iqr);
+  return { kept: kept, outliers: numbers.length - kept.length };
+}
+
+/**
+ * Numeric dates like 03/04/2024 are read month-first unless some value
+ * only makes sense day-first (first part above 12)
+ */
+function inferDayFirst(values) {
+  return values.some(v => {
+    const match = typeof v === 'string' && v.trim().match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-]\d{2,4}$/);
+    return match && Number(match[1]) > 12;
+  });
+}
+
+/**
+ * Reads a date from mixed formats: Date cells, sheet serial numbers, ISO (2024-01-05),
+ * 01/05/2024, 20240105, "5 Jan 2024", "Jan 5, 2024". Returns null when it can't.
+ */
+function parseDateValue(value, dayFirst) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') {
+    // Sheets serial day numbers (1955-2119); other numbers are not dates
+    return value > 20000 && value < 80000 ? new Date(1899, 11, 30 + Math.floor(value)) : null;
+  }
+
+  const text = String(value).trim();
+  const fullYear = y => (y.length <= 2 ? (Number(y) < 50 ? 2000 : 1900) + Number(y) : Number(y));
+  let year, month, day, match;
+
+  if ((match = text.match(/^(\d{4})[\-\/.](\d{1,2})[\-\/.](\d{1,2})(?:[T\s].*)?$/))) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else if ((match = text.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2,4})$/))) {
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    const useDayFirst = first > 12 || (dayFirst && second <= 12);
+    [day, month] = useDayFirst ? [first, second] : [second, first];
+    year = fullYear(match[3]);
+  } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s\-]+([A-Za-z]{3,})\.?[\s\-,]+(\d{2,4})$/))) {
+    [day, month, year] = [Number(match[1]), monthFromName(match[2]), fullYear(match[3])];
+  } else if ((match = text.match(/^([A-Za-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{2,4})$/))) {
+    [month, day, year] = [monthFromName(match[1]), Number(match[2]), fullYear(match[3])];
+  } else {
+    return null;
+  }
+
+  if (!month || month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(year, month - 1, day);
+  // Reject impossible dates like 31/02 that Date would roll over
+  return date.getMonth() === month - 1 ? date : null;
+}
+
+function monthFromName(name) {
+  const index = MONTH_INDEX[name.toLowerCase().slice(0, 3)];
+  return index === undefined ? null : index + 1;
+}
+
+/**
+ * Key used to compare values when deduplicating. Fuzzy keys also ignore
+ * accents, punctuation and spacing ("Acme, Inc." = "acme inc").
+ */
+function duplicateKey(value, fuzzy) {
+  if (value instanceof Date) return String(value.getTime());
+  let key = String(value).trim().toLowerCase();
+  if (fuzzy) {
+    key = key.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+  return key;
+}
+
+/**
+ * Similarity between two strings from 0 to 1 (1 - Levenshtein distance / longer length)
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  const longer = Math.max(a.length, b.length);
+  if (longer === 0) return 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / longer;
+}
+
+/**
+ * Finds duplicate rows, comparing the given columns (all columns when none are given).
+ * Keeps the first occurrence (or the last with keep: "last"). With fuzzy: true, values
+ * are normalized and, if threshold < 1, near matches (e.g. 0.9 similar) count as duplicates.
+ * Shared by the executors and the dry-run preview.
+ */
+function findDuplicateRows(sheet, params) {
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  const totalDataRows = lastRow - startRow + 1;
+
+  if (totalDataRows <= 0) {
+    return { startRow, totalDataRows: 0, rowsToDelete: [], impactPercent: 0, fuzzyLimited: false };
+  }
+
+  const columns = (params.columns && params.columns.length > 0 ? params.columns : (params.column ? [params.column] : []))
+    .map(columnLetterToIndex);
+  const keyColumns = columns.length > 0 ? columns : Array.from({ length: lastCol }, (_, i) => i + 1);
+  const values = sheet.getRange(startRow, 1, totalDataRows, lastCol).getValues();
+
+  const fuzzy = Boolean(params.fuzzy);
+  const threshold = params.threshold !== undefined ? Number(params.threshold) : 1;
+  const compareNearMatches = fuzzy && threshold < 1 && totalDataRows * totalDataRows / 2 <= FUZZY_MAX_COMPARISONS;
+
+  const order = values.map((row, i) => i);
+  if (params.keep === 'last') order.reverse();
+
+  const seen = new Set();
+  const keptKeys = [];
+  const rowsToDelete = [];
+  order.forEach(i => {
+    const key = keyColumns.map(c => duplicateKey(values[i][c - 1], fuzzy)).join('\u0001');
+    const isDuplicate = seen.has(key) || (compareNearMatches && keptKeys.some(kept => similarity(kept, key) >= threshold));
+    if (isDuplicate) {
+      rowsToDelete.push(startRow + i);
+    } else {
+      seen.add(key);
+      keptKeys.push(key);
+    }
+  });
+
+  const impactPercent = (rowsToDelete.length / totalDataRows * 100).toFixed(1);
+  return {
+    startRow, totalDataRows, rowsToDelete, impactPercent,
+    fuzzyLimited: fuzzy && threshold < 1 && !compareNearMatches
+  };
+}
+
+function removeDuplicateRows(sheet, params) {
+  const { rowsToDelete, impactPercent, fuzzyLimited } = findDuplicateRows(sheet, params);
+  if (rowsToDelete.length === 0) return 'No duplicate rows found';
+
+  const cellsRemoved = rowsToDelete.length * sheet.getLastColumn();
+  deleteRowsInBulk(sheet, rowsToDelete);
+
+  const columns = params.columns && params.columns.length > 0 ? `columns ${params.columns.join(', ')}` : 'all columns';
+  let resultMsg = `Removed ${rowsToDelete.length} duplicate rows (${impactPercent}% of data, ${cellsRemoved} cells) comparing ${columns}`;
+  if (fuzzyLimited) resultMsg += '. The sheet is too large for near-match comparison, so only normalized exact matches were removed';
+  return resultMsg;
+}
+
+/**
+ * Splits a column on a delimiter into new columns inserted to its right.
+ * The last new column keeps any remaining parts.
+ * Shared by the executor and the dry-run preview.
+ */
+function computeSplitColumn(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  const names = params.newColumnNames && params.newColumnNames.length > 0
+    ? params.newColumnNames
+    : [`${params.column} 1`, `${params.column} 2`];
+  if (lastRow < startRow) return { startRow, names, rows: [], cellsWritten: 0 };
+
+  const delimiter = params.delimiter !== undefined ? params.delimiter : ',';
+  const source = sheet.getRange(startRow, col, lastRow - startRow + 1, 1).getValues();
+
+  let cellsWritten = 0;
+  const rows = source.map(([v]) => {
+    const parts = v === '' || v === null ? [] : String(v).split(delimiter).map(part => part.trim());
+    const head = parts.slice(0, names.length - 1);
+    const tail = parts.slice(names.length - 1).join(delimiter);
+    const row = names.map((_, i) => (i < names.length - 1 ? (head[i] !== undefined ? head[i] : '') : tail));
+    cellsWritten += row.filter(cell => cell !== '').length;
+    return row;
+  });
+  return { startRow, names, rows, cellsWritten };
+}
+
+function splitColumn(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const { startRow, names, rows, cellsWritten } = computeSplitColumn(sheet, params);
+
+  sheet.insertColumnsAfter(col, names.length);
+  sheet.getRange(startRow - 1, col + 1, 1, names.length).setValues([names]);
+  if (rows.length > 0) sheet.getRange(startRow, col + 1, rows.length, names.length).setValues(rows);
+
+  return `Split column ${params.column} into ${names.length} new columns (${names.join(', ')}): ${cellsWritten} cells written`;
+}
+
+/**
+ * Joins several columns into one new column inserted after the right-most of them.
+ * Blank parts are skipped. Shared by the executor and the dry-run preview.
+ */
+function computeMergedColumn(sheet, params) {
+  const columns = (params.columns || []).map(columnLetterToIndex);
+  if (columns.length < 2) throw new Error('Merging needs at least two columns');
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  const insertAfter = Math.max(...columns);
+  if (lastRow < startRow) return { startRow, insertAfter, merged: [], cellsWritten: 0 };
+
+  const values = sheet.getRange(startRow, 1, lastRow - startRow + 1, insertAfter).getValues();
+  const separator = params.separator !== undefined ? params.separator : ' ';
+  const merged = values.map(row => [columns
+    .map(c => row[c - 1])
+    .filter(v => v !== '' && v !== null)
+    .map(v => (v instanceof Date ? Utilities.formatDate(v, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'yyyy-MM-dd') : String(v)))
+    .join(separator)]);
+  return { startRow, insertAfter, merged, cellsWritten: merged.filter(([v]) => v !== '').length };
+}
+
+function mergeColumns(sheet, params) {
+  const { startRow, insertAfter, merged, cellsWritten } = computeMergedColumn(sheet, params);
+  const name = params.newColumnName || params.columns.join(' + ');
+
+  sheet.insertColumnAfter(insertAfter);
+  sheet.getRange(startRow - 1, insertAfter + 1).setValue(name);
+  if (merged.length > 0) sheet.getRange(startRow, insertAfter + 1, merged.length, 1).setValues(merged);
+
+  return `Merged columns ${params.columns.join(', ')} into "${name}": ${cellsWritten} cells written`;
+}
+
+/**
+ * regex_extract with newColumnName: writes the matches to a new column right of the source
+ */
+function extractToNewColumn(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+
+  sheet.insertColumnAfter(col);
+  sheet.getRange(startRow - 1, col + 1).setValue(params.newColumnName);
+  if (lastRow < startRow) return `Added empty column "${params.newColumnName}"`;
+
+  const source = sheet.getRange(startRow, col, lastRow - startRow + 1, 1).getValues().map(([v]) => v);
+  const extracted = extractMatches(source, params);
+  sheet.getRange(startRow, col + 1, extracted.length, 1).setValues(extracted.map(v => [v]));
+
+  const written = extracted.filter(v => v !== '' && v !== null).length;
+  return `Extracted matches of ${params.pattern} from column ${params.column} into "${params.newColumnName}": ${written} cells written`;
 }
 
 /**
  * Performs aggregation
  */
 function aggregate(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const sheet = getTargetSheet(params);
   const col = columnLetterToIndex(params.column);
   const lastRow = sheet.getLastRow();
   
-  const values = sheet.getDataRange().getValues();
-  const headerRowIndex = detectHeaderRow(values);
+  const headerRowIndex = detectHeaderRow(readHeaderArea(sheet));
   const startRow = headerRowIndex + 2;
   
   const colLetter = params.column;
@@ -827,7 +3862,7 @@ function aggregate(params) {
  * Evaluates a formula and returns the value
  */
 function queryValue(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const sheet = getTargetSheet(params);
   // Use a cell far outside common data range for calculation
   const tempCell = sheet.getRange(sheet.getMaxRows(), sheet.getMaxColumns()); 
   
@@ -858,30 +3893,67 @@ function queryValue(params) {
   }
 }
 
+/**
+ * Reads the planned columns and asks the backend's statistics engine to answer
+ * the question from computed facts. Returns "INSIGHT: <answer>" with the cited facts.
+ */
+function analyzeData(params) {
+  const sheet = getTargetSheet(params);
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) throw new Error('There is no data to analyze');
+
+  const numRows = Math.min(lastRow - startRow + 1, params.maxRows || lastRow);
+  const headerValues = sheet.getRange(startRow - 1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+
+  // Dates are sent as yyyy-MM-dd in the spreadsheet's time zone so periods don't shift
+  const columns = params.columns.map(col => {
+    const index = columnLetterToIndex(col.column);
+    const values = sheet.getRange(startRow, index, numRows, 1).getValues().map(row => {
+      const v = row[0];
+      return v instanceof Date ? Utilities.formatDate(v, timeZone, 'yyyy-MM-dd') : v;
+    });
+    return { column: col.column, name: String(headerValues[index - 1] || `Column ${col.column}`), role: col.role, values: values };
+  });
+
+  const response = postToBackend('/insight', { question: params.question, columns: columns, firstRow: startRow });
+  if (!response.success) throw new Error(response.error || 'Insight request failed');
+
+  let result = `INSIGHT: ${response.answer}`;
+  if (response.facts && response.facts.length > 0) {
+    result += `\n\nBased on:\n${response.facts.map(f => `• [${f.id}] ${f.text}`).join('\n')}`;
+  }
+  if (numRows < lastRow - startRow + 1) {
+    result += `\n\n(Analyzed the first ${numRows} of ${lastRow - startRow + 1} rows.)`;
+  }
+  return result;
+}
+
 /**
  * Adds Year-over-Year calculation
  */
 function yoyCalculation(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const sheet = getTargetSheet(params);
   const lastCol = sheet.getLastColumn();
   const lastRow = sheet.getLastRow();
   
-  const values = sheet.getDataRange().getValues();
-  const headerRowIndex = detectHeaderRow(values);
+  const headerRowIndex = detectHeaderRow(readHeaderArea(sheet));
   const headerRow = headerRowIndex + 1;
   const startRow = headerRow + 1;
 
   // Add new column header
   sheet.getRange(headerRow, lastCol + 1).setValue(params.newColumnName || 'YoY Growth %');
   
-  // Add YoY formula
-  for (let row = startRow + 1; row <= lastRow; row++) {
-    const formula = `=IF(${params.valueColumn}${row-1}<>0,(${params.valueColumn}${row}-${params.valueColumn}${row-1})/${params.valueColumn}${row-1}*100,0)`;
-    sheet.getRange(row, lastCol + 1).setFormula(formula);
+  // One relative R1C1 formula fills the whole column: this row vs the row above
+  if (lastRow > startRow) {
+    const v = `C${columnLetterToIndex(params.valueColumn)}`;
+    const range = sheet.getRange(startRow + 1, lastCol + 1, lastRow - startRow, 1);
+    range.setFormulaR1C1(`=IF(R[-1]${v}<>0,(R[0]${v}-R[-1]${v})/R[-1]${v}*100,0)`);
+    
+    // Format as percentage
+    range.setNumberFormat('0.00"%"');
   }
-  
-  // Format as percentage
-  sheet.getRange(startRow + 1, lastCol + 1, lastRow - startRow, 1).setNumberFormat('0.00"%"');
   return 'Added YoY Change column';
 }
 
@@ -889,7 +3961,7 @@ function yoyCalculation(params) {
  * Adds a new column
  */
 function addColumn(params) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const sheet = getTargetSheet(params);
   const refCol = params.referenceColumn ? columnLetterToIndex(params.referenceColumn) : sheet.getLastColumn();
   const position = params.position || 'after';
   
@@ -903,7 +3975,7 @@ function addColumn(params) {
   }
   
   // Use Detected Header Row to place the title
-  const values = sheet.getDataRange().getValues();
+  const values = readHeaderArea(sheet);
   const headerRowIndex = detectHeaderRow(values);
   const headerRow = headerRowIndex + 1;
   const startRow = headerRow + 1;
@@ -916,31 +3988,30 @@ function addColumn(params) {
     const headers = values[headerRowIndex];
     
     // Extract the base row number from the formula if possible (e.g. "2" from "=H2*10")
-    // Look for a letter followed by a number
-    const rowMatch = params.formula.match(/[A-Za-z]+(\d+)/);
-    const baseRow = rowMatch ? rowMatch[1] : '1'; // Default to 1 if no row found
-    const rowRegex = new RegExp(`([A-Za-z]+)${baseRow}\\b`, 'g');
+    const baseRow = detectFormulaBaseRow(params.formula);
 
+    // Build every row's formula, then write them in one call
+    const formulas = [];
     for (let row = startRow; row <= lastRow; row++) {
       let formula = params.formula;
       
       // If formula uses column names (e.g. [Price]*[Qty])
       if (headers) {
          headers.forEach((h, i) => {
-            const colLetter = String.fromCharCode(65 + i);
+            const colLetter = columnIndexToLetter(i + 1);
             if (h) { // only replace if header exists
-                formula = formula.replace(new RegExp(`\\[${h}\\]`, 'g'), `${colLetter}${row}`);
+                formula = formula.split(`[${h}]`).join(`${colLetter}${row}`);
             }
          });
       }
       
       // If formula uses cell notation (e.g. H2), replace the base row with current row
       // Example: If base is 2, replace H2 -> H{row}, A2 -> A{row}
-      // We use the regex created above that targets the specific base row number
-      formula = formula.replace(rowRegex, `$1${row}`);
+      formula = shiftFormulaRow(formula, baseRow, row);
       
-      sheet.getRange(row, newColIndex).setFormula(formula);
+      formulas.push([formula]);
     }
+    if (formulas.length > 0) sheet.getRange(startRow, newColIndex, formulas.length, 1).setFormulas(formulas);
   }
   
   return `Added column "${params.columnName}" at index ${newColIndex}`;
@@ -975,6 +4046,54 @@ function columnLetterToIndex(letter) {
   return result;
 }
 
+/**
+ * Converts column index to letter (1 = A, 27 = AA, etc.)
+ */
+function columnIndexToLetter(index) {
+  let letter = '';
+  let n = index;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letter = String.fromCharCode(65 + rem) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Returns the sheet a step works on: params.sheetName if given, otherwise the active sheet
+ */
+function getTargetSheet(params) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (params && params.sheetName) {
+    const sheet = ss.getSheetByName(params.sheetName);
+    if (!sheet) throw new Error(`Sheet "${params.sheetName}" not found`);
+    return sheet;
+  }
+  return ss.getActiveSheet();
+}
+
+/**
+ * Re-targets a formula written for one row to another row, e.g. "=H2*10" -> "=H7*10".
+ * Quoted text (sheet names like 'Sheet2'!A:A, string criteria like "Q2") is left untouched.
+ */
+function shiftFormulaRow(formula, baseRow, row) {
+  const rowRegex = new RegExp(`(?<![A-Za-z$])(\\$?[A-Za-z]{1,3})${baseRow}\\b(?!\\()`, 'g');
+  return formula
+    .split(/('(?:[^']|'')*'|"(?:[^"]|"")*")/)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(rowRegex, `$1${row}`)))
+    .join('');
+}
+
+/**
+ * Finds the row number a row-wise formula was written for (e.g. 2 in "=H2*10"), ignoring quoted text
+ */
+function detectFormulaBaseRow(formula) {
+  const unquoted = formula.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"/g, '');
+  const rowMatch = unquoted.match(/(?<![A-Za-z$])\$?[A-Za-z]{1,3}(\d+)\b(?!\()/);
+  return rowMatch ? rowMatch[1] : '1'; // Default to 1 if no row found
+}
+
 function include(filename) {
   return HtmlService.createHtmlOutputFromFile(filename).getContent();
 }
@@ -0,0 +1,149 @@
+/**
+ * Audit trail of /plan runs, appended to a JSON Lines file (AUDIT_LOG_PATH).
+ * A "run" line holds the prompt, a hash of the schema, the raw LLM responses
+ * (classification and every planning attempt), the built steps and the outcome;
+ * the step results reported by Apps Script are appended later as a "results" line.
+ * A run paused on a clarification question is written again, under the same id,
+ * when it finishes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, 'logs', 'audit.jsonl');
+
+// Raw LLM responses longer than this are cut in the log
+const MAX_RAW_CHARS = 20000;
+
+let directoryReady = false;
+
+/**
+ * Short stable hash of the schema a run was planned against
+ */
+function hashSchema(sheetSchema) {
+  if (!sheetSchema) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(sheetSchema)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Starts the audit record of a new /plan request
+ */
+function createRecord({ user, sessionId, prompt, sheetSchema }) {
+  return {
+    id: `a${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+    startedAt: new Date().toISOString(),
+    user: user || null,
+    sessionId: sessionId || null,
+    prompt,
+    schemaHash: hashSchema(sheetSchema),
+    classification: [],
+    plans: []
+  };
+}
+
+/**
+ * Keeps a raw LLM response on the record
+ * @param {object} record
+ * @param {string} stage - "classification" or "planning"
+ * @param {string} raw - Response text as received
+ * @param {object} [meta] - e.g. { task, attempt }
+ */
+function recordResponse(record, stage, raw, meta = {}) {
+  if (!record) return;
+  const entry = { ...meta, raw: String(raw ?? '').slice(0, MAX_RAW_CHARS) };
+  if (stage === 'classification') record.classification.push(entry);
+  else record.plans.push(entry);
+}
+
+/**
+ * Writes the run with its outcome ({ status, steps, rejected, answer, ... })
+ */
+function writeRun(record, outcome) {
+  if (!record) return;
+  append({ type: 'run', ...record, ...outcome, finishedAt: new Date().toISOString() });
+}
+
+/**
+ * Writes the step results Apps Script reported for a run
+ */
+function writeResults(auditId, user, results) {
+  if (!auditId) return;
+  append({ type: 'results', auditId, user: user || null, at: new Date().toISOString(), results });
+}
+
+function append(entry) {
+  try {
+    if (!directoryReady) {
+      fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+      directoryReady = true;
+    }
+  } catch (e) {
+    console.error('Audit log directory error:', e.message);
+    return;
+  }
+  fs.appendFile(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n', (err) => {
+    if (err) console.error('Audit log write error:', err.message);
+  });
+}
+
+/**
+ * Latest runs, newest first, with their reported results attached
+ * @param {object} [filter] - { limit, user }
+ */
+function readRecent({ limit = 50, user } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(AUDIT_LOG_PATH, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const runs = new Map();
+  const results = new Map();
+  text.split('\n').filter(Boolean).forEach(line => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      return; // a partly written last line
+    }
+    if (entry.type === 'run') {
+      // A run written again after a clarification replaces its earlier line
+      runs.delete(entry.id);
+      runs.set(entry.id, entry);
+    } else if (entry.type === 'results') {
+      results.set(entry.auditId, entry.results);
+    }
+  });
+
+  return [...runs.values()]
+    .filter(run => !user || run.user === user)
+    .reverse()
+    .slice(0, limit)
+    .map(run => ({ ...run, results: results.get(run.id) || null }));
+}
+
+/**
+ * The parts of a record Apps Script keeps in the _Agent Log sheet
+ */
+function toPublic(record) {
+  if (!record) return null;
+  return {
+    id: record.id,
+    schemaHash: record.schemaHash,
+    classification: record.classification.map(c => c.raw),
+    plans: record.plans.map(p => ({ task: p.task, attempt: p.attempt, raw: p.raw }))
+  };
+}
+
+module.exports = {
+  hashSchema,
+  createRecord,
+  recordResponse,
+  writeRun,
+  writeResults,
+  readRecent,
+  toPublic
+};
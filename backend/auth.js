@@ -0,0 +1,100 @@
+/**
+ * Request signing.
+ * Apps Script signs every call with the shared secret (AGENT_SHARED_SECRET) and the
+ * user's identity, so only the add-on can reach the endpoints that spend LLM credits.
+ *
+ *   X-Agent-User:      user's email (or Apps Script's temporary user key)
+ *   X-Agent-Timestamp: milliseconds since the epoch
+ *   X-Agent-Signature: hex HMAC-SHA256 of "<timestamp>\n<user>\n<METHOD>\n<path>\n<body>"
+ *
+ * Signatures older than MAX_CLOCK_SKEW_MS, or seen before, are refused.
+ */
+
+const crypto = require('crypto');
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Signatures accepted within the clock-skew window, to refuse replays
+const seenSignatures = new Map();
+
+function signingString(timestamp, user, method, path, body) {
+  return [timestamp, user, method.toUpperCase(), path, body || ''].join('\n');
+}
+
+function sign(secret, timestamp, user, method, path, body) {
+  return crypto.createHmac('sha256', secret).update(signingString(timestamp, user, method, path, body), 'utf8').digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function rememberSignature(signature, now) {
+  for (const [sig, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(sig);
+  }
+  if (seenSignatures.has(signature)) return false;
+  seenSignatures.set(signature, now + 2 * MAX_CLOCK_SKEW_MS);
+  return true;
+}
+
+/**
+ * Express middleware that verifies the signature and sets req.agentUser.
+ * The body is checked as received, so express.json must keep it in req.rawBody.
+ * @param {object} options
+ * @param {string} [options.secret] - Shared secret; without it every request is refused
+ * @param {boolean} [options.allowUnsigned] - Accept unsigned requests (offline mock runs only)
+ */
+function requireSignature({ secret, allowUnsigned }) {
+  return (req, res, next) => {
+    const user = String(req.get('X-Agent-User') || '').trim();
+
+    if (!secret) {
+      if (allowUnsigned) {
+        req.agentUser = user || 'anonymous';
+        return next();
+      }
+      return res.status(503).json({ success: false, code: 'auth_not_configured', error: 'AGENT_SHARED_SECRET is not set on the server' });
+    }
+
+    const timestamp = req.get('X-Agent-Timestamp');
+    const signature = req.get('X-Agent-Signature');
+    const now = Date.now();
+    const refuse = (reason) => {
+      console.warn(`Refused ${req.method} ${req.originalUrl} from "${user || 'unknown'}": ${reason}`);
+      return res.status(401).json({ success: false, code: 'unauthorized', error: 'Request signature is missing or invalid' });
+    };
+
+    if (!user || !timestamp || !signature) return refuse('missing signature headers');
+    if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > MAX_CLOCK_SKEW_MS) return refuse('timestamp outside the allowed window');
+
+    const expected = sign(secret, timestamp, user, req.method, req.originalUrl, req.rawBody);
+    if (!safeEqual(expected, signature)) return refuse('bad signature');
+    if (!rememberSignature(signature, now)) return refuse('replayed signature');
+
+    req.agentUser = user;
+    next();
+  };
+}
+
+/**
+ * Middleware for admin endpoints: "Authorization: Bearer <ADMIN_TOKEN>".
+ * Without a configured token the admin endpoints don't exist.
+ */
+function requireAdmin(adminToken) {
+  return (req, res, next) => {
+    if (!adminToken) return res.status(404).json({ success: false, error: 'Not found' });
+    const header = String(req.get('Authorization') || '');
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    if (!safeEqual(token, adminToken)) return res.status(401).json({ success: false, error: 'Admin token is missing or invalid' });
+    next();
+  };
+}
+
+module.exports = {
+  sign,
+  requireSignature,
+  requireAdmin
+};
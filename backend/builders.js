@@ -1,85 +1,120 @@
 /**
  * Deterministic Formula Builders
+ *
+ * Ranges are bounded to the data rows when the planner passes "first_row" / "last_row"
+ * (from the schema's headerRow and dataEndRow), so headers and totals under the table
+ * are never counted. Without last_row (earlier steps remove rows) they run from first_row
+ * to the end of the column; without either, whole columns are used.
  */
 
 const builders = {
   buildSum: (params) => {
     const { column } = params;
-    return `=SUM(${column}:${column})`;
+    return `=SUM(${columnRange(column, params.sheet, params)})`;
   },
 
   buildAverage: (params) => {
     const { column } = params;
-    return `=AVERAGE(${column}:${column})`;
+    return `=AVERAGE(${columnRange(column, params.sheet, params)})`;
   },
 
   buildAverageIf: (params) => {
-    const { average_column, criteria_column, operator, value } = params;
-    const sheetOp = mapOperator(operator);
-    const criterion = (sheetOp === '=') ? value : `${sheetOp}${value}`;
-    const formattedCriterion = typeof criterion === 'string' ? `"${criterion}"` : criterion;
-    return `=AVERAGEIF(${criteria_column}:${criteria_column}, ${formattedCriterion}, ${average_column}:${average_column})`;
+    const { criteria_column, operator, value } = params;
+    return builders.buildAverageIfs({
+      ...params,
+      criteria: [{ column: criteria_column, operator, value }]
+    });
   },
 
   buildAverageIfs: (params) => {
     const { average_column, criteria } = params;
-    let formula = `=AVERAGEIFS(${average_column}:${average_column}`;
-    criteria.forEach(c => {
-      const sheetOp = mapOperator(c.operator);
-      const criterion = (sheetOp === '=') ? c.value : `${sheetOp}${c.value}`;
-      const formattedCriterion = typeof criterion === 'string' ? `"${criterion}"` : criterion;
-      formula += `, ${c.column}:${c.column}, ${formattedCriterion}`;
-    });
-    formula += `)`;
-    return formula;
+    const range = columnRange(average_column, params.sheet, params);
+    const args = criteriaArgs(criteria, params);
+    if (!hasOrCriteria(criteria)) return `=AVERAGEIFS(${range}, ${args})`;
+    // OR over values: AVERAGE of the matching rows skips blank and text cells, as AVERAGEIFS does
+    return `=AVERAGE(${filtered(average_column, criteria, params)})`;
   },
 
   buildCount: (params) => {
     const { column } = params;
     // Use COUNTA to support both text and numeric entries
-    return `=COUNTA(${column}:${column})`;
+    return `=COUNTA(${columnRange(column, params.sheet, params)})`;
   },
 
   buildCountIf: (params) => {
     const { criteria_column, operator, value } = params;
-    const sheetOp = mapOperator(operator);
-    const criterion = (sheetOp === '=') ? value : `${sheetOp}${value}`;
-    const formattedCriterion = typeof criterion === 'string' ? `"${criterion}"` : criterion;
-    return `=COUNTIF(${criteria_column}:${criteria_column}, ${formattedCriterion})`;
+    return builders.buildCountIfs({
+      ...params,
+      criteria: [{ column: criteria_column, operator, value }]
+    });
   },
 
   buildCountIfs: (params) => {
     const { criteria } = params;
-    let formula = `=COUNTIFS(`;
-    criteria.forEach((c, idx) => {
-      const sheetOp = mapOperator(c.operator);
-      const criterion = (sheetOp === '=') ? c.value : `${sheetOp}${c.value}`;
-      const formattedCriterion = typeof criterion === 'string' ? `"${criterion}"` : criterion;
-      formula += `${idx > 0 ? ', ' : ''}${c.column}:${c.column}, ${formattedCriterion}`;
-    });
-    formula += `)`;
-    return formula;
+    return withOr(`COUNTIFS(${criteriaArgs(criteria, params)})`, criteria);
   },
 
   buildSumIf: (params) => {
-    const { sum_column, criteria_column, operator, value } = params;
-    const sheetOp = mapOperator(operator);
-    const criterion = (sheetOp === '=') ? value : `${sheetOp}${value}`;
-    const formattedCriterion = typeof criterion === 'string' ? `"${criterion}"` : criterion;
-    return `=SUMIF(${criteria_column}:${criteria_column}, ${formattedCriterion}, ${sum_column}:${sum_column})`;
+    const { criteria_column, operator, value } = params;
+    return builders.buildSumIfs({
+      ...params,
+      criteria: [{ column: criteria_column, operator, value }]
+    });
   },
 
   buildSumIfs: (params) => {
     const { sum_column, criteria } = params;
-    let formula = `=SUMIFS(${sum_column}:${sum_column}`;
-    criteria.forEach(c => {
-      const sheetOp = mapOperator(c.operator);
-      const criterion = (sheetOp === '=') ? c.value : `${sheetOp}${c.value}`;
-      const formattedCriterion = typeof criterion === 'string' ? `"${criterion}"` : criterion;
-      formula += `, ${c.column}:${c.column}, ${formattedCriterion}`;
-    });
-    formula += `)`;
-    return formula;
+    const range = columnRange(sum_column, params.sheet, params);
+    return withOr(`SUMIFS(${range}, ${criteriaArgs(criteria, params)})`, criteria);
+  },
+
+  buildMedian: (params) => {
+    const { column, criteria } = params;
+    return `=MEDIAN(${filtered(column, criteria, params)})`;
+  },
+
+  buildMin: (params) => {
+    return minMax('MIN', params);
+  },
+
+  buildMax: (params) => {
+    return minMax('MAX', params);
+  },
+
+  buildDistinctCount: (params) => {
+    const { column, criteria } = params;
+    return `=COUNTUNIQUE(${filtered(column, criteria, params)})`;
+  },
+
+  buildPercentile: (params) => {
+    const { column, percentile, criteria } = params;
+    // Accept both 0.9 and 90
+    const k = Number(percentile) > 1 ? Number(percentile) / 100 : Number(percentile);
+    if (!(k >= 0 && k <= 1)) throw new Error(`Invalid percentile: ${percentile}`);
+    return `=PERCENTILE(${filtered(column, criteria, params)}, ${k})`;
+  },
+
+  buildTopN: (params) => {
+    const { column, label_column, n, order, criteria } = params;
+    const count = Math.max(1, parseInt(n, 10) || 5);
+    const ascending = order === 'asc' ? 'TRUE' : 'FALSE';
+    const values = columnRange(column, params.sheet, params);
+    const conditions = [`${values}<>""`, ...(criteria || []).map(c => filterCondition(c, params))].join(', ');
+
+    if (!label_column) {
+      return `=TEXTJOIN(", ", TRUE, SORTN(FILTER(${values}, ${conditions}), ${count}, 0, 1, ${ascending}))`;
+    }
+    // Label and value pairs, joined as "Label: value; ..."
+    const labels = columnRange(label_column, params.sheet, params);
+    const top = `SORTN(FILTER({${labels}, ${values}}, ${conditions}), ${count}, 0, 2, ${ascending})`;
+    return `=LET(top, ${top}, TEXTJOIN("; ", TRUE, ARRAYFORMULA(INDEX(top, 0, 1) & ": " & INDEX(top, 0, 2))))`;
+  },
+
+  buildWeightedAverage: (params) => {
+    const { column, weight_column } = params;
+    const values = columnRange(column, params.sheet, params);
+    const weights = columnRange(weight_column, params.sheet, params);
+    return `=SUMPRODUCT(${values}, ${weights}) / SUM(${weights})`;
   },
 
   buildPercentGrowth: (params) => {
@@ -92,6 +127,33 @@ const builders = {
     return `=SUM(${column}$${start_row}:${column}${start_row})`;
   },
 
+  buildLookup: (params) => {
+    const { lookup_column, lookup_sheet, match_column, return_column, start_row } = params;
+    const key = `${lookup_column}${start_row || 2}`;
+    const bounds = lookupBounds(params);
+    return `=XLOOKUP(${key}, ${columnRange(match_column, lookup_sheet, bounds)}, ${columnRange(return_column, lookup_sheet, bounds)}, "")`;
+  },
+
+  buildVlookup: (params) => {
+    const { lookup_column, lookup_sheet, match_column, return_column, start_row } = params;
+    const offset = columnIndex(return_column) - columnIndex(match_column);
+    // VLOOKUP can only return columns to the right of the match column
+    if (offset < 0) return builders.buildIndexMatch(params);
+    const key = `${lookup_column}${start_row || 2}`;
+    const bounds = lookupBounds(params);
+    const table = bounds
+      ? `${quoteSheet(lookup_sheet)}$${match_column}$${bounds.first_row}:$${return_column}${bounds.last_row ? `$${bounds.last_row}` : ''}`
+      : `${quoteSheet(lookup_sheet)}${match_column}:${return_column}`;
+    return `=VLOOKUP(${key}, ${table}, ${offset + 1}, FALSE)`;
+  },
+
+  buildIndexMatch: (params) => {
+    const { lookup_column, lookup_sheet, match_column, return_column, start_row } = params;
+    const key = `${lookup_column}${start_row || 2}`;
+    const bounds = lookupBounds(params);
+    return `=INDEX(${columnRange(return_column, lookup_sheet, bounds)}, MATCH(${key}, ${columnRange(match_column, lookup_sheet, bounds)}, 0))`;
+  },
+
   buildRowCalc: (params) => {
     // This allows the AI to suggest a raw formula if it fits a specific row-wise math need
     // but still subject to the executor's row-filling logic
@@ -99,6 +161,43 @@ const builders = {
   }
 };
 
+/**
+ * Column range, qualified with the sheet name when it lives on another sheet.
+ * Bounded ("C2:C500") when bounds carry first_row/last_row, open-ended ("C2:C") with
+ * first_row only, whole column ("C:C") otherwise.
+ * Absolute bounds ("$C$2:$C$500") keep row-wise formulas from shifting them down.
+ */
+function columnRange(column, sheet, bounds) {
+  const prefix = quoteSheet(sheet);
+  if (!bounds || !bounds.first_row) return `${prefix}${column}:${column}`;
+  const $ = bounds.absolute ? '$' : '';
+  const end = bounds.last_row ? `${$}${bounds.last_row}` : '';
+  return `${prefix}${$}${column}${$}${bounds.first_row}:${$}${column}${end}`;
+}
+
+/**
+ * Bounds of the looked-up table; absolute because lookups are filled down row by row
+ */
+function lookupBounds(params) {
+  if (!params.lookup_first_row) return null;
+  return { first_row: params.lookup_first_row, last_row: params.lookup_last_row, absolute: true };
+}
+
+/**
+ * Sheet prefix for a reference ('Sales Data'!), empty when no sheet is given
+ */
+function quoteSheet(sheet) {
+  if (!sheet) return '';
+  return `'${String(sheet).replace(/'/g, "''")}'!`;
+}
+
+/**
+ * 1-based column number of a column letter, used to compare positions
+ */
+function columnIndex(letter) {
+  return String(letter).toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
 function mapOperator(op) {
   if (!op) return '=';
   const map = {
@@ -108,11 +207,197 @@ function mapOperator(op) {
     'less': '<',
     'greater_than': '>',
     'less_than': '<',
-    'not_equal_to': '<>'
+    'not_equal_to': '<>',
+    'greater_or_equal': '>=',
+    'less_or_equal': '<=',
+    'at_least': '>=',
+    'at_most': '<=',
+    'in': '=',
+    'one_of': '='
   };
   return map[op.toLowerCase()] || op;
 }
 
+// Operators that match text patterns rather than compare values
+const TEXT_OPERATORS = ['contains', 'not_contains', 'starts_with', 'ends_with', 'matches'];
+
+// Several values on these mean "none of them" (AND), not "any of them" (OR)
+const NEGATIVE_OPERATORS = ['not_equals', 'not_equal_to', '<>', 'not_contains'];
+
+// ============================================================
+// CRITERIA
+// ============================================================
+
+/**
+ * Types a criterion value: numbers, booleans and ISO dates (YYYY-MM-DD) are
+ * compared as such; everything else is text.
+ */
+function typeValue(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return { type: typeof value, value };
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  // Leading zeros ("00123") are kept as text
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(text)) return { type: 'number', value: Number(text) };
+  if (/^(true|false)$/i.test(text)) return { type: 'boolean', value: text.toLowerCase() === 'true' };
+  const date = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (date) return { type: 'date', value: `DATE(${Number(date[1])}, ${Number(date[2])}, ${Number(date[3])})` };
+  return { type: 'string', value: String(value === null || value === undefined ? '' : value) };
+}
+
+/**
+ * Quotes text for a formula, doubling embedded quotes
+ */
+function quoteText(text) {
+  return `"${String(text).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Escapes the *IF wildcards (* ? ~) so text is matched literally
+ */
+function escapeWildcards(text) {
+  return String(text).replace(/[~*?]/g, '~$&');
+}
+
+/**
+ * One *IFS criterion for a single value, e.g. 100, ">"&DATE(2024, 1, 1), "North", "*~*sale*"
+ */
+function formatCriterion(operator, value) {
+  const op = (operator || 'equals').toLowerCase();
+  if (op === 'empty') return '""';
+  if (op === 'not_empty') return '"<>"';
+
+  if (TEXT_OPERATORS.includes(op)) {
+    const text = op === 'matches' ? String(value) : escapeWildcards(value);
+    const pattern = {
+      contains: `*${text}*`,
+      not_contains: `*${text}*`,
+      starts_with: `${text}*`,
+      ends_with: `*${text}`,
+      matches: text
+    }[op];
+    return quoteText(op === 'not_contains' ? `<>${pattern}` : pattern);
+  }
+
+  const sheetOp = mapOperator(op);
+  const typed = typeValue(value);
+  if (typed.type === 'string') {
+    // Always prefix the operator so text like ">5" is not read as a comparison
+    return quoteText(`${sheetOp}${escapeWildcards(typed.value)}`);
+  }
+  const literal = typed.type === 'boolean' ? String(typed.value).toUpperCase() : String(typed.value);
+  if (sheetOp === '=') return literal;
+  return `"${sheetOp}"&${literal}`;
+}
+
+/**
+ * Values of a criterion: an array value (or operator "in"/"one_of") means OR
+ */
+function criterionValues(c) {
+  return Array.isArray(c.value) ? c.value : [c.value];
+}
+
+function isNegative(c) {
+  return NEGATIVE_OPERATORS.includes(String(c.operator || '').toLowerCase());
+}
+
+function hasOrCriteria(criteria) {
+  return (criteria || []).some(c => !isNegative(c) && criterionValues(c).length > 1);
+}
+
+/**
+ * "range, criterion, range, criterion" for *IFS functions.
+ * OR values become array literals; the first OR runs across ({a, b}) and the second down
+ * ({a; b}) so their combinations are all counted. Equality matches are disjoint, so summing
+ * them gives the OR result.
+ */
+function criteriaArgs(criteria, params) {
+  let orCount = 0;
+  return (criteria || []).map(c => {
+    const values = criterionValues(c);
+    const range = columnRange(c.column, params.sheet, params);
+    // "Not any of": one pair per value, all of which must hold
+    if (isNegative(c)) return values.map(v => `${range}, ${formatCriterion(c.operator, v)}`).join(', ');
+    let criterion;
+    if (values.length === 1) {
+      criterion = formatCriterion(c.operator, values[0]);
+    } else {
+      if (orCount >= 2) throw new Error('At most two columns can have OR values in one calculation');
+      const separator = orCount === 0 ? ', ' : '; ';
+      orCount++;
+      criterion = `{${values.map(v => formatCriterion(c.operator, v)).join(separator)}}`;
+    }
+    return `${range}, ${criterion}`;
+  }).join(', ');
+}
+
+/**
+ * Totals a *IFS call over its OR combinations when any criterion has several values
+ */
+function withOr(call, criteria) {
+  return hasOrCriteria(criteria) ? `=ARRAYFORMULA(SUM(${call}))` : `=${call}`;
+}
+
+/**
+ * Boolean FILTER condition for one criterion, e.g. (C2:C100>100), ((B2:B100="North")+(B2:B100="South")>0)
+ */
+function filterCondition(c, params) {
+  const range = columnRange(c.column, params.sheet, params);
+  const op = (c.operator || 'equals').toLowerCase();
+  const single = (value) => {
+    if (op === 'empty') return `${range}=""`;
+    if (op === 'not_empty') return `${range}<>""`;
+    if (op === 'contains') return `ISNUMBER(SEARCH(${quoteText(escapeWildcards(value))}, ${range}))`;
+    if (op === 'not_contains') return `NOT(ISNUMBER(SEARCH(${quoteText(escapeWildcards(value))}, ${range})))`;
+    if (op === 'starts_with') return `LEFT(${range}, ${String(value).length})=${quoteText(value)}`;
+    if (op === 'ends_with') return `RIGHT(${range}, ${String(value).length})=${quoteText(value)}`;
+    if (op === 'matches') return `REGEXMATCH(LOWER(${range}&""), ${quoteText(wildcardToRegex(value))})`;
+    const typed = typeValue(value);
+    const literal = typed.type === 'string' ? quoteText(typed.value)
+      : typed.type === 'boolean' ? String(typed.value).toUpperCase() : String(typed.value);
+    return `${range}${mapOperator(op)}${literal}`;
+  };
+  const values = criterionValues(c);
+  if (values.length === 1) return `(${single(values[0])})`;
+  if (isNegative(c)) return `(${values.map(v => `(${single(v)})`).join('*')})`;
+  return `(${values.map(v => `(${single(v)})`).join('+')}>0)`;
+}
+
+/**
+ * Case-insensitive regex for a *IF wildcard pattern (* any text, ? one character, ~ escapes)
+ */
+function wildcardToRegex(pattern) {
+  let regex = '';
+  const text = String(pattern).toLowerCase();
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '~' && i + 1 < text.length) regex += text[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (ch === '*') regex += '.*';
+    else if (ch === '?') regex += '.';
+    else regex += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return `^${regex}$`;
+}
+
+/**
+ * A column range, narrowed with FILTER when criteria are given
+ */
+function filtered(column, criteria, params) {
+  const range = columnRange(column, params.sheet, params);
+  if (!Array.isArray(criteria) || criteria.length === 0) return range;
+  return `FILTER(${range}, ${criteria.map(c => filterCondition(c, params)).join(', ')})`;
+}
+
+/**
+ * MIN / MAX, with MINIFS / MAXIFS for criteria. OR values filter the matching rows instead:
+ * MINIFS over each combination would give 0 for a combination without rows.
+ */
+function minMax(fn, params) {
+  const { column, criteria } = params;
+  const range = columnRange(column, params.sheet, params);
+  if (!Array.isArray(criteria) || criteria.length === 0) return `=${fn}(${range})`;
+  if (hasOrCriteria(criteria)) return `=${fn}(${filtered(column, criteria, params)})`;
+  return `=${fn}IFS(${range}, ${criteriaArgs(criteria, params)})`;
+}
+
 /**
  * Wraps formula with IFERROR if enabled in rules
  */
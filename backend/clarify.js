@@ -0,0 +1,157 @@
+/**
+ * Clarification questions.
+ * When a plan can't be built as-is (a column name that matches no header, a missing
+ * required parameter, an unclear request), planning stops with a ClarificationNeeded
+ * error instead of guessing or dropping the step. The server keeps the paused plan and
+ * resumes it with the user's answer via applyAnswer.
+ */
+
+const MAX_OPTIONS = 8;
+
+// Choices offered when the request itself is unclear
+const INTENT_OPTIONS = [
+  { value: 'formula', label: 'Calculate a number or add a formula column' },
+  { value: 'chart', label: 'Create or change a chart' },
+  { value: 'clean_data', label: 'Clean or filter the data' },
+  { value: 'organization', label: 'Sort or format the sheet' },
+  { value: 'pivot', label: 'Build a summary table' },
+  { value: 'insight', label: 'Explain what the data shows' }
+];
+
+class ClarificationNeeded extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.question - Question shown to the user
+   * @param {string} [details.parameter] - Plan parameter being asked about
+   * @param {Array<{label: string, value: string}>} [details.options] - Clickable choices
+   * @param {boolean} [details.allowText] - Whether a typed answer is accepted
+   * @param {string} [details.unresolved] - Value in the raw plan the answer replaces
+   * @param {Array<string|number>} [details.path] - Location in the raw plan the answer is written to
+   * @param {boolean} [details.asList] - Write the answer as a one-item list (e.g. "columns")
+   * @param {string} [details.kind] - "intent" when the answer picks the intent
+   */
+  constructor(details) {
+    super(details.question);
+    this.name = 'ClarificationNeeded';
+    this.details = {
+      kind: details.kind || 'parameter',
+      question: details.question,
+      parameter: details.parameter || null,
+      options: (details.options || []).slice(0, MAX_OPTIONS),
+      allowText: details.allowText !== undefined ? details.allowText : !(details.options || []).length,
+      unresolved: details.unresolved,
+      path: details.path,
+      asList: Boolean(details.asList)
+    };
+  }
+}
+
+/**
+ * The part of a clarification the Sidebar needs (the resume details stay on the server)
+ */
+function toPublic(details, id) {
+  return {
+    id: id,
+    question: details.question,
+    parameter: details.parameter,
+    options: details.options,
+    allowText: details.allowText
+  };
+}
+
+/**
+ * Columns as choices, the ones most similar to what was asked for first.
+ * "preferType" moves columns of that detected type ahead (e.g. numbers for sum_column).
+ */
+function columnOptions(headers, asked, preferType) {
+  const scored = (headers || []).map((h, i) => {
+    let score = asked ? similarity(normalize(asked), normalize(h.name)) : 0;
+    if (preferType && h.detectedType === preferType) score += 0.5;
+    return { h, i, score };
+  });
+  scored.sort((a, b) => b.score - a.score || a.i - b.i);
+  return scored.map(({ h }) => ({ label: `${h.name} (${h.column})`, value: h.column }));
+}
+
+/**
+ * Values seen in a column (the schema's top values) as choices
+ */
+function valueOptions(headers, column) {
+  const header = (headers || []).find(h => h.column === column);
+  return (header?.topValues || []).map(v => ({ label: `${v.value} (${v.count})`, value: v.value }));
+}
+
+/**
+ * Intents as choices, the classifier's best guess first
+ */
+function intentOptions(guess) {
+  return INTENT_OPTIONS.slice().sort((a, b) => (b.value === guess) - (a.value === guess));
+}
+
+/**
+ * Writes the user's answer into the paused raw plan: at "path" for a missing parameter,
+ * or in place of every occurrence of the unresolved value (also "Sheet!value")
+ */
+function applyAnswer(rawPlan, details, answer) {
+  if (Array.isArray(details.path) && details.path.length > 0) {
+    let node = rawPlan;
+    details.path.slice(0, -1).forEach(key => {
+      if (node[key] === undefined || node[key] === null) node[key] = {};
+      node = node[key];
+    });
+    node[details.path[details.path.length - 1]] = details.asList ? [answer] : answer;
+    return rawPlan;
+  }
+
+  if (details.unresolved === undefined) return rawPlan;
+  const wanted = normalize(details.unresolved);
+  const replace = (value) => {
+    if (Array.isArray(value)) return value.map(replace);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, replace(v)]));
+    }
+    if (typeof value !== 'string') return value;
+    if (normalize(value) === wanted) return answer;
+    const qualified = value.match(/^(.+!)(.+)$/);
+    if (qualified && normalize(qualified[2]) === wanted) return `${qualified[1]}${answer}`;
+    return value;
+  };
+  return replace(rawPlan);
+}
+
+function normalize(text) {
+  return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * 0..1 similarity: containment counts as a strong match, otherwise edit distance
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.includes(b) || b.includes(a)) return 0.9;
+  const dist = levenshtein(a, b);
+  return 1 - dist / Math.max(a.length, b.length);
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+module.exports = {
+  ClarificationNeeded,
+  toPublic,
+  columnOptions,
+  valueOptions,
+  intentOptions,
+  applyAnswer,
+  normalize
+};
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Runs a prompt on a CSV or XLSX file from the command line, through POST /run.
+ *
+ *   node cli.js sales.csv "remove rows without an email and sort by revenue"
+ *
+ * Options:
+ *   --out <path>      Where to write the result (default: "<name> (agent).<ext>" next to the file)
+ *   --sheet <name>    Sheet to work on in an XLSX file (default: the first one)
+ *   --answer <value>  Answer to a clarification question; repeat for several
+ *   --backend <url>   Use a running backend instead of starting one in this process
+ *   --user <email>    Identity sent as X-Agent-User (default: AGENT_USER or the OS user)
+ *   --json            Print the /run response (without file contents) as JSON
+ *
+ * Requests are signed with AGENT_SHARED_SECRET when it is set. Clarification questions are
+ * asked in the terminal; without a terminal, the run stops with exit code 2 unless --answer
+ * covers them. The input file is never modified.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { sign } = require('./auth');
+
+const USAGE = 'Usage: node cli.js <file.csv|file.xlsx> "<prompt>" [--out path] [--sheet name] [--answer value] [--backend url] [--user email] [--json]';
+
+// Exit code when a question is left unanswered
+const EXIT_NEEDS_ANSWER = 2;
+
+function parseArgs(argv) {
+  const options = { answers: [], positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--answer') options.answers.push(argv[++i]);
+    else if (['--out', '--sheet', '--backend', '--user'].includes(arg)) options[arg.slice(2)] = argv[++i];
+    else if (arg === '-h' || arg === '--help') options.help = true;
+    else options.positional.push(arg);
+  }
+  [options.file, options.prompt] = options.positional;
+  return options;
+}
+
+/**
+ * Backend to send requests to: the given URL, or this app listening on a free local port
+ * (its logs go to stderr, so stdout carries only the result)
+ */
+async function connect(backendUrl) {
+  if (backendUrl) return { url: backendUrl.replace(/\/$/, ''), close: () => {} };
+
+  console.log = console.error;
+  const app = require('./server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { url: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+async function postRun(backend, user, payload) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'X-Agent-User': user };
+  const secret = process.env.AGENT_SHARED_SECRET;
+  if (secret) {
+    const timestamp = String(Date.now());
+    headers['X-Agent-Timestamp'] = timestamp;
+    headers['X-Agent-Signature'] = sign(secret, timestamp, user, 'POST', '/run', body);
+  }
+
+  const response = await fetch(`${backend.url}/run`, { method: 'POST', headers, body });
+  const result = await response.json().catch(() => ({ success: false, error: `HTTP ${response.status}` }));
+  if (!response.ok && result.success !== false) result.success = false;
+  return result;
+}
+
+/**
+ * Answer to a clarification: the next --answer, or one typed in the terminal.
+ * Returns null when neither is available.
+ */
+async function answerQuestion(clarification, answers) {
+  const options = clarification.options || [];
+  if (answers.length > 0) return matchOption(answers.shift(), options);
+  if (!process.stdin.isTTY) return null;
+
+  console.error(`\n? ${clarification.question}`);
+  options.forEach((option, i) => console.error(`  ${i + 1}. ${option.label || option.value}`));
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const typed = await new Promise(resolve => rl.question(options.length ? 'Choose a number or type an answer: ' : 'Answer: ', resolve));
+  rl.close();
+  return matchOption(typed.trim(), options);
+}
+
+// "2" picks the second option; anything else is sent as typed
+function matchOption(answer, options) {
+  const index = Number(answer);
+  if (Number.isInteger(index) && index >= 1 && index <= options.length) return options[index - 1].value;
+  return answer;
+}
+
+// File names come from the backend: keep them inside the output directory
+function safeName(filename) {
+  const name = path.basename(String(filename || '').replace(/[/\\]/g, '_'));
+  return name && name !== '.' && name !== '..' ? name : 'result';
+}
+
+function printResult(result, written, print) {
+  if (result.answer) print(result.answer);
+  (result.execution?.stepResults || []).forEach(step => {
+    const mark = step.status === 'success' ? '✓' : step.status === 'skipped' ? '-' : '✗';
+    print(`  ${mark} ${step.action}: ${step.error || step.result || step.description}`);
+  });
+  (result.rejected || []).forEach(r => print(`  ✗ ${r.description}: ${r.reasons.join('; ')}`));
+  written.forEach(file => print(`\nWrote ${file}`));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.file || !options.prompt) {
+    console.error(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const filename = path.basename(options.file);
+  const file = fs.readFileSync(options.file).toString('base64');
+  const user = options.user || process.env.AGENT_USER || os.userInfo().username;
+  // Bound before connect() sends the server's console output to stderr
+  const print = console.log.bind(console);
+
+  const backend = await connect(options.backend);
+  let exitCode = 0;
+  try {
+    let result = await postRun(backend, user, { file, filename, sheetName: options.sheet, prompt: options.prompt });
+    while (result.clarification) {
+      const answer = await answerQuestion(result.clarification, options.answers);
+      if (answer === null) {
+        console.error(`Needs an answer: ${result.clarification.question}`);
+        (result.clarification.options || []).forEach(o => console.error(`  --answer "${o.value}"  ${o.label || ''}`));
+        exitCode = EXIT_NEEDS_ANSWER;
+        return;
+      }
+      result = await postRun(backend, user, {
+        file,
+        filename,
+        sheetName: options.sheet,
+        sessionId: result.sessionId,
+        clarificationId: result.clarification.id,
+        answer
+      });
+    }
+
+    const written = [];
+    if (result.file) {
+      const outPath = options.out || path.join(path.dirname(options.file), safeName(result.filename));
+      fs.writeFileSync(outPath, Buffer.from(result.file, 'base64'));
+      written.push(outPath);
+      (result.extraFiles || []).forEach(extra => {
+        const extraPath = path.join(path.dirname(outPath), safeName(extra.filename));
+        fs.writeFileSync(extraPath, Buffer.from(extra.file, 'base64'));
+        written.push(extraPath);
+      });
+    }
+
+    if (options.json) {
+      const { file: _file, extraFiles: _extraFiles, ...rest } = result;
+      print(JSON.stringify({ ...rest, written }, null, 2));
+    } else {
+      if (result.success === false && !result.answer) console.error(`Error: ${result.error}`);
+      printResult(result, written, print);
+    }
+    if (result.success === false) exitCode = 1;
+  } finally {
+    backend.close();
+    process.exitCode = exitCode;
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,1090 @@
+/**
+ * Headless executors: the Code.gs action executors ported to run on a Workbook (sheet.js)
+ * instead of SpreadsheetApp. Each takes the workbook as "ss" and keeps its Code.gs
+ * result messages, so step results read the same in the Sidebar and from /run.
+ *
+ * Charts, conditional formats, header styling, frozen panes and dropdowns only exist in
+ * Google Sheets; those steps are reported as "skipped". Pivot tables become a static
+ * summary table on a new sheet.
+ */
+
+const { columnIndex: columnLetterToIndex, columnLetter: columnIndexToLetter, FormulaError } = require('./formula');
+const { detectHeaderRow, readHeaderArea, getDataStartRow } = require('./schema');
+
+// Steps that need Google Sheets features a file doesn't have
+const SHEETS_ONLY_ACTIONS = ['CREATE_CHART', 'UPDATE_CHART', 'DELETE_CHART', 'CONDITIONAL_FORMAT', 'STYLE_HEADER', 'FREEZE_PANES', 'DATA_VALIDATION'];
+
+// ============================================================
+// ACTION PLAN EXECUTOR
+// ============================================================
+
+/**
+ * Executes an action plan step by step, like executePlan() in Code.gs.
+ * @param {Workbook} ss
+ * @param {object} plan - { steps, summary }
+ * @param {object} [options]
+ * @param {function} [options.insight] - async ({ question, columns, firstRow }) => { success, answer, facts }, for ANALYZE_DATA
+ * @param {function} [options.onPhase] - Receives job phases ({ id, label?, status, detail? }) as steps run
+ * @param {function} [options.isCancelled] - Checked before each step
+ * @returns {Promise<{ summary: string, stepResults: object[] }>}
+ */
+async function executePlan(ss, plan, options = {}) {
+  const onPhase = options.onPhase || (() => {});
+  const isCancelled = options.isCancelled || (() => false);
+  const stepResults = [];
+  let successCount = 0;
+
+  if (!plan.steps || plan.steps.length === 0) {
+    return { summary: '', stepResults: [] };
+  }
+
+  // Shared between steps of one plan (e.g. the sheet a pivot was written to)
+  const context = { lastPivotSheet: null, insight: options.insight };
+
+  plan.steps.forEach(step => onPhase({ id: `step_${step.stepNumber}`, label: step.description || step.action, status: 'pending' }));
+
+  let cancelledAt = null;
+  let skippedCount = 0;
+  for (const step of plan.steps) {
+    const phaseId = `step_${step.stepNumber}`;
+    const base = { step: step.stepNumber, action: step.action, description: step.description };
+    if (cancelledAt === null && isCancelled()) cancelledAt = step.stepNumber;
+    if (cancelledAt !== null) {
+      stepResults.push({ ...base, status: 'cancelled' });
+      onPhase({ id: phaseId, status: 'skipped', detail: 'Cancelled' });
+      continue;
+    }
+    if (SHEETS_ONLY_ACTIONS.includes(step.action)) {
+      const reason = `${step.action} only works in Google Sheets`;
+      stepResults.push({ ...base, status: 'skipped', result: reason });
+      onPhase({ id: phaseId, status: 'skipped', detail: reason });
+      skippedCount++;
+      continue;
+    }
+
+    onPhase({ id: phaseId, status: 'running' });
+    try {
+      const result = await executeAction(ss, step, context);
+      stepResults.push({ ...base, status: 'success', result: result });
+      successCount++;
+      onPhase({ id: phaseId, status: 'success', detail: String(result || '').replace(/^(RESULT|INSIGHT):\s*/, '').slice(0, 120) });
+    } catch (e) {
+      stepResults.push({ ...base, status: 'error', error: e.toString() });
+      onPhase({ id: phaseId, status: 'error', detail: String(e.message || e).slice(0, 120) });
+    }
+  }
+
+  const planSummary = plan.summary || 'Operation complete.';
+  let status = `Execution status: ${successCount} of ${plan.steps.length} items processed correctly.`;
+  if (skippedCount > 0) status += ` ${skippedCount} skipped (Google Sheets only).`;
+  if (cancelledAt !== null) status += ` Cancelled before step ${cancelledAt}.`;
+  return { summary: `${planSummary}\n\n${status}`, stepResults: stepResults };
+}
+
+/**
+ * Executes a single action based on its type
+ */
+async function executeAction(ss, step, context) {
+  let action = step.action;
+  let params = step.params;
+
+  // Same recovery as Code.gs for { "ADD_FORMULA": { ... } } steps
+  if (!action && !params) {
+    const keys = Object.keys(step).filter(k => k !== 'stepNumber' && k !== 'description');
+    if (keys.length > 0) {
+      action = keys[0];
+      params = step[action];
+    }
+  }
+  params = params || {};
+
+  switch (action) {
+    case 'CONVERT_DATATYPE':
+      return convertDataType(ss, params);
+    case 'ADD_FORMULA':
+      return addFormula(ss, params);
+    case 'CREATE_PIVOT':
+      return createPivot(ss, params, context);
+    case 'SORT_DATA':
+      return sortData(ss, params);
+    case 'FILTER_DATA':
+      return filterData(ss, params);
+    case 'ADD_COLUMN':
+      return addColumn(ss, params);
+    case 'DELETE_COLUMN':
+      return deleteColumn(ss, params);
+    case 'DELETE_ROWS':
+      return deleteRows(ss, params);
+    case 'FORMAT_CELLS':
+      return formatCells(ss, params);
+    case 'CLEAN_DATA':
+      return cleanData(ss, params);
+    case 'AGGREGATE':
+      return aggregate(ss, params);
+    case 'YOY_CALCULATION':
+      return yoyCalculation(ss, params);
+    case 'QUERY_VALUE':
+      return queryValue(ss, params);
+    case 'ANALYZE_DATA':
+      return analyzeData(ss, params, context);
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}
+
+// ============================================================
+// EXECUTOR FUNCTIONS
+// ============================================================
+
+function convertDataType(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const col = columnLetterToIndex(params.column);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return `Converted column ${params.column} to ${params.toType}`;
+
+  const range = sheet.getRange(2, col, lastRow - 1, 1);
+  const converted = range.getValues().map(([val]) => {
+    if (params.toType === 'number') return [parseFloat(val) || 0];
+    if (params.toType === 'string') return [String(val)];
+    if (params.toType === 'date') return [new Date(val)];
+    return [val];
+  });
+  range.setValues(converted);
+  return `Converted column ${params.column} to ${params.toType}`;
+}
+
+function addFormula(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const col = columnLetterToIndex(params.targetColumn);
+  const startRow = params.startRow || getDataStartRow(sheet);
+  const endRow = params.endRow || sheet.getLastRow();
+  const baseRow = detectFormulaBaseRow(params.formula);
+
+  const formulas = [];
+  for (let row = startRow; row <= endRow; row++) {
+    formulas.push([shiftFormulaRow(params.formula, baseRow, row)]);
+  }
+  if (formulas.length > 0) sheet.getRange(startRow, col, formulas.length, 1).setFormulas(formulas);
+
+  return `Added formula to column ${params.targetColumn}`;
+}
+
+// ============================================================
+// SUMMARY TABLES (CREATE_PIVOT)
+// ============================================================
+
+const PIVOT_FUNCTIONS = {
+  sum: values => numbers(values).reduce((a, b) => a + b, 0),
+  average: values => {
+    const nums = numbers(values);
+    return nums.length > 0 ? nums.reduce((a, b) => a + b, 0) / nums.length : '';
+  },
+  count: values => values.filter(v => v !== '' && v !== null).length,
+  min: values => (numbers(values).length > 0 ? Math.min(...numbers(values)) : ''),
+  max: values => (numbers(values).length > 0 ? Math.max(...numbers(values)) : '')
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Labels Sheets shows for date groupings; the sort key keeps them in calendar order
+const PIVOT_DATE_GROUPINGS = {
+  year: d => [d.getFullYear(), d.getFullYear()],
+  quarter: d => [`Q${Math.floor(d.getMonth() / 3) + 1}`, Math.floor(d.getMonth() / 3)],
+  month: d => [MONTH_NAMES[d.getMonth()], d.getMonth()],
+  year_quarter: d => [`${d.getFullYear()}-Q${Math.floor(d.getMonth() / 3) + 1}`, d.getFullYear() * 10 + Math.floor(d.getMonth() / 3)],
+  year_month: d => [`${d.getFullYear()}-${MONTH_NAMES[d.getMonth()]}`, d.getFullYear() * 100 + d.getMonth()],
+  day_of_week: d => [DAY_NAMES[d.getDay()], d.getDay()]
+};
+
+function numbers(values) {
+  return values.filter(v => typeof v === 'number');
+}
+
+/**
+ * Writes a grouped summary (rows x columns x values) as plain values on a new sheet.
+ * Records the output sheet in the plan context, as the Code.gs pivot does.
+ */
+function createPivot(ss, params, context) {
+  const activeSheet = ss.getActiveSheet();
+  const source = params.sourceSheet ? ss.getSheetByName(params.sourceSheet) : activeSheet;
+  if (!source) throw new Error(`Sheet "${params.sourceSheet}" not found`);
+
+  const headerRow = getDataStartRow(source) - 1;
+  const lastRow = source.getLastRow();
+  if (lastRow <= headerRow) throw new Error('Not enough data to summarize');
+
+  const lastCol = source.getLastColumn();
+  const headerNames = source.getRange(headerRow, 1, 1, lastCol).getValues()[0];
+  const data = source.getRange(headerRow + 1, 1, lastRow - headerRow, lastCol).getValues();
+
+  const rowDims = params.rows || [];
+  const colDims = params.columns || [];
+  const values = (params.values || []).map(v => {
+    if (!PIVOT_FUNCTIONS[v.function]) throw new Error(`Unsupported summary function: ${v.function}`);
+    const header = headerNames[columnLetterToIndex(v.column) - 1] || v.column;
+    return { ...v, index: columnLetterToIndex(v.column) - 1, label: `${v.function.charAt(0).toUpperCase() + v.function.slice(1)} of ${header}` };
+  });
+  if (values.length === 0) throw new Error('A summary table needs at least one value');
+
+  const groupKey = (row, dims) => dims.map(dim => {
+    const value = row[columnLetterToIndex(dim.column) - 1];
+    const grouping = dim.groupBy && PIVOT_DATE_GROUPINGS[dim.groupBy];
+    if (grouping && value instanceof Date) return grouping(value);
+    return [value instanceof Date ? formatDate(value) : value, value instanceof Date ? value.getTime() : value];
+  });
+  const keyText = key => JSON.stringify(key.map(([label]) => label));
+  const compareKeys = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      const [x, y] = [a[i][1], b[i][1]];
+      if (x === y) continue;
+      if (typeof x === 'number' && typeof y === 'number') return x - y;
+      return String(x).localeCompare(String(y));
+    }
+    return 0;
+  };
+
+  // Every value of the source row lands in its row group, column group and the totals
+  const groups = new Map();
+  const rowKeys = new Map();
+  const colKeys = new Map();
+  const add = (rowId, colId, row) => {
+    const id = `${rowId}\u0001${colId}`;
+    if (!groups.has(id)) groups.set(id, values.map(() => []));
+    values.forEach((v, i) => groups.get(id)[i].push(row[v.index]));
+  };
+  data.filter(row => row.some(v => v !== '' && v !== null)).forEach(row => {
+    const rowKey = groupKey(row, rowDims);
+    const colKey = groupKey(row, colDims);
+    rowKeys.set(keyText(rowKey), rowKey);
+    colKeys.set(keyText(colKey), colKey);
+    [keyText(rowKey), '*'].forEach(rowId => [keyText(colKey), '*'].forEach(colId => add(rowId, colId, row)));
+  });
+
+  const showTotals = params.showTotals !== false;
+  const sortedRows = [...rowKeys.values()].sort(compareKeys);
+  const sortedCols = colDims.length > 0 ? [...colKeys.values()].sort(compareKeys) : [];
+  const columnIds = colDims.length > 0 ? sortedCols.map(keyText).concat(showTotals ? ['*'] : []) : ['*'];
+
+  const header = rowDims.map(dim => headerNames[columnLetterToIndex(dim.column) - 1] || dim.column);
+  columnIds.forEach(colId => values.forEach(v => {
+    if (colDims.length === 0) header.push(v.label);
+    else {
+      const label = colId === '*' ? 'Grand Total' : JSON.parse(colId).join(' - ');
+      header.push(values.length > 1 ? `${label} - ${v.label}` : label);
+    }
+  }));
+
+  const cellsFor = rowId => columnIds.flatMap(colId => values.map((v, i) => {
+    const group = groups.get(`${rowId}\u0001${colId}`);
+    return group ? PIVOT_FUNCTIONS[v.function](group[i]) : '';
+  }));
+  const table = [header];
+  if (rowDims.length > 0) {
+    sortedRows.forEach(key => table.push([...key.map(([label]) => label), ...cellsFor(keyText(key))]));
+    if (showTotals) table.push(['Grand Total', ...new Array(rowDims.length - 1).fill(''), ...cellsFor('*')]);
+  } else {
+    table.push(cellsFor('*'));
+  }
+
+  const baseName = params.outputSheet || `Pivot - ${source.getName()}`;
+  let outputName = baseName;
+  for (let n = 2; ss.getSheetByName(outputName); n++) {
+    outputName = `${baseName} ${n}`;
+  }
+  const output = ss.insertSheet(outputName);
+  output.getRange(1, 1, table.length, header.length).setValues(table.map(row => row.map(v => (v === null || v === undefined ? '' : v))));
+  // insertSheet activates the new sheet; later steps work on the user's sheet
+  ss.setActiveSheet(activeSheet);
+
+  if (context) context.lastPivotSheet = outputName;
+  return `Created summary table on sheet "${outputName}"`;
+}
+
+// ============================================================
+// SORTING, FILTERING & DELETING
+// ============================================================
+
+function sortData(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const col = columnLetterToIndex(params.column);
+  const startRow = detectHeaderRow(readHeaderArea(sheet)) + 2;
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  if (lastRow < startRow) return 'Not enough data to sort';
+
+  sheet.getRange(startRow, 1, lastRow - startRow + 1, lastCol).sort({ column: col, ascending: params.order === 'asc' });
+  return `Sorted data by column ${params.column} (${params.order})`;
+}
+
+function filterData(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const { rowsToDelete, impactPercent } = findFilterMatches(sheet, params);
+  if (rowsToDelete.length === 0) {
+    return `No rows found where ${params.column} ${params.operator} "${params.value}"`;
+  }
+
+  sheet.removeRows(rowsToDelete);
+
+  let resultMsg = `Kept rows where ${params.column} ${params.operator} "${params.value}" (Deleted ${rowsToDelete.length} non-matching rows)`;
+  if (impactPercent > 50) resultMsg = '⚠️ ' + resultMsg + '. This removed more than half your data.';
+  return resultMsg;
+}
+
+/**
+ * Rows filterData deletes: the rows that do NOT match the condition
+ */
+function findFilterMatches(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const lastRow = sheet.getLastRow();
+  const startRow = detectHeaderRow(readHeaderArea(sheet)) + 2;
+  const totalDataRows = lastRow - startRow + 1;
+  if (totalDataRows <= 0) return { startRow, totalDataRows: 0, rowsToDelete: [], impactPercent: 0 };
+
+  const rowsToDelete = [];
+  sheet.getRange(startRow, col, totalDataRows, 1).getValues().forEach(([val], i) => {
+    const checkVal = (val === '' || val === null) ? '' : String(val).toLowerCase().trim();
+    const paramVal = String(params.value).toLowerCase().trim();
+    let isMatch = false;
+    switch (params.operator) {
+      case 'equals': isMatch = checkVal === paramVal; break;
+      case 'not_equals': isMatch = checkVal !== paramVal; break;
+      case 'contains': isMatch = checkVal.includes(paramVal); break;
+      case 'not_contains': isMatch = !checkVal.includes(paramVal); break;
+      case 'greater': isMatch = parseFloat(val) > parseFloat(params.value); break;
+      case 'less': isMatch = parseFloat(val) < parseFloat(params.value); break;
+      case 'empty': isMatch = val === '' || val === null; break;
+      case 'not_empty': isMatch = val !== '' && val !== null; break;
+    }
+    if (!isMatch) rowsToDelete.push(startRow + i);
+  });
+
+  const impactPercent = (rowsToDelete.length / totalDataRows * 100).toFixed(1);
+  return { startRow, totalDataRows, rowsToDelete, impactPercent };
+}
+
+function deleteColumn(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  sheet.deleteColumn(columnLetterToIndex(params.column));
+  return `Deleted column ${params.column}`;
+}
+
+function deleteRows(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const { rowsToDelete, impactPercent } = findRowsToDelete(sheet, params);
+  if (rowsToDelete.length === 0) return 'No matching rows found to delete';
+
+  sheet.removeRows(rowsToDelete);
+
+  let resultMsg = `Deleted ${rowsToDelete.length} rows (${impactPercent}% of data) based on ${params.condition}`;
+  if (impactPercent > 50) resultMsg = '⚠️ ' + resultMsg + '. This removed more than half your data.';
+  return resultMsg;
+}
+
+function findRowsToDelete(sheet, params) {
+  if (params.condition === 'duplicate') return findDuplicateRows(sheet, params);
+
+  const col = columnLetterToIndex(params.column);
+  const lastRow = sheet.getLastRow();
+  const startRow = detectHeaderRow(readHeaderArea(sheet)) + 2;
+  const totalDataRows = lastRow - startRow + 1;
+  if (totalDataRows <= 0) return { startRow, totalDataRows: 0, rowsToDelete: [], impactPercent: 0 };
+
+  const rowsToDelete = [];
+  sheet.getRange(startRow, col, totalDataRows, 1).getValues().forEach(([val], i) => {
+    const checkVal = String(val).toLowerCase();
+    const paramVal = String(params.value).toLowerCase();
+    let shouldDelete = false;
+    switch (params.condition) {
+      case 'empty': shouldDelete = val === '' || val === null; break;
+      case 'equals': shouldDelete = checkVal == paramVal; break;
+    }
+    if (shouldDelete) rowsToDelete.push(startRow + i);
+  });
+
+  const impactPercent = (rowsToDelete.length / totalDataRows * 100).toFixed(1);
+  return { startRow, totalDataRows, rowsToDelete, impactPercent };
+}
+
+// ============================================================
+// NUMBER FORMATS (FORMAT_CELLS)
+// ============================================================
+
+const CURRENCY_SYMBOLS = {
+  USD: '$', EUR: '€', GBP: '£', JPY: '¥', CNY: '¥', INR: '₹', KRW: '₩', BRL: 'R$', CAD: 'CA$',
+  AUD: 'A$', MXN: 'MX$', CHF: 'CHF ', RUB: '₽', TRY: '₺', ZAR: 'R', SEK: ' kr', NOK: ' kr',
+  DKK: ' kr', PLN: ' zł', CZK: ' Kč'
+};
+const SUFFIX_CURRENCIES = ['SEK', 'NOK', 'DKK', 'PLN', 'CZK'];
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW'];
+const SCALE_SUFFIXES = { thousands: ',"K"', millions: ',,"M"', billions: ',,,"B"' };
+
+// A file has no spreadsheet locale; currency formats without a currency use this one
+const DEFAULT_CURRENCY = 'USD';
+
+function formatCells(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const range = getFormatRange(sheet, params);
+  const pattern = buildNumberFormat(params);
+  range.setNumberFormat(pattern);
+  return `Formatted ${params.range || range.getA1Notation()} as ${params.format} (${pattern})`;
+}
+
+/**
+ * Number format pattern for a plan's format keyword and options (see buildNumberFormat in Code.gs)
+ */
+function buildNumberFormat(params) {
+  if (params.pattern) return params.pattern;
+
+  const format = String(params.format || 'number').toLowerCase();
+  const currency = String(params.currency || DEFAULT_CURRENCY).toUpperCase();
+  const defaultDecimals = {
+    number: 2, integer: 0, percentage: 2, scientific: 2,
+    currency: ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2
+  };
+  defaultDecimals.accounting = defaultDecimals.currency;
+
+  const decimals = params.decimals !== undefined && params.decimals !== null
+    ? Math.max(0, Math.min(10, parseInt(params.decimals, 10) || 0))
+    : defaultDecimals[format];
+  const fraction = decimals > 0 ? '.' + '0'.repeat(decimals) : '';
+  const digits = (params.thousandsSeparator === false ? '0' : '#,##0') + fraction + (SCALE_SUFFIXES[params.scale] || '');
+
+  switch (format) {
+    case 'number':
+    case 'integer':
+      return digits;
+    case 'currency':
+    case 'accounting': {
+      const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+      const quoted = /^[$]$/.test(symbol) ? symbol : `"${symbol}"`;
+      const amount = SUFFIX_CURRENCIES.includes(currency) ? `${digits}${quoted}` : `${quoted}${digits}`;
+      return format === 'accounting' ? `${amount};(${amount})` : amount;
+    }
+    case 'percentage':
+      return `0${fraction}%`;
+    case 'scientific':
+      return `0${fraction}E+00`;
+    case 'date':
+      return 'yyyy-mm-dd';
+    case 'datetime':
+      return 'yyyy-mm-dd hh:mm';
+    case 'time':
+      return 'hh:mm';
+    case 'text':
+      return '@';
+    default:
+      throw new Error(`Unknown number format: ${params.format}`);
+  }
+}
+
+function getFormatRange(sheet, params) {
+  if (params.range) return sheet.getRange(params.range);
+
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) throw new Error('There is no data to format');
+  if (params.column) return sheet.getRange(startRow, columnLetterToIndex(params.column), lastRow - startRow + 1, 1);
+  return sheet.getRange(startRow, 1, lastRow - startRow + 1, sheet.getLastColumn());
+}
+
+// ============================================================
+// CLEANING (CLEAN_DATA)
+// ============================================================
+
+const DEFAULT_DATE_FORMAT = 'yyyy-mm-dd';
+
+// Fuzzy dedupe compares every new row with the rows kept so far; above this many
+// comparisons it only matches on normalized text
+const FUZZY_MAX_COMPARISONS = 250000;
+
+const MONTH_INDEX = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+function cleanData(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+
+  switch (params.operation) {
+    case 'remove_duplicates':
+      return removeDuplicateRows(sheet, params);
+    case 'split_column':
+      return splitColumn(sheet, params);
+    case 'merge_columns':
+      return mergeColumns(sheet, params);
+    case 'regex_extract':
+      if (params.newColumnName) return extractToNewColumn(sheet, params);
+      break;
+  }
+
+  const { range, original, cleaned, note } = computeCleanedColumn(sheet, params);
+  if (!range) return `No data to clean in column ${params.column}`;
+
+  const changed = countChangedCells(original, cleaned);
+  range.setValues(cleaned);
+  if (params.operation === 'standardize_dates') {
+    range.setNumberFormat(params.format || DEFAULT_DATE_FORMAT);
+  }
+  return `Cleaned column ${params.column} (${params.operation}): ${changed} cells changed${note ? `. ${note}` : ''}`;
+}
+
+function countChangedCells(original, updated) {
+  let changed = 0;
+  original.forEach(([before], i) => {
+    const after = updated[i][0];
+    const beforeKey = before instanceof Date ? before.getTime() : before;
+    const afterKey = after instanceof Date ? after.getTime() : after;
+    if (beforeKey !== afterKey) changed++;
+  });
+  return changed;
+}
+
+function computeCleanedColumn(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const lastRow = sheet.getLastRow();
+  const startRow = getDataStartRow(sheet);
+  if (lastRow < startRow) return { range: null, original: [], cleaned: [] };
+
+  const range = sheet.getRange(startRow, col, lastRow - startRow + 1, 1);
+  const checkValues = range.getValues();
+  const isBlank = v => v === '' || v === null;
+
+  let cleaned;
+  let note = '';
+  switch (params.operation) {
+    case 'trim':
+    case 'trim_whitespace':
+      cleaned = checkValues.map(([v]) => [typeof v === 'string' ? v.trim() : v]);
+      break;
+    case 'normalize_whitespace':
+      cleaned = checkValues.map(([v]) => [typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : v]);
+      break;
+    case 'uppercase':
+    case 'lowercase':
+    case 'change_case': {
+      const mode = params.operation === 'change_case' ? (params.case || 'lower') : params.operation.replace('case', '');
+      cleaned = checkValues.map(([v]) => [typeof v === 'string' ? changeCase(v, mode) : v]);
+      break;
+    }
+    case 'convert_to_number':
+      cleaned = checkValues.map(([v]) => {
+        const num = parseFloat(String(v).replace(/[$,]/g, ''));
+        return [isNaN(num) ? v : num];
+      });
+      break;
+    case 'fill_missing_values': {
+      const filled = fillMissingValues(checkValues.map(([v]) => v), params);
+      cleaned = filled.values.map(v => [v]);
+      note = filled.note;
+      break;
+    }
+    case 'standardize_dates': {
+      const raw = checkValues.map(([v]) => v);
+      const dayFirst = params.dayFirst !== undefined ? params.dayFirst : inferDayFirst(raw);
+      let unparsed = 0;
+      cleaned = raw.map(v => {
+        if (isBlank(v)) return [v];
+        const date = parseDateValue(v, dayFirst);
+        if (!date) unparsed++;
+        return [date || v];
+      });
+      if (unparsed > 0) note = `${unparsed} values could not be read as dates and were left unchanged`;
+      break;
+    }
+    case 'regex_replace': {
+      const regex = buildRegex(params.pattern, params.flags || 'g');
+      cleaned = checkValues.map(([v]) => {
+        if (isBlank(v)) return [v];
+        const replaced = String(v).replace(regex, params.replacement || '');
+        return [replaced === String(v) ? v : replaced];
+      });
+      break;
+    }
+    case 'regex_extract':
+      cleaned = extractMatches(checkValues.map(([v]) => v), params).map(v => [v]);
+      break;
+    default:
+      throw new Error(`Unsupported cleaning operation: ${params.operation}`);
+  }
+
+  return { range, original: checkValues, cleaned, note };
+}
+
+function changeCase(text, mode) {
+  switch (mode) {
+    case 'upper': return text.toUpperCase();
+    case 'title': return text.toLowerCase().replace(/(^|[\s\-'(])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+    case 'sentence': return text.toLowerCase().replace(/(^\s*|[.!?]\s+)(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+    default: return text.toLowerCase();
+  }
+}
+
+function buildRegex(pattern, flags) {
+  try {
+    return new RegExp(pattern, flags);
+  } catch (e) {
+    throw new Error(`Invalid pattern "${pattern}": ${e.message}`);
+  }
+}
+
+function extractMatches(values, params) {
+  const regex = buildRegex(params.pattern, (params.flags || '').replace('g', ''));
+  return values.map(v => {
+    if (v === '' || v === null) return v;
+    const match = String(v).match(regex);
+    if (!match) return '';
+    const group = params.group !== undefined ? params.group : (match.length > 1 ? 1 : 0);
+    return match[group] !== undefined ? match[group] : '';
+  });
+}
+
+function fillMissingValues(values, params) {
+  const isBlank = v => v === '' || v === null;
+  const present = values.filter(v => !isBlank(v));
+  const nums = present.filter(v => typeof v === 'number');
+  const isNumeric = present.length > 0 && nums.length / present.length >= 0.8;
+
+  let strategy = params.strategy;
+  if (!strategy) {
+    strategy = params.fillValue !== undefined && params.fillValue !== null ? 'value' : (isNumeric ? 'median' : 'mode');
+  }
+
+  if (strategy === 'forward' || strategy === 'backward') {
+    const ordered = strategy === 'forward' ? values.slice() : values.slice().reverse();
+    let last = null;
+    const filled = ordered.map(v => {
+      if (!isBlank(v)) {
+        last = v;
+        return v;
+      }
+      return last !== null ? last : v;
+    });
+    return { values: strategy === 'forward' ? filled : filled.reverse(), note: `Filled from the ${strategy === 'forward' ? 'previous' : 'next'} value` };
+  }
+
+  let fill;
+  let note = '';
+  switch (strategy) {
+    case 'mean': {
+      if (!isNumeric) throw new Error('Mean fill needs a numeric column');
+      const { kept, outliers } = excludeOutliers(nums);
+      fill = kept.reduce((a, b) => a + b, 0) / kept.length;
+      fill = Math.round(fill * 100) / 100;
+      note = `Filled with the mean ${fill}${outliers > 0 ? ` (${outliers} outliers excluded)` : ''}`;
+      break;
+    }
+    case 'median': {
+      if (!isNumeric) throw new Error('Median fill needs a numeric column');
+      fill = median(nums);
+      note = `Filled with the median ${fill}`;
+      break;
+    }
+    case 'mode': {
+      const counts = {};
+      present.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+      const top = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+      fill = present.find(v => String(v) === top);
+      note = `Filled with the most common value "${fill}"`;
+      break;
+    }
+    default:
+      fill = params.fillValue !== undefined && params.fillValue !== null ? params.fillValue : 0;
+  }
+  if (fill === undefined) return { values: values, note: 'No values to fill from' };
+
+  return { values: values.map(v => (isBlank(v) ? fill : v)), note: note };
+}
+
+function median(nums) {
+  const sorted = nums.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function excludeOutliers(nums) {
+  if (nums.length < 4) return { kept: nums, outliers: 0 };
+  const sorted = nums.slice().sort((a, b) => a - b);
+  const q1 = sorted[Math.floor((sorted.length - 1) * 0.25)];
+  const q3 = sorted[Math.floor((sorted.length - 1) * 0.75)];
+  const iqr = q3 - q1;
+  const kept = nums.filter(n => n >= q1 - 1.5 * iqr && n <= q3 + 1.5 * iqr);
+  return { kept: kept, outliers: nums.length - kept.length };
+}
+
+function inferDayFirst(values) {
+  return values.some(v => {
+    const match = typeof v === 'string' && v.trim().match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-]\d{2,4}$/);
+    return match && Number(match[1]) > 12;
+  });
+}
+
+function parseDateValue(value, dayFirst) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') {
+    // Sheets serial day numbers (1955-2119); other numbers are not dates
+    return value > 20000 && value < 80000 ? new Date(1899, 11, 30 + Math.floor(value)) : null;
+  }
+
+  const text = String(value).trim();
+  const fullYear = y => (y.length <= 2 ? (Number(y) < 50 ? 2000 : 1900) + Number(y) : Number(y));
+  let year, month, day, match;
+
+  if ((match = text.match(/^(\d{4})[\-\/.](\d{1,2})[\-\/.](\d{1,2})(?:[T\s].*)?$/))) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else if ((match = text.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2,4})$/))) {
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    const useDayFirst = first > 12 || (dayFirst && second <= 12);
+    [day, month] = useDayFirst ? [first, second] : [second, first];
+    year = fullYear(match[3]);
+  } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s\-]+([A-Za-z]{3,})\.?[\s\-,]+(\d{2,4})$/))) {
+    [day, month, year] = [Number(match[1]), monthFromName(match[2]), fullYear(match[3])];
+  } else if ((match = text.match(/^([A-Za-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{2,4})$/))) {
+    [month, day, year] = [monthFromName(match[1]), Number(match[2]), fullYear(match[3])];
+  } else {
+    return null;
+  }
+
+  if (!month || month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : null;
+}
+
+function monthFromName(name) {
+  const index = MONTH_INDEX[name.toLowerCase().slice(0, 3)];
+  return index === undefined ? null : index + 1;
+}
+
+function duplicateKey(value, fuzzy) {
+  if (value instanceof Date) return String(value.getTime());
+  let key = String(value).trim().toLowerCase();
+  if (fuzzy) {
+    key = key.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+  return key;
+}
+
+function similarity(a, b) {
+  if (a === b) return 1;
+  const longer = Math.max(a.length, b.length);
+  if (longer === 0) return 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / longer;
+}
+
+function findDuplicateRows(sheet, params) {
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  const totalDataRows = lastRow - startRow + 1;
+  if (totalDataRows <= 0) {
+    return { startRow, totalDataRows: 0, rowsToDelete: [], impactPercent: 0, fuzzyLimited: false };
+  }
+
+  const columns = (params.columns && params.columns.length > 0 ? params.columns : (params.column ? [params.column] : []))
+    .map(columnLetterToIndex);
+  const keyColumns = columns.length > 0 ? columns : Array.from({ length: lastCol }, (_, i) => i + 1);
+  const values = sheet.getRange(startRow, 1, totalDataRows, lastCol).getValues();
+
+  const fuzzy = Boolean(params.fuzzy);
+  const threshold = params.threshold !== undefined ? Number(params.threshold) : 1;
+  const compareNearMatches = fuzzy && threshold < 1 && totalDataRows * totalDataRows / 2 <= FUZZY_MAX_COMPARISONS;
+
+  const order = values.map((row, i) => i);
+  if (params.keep === 'last') order.reverse();
+
+  const seen = new Set();
+  const keptKeys = [];
+  const rowsToDelete = [];
+  order.forEach(i => {
+    const key = keyColumns.map(c => duplicateKey(values[i][c - 1], fuzzy)).join('\u0001');
+    const isDuplicate = seen.has(key) || (compareNearMatches && keptKeys.some(kept => similarity(kept, key) >= threshold));
+    if (isDuplicate) {
+      rowsToDelete.push(startRow + i);
+    } else {
+      seen.add(key);
+      keptKeys.push(key);
+    }
+  });
+
+  const impactPercent = (rowsToDelete.length / totalDataRows * 100).toFixed(1);
+  return {
+    startRow, totalDataRows, rowsToDelete, impactPercent,
+    fuzzyLimited: fuzzy && threshold < 1 && !compareNearMatches
+  };
+}
+
+function removeDuplicateRows(sheet, params) {
+  const { rowsToDelete, impactPercent, fuzzyLimited } = findDuplicateRows(sheet, params);
+  if (rowsToDelete.length === 0) return 'No duplicate rows found';
+
+  const cellsRemoved = rowsToDelete.length * sheet.getLastColumn();
+  sheet.removeRows(rowsToDelete);
+
+  const columns = params.columns && params.columns.length > 0 ? `columns ${params.columns.join(', ')}` : 'all columns';
+  let resultMsg = `Removed ${rowsToDelete.length} duplicate rows (${impactPercent}% of data, ${cellsRemoved} cells) comparing ${columns}`;
+  if (fuzzyLimited) resultMsg += '. The sheet is too large for near-match comparison, so only normalized exact matches were removed';
+  return resultMsg;
+}
+
+function splitColumn(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  const names = params.newColumnNames && params.newColumnNames.length > 0
+    ? params.newColumnNames
+    : [`${params.column} 1`, `${params.column} 2`];
+
+  const delimiter = params.delimiter !== undefined ? params.delimiter : ',';
+  const source = lastRow < startRow ? [] : sheet.getRange(startRow, col, lastRow - startRow + 1, 1).getValues();
+  let cellsWritten = 0;
+  const rows = source.map(([v]) => {
+    const parts = v === '' || v === null ? [] : String(v).split(delimiter).map(part => part.trim());
+    const head = parts.slice(0, names.length - 1);
+    const tail = parts.slice(names.length - 1).join(delimiter);
+    const row = names.map((_, i) => (i < names.length - 1 ? (head[i] !== undefined ? head[i] : '') : tail));
+    cellsWritten += row.filter(cell => cell !== '').length;
+    return row;
+  });
+
+  sheet.insertColumnsAfter(col, names.length);
+  sheet.getRange(startRow - 1, col + 1, 1, names.length).setValues([names]);
+  if (rows.length > 0) sheet.getRange(startRow, col + 1, rows.length, names.length).setValues(rows);
+
+  return `Split column ${params.column} into ${names.length} new columns (${names.join(', ')}): ${cellsWritten} cells written`;
+}
+
+function mergeColumns(sheet, params) {
+  const columns = (params.columns || []).map(columnLetterToIndex);
+  if (columns.length < 2) throw new Error('Merging needs at least two columns');
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  const insertAfter = Math.max(...columns);
+  const separator = params.separator !== undefined ? params.separator : ' ';
+
+  const values = lastRow < startRow ? [] : sheet.getRange(startRow, 1, lastRow - startRow + 1, insertAfter).getValues();
+  const merged = values.map(row => [columns
+    .map(c => row[c - 1])
+    .filter(v => v !== '' && v !== null)
+    .map(v => (v instanceof Date ? formatDate(v) : String(v)))
+    .join(separator)]);
+  const cellsWritten = merged.filter(([v]) => v !== '').length;
+  const name = params.newColumnName || params.columns.join(' + ');
+
+  sheet.insertColumnAfter(insertAfter);
+  sheet.getRange(startRow - 1, insertAfter + 1).setValue(name);
+  if (merged.length > 0) sheet.getRange(startRow, insertAfter + 1, merged.length, 1).setValues(merged);
+
+  return `Merged columns ${params.columns.join(', ')} into "${name}": ${cellsWritten} cells written`;
+}
+
+function extractToNewColumn(sheet, params) {
+  const col = columnLetterToIndex(params.column);
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+
+  sheet.insertColumnAfter(col);
+  sheet.getRange(startRow - 1, col + 1).setValue(params.newColumnName);
+  if (lastRow < startRow) return `Added empty column "${params.newColumnName}"`;
+
+  const source = sheet.getRange(startRow, col, lastRow - startRow + 1, 1).getValues().map(([v]) => v);
+  const extracted = extractMatches(source, params);
+  sheet.getRange(startRow, col + 1, extracted.length, 1).setValues(extracted.map(v => [v]));
+
+  const written = extracted.filter(v => v !== '' && v !== null).length;
+  return `Extracted matches of ${params.pattern} from column ${params.column} into "${params.newColumnName}": ${written} cells written`;
+}
+
+// ============================================================
+// CALCULATIONS & ANSWERS
+// ============================================================
+
+function aggregate(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const lastRow = sheet.getLastRow();
+  const startRow = detectHeaderRow(readHeaderArea(sheet)) + 2;
+  const colLetter = params.column;
+
+  const formula = {
+    'sum': `=SUM(${colLetter}${startRow}:${colLetter}${lastRow})`,
+    'average': `=AVERAGE(${colLetter}${startRow}:${colLetter}${lastRow})`,
+    'count': `=COUNT(${colLetter}${startRow}:${colLetter}${lastRow})`,
+    'min': `=MIN(${colLetter}${startRow}:${colLetter}${lastRow})`,
+    'max': `=MAX(${colLetter}${startRow}:${colLetter}${lastRow})`
+  }[params.operation];
+  if (!formula) throw new Error(`Unsupported aggregation: ${params.operation}`);
+
+  sheet.getRange(params.targetCell).setFormula(formula);
+  return `Added ${params.operation} formula at ${params.targetCell}`;
+}
+
+/**
+ * Evaluates a formula and returns "RESULT: <label>: <value>", formatted as in Code.gs.
+ * The formula is evaluated in place of a cell below the data rather than written to one.
+ */
+function queryValue(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const value = ss.evaluate(sheet, params.formula, sheet.getMaxRows(), sheet.getMaxColumns());
+  if (value instanceof FormulaError) throw new Error(`Calculation error: ${value.code} ${value.message !== value.code ? value.message : ''}`.trim());
+
+  let formattedValue = value === null ? '' : value;
+  if (typeof value === 'number') {
+    if (value === 0) {
+      formattedValue = '0';
+    } else if (Math.abs(value) > 1000) {
+      formattedValue = value.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+    } else {
+      formattedValue = value.toFixed(2).replace(/\.?0+$/, '');
+      if (formattedValue === '' || formattedValue === '-') formattedValue = '0';
+    }
+  } else if (typeof value === 'boolean') {
+    formattedValue = value ? 'TRUE' : 'FALSE';
+  }
+
+  const label = params.label ? `${params.label}: ` : '';
+  return `RESULT: ${label}${formattedValue}`;
+}
+
+/**
+ * Reads the planned columns and answers the question through context.insight
+ * (the /insight statistics engine). Returns "INSIGHT: <answer>" with the cited facts.
+ */
+async function analyzeData(ss, params, context) {
+  if (!context.insight) throw new Error('Data analysis is not available here');
+  const sheet = getTargetSheet(ss, params);
+  const startRow = getDataStartRow(sheet);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) throw new Error('There is no data to analyze');
+
+  const numRows = Math.min(lastRow - startRow + 1, params.maxRows || lastRow);
+  const headerValues = sheet.getRange(startRow - 1, 1, 1, sheet.getLastColumn()).getValues()[0];
+
+  const columns = (params.columns || []).map(col => {
+    const index = columnLetterToIndex(col.column);
+    const values = sheet.getRange(startRow, index, numRows, 1).getValues().map(([v]) => (v instanceof Date ? formatDate(v) : v));
+    return { column: col.column, name: String(headerValues[index - 1] || `Column ${col.column}`), role: col.role, values: values };
+  });
+
+  const response = await context.insight({ question: params.question, columns: columns, firstRow: startRow });
+  if (!response.success) throw new Error(response.error || 'Insight request failed');
+
+  let result = `INSIGHT: ${response.answer}`;
+  if (response.facts && response.facts.length > 0) {
+    result += `\n\nBased on:\n${response.facts.map(f => `• [${f.id}] ${f.text}`).join('\n')}`;
+  }
+  if (numRows < lastRow - startRow + 1) {
+    result += `\n\n(Analyzed the first ${numRows} of ${lastRow - startRow + 1} rows.)`;
+  }
+  return result;
+}
+
+function yoyCalculation(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const lastCol = sheet.getLastColumn();
+  const lastRow = sheet.getLastRow();
+  const headerRow = detectHeaderRow(readHeaderArea(sheet)) + 1;
+  const startRow = headerRow + 1;
+
+  sheet.getRange(headerRow, lastCol + 1).setValue(params.newColumnName || 'YoY Growth %');
+
+  // One relative R1C1 formula fills the whole column: this row vs the row above
+  if (lastRow > startRow) {
+    const v = `C${columnLetterToIndex(params.valueColumn)}`;
+    const range = sheet.getRange(startRow + 1, lastCol + 1, lastRow - startRow, 1);
+    range.setFormulaR1C1(`=IF(R[-1]${v}<>0,(R[0]${v}-R[-1]${v})/R[-1]${v}*100,0)`);
+    range.setNumberFormat('0.00"%"');
+  }
+  return 'Added YoY Change column';
+}
+
+function addColumn(ss, params) {
+  const sheet = getTargetSheet(ss, params);
+  const refCol = params.referenceColumn ? columnLetterToIndex(params.referenceColumn) : sheet.getLastColumn();
+  const position = params.position || 'after';
+
+  let newColIndex;
+  if (position === 'after') {
+    sheet.insertColumnAfter(refCol);
+    newColIndex = refCol + 1;
+  } else {
+    sheet.insertColumnBefore(refCol);
+    newColIndex = refCol;
+  }
+
+  const values = readHeaderArea(sheet);
+  const headerRowIndex = detectHeaderRow(values);
+  const headerRow = headerRowIndex + 1;
+  const startRow = headerRow + 1;
+
+  sheet.getRange(headerRow, newColIndex).setValue(params.columnName);
+
+  if (params.formula) {
+    const lastRow = sheet.getLastRow();
+    const headers = values[headerRowIndex];
+    const baseRow = detectFormulaBaseRow(params.formula);
+
+    const formulas = [];
+    for (let row = startRow; row <= lastRow; row++) {
+      let formula = params.formula;
+      // Column names in brackets ([Price]*[Qty]) become this row's cells
+      if (headers) {
+        headers.forEach((h, i) => {
+          if (h) formula = formula.split(`[${h}]`).join(`${columnIndexToLetter(i + 1)}${row}`);
+        });
+      }
+      formulas.push([shiftFormulaRow(formula, baseRow, row)]);
+    }
+    if (formulas.length > 0) sheet.getRange(startRow, newColIndex, formulas.length, 1).setFormulas(formulas);
+  }
+
+  return `Added column "${params.columnName}" at index ${newColIndex}`;
+}
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+function getTargetSheet(ss, params) {
+  if (params && params.sheetName) {
+    const sheet = ss.getSheetByName(params.sheetName);
+    if (!sheet) throw new Error(`Sheet "${params.sheetName}" not found`);
+    return sheet;
+  }
+  return ss.getActiveSheet();
+}
+
+/**
+ * Re-targets a formula written for one row to another row, e.g. "=H2*10" -> "=H7*10".
+ * Quoted text is left untouched.
+ */
+function shiftFormulaRow(formula, baseRow, row) {
+  const rowRegex = new RegExp(`(?<![A-Za-z$])(\\$?[A-Za-z]{1,3})${baseRow}\\b(?!\\()`, 'g');
+  return formula
+    .split(/('(?:[^']|'')*'|"(?:[^"]|"")*")/)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(rowRegex, `$1${row}`)))
+    .join('');
+}
+
+function detectFormulaBaseRow(formula) {
+  const unquoted = formula.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"/g, '');
+  const rowMatch = unquoted.match(/(?<![A-Za-z$])\$?[A-Za-z]{1,3}(\d+)\b(?!\()/);
+  return rowMatch ? rowMatch[1] : '1';
+}
+
+// yyyy-MM-dd, as Code.gs formats dates for merges and /insight
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+  SHEETS_ONLY_ACTIONS,
+  executePlan
+};
@@ -0,0 +1,223 @@
+/**
+ * Reads CSV/XLSX files into a Workbook and writes them back, using SheetJS (xlsx).
+ * CSV holds one sheet (named after the file) and is written as computed values;
+ * XLSX keeps every sheet, with formulas and their computed values.
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+const { Workbook, DATE_FORMAT } = require('./sheet');
+const { FormulaError, tokenize, columnLetter, dateToSerial, serialToDate } = require('./formula');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Number format given to dates that have none, and used for dates in CSV output
+const DEFAULT_DATE_FORMAT = 'yyyy-mm-dd';
+
+// Functions newer than the XLSX format, which Excel stores with these prefixes and shows as #NAME? without them
+const EXCEL_PREFIXES = {
+  CONCAT: '_xlfn.',
+  FILTER: '_xlfn._xlws.',
+  IFNA: '_xlfn.',
+  IFS: '_xlfn.',
+  LET: '_xlfn.',
+  MAXIFS: '_xlfn.',
+  MINIFS: '_xlfn.',
+  SORT: '_xlfn._xlws.',
+  TEXTJOIN: '_xlfn.',
+  UNIQUE: '_xlfn.',
+  XLOOKUP: '_xlfn.'
+};
+
+// SheetJS error cell codes
+const ERROR_CODES = { '#NULL!': 0x00, '#DIV/0!': 0x07, '#VALUE!': 0x0F, '#REF!': 0x17, '#NAME?': 0x1D, '#NUM!': 0x24, '#N/A': 0x2A };
+
+/**
+ * File format from an explicit format or the file name's extension
+ */
+function detectFormat(filename, format) {
+  const detected = String(format || path.extname(filename || '').slice(1)).toLowerCase();
+  if (!FORMATS.includes(detected)) {
+    throw new Error(`Unsupported file type "${detected || filename}". Use ${FORMATS.join(' or ')}.`);
+  }
+  return detected;
+}
+
+/**
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - { filename, format, sheetName }: sheetName picks the active sheet
+ * @returns {Workbook}
+ */
+function readWorkbook(buffer, { filename, format, sheetName } = {}) {
+  const type = detectFormat(filename, format);
+  const book = type === 'csv'
+    ? XLSX.read(buffer, { type: 'buffer', cellDates: true, codepage: 65001 })
+    : XLSX.read(buffer, { type: 'buffer', cellFormula: true, cellNF: true, xlfn: true });
+
+  const workbook = new Workbook();
+  book.SheetNames.forEach((name, i) => {
+    // Sheets names an imported CSV's tab after the file
+    const tabName = type === 'csv' && filename ? path.basename(filename, path.extname(filename)) : name;
+    const sheet = workbook.insertSheet(tabName || `Sheet${i + 1}`);
+    copyCells(book.Sheets[name], sheet);
+  });
+  if (workbook.getSheets().length === 0) workbook.insertSheet('Sheet1');
+
+  const active = sheetName ? workbook.getSheetByName(sheetName) : workbook.getSheets()[0];
+  if (!active) throw new Error(`Sheet "${sheetName}" not found in ${filename || 'the file'}`);
+  workbook.setActiveSheet(active);
+  return workbook;
+}
+
+function copyCells(worksheet, sheet) {
+  if (!worksheet || !worksheet['!ref']) return;
+  const bounds = XLSX.utils.decode_range(worksheet['!ref']);
+  for (let r = bounds.s.r; r <= bounds.e.r; r++) {
+    for (let c = bounds.s.c; c <= bounds.e.c; c++) {
+      const source = worksheet[XLSX.utils.encode_cell({ r, c })];
+      if (!source) continue;
+      const cell = sheet.cellFor(r + 1, c + 1);
+      if (source.f) cell.f = `=${fromExcelFormula(source.f)}`;
+      else cell.v = readValue(source);
+      if (source.z && source.z !== 'General') cell.z = source.z;
+    }
+  }
+}
+
+function readValue(source) {
+  switch (source.t) {
+    case 'd':
+      // SheetJS parses CSV dates at UTC midnight; keep the calendar date
+      return new Date(source.v.getUTCFullYear(), source.v.getUTCMonth(), source.v.getUTCDate(),
+        source.v.getUTCHours(), source.v.getUTCMinutes(), source.v.getUTCSeconds());
+    case 'n':
+      return source.z && XLSX.SSF.is_date(source.z) ? serialToDate(source.v) : source.v;
+    case 'e':
+      return source.w || '#N/A';
+    case 'z':
+      return '';
+    default:
+      return source.v;
+  }
+}
+
+// Formula as the evaluator reads it (read with xlfn: true, so text in quotes keeps its prefixes)
+function fromExcelFormula(formula) {
+  return formula
+    .split(/("(?:[^"]|"")*")/)
+    .map((part, i) => (i % 2 ? part : part.replace(/_xl(?:fn|ws|pm)\./gi, '')))
+    .join('');
+}
+
+/**
+ * Formula as Excel stores it: newer functions prefixed (EXCEL_PREFIXES), LET names with _xlpm.
+ */
+function toExcelFormula(formula) {
+  let tokens;
+  try {
+    tokens = tokenize(formula);
+  } catch (e) {
+    return formula.replace(/^=/, '');
+  }
+
+  // LET names are the even arguments of LET that are followed by a value
+  const calls = [];
+  const letNames = new Set();
+  tokens.forEach((token, i) => {
+    const call = calls[calls.length - 1];
+    if (token.type === '(') calls.push({ name: tokens[i - 1]?.type === 'function' ? tokens[i - 1].value : null, arg: 0 });
+    else if (token.type === ')') calls.pop();
+    else if (token.type === ',' && call) call.arg++;
+    else if (token.type === 'name' && call?.name === 'LET' && call.arg % 2 === 0 && tokens[i + 1]?.type === ',') letNames.add(token.value);
+  });
+
+  let text = formula;
+  tokens.slice().reverse().forEach(token => {
+    const prefix = token.type === 'function' ? EXCEL_PREFIXES[token.value]
+      : token.type === 'name' && letNames.has(token.value) ? '_xlpm.' : null;
+    if (prefix) text = text.slice(0, token.start) + prefix + text.slice(token.start);
+  });
+  return text.replace(/^=/, '');
+}
+
+/**
+ * @param {Workbook} workbook
+ * @param {string} format - "csv" (one sheet) or "xlsx"
+ * @param {object} options - { sheetName }: the sheet written as CSV, the active one by default
+ * @returns {Buffer}
+ */
+function writeWorkbook(workbook, format, { sheetName } = {}) {
+  workbook.recalculate();
+  if (format === 'csv') {
+    const sheet = sheetName ? workbook.getSheetByName(sheetName) : workbook.getActiveSheet();
+    if (!sheet) throw new Error(`Sheet "${sheetName}" not found`);
+    return Buffer.from(toCsv(sheet), 'utf8');
+  }
+
+  const book = XLSX.utils.book_new();
+  workbook.getSheets().forEach(sheet => XLSX.utils.book_append_sheet(book, toWorksheet(sheet), sheet.getName()));
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function toWorksheet(sheet) {
+  const worksheet = {};
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  for (let r = 1; r <= lastRow; r++) {
+    for (let c = 1; c <= lastCol; c++) {
+      const cell = sheet.cellAt(r, c);
+      if (!cell || (!cell.f && (cell.v === '' || cell.v === null))) continue;
+      const value = cell.f ? sheet.workbook.readCell(sheet, r, c) : cell.v;
+      const target = toXlsxCell(value, cell.z);
+      if (cell.f) target.f = toExcelFormula(cell.f);
+      worksheet[`${columnLetter(c)}${r}`] = target;
+    }
+  }
+  worksheet['!ref'] = `A1:${columnLetter(Math.max(lastCol, 1))}${Math.max(lastRow, 1)}`;
+  return worksheet;
+}
+
+function toXlsxCell(value, format) {
+  const z = format ? { z: format } : {};
+  if (value instanceof FormulaError) return { t: 'e', v: ERROR_CODES[value.code] !== undefined ? ERROR_CODES[value.code] : ERROR_CODES['#N/A'], w: value.code };
+  if (value instanceof Date) return { t: 'n', v: dateToSerial(value), z: format || DEFAULT_DATE_FORMAT };
+  if (typeof value === 'number') return { t: 'n', v: value, ...z };
+  if (typeof value === 'boolean') return { t: 'b', v: value };
+  if (value === null || value === undefined) return { t: 's', v: '' };
+  return { t: 's', v: String(value) };
+}
+
+/**
+ * The active sheet as CSV text: computed values, dates as yyyy-mm-dd
+ */
+function toCsv(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  if (lastRow === 0 || lastCol === 0) return '';
+  return sheet.getRange(1, 1, lastRow, lastCol).getValues()
+    .map((row, r) => row.map((value, c) => csvField(formatForCsv(value, (sheet.cellAt(r + 1, c + 1) || {}).z))).join(','))
+    .join('\n') + '\n';
+}
+
+function formatForCsv(value, format) {
+  if (typeof value === 'number' && format && DATE_FORMAT.test(format)) value = serialToDate(value);
+  if (value instanceof Date) {
+    const pad = n => String(n).padStart(2, '0');
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    const hasTime = value.getHours() || value.getMinutes() || value.getSeconds();
+    return hasTime ? `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}` : date;
+  }
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function csvField(text) {
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  readWorkbook,
+  writeWorkbook
+};
@@ -0,0 +1,1112 @@
+/**
+ * Formula engine for the headless executor.
+ * Parses Google Sheets formulas and evaluates them against a Workbook (see sheet.js).
+ * Covers the functions builders.js emits (*IFS with OR arrays, FILTER, SORTN, LET,
+ * TEXTJOIN, XLOOKUP, ...) and the common row-wise ones plans write (IF, ROUND, LEFT, ...).
+ *
+ * Every operator and scalar function works element-wise on arrays, as under ARRAYFORMULA;
+ * a cell shows the top-left value of an array result. Dates are sheet serial numbers.
+ */
+
+// ============================================================
+// VALUES
+// ============================================================
+
+class FormulaError {
+  constructor(code, message) {
+    this.code = code;
+    this.message = message || code;
+  }
+
+  toString() {
+    return this.code;
+  }
+}
+
+const ERRORS = {
+  na: (message) => new FormulaError('#N/A', message),
+  value: (message) => new FormulaError('#VALUE!', message),
+  div0: () => new FormulaError('#DIV/0!', 'Division by zero'),
+  ref: (message) => new FormulaError('#REF!', message),
+  name: (message) => new FormulaError('#NAME?', message),
+  num: (message) => new FormulaError('#NUM!', message)
+};
+
+// A block of cells: { sheet, top, left, bottom, right } (1-based, inclusive)
+class RangeRef {
+  constructor(sheet, top, left, bottom, right) {
+    Object.assign(this, { sheet, top, left, bottom, right });
+  }
+}
+
+// Sheet serial day 0 is 1899-12-30
+const SERIAL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dateToSerial(date) {
+  const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+  return (utc - SERIAL_EPOCH_UTC) / DAY_MS;
+}
+
+function serialToDate(serial) {
+  const utc = new Date(SERIAL_EPOCH_UTC + Math.round(serial * DAY_MS));
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+}
+
+const isBlank = v => v === null || v === undefined || v === '';
+const isArray = v => Array.isArray(v) || v instanceof RangeRef;
+
+// ============================================================
+// TOKENIZER
+// ============================================================
+
+const SHEET_PREFIX = /^(?:'((?:[^']|'')+)'|([A-Za-z_][A-Za-z0-9_.]*))!/;
+// B2, $B$2:C10, B2:B (open-ended), B:C
+const REFERENCE = /^(\$?)([A-Za-z]{1,3})(?:(\$?)(\d+)(?::(\$?)([A-Za-z]{1,3})(?:(\$?)(\d+))?)?|:(\$?)([A-Za-z]{1,3}))(?![A-Za-z0-9_(])/;
+const NUMBER = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const NAME = /^[A-Za-z_][A-Za-z0-9_.]*/;
+const ERROR_LITERAL = /^#(N\/A|VALUE!|REF!|DIV\/0!|NUM!|NAME\?|NULL!)/i;
+const OPERATORS = ['<=', '>=', '<>', '+', '-', '*', '/', '^', '&', '=', '<', '>', '%'];
+
+function tokenize(formula) {
+  const text = String(formula).replace(/^=/, '');
+  const offset = String(formula).length - text.length;
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const start = i + offset;
+    let match;
+
+    if (/^\s/.test(rest)) {
+      i++;
+      continue;
+    }
+    if (rest[0] === '"') {
+      let j = 1;
+      let value = '';
+      while (j < rest.length) {
+        if (rest[j] === '"' && rest[j + 1] === '"') {
+          value += '"';
+          j += 2;
+        } else if (rest[j] === '"') {
+          break;
+        } else {
+          value += rest[j++];
+        }
+      }
+      if (j >= rest.length) throw ERRORS.value('Unterminated text in formula');
+      tokens.push({ type: 'string', value, start, end: start + j + 1 });
+      i += j + 1;
+      continue;
+    }
+    if ((match = rest.match(ERROR_LITERAL))) {
+      tokens.push({ type: 'error', value: match[0].toUpperCase(), start, end: start + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+
+    // References, optionally on another sheet
+    const sheetMatch = rest.match(SHEET_PREFIX);
+    const refText = sheetMatch ? rest.slice(sheetMatch[0].length) : rest;
+    if ((match = refText.match(REFERENCE))) {
+      const length = (sheetMatch ? sheetMatch[0].length : 0) + match[0].length;
+      tokens.push({
+        type: 'ref',
+        sheetName: sheetMatch ? (sheetMatch[1] !== undefined ? sheetMatch[1].replace(/''/g, "'") : sheetMatch[2]) : null,
+        ref: parseReference(match),
+        start,
+        end: start + length
+      });
+      i += length;
+      continue;
+    }
+
+    if ((match = rest.match(NUMBER))) {
+      tokens.push({ type: 'number', value: Number(match[0]), start, end: start + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+    if ((match = rest.match(NAME))) {
+      const isCall = /^\s*\(/.test(rest.slice(match[0].length));
+      const upper = match[0].toUpperCase();
+      if (!isCall && (upper === 'TRUE' || upper === 'FALSE')) {
+        tokens.push({ type: 'bool', value: upper === 'TRUE', start, end: start + match[0].length });
+      } else {
+        tokens.push({ type: isCall ? 'function' : 'name', value: upper, start, end: start + match[0].length });
+      }
+      i += match[0].length;
+      continue;
+    }
+    const operator = OPERATORS.find(op => rest.startsWith(op));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, start, end: start + operator.length });
+      i += operator.length;
+      continue;
+    }
+    if ('(),;{}'.includes(rest[0])) {
+      tokens.push({ type: rest[0], value: rest[0], start, end: start + 1 });
+      i++;
+      continue;
+    }
+    throw ERRORS.value(`Unexpected "${rest[0]}" in formula`);
+  }
+  return tokens;
+}
+
+/**
+ * Reference parts from a REFERENCE match: { start: { col, row, colAbs, rowAbs }, end }.
+ * Rows are null for whole-column ends (B:B, B2:B).
+ */
+function parseReference(match) {
+  const [, startColAbs, startCol, startRowAbs, startRow, endColAbs1, endCol1, endRowAbs, endRow, endColAbs2, endCol2] = match;
+  const start = { col: columnIndex(startCol), row: startRow ? Number(startRow) : null, colAbs: Boolean(startColAbs), rowAbs: Boolean(startRowAbs) };
+  let end = null;
+  if (endCol1) end = { col: columnIndex(endCol1), row: endRow ? Number(endRow) : null, colAbs: Boolean(endColAbs1), rowAbs: Boolean(endRowAbs) };
+  else if (endCol2) end = { col: columnIndex(endCol2), row: null, colAbs: Boolean(endColAbs2), rowAbs: false };
+  return { start, end };
+}
+
+function columnIndex(letters) {
+  return String(letters).toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
+function columnLetter(index) {
+  let letter = '';
+  let n = index;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letter = String.fromCharCode(65 + rem) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+function formatReference({ start, end }) {
+  const part = p => `${p.colAbs ? '$' : ''}${columnLetter(p.col)}${p.row !== null ? `${p.rowAbs ? '$' : ''}${p.row}` : ''}`;
+  return end ? `${part(start)}:${part(end)}` : part(start);
+}
+
+// ============================================================
+// PARSER
+// ============================================================
+
+const BINARY_PRECEDENCE = { '=': 1, '<>': 1, '<': 1, '>': 1, '<=': 1, '>=': 1, '&': 2, '+': 3, '-': 3, '*': 4, '/': 4, '^': 5 };
+const UNARY_PRECEDENCE = 6;
+
+function parse(formula) {
+  const tokens = tokenize(formula);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) throw ERRORS.value(`Expected "${type}" in formula`);
+    return token;
+  };
+
+  function parseExpression(minPrecedence) {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (token && token.type === 'op' && token.value === '%') {
+        next();
+        left = { type: 'percent', operand: left };
+        continue;
+      }
+      const precedence = token && token.type === 'op' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) return left;
+      next();
+      // ^ is left-associative in Sheets too
+      const right = parseExpression(precedence + 1);
+      left = { type: 'binary', op: token.value, left, right };
+    }
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token && token.type === 'op' && (token.value === '-' || token.value === '+')) {
+      next();
+      return { type: 'unary', op: token.value, operand: parseExpression(UNARY_PRECEDENCE) };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) throw ERRORS.value('Formula ends unexpectedly');
+    switch (token.type) {
+      case 'number': return { type: 'number', value: token.value };
+      case 'string': return { type: 'string', value: token.value };
+      case 'bool': return { type: 'bool', value: token.value };
+      case 'error': return { type: 'error', value: token.value };
+      case 'ref': return { type: 'ref', sheetName: token.sheetName, ref: token.ref };
+      case 'name': return { type: 'name', name: token.value };
+      case '(': {
+        const inner = parseExpression(0);
+        expect(')');
+        return inner;
+      }
+      case '{': return parseArrayLiteral();
+      case 'function': return parseCall(token.value);
+      default:
+        throw ERRORS.value(`Unexpected "${token.value}" in formula`);
+    }
+  }
+
+  function parseCall(name) {
+    expect('(');
+    const args = [];
+    if (peek() && peek().type === ')') {
+      next();
+      return { type: 'call', name, args };
+    }
+    for (;;) {
+      const token = peek();
+      if (token && (token.type === ',' || token.type === ')')) args.push({ type: 'empty' });
+      else args.push(parseExpression(0));
+      const separator = next();
+      if (!separator) throw ERRORS.value(`Missing ")" after ${name}`);
+      if (separator.type === ')') return { type: 'call', name, args };
+      if (separator.type !== ',') throw ERRORS.value(`Unexpected "${separator.value}" in ${name}`);
+    }
+  }
+
+  // {1, 2; 3, 4}: commas separate columns, semicolons rows
+  function parseArrayLiteral() {
+    const rows = [[]];
+    for (;;) {
+      rows[rows.length - 1].push(parseExpression(0));
+      const separator = next();
+      if (!separator) throw ERRORS.value('Missing "}" in array');
+      if (separator.type === '}') break;
+      if (separator.type === ';') rows.push([]);
+      else if (separator.type !== ',') throw ERRORS.value(`Unexpected "${separator.value}" in array`);
+    }
+    return { type: 'array', rows };
+  }
+
+  const ast = parseExpression(0);
+  if (pos < tokens.length) throw ERRORS.value(`Unexpected "${tokens[pos].value}" in formula`);
+  return ast;
+}
+
+// ============================================================
+// REFERENCE REWRITING
+// ============================================================
+
+/**
+ * Rewrites every reference in a formula. mapRef receives { sheetName, ref } and returns
+ * the new ref, or null for a reference that no longer exists (#REF!). Text and function
+ * names are left as written.
+ */
+function transformReferences(formula, mapRef) {
+  let tokens;
+  try {
+    tokens = tokenize(formula);
+  } catch (e) {
+    return formula; // not a formula we can parse; leave it alone
+  }
+  let result = '';
+  let last = 0;
+  tokens.filter(t => t.type === 'ref').forEach(token => {
+    const mapped = mapRef({ sheetName: token.sheetName, ref: token.ref });
+    if (mapped === undefined) return;
+    const original = formula.slice(token.start, token.end);
+    const prefix = token.sheetName !== null ? original.slice(0, original.lastIndexOf('!') + 1) : '';
+    result += formula.slice(last, token.start) + (mapped === null ? '#REF!' : prefix + formatReference(mapped));
+    last = token.end;
+  });
+  return result + formula.slice(last);
+}
+
+/**
+ * Moves a formula by rows/columns the way copying a cell does: relative parts shift, $ parts stay
+ */
+function shiftFormula(formula, rowOffset, colOffset) {
+  if (!rowOffset && !colOffset) return formula;
+  return transformReferences(formula, ({ ref }) => {
+    const move = p => p && ({
+      ...p,
+      row: p.row === null || p.rowAbs ? p.row : p.row + rowOffset,
+      col: p.colAbs ? p.col : p.col + colOffset
+    });
+    const moved = { start: move(ref.start), end: move(ref.end) };
+    const valid = p => !p || ((p.row === null || p.row >= 1) && p.col >= 1);
+    return valid(moved.start) && valid(moved.end) ? moved : null;
+  });
+}
+
+// ============================================================
+// EVALUATION
+// ============================================================
+
+/**
+ * Evaluates a formula in the context of a cell.
+ * @param {string} formula
+ * @param {object} context - { workbook, sheet, row, col }
+ * @returns {*} number, string, boolean, null (blank) or FormulaError
+ */
+function evaluateFormula(formula, context) {
+  try {
+    const ast = context.workbook.parseCached(formula);
+    return toCellValue(evaluate(ast, { ...context, scope: new Map() }), context);
+  } catch (e) {
+    if (e instanceof FormulaError) return e;
+    throw e;
+  }
+}
+
+function toCellValue(value, context) {
+  if (value instanceof RangeRef) return toCellValue(intersect(value, context), context);
+  if (Array.isArray(value)) return toCellValue(value[0] && value[0].length > 0 ? value[0][0] : null, context);
+  return value === undefined ? null : value;
+}
+
+/**
+ * A range used where one value is expected: the cell in the formula's own row (or column)
+ * for a single column (row), otherwise the top-left cell
+ */
+function intersect(range, context) {
+  let row = range.top;
+  let col = range.left;
+  if (range.left === range.right && context.row >= range.top && context.row <= range.bottom && range.sheet === context.sheet) row = context.row;
+  if (range.top === range.bottom && context.col >= range.left && context.col <= range.right && range.sheet === context.sheet) col = context.col;
+  return range.sheet.workbook.readCell(range.sheet, row, col);
+}
+
+function evaluate(node, ctx) {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+    case 'bool':
+      return node.value;
+    case 'error':
+      return new FormulaError(node.value);
+    case 'empty':
+      return null;
+    case 'ref':
+      return resolveReference(node, ctx);
+    case 'name':
+      if (ctx.scope.has(node.name)) return ctx.scope.get(node.name);
+      throw ERRORS.name(`Unknown name "${node.name}"`);
+    case 'array':
+      return arrayLiteral(node, ctx);
+    case 'percent':
+      return map1(evaluate(node.operand, ctx), v => toNumber(v) / 100, ctx);
+    case 'unary':
+      return map1(evaluate(node.operand, ctx), v => (node.op === '-' ? -toNumber(v) : toNumber(v)), ctx);
+    case 'binary':
+      return map2(evaluate(node.left, ctx), evaluate(node.right, ctx), (a, b) => binary(node.op, a, b), ctx);
+    case 'call':
+      return callFunction(node, ctx);
+    default:
+      throw ERRORS.value(`Unsupported formula part "${node.type}"`);
+  }
+}
+
+/**
+ * {A2:A10, C2:C10} places ranges side by side; {A1; A2} stacks them
+ */
+function arrayLiteral(node, ctx) {
+  const stacked = [];
+  node.rows.forEach(row => {
+    const parts = row.map(cell => toMatrix(evaluate(cell, ctx), ctx));
+    const height = parts[0].length;
+    if (parts.some(p => p.length !== height)) throw ERRORS.value('Array parts have different numbers of rows');
+    for (let r = 0; r < height; r++) stacked.push([].concat(...parts.map(p => p[r])));
+  });
+  if (stacked.some(row => row.length !== stacked[0].length)) throw ERRORS.value('Array rows have different numbers of columns');
+  return stacked;
+}
+
+function resolveReference(node, ctx) {
+  const workbook = ctx.workbook;
+  const sheet = node.sheetName ? workbook.getSheetByName(node.sheetName) : ctx.sheet;
+  if (!sheet) throw ERRORS.ref(`Sheet "${node.sheetName}" not found`);
+  const { start, end } = node.ref;
+  const last = p => (p && p.row !== null ? p.row : Math.max(sheet.getLastRow(), 1));
+  if (!end) return new RangeRef(sheet, start.row, start.col, start.row, start.col);
+  const top = start.row !== null ? start.row : 1;
+  const bottom = end.row !== null ? end.row : last(null);
+  return new RangeRef(sheet, Math.min(top, bottom), Math.min(start.col, end.col), Math.max(top, bottom), Math.max(start.col, end.col));
+}
+
+/**
+ * Values of a range or array as rows of cells; a single value becomes [[value]]
+ */
+function toMatrix(value, ctx) {
+  if (value instanceof RangeRef) return value.sheet.workbook.readRange(value);
+  if (Array.isArray(value)) return value;
+  return [[value]];
+}
+
+function scalar(value, ctx) {
+  if (value instanceof RangeRef) return intersect(value, ctx);
+  if (Array.isArray(value)) return value[0] && value[0].length > 0 ? value[0][0] : null;
+  return value;
+}
+
+function flatten(values, ctx) {
+  const flat = [];
+  values.forEach(value => {
+    if (isArray(value)) toMatrix(value, ctx).forEach(row => row.forEach(v => flat.push(v)));
+    else flat.push(value);
+  });
+  return flat;
+}
+
+/**
+ * Applies fn element-wise over arrays; plain values are passed straight through.
+ * Arrays of different sizes are broadcast (1 x n across m x 1 gives m x n).
+ */
+function mapN(args, fn, ctx, { raw = false } = {}) {
+  const prepare = raw ? (v => (v instanceof Date ? dateToSerial(v) : v)) : check;
+  if (!args.some(isArray)) return fn(...args.map(prepare));
+  const matrices = args.map(a => (isArray(a) ? toMatrix(a, ctx) : null));
+  const rows = Math.max(...matrices.map(m => (m ? m.length : 1)));
+  const cols = Math.max(...matrices.map(m => (m ? (m[0] || []).length : 1)));
+  const at = (arg, matrix, r, c) => {
+    if (!matrix) return arg;
+    const row = matrix.length === 1 ? matrix[0] : matrix[r];
+    if (!row) return ERRORS.na();
+    return row.length === 1 ? row[0] : (c < row.length ? row[c] : ERRORS.na());
+  };
+  const result = [];
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < cols; c++) {
+      const values = args.map((arg, i) => at(arg, matrices[i], r, c));
+      row.push(guard(() => fn(...values.map(prepare))));
+    }
+    result.push(row);
+  }
+  return result;
+}
+
+const map1 = (value, fn, ctx) => mapN([value], fn, ctx);
+const map2 = (a, b, fn, ctx) => mapN([a, b], fn, ctx);
+
+// Errors inside an array stay in their cell instead of failing the whole array
+function guard(fn) {
+  try {
+    return fn();
+  } catch (e) {
+    if (e instanceof FormulaError) return e;
+    throw e;
+  }
+}
+
+function check(value) {
+  if (value instanceof FormulaError) throw value;
+  if (value instanceof Date) return dateToSerial(value);
+  return value;
+}
+
+// ============================================================
+// COERCION & COMPARISON
+// ============================================================
+
+function toNumber(value) {
+  value = check(value);
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (isBlank(value)) return 0;
+  const text = String(value).trim().replace(/,/g, '');
+  const percent = text.endsWith('%');
+  const number = Number(percent ? text.slice(0, -1) : text);
+  if (text === '' || Number.isNaN(number)) throw ERRORS.value(`"${value}" is not a number`);
+  return percent ? number / 100 : number;
+}
+
+function toText(value) {
+  value = check(value);
+  if (isBlank(value)) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return formatNumber(value);
+  return String(value);
+}
+
+function formatNumber(number) {
+  if (Number.isInteger(number)) return String(number);
+  return String(Number(number.toPrecision(15)));
+}
+
+function toBoolean(value) {
+  value = check(value);
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (isBlank(value)) return false;
+  const text = String(value).toUpperCase();
+  if (text === 'TRUE') return true;
+  if (text === 'FALSE') return false;
+  throw ERRORS.value(`"${value}" is not TRUE or FALSE`);
+}
+
+// Sort order of mixed values: numbers, then text, then booleans
+function typeRank(value) {
+  if (typeof value === 'number') return 0;
+  if (typeof value === 'string') return 1;
+  if (typeof value === 'boolean') return 2;
+  return 0;
+}
+
+function compareValues(a, b) {
+  if (isBlank(a)) a = typeof b === 'string' ? '' : (typeof b === 'boolean' ? false : 0);
+  if (isBlank(b)) b = typeof a === 'string' ? '' : (typeof a === 'boolean' ? false : 0);
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (typeof a === 'string') {
+    const left = a.toLowerCase();
+    const right = b.toLowerCase();
+    return left < right ? -1 : (left > right ? 1 : 0);
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function binary(op, a, b) {
+  switch (op) {
+    case '+': return toNumber(a) + toNumber(b);
+    case '-': return toNumber(a) - toNumber(b);
+    case '*': return toNumber(a) * toNumber(b);
+    case '/': {
+      const divisor = toNumber(b);
+      if (divisor === 0) throw ERRORS.div0();
+      return toNumber(a) / divisor;
+    }
+    case '^': return Math.pow(toNumber(a), toNumber(b));
+    case '&': return toText(a) + toText(b);
+    case '=': return compareValues(a, b) === 0;
+    case '<>': return compareValues(a, b) !== 0;
+    case '<': return compareValues(a, b) < 0;
+    case '>': return compareValues(a, b) > 0;
+    case '<=': return compareValues(a, b) <= 0;
+    case '>=': return compareValues(a, b) >= 0;
+    default: throw ERRORS.value(`Unknown operator ${op}`);
+  }
+}
+
+// ============================================================
+// CRITERIA (COUNTIF, SUMIFS, ...)
+// ============================================================
+
+/**
+ * Regex for a wildcard pattern (* any text, ? one character, ~ escapes), case-insensitive
+ */
+function wildcardRegex(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '~' && i + 1 < pattern.length) regex += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (ch === '*') regex += '[\\s\\S]*';
+    else if (ch === '?') regex += '[\\s\\S]';
+    else regex += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${regex}$`, 'i');
+}
+
+/**
+ * Predicate for a *IF criterion: 100, TRUE, "North", ">=5", "<>", "*sale*", ">45292"
+ */
+function criterionMatcher(criterion) {
+  criterion = check(criterion);
+  if (typeof criterion === 'number') return v => numberOf(v) === criterion;
+  if (typeof criterion === 'boolean') return v => v === criterion;
+
+  const text = isBlank(criterion) ? '' : String(criterion);
+  const [, op = '=', operand = ''] = text.match(/^(<=|>=|<>|<|>|=)?([\s\S]*)$/);
+  const numeric = operand.trim() !== '' && !Number.isNaN(Number(operand)) ? Number(operand) : null;
+  const bool = /^(true|false)$/i.test(operand) ? operand.toUpperCase() === 'TRUE' : null;
+
+  if (operand === '') {
+    if (op === '=') return v => isBlank(v);
+    if (op === '<>') return v => !isBlank(v);
+  }
+  if (op === '=' || op === '<>') {
+    let test;
+    if (numeric !== null) test = v => numberOf(v) === numeric;
+    else if (bool !== null) test = v => v === bool;
+    else {
+      const pattern = wildcardRegex(operand);
+      test = v => typeof v === 'string' && pattern.test(v);
+    }
+    return op === '=' ? test : v => !test(v);
+  }
+  const compare = numeric !== null
+    ? v => (typeof v === 'number' || v instanceof Date ? Math.sign(numberOf(v) - numeric) : null)
+    : v => (typeof v === 'string' && v !== '' ? compareValues(v, operand) : null);
+  const wanted = { '<': [-1], '>': [1], '<=': [-1, 0], '>=': [1, 0] }[op];
+  return v => {
+    const result = compare(v);
+    return result !== null && wanted.includes(result);
+  };
+}
+
+// Number a cell counts as for criteria: numbers, dates and numeric text
+function numberOf(value) {
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return dateToSerial(value);
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return NaN;
+}
+
+/**
+ * Runs a *IFS aggregate. Criteria given as arrays (OR values) give an array of results,
+ * one per combination, the way Sheets does under ARRAYFORMULA.
+ * @param {Array} pairs - [range, criterion, range, criterion, ...]
+ * @param {function} aggregate - (indices of matching cells) -> value
+ */
+function withCriteria(pairs, aggregate, ctx) {
+  if (pairs.length === 0 || pairs.length % 2 !== 0) throw ERRORS.value('Criteria must come in range, criterion pairs');
+  const ranges = [];
+  const criteria = [];
+  for (let i = 0; i < pairs.length; i += 2) {
+    ranges.push(flatten([pairs[i]], ctx));
+    criteria.push(pairs[i + 1]);
+  }
+  const length = ranges[0].length;
+  if (ranges.some(r => r.length !== length)) throw ERRORS.value('Criteria ranges must be the same size');
+
+  return mapN(criteria, (...values) => {
+    const matchers = values.map(criterionMatcher);
+    const indices = [];
+    for (let i = 0; i < length; i++) {
+      if (matchers.every((match, m) => match(ranges[m][i]))) indices.push(i);
+    }
+    return aggregate(indices);
+  }, ctx);
+}
+
+// ============================================================
+// FUNCTIONS
+// ============================================================
+
+// Functions that need their arguments unevaluated (lazy branches, LET names)
+const SPECIAL_FORMS = {
+  IF: (args, ctx) => {
+    const condition = evaluate(args[0], ctx);
+    if (isArray(condition)) {
+      const branches = [args[1], args[2]].map(a => (a ? evaluate(a, ctx) : false));
+      return mapN([condition, ...branches], (c, yes, no) => (toBoolean(c) ? yes : no), ctx);
+    }
+    if (toBoolean(scalar(condition, ctx))) return args[1] ? evaluate(args[1], ctx) : true;
+    return args[2] ? evaluate(args[2], ctx) : false;
+  },
+  IFS: (args, ctx) => {
+    for (let i = 0; i + 1 < args.length; i += 2) {
+      if (toBoolean(scalar(evaluate(args[i], ctx), ctx))) return evaluate(args[i + 1], ctx);
+    }
+    throw ERRORS.na('No IFS condition was true');
+  },
+  IFERROR: (args, ctx) => {
+    const fallback = () => (args[1] ? evaluate(args[1], ctx) : '');
+    try {
+      const value = evaluate(args[0], ctx);
+      if (Array.isArray(value)) {
+        const replacement = scalar(fallback(), ctx);
+        return value.map(row => row.map(v => (v instanceof FormulaError ? replacement : v)));
+      }
+      return scalar(value, ctx) instanceof FormulaError ? fallback() : value;
+    } catch (e) {
+      if (e instanceof FormulaError) return fallback();
+      throw e;
+    }
+  },
+  IFNA: (args, ctx) => {
+    try {
+      const value = evaluate(args[0], ctx);
+      const single = scalar(value, ctx);
+      return single instanceof FormulaError && single.code === '#N/A' ? evaluate(args[1], ctx) : value;
+    } catch (e) {
+      if (e instanceof FormulaError && e.code === '#N/A') return evaluate(args[1], ctx);
+      throw e;
+    }
+  },
+  LET: (args, ctx) => {
+    const scope = new Map(ctx.scope);
+    const inner = { ...ctx, scope };
+    for (let i = 0; i + 1 < args.length; i += 2) {
+      if (args[i].type !== 'name') throw ERRORS.value('LET names must be plain names');
+      scope.set(args[i].name, evaluate(args[i + 1], inner));
+    }
+    return evaluate(args[args.length - 1], inner);
+  },
+  ROW: (args, ctx) => (args.length > 0 ? evaluate(args[0], ctx).top : ctx.row),
+  COLUMN: (args, ctx) => (args.length > 0 ? evaluate(args[0], ctx).left : ctx.col)
+};
+
+function numbersIn(args, ctx) {
+  const numbers = [];
+  args.forEach(arg => {
+    if (isArray(arg)) {
+      flatten([arg], ctx).forEach(v => {
+        if (v instanceof FormulaError) throw v;
+        if (typeof v === 'number') numbers.push(v);
+        else if (v instanceof Date) numbers.push(dateToSerial(v));
+      });
+    } else if (arg !== null) {
+      numbers.push(toNumber(arg));
+    }
+  });
+  return numbers;
+}
+
+const sum = numbers => numbers.reduce((a, b) => a + b, 0);
+
+function average(numbers) {
+  if (numbers.length === 0) throw ERRORS.div0();
+  return sum(numbers) / numbers.length;
+}
+
+function percentile(numbers, k) {
+  if (numbers.length === 0) throw ERRORS.num('No numbers for PERCENTILE');
+  if (k < 0 || k > 1) throw ERRORS.num('PERCENTILE needs a value from 0 to 1');
+  const sorted = numbers.slice().sort((a, b) => a - b);
+  const position = (sorted.length - 1) * k;
+  const lower = Math.floor(position);
+  const fraction = position - lower;
+  return lower + 1 < sorted.length ? sorted[lower] + fraction * (sorted[lower + 1] - sorted[lower]) : sorted[lower];
+}
+
+function round(value, digits, mode) {
+  const factor = Math.pow(10, digits);
+  const scaled = value * factor;
+  const rounded = mode === 'up' ? Math.sign(scaled) * Math.ceil(Math.abs(scaled) - 1e-9)
+    : mode === 'down' ? Math.trunc(scaled + Math.sign(scaled) * 1e-9)
+      : Math.sign(scaled) * Math.round(Math.abs(scaled) + 1e-9);
+  return rounded / factor;
+}
+
+function findIndex(needle, haystack, wildcards) {
+  const pattern = wildcards && typeof needle === 'string' && /[*?~]/.test(needle) ? wildcardRegex(needle) : null;
+  return haystack.findIndex(v => (pattern ? typeof v === 'string' && pattern.test(v) : !isBlank(v) && compareValues(v, needle) === 0));
+}
+
+// Position of the last value <= needle in an ascending list (approximate match)
+function findApproximate(needle, haystack) {
+  let found = -1;
+  haystack.forEach((v, i) => {
+    if (!isBlank(v) && typeRank(v) === typeRank(needle) && compareValues(v, needle) <= 0) found = i;
+  });
+  return found;
+}
+
+function regex(pattern) {
+  try {
+    return new RegExp(toText(pattern));
+  } catch (e) {
+    throw ERRORS.value(`Invalid regular expression "${pattern}"`);
+  }
+}
+
+function textPosition(find, within, start, caseInsensitive) {
+  const from = start === undefined || start === null ? 1 : toNumber(start);
+  const needle = toText(find);
+  const text = toText(within);
+  let index;
+  if (caseInsensitive && /[*?~]/.test(needle)) {
+    const pattern = wildcardRegex(needle);
+    const source = pattern.source.slice(1, -1);
+    const match = new RegExp(source, 'i').exec(text.slice(from - 1));
+    index = match ? match.index + from - 1 : -1;
+  } else {
+    index = caseInsensitive ? text.toLowerCase().indexOf(needle.toLowerCase(), from - 1) : text.indexOf(needle, from - 1);
+  }
+  if (index === -1) throw ERRORS.value(`"${needle}" not found`);
+  return index + 1;
+}
+
+function matrixRows(value, ctx) {
+  return toMatrix(value, ctx).map(row => row.slice());
+}
+
+/**
+ * Formats a number with a spreadsheet pattern for TEXT: 0, 0.00, #,##0.0, 0%, and dates
+ * (yyyy, mm, dd, mmm, ...). Other patterns fall back to the plain number.
+ */
+function formatText(value, pattern) {
+  const number = toNumber(value);
+  const format = toText(pattern);
+  if (/[yd]|m{3,}/i.test(format) || /^m+[\/\-]/i.test(format)) {
+    const date = serialToDate(number);
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const pad = n => String(n).padStart(2, '0');
+    return format
+      .replace(/yyyy/gi, date.getFullYear())
+      .replace(/yy/gi, String(date.getFullYear()).slice(-2))
+      .replace(/mmmm/gi, date.toLocaleString('en-US', { month: 'long' }))
+      .replace(/mmm/gi, months[date.getMonth()])
+      .replace(/mm/gi, pad(date.getMonth() + 1))
+      .replace(/dd/gi, pad(date.getDate()))
+      .replace(/(^|[^a-z])d(?![a-z])/gi, `$1${date.getDate()}`)
+      .replace(/(^|[^a-z])m(?![a-z])/gi, `$1${date.getMonth() + 1}`);
+  }
+  const percent = format.includes('%');
+  const decimals = (format.split('.')[1] || '').replace(/[^0#]/g, '').length;
+  const grouped = format.includes(',');
+  const scaled = percent ? number * 100 : number;
+  const text = scaled.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: grouped });
+  const prefix = (format.match(/^[^0#.,%]*/) || [''])[0].replace(/"/g, '');
+  return `${prefix}${text}${percent ? '%' : ''}`;
+}
+
+const FUNCTIONS = {
+  // Aggregates
+  SUM: (args, ctx) => sum(numbersIn(args, ctx)),
+  AVERAGE: (args, ctx) => average(numbersIn(args, ctx)),
+  MIN: (args, ctx) => {
+    const numbers = numbersIn(args, ctx);
+    return numbers.length ? Math.min(...numbers) : 0;
+  },
+  MAX: (args, ctx) => {
+    const numbers = numbersIn(args, ctx);
+    return numbers.length ? Math.max(...numbers) : 0;
+  },
+  COUNT: (args, ctx) => flatten(args, ctx).filter(v => typeof v === 'number' || v instanceof Date).length,
+  COUNTA: (args, ctx) => flatten(args, ctx).filter(v => v !== null && v !== undefined).length,
+  COUNTBLANK: (args, ctx) => flatten(args, ctx).filter(isBlank).length,
+  COUNTUNIQUE: (args, ctx) => new Set(flatten(args, ctx).filter(v => !isBlank(v)).map(v => `${typeof v}:${check(v)}`)).size,
+  MEDIAN: (args, ctx) => percentile(numbersIn(args, ctx), 0.5),
+  PERCENTILE: (args, ctx) => percentile(numbersIn([args[0]], ctx), toNumber(scalar(args[1], ctx))),
+  PRODUCT: (args, ctx) => numbersIn(args, ctx).reduce((a, b) => a * b, 1),
+  STDEV: (args, ctx) => {
+    const numbers = numbersIn(args, ctx);
+    if (numbers.length < 2) throw ERRORS.div0();
+    const mean = average(numbers);
+    return Math.sqrt(sum(numbers.map(n => (n - mean) ** 2)) / (numbers.length - 1));
+  },
+  SUMPRODUCT: (args, ctx) => {
+    const lists = args.map(a => flatten([a], ctx));
+    if (lists.some(l => l.length !== lists[0].length)) throw ERRORS.value('SUMPRODUCT ranges must be the same size');
+    let total = 0;
+    for (let i = 0; i < lists[0].length; i++) {
+      total += lists.reduce((product, list) => product * (typeof check(list[i]) === 'number' ? list[i] : 0), 1);
+    }
+    return total;
+  },
+
+  // Conditional aggregates
+  COUNTIF: (args, ctx) => withCriteria(args, indices => indices.length, ctx),
+  COUNTIFS: (args, ctx) => withCriteria(args, indices => indices.length, ctx),
+  SUMIF: (args, ctx) => {
+    const values = flatten([args[2] || args[0]], ctx);
+    return withCriteria([args[0], args[1]], indices => sum(indices.map(i => values[i]).filter(v => typeof v === 'number')), ctx);
+  },
+  SUMIFS: (args, ctx) => {
+    const values = flatten([args[0]], ctx);
+    return withCriteria(args.slice(1), indices => sum(indices.map(i => values[i]).filter(v => typeof v === 'number')), ctx);
+  },
+  AVERAGEIF: (args, ctx) => {
+    const values = flatten([args[2] || args[0]], ctx);
+    return withCriteria([args[0], args[1]], indices => average(indices.map(i => values[i]).filter(v => typeof v === 'number')), ctx);
+  },
+  AVERAGEIFS: (args, ctx) => {
+    const values = flatten([args[0]], ctx);
+    return withCriteria(args.slice(1), indices => average(indices.map(i => values[i]).filter(v => typeof v === 'number')), ctx);
+  },
+  MINIFS: (args, ctx) => {
+    const values = flatten([args[0]], ctx);
+    return withCriteria(args.slice(1), indices => {
+      const numbers = indices.map(i => values[i]).filter(v => typeof v === 'number');
+      return numbers.length ? Math.min(...numbers) : 0;
+    }, ctx);
+  },
+  MAXIFS: (args, ctx) => {
+    const values = flatten([args[0]], ctx);
+    return withCriteria(args.slice(1), indices => {
+      const numbers = indices.map(i => values[i]).filter(v => typeof v === 'number');
+      return numbers.length ? Math.max(...numbers) : 0;
+    }, ctx);
+  },
+
+  // Math
+  ABS: (args, ctx) => map1(args[0], v => Math.abs(toNumber(v)), ctx),
+  INT: (args, ctx) => map1(args[0], v => Math.floor(toNumber(v)), ctx),
+  SQRT: (args, ctx) => map1(args[0], v => {
+    const n = toNumber(v);
+    if (n < 0) throw ERRORS.num('SQRT of a negative number');
+    return Math.sqrt(n);
+  }, ctx),
+  POWER: (args, ctx) => map2(args[0], args[1], (a, b) => Math.pow(toNumber(a), toNumber(b)), ctx),
+  MOD: (args, ctx) => map2(args[0], args[1], (a, b) => {
+    const divisor = toNumber(b);
+    if (divisor === 0) throw ERRORS.div0();
+    const n = toNumber(a);
+    return n - divisor * Math.floor(n / divisor);
+  }, ctx),
+  ROUND: (args, ctx) => map2(args[0], args[1] || 0, (v, d) => round(toNumber(v), toNumber(d)), ctx),
+  ROUNDUP: (args, ctx) => map2(args[0], args[1] || 0, (v, d) => round(toNumber(v), toNumber(d), 'up'), ctx),
+  ROUNDDOWN: (args, ctx) => map2(args[0], args[1] || 0, (v, d) => round(toNumber(v), toNumber(d), 'down'), ctx),
+
+  // Logic
+  AND: (args, ctx) => flatten(args, ctx).filter(v => !isBlank(v)).every(toBoolean),
+  OR: (args, ctx) => flatten(args, ctx).filter(v => !isBlank(v)).some(toBoolean),
+  NOT: (args, ctx) => map1(args[0], v => !toBoolean(v), ctx),
+  TRUE: () => true,
+  FALSE: () => false,
+  // The IS functions look at errors instead of failing on them
+  ISNUMBER: (args, ctx) => mapN([args[0]], v => typeof v === 'number', ctx, { raw: true }),
+  ISTEXT: (args, ctx) => mapN([args[0]], v => typeof v === 'string' && v !== '', ctx, { raw: true }),
+  ISBLANK: (args, ctx) => mapN([args[0]], v => v === null || v === undefined, ctx, { raw: true }),
+  ISERROR: (args, ctx) => mapN([args[0]], v => v instanceof FormulaError, ctx, { raw: true }),
+
+  // Text
+  CONCATENATE: (args, ctx) => flatten(args, ctx).map(toText).join(''),
+  CONCAT: (args, ctx) => map2(args[0], args[1], (a, b) => toText(a) + toText(b), ctx),
+  TEXTJOIN: (args, ctx) => {
+    const delimiter = toText(scalar(args[0], ctx));
+    const skipEmpty = toBoolean(scalar(args[1], ctx));
+    const parts = flatten(args.slice(2), ctx).map(toText);
+    return (skipEmpty ? parts.filter(p => p !== '') : parts).join(delimiter);
+  },
+  LEFT: (args, ctx) => map2(args[0], args[1] === undefined ? 1 : args[1], (t, n) => toText(t).slice(0, toNumber(n)), ctx),
+  RIGHT: (args, ctx) => map2(args[0], args[1] === undefined ? 1 : args[1], (t, n) => {
+    const count = toNumber(n);
+    return count > 0 ? toText(t).slice(-count) : '';
+  }, ctx),
+  MID: (args, ctx) => mapN([args[0], args[1], args[2]], (t, s, n) => toText(t).substr(toNumber(s) - 1, toNumber(n)), ctx),
+  LEN: (args, ctx) => map1(args[0], v => toText(v).length, ctx),
+  LOWER: (args, ctx) => map1(args[0], v => toText(v).toLowerCase(), ctx),
+  UPPER: (args, ctx) => map1(args[0], v => toText(v).toUpperCase(), ctx),
+  PROPER: (args, ctx) => map1(args[0], v => toText(v).toLowerCase().replace(/(^|[^\p{L}])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase()), ctx),
+  TRIM: (args, ctx) => map1(args[0], v => toText(v).replace(/ +/g, ' ').trim(), ctx),
+  SUBSTITUTE: (args, ctx) => mapN([args[0], args[1], args[2]], (t, find, replacement) => toText(t).split(toText(find)).join(toText(replacement)), ctx),
+  SEARCH: (args, ctx) => mapN([args[0], args[1], args[2] === undefined ? 1 : args[2]], (f, w, s) => textPosition(f, w, s, true), ctx),
+  FIND: (args, ctx) => mapN([args[0], args[1], args[2] === undefined ? 1 : args[2]], (f, w, s) => textPosition(f, w, s, false), ctx),
+  REGEXMATCH: (args, ctx) => map2(args[0], args[1], (t, p) => regex(p).test(toText(t)), ctx),
+  REGEXEXTRACT: (args, ctx) => map2(args[0], args[1], (t, p) => {
+    const match = regex(p).exec(toText(t));
+    if (!match) throw ERRORS.na('No match');
+    return match.length > 1 ? match[1] : match[0];
+  }, ctx),
+  REGEXREPLACE: (args, ctx) => mapN([args[0], args[1], args[2]], (t, p, r) => toText(t).replace(new RegExp(regex(p).source, 'g'), toText(r).replace(/\\(\d)/g, '$$$1')), ctx),
+  VALUE: (args, ctx) => map1(args[0], toNumber, ctx),
+  TEXT: (args, ctx) => map2(args[0], args[1], formatText, ctx),
+
+  // Dates
+  DATE: (args, ctx) => mapN([args[0], args[1], args[2]], (y, m, d) => dateToSerial(new Date(toNumber(y), toNumber(m) - 1, toNumber(d))), ctx),
+  YEAR: (args, ctx) => map1(args[0], v => serialToDate(toNumber(v)).getFullYear(), ctx),
+  MONTH: (args, ctx) => map1(args[0], v => serialToDate(toNumber(v)).getMonth() + 1, ctx),
+  DAY: (args, ctx) => map1(args[0], v => serialToDate(toNumber(v)).getDate(), ctx),
+  WEEKDAY: (args, ctx) => map1(args[0], v => serialToDate(toNumber(v)).getDay() + 1, ctx),
+  TODAY: () => Math.floor(dateToSerial(new Date())),
+  NOW: () => dateToSerial(new Date()),
+  EOMONTH: (args, ctx) => map2(args[0], args[1], (v, months) => {
+    const date = serialToDate(toNumber(v));
+    return dateToSerial(new Date(date.getFullYear(), date.getMonth() + toNumber(months) + 1, 0));
+  }, ctx),
+
+  // Lookup & arrays
+  ARRAYFORMULA: (args) => args[0],
+  INDEX: (args, ctx) => {
+    const rows = matrixRows(args[0], ctx);
+    const row = args[1] === undefined || args[1] === null ? 0 : toNumber(scalar(args[1], ctx));
+    const col = args[2] === undefined || args[2] === null ? 0 : toNumber(scalar(args[2], ctx));
+    if (rows.length === 1 && args[2] === undefined && row > 0) return rows[0][row - 1] === undefined ? ERRORS.ref('INDEX out of range') : rows[0][row - 1];
+    if (row > rows.length || col > (rows[0] || []).length) throw ERRORS.ref('INDEX out of range');
+    if (row > 0 && col > 0) return rows[row - 1][col - 1];
+    if (row > 0) return [rows[row - 1]];
+    if (col > 0) return rows.map(r => [r[col - 1]]);
+    return rows;
+  },
+  MATCH: (args, ctx) => {
+    const needle = check(scalar(args[0], ctx));
+    const haystack = flatten([args[1]], ctx);
+    const type = args[2] === undefined ? 1 : toNumber(scalar(args[2], ctx));
+    const index = type === 0 ? findIndex(needle, haystack, true) : findApproximate(needle, haystack);
+    if (index === -1) throw ERRORS.na(`"${toText(needle)}" not found`);
+    return index + 1;
+  },
+  VLOOKUP: (args, ctx) => {
+    const table = matrixRows(args[1], ctx);
+    const column = toNumber(scalar(args[2], ctx));
+    const sorted = args[3] === undefined ? true : toBoolean(scalar(args[3], ctx));
+    return map1(args[0], needle => {
+      const keys = table.map(row => row[0]);
+      const index = sorted ? findApproximate(needle, keys) : findIndex(needle, keys, true);
+      if (index === -1) throw ERRORS.na(`"${toText(needle)}" not found`);
+      if (column < 1 || column > table[index].length) throw ERRORS.ref('VLOOKUP column out of range');
+      return table[index][column - 1];
+    }, ctx);
+  },
+  XLOOKUP: (args, ctx) => {
+    const keys = flatten([args[1]], ctx);
+    const results = flatten([args[2]], ctx);
+    return map1(args[0], needle => {
+      const index = findIndex(needle, keys, false);
+      if (index === -1) {
+        if (args[3] !== undefined) return scalar(args[3], ctx);
+        throw ERRORS.na(`"${toText(needle)}" not found`);
+      }
+      return results[index];
+    }, ctx);
+  },
+  FILTER: (args, ctx) => {
+    const rows = matrixRows(args[0], ctx);
+    const conditions = args.slice(1).map(c => toMatrix(c, ctx));
+    const kept = rows.filter((row, i) => conditions.every(c => {
+      const value = c.length === 1 && rows.length > 1 ? c[0][i] : (c[i] || [])[0];
+      return !(value instanceof FormulaError) && toBoolean(value === undefined ? false : value);
+    }));
+    if (kept.length === 0) throw ERRORS.na('FILTER has no matches');
+    return kept;
+  },
+  SORT: (args, ctx) => {
+    const rows = matrixRows(args[0], ctx);
+    const column = args[1] === undefined ? 1 : toNumber(scalar(args[1], ctx));
+    const ascending = args[2] === undefined ? true : toBoolean(scalar(args[2], ctx));
+    return rows.sort((a, b) => compareValues(a[column - 1], b[column - 1]) * (ascending ? 1 : -1));
+  },
+  SORTN: (args, ctx) => {
+    const rows = matrixRows(args[0], ctx);
+    const count = args[1] === undefined ? 1 : toNumber(scalar(args[1], ctx));
+    const column = args[3] === undefined ? 1 : toNumber(scalar(args[3], ctx));
+    const ascending = args[4] === undefined ? true : toBoolean(scalar(args[4], ctx));
+    return rows.sort((a, b) => compareValues(a[column - 1], b[column - 1]) * (ascending ? 1 : -1)).slice(0, count);
+  },
+  UNIQUE: (args, ctx) => {
+    const seen = new Set();
+    return matrixRows(args[0], ctx).filter(row => {
+      const key = JSON.stringify(row.map(v => (typeof v === 'string' ? v.toLowerCase() : v)));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  },
+  ROWS: (args, ctx) => toMatrix(args[0], ctx).length,
+  COLUMNS: (args, ctx) => (toMatrix(args[0], ctx)[0] || []).length,
+  CHOOSE: (args, ctx) => {
+    const index = toNumber(scalar(args[0], ctx));
+    if (index < 1 || index >= args.length) throw ERRORS.value('CHOOSE index out of range');
+    return args[index];
+  }
+};
+
+/**
+ * Calls a function with its evaluated arguments. An argument that fails is passed on as
+ * its error, so functions like ISNUMBER can test it; the others fail when they read it.
+ */
+function callFunction(node, ctx) {
+  if (SPECIAL_FORMS[node.name]) return SPECIAL_FORMS[node.name](node.args, ctx);
+  const fn = FUNCTIONS[node.name];
+  if (!fn) throw ERRORS.name(`Unknown function ${node.name}`);
+  const args = node.args.map(arg => (arg.type === 'empty' ? null : guard(() => evaluate(arg, ctx))));
+  return fn(args, ctx);
+}
+
+module.exports = {
+  FormulaError,
+  RangeRef,
+  parse,
+  tokenize,
+  evaluateFormula,
+  transformReferences,
+  shiftFormula,
+  columnIndex,
+  columnLetter,
+  dateToSerial,
+  serialToDate,
+  SUPPORTED_FUNCTIONS: [...Object.keys(FUNCTIONS), ...Object.keys(SPECIAL_FORMS)]
+};
@@ -0,0 +1,23 @@
+/**
+ * Headless executor: runs /plan action plans on CSV and XLSX files without Google Sheets.
+ *
+ *   const workbook = readWorkbook(buffer, { filename: 'sales.csv' });
+ *   const schema = getSheetSchema(workbook);           // same shape as Code.gs getSheetSchema()
+ *   const execution = await executePlan(workbook, plan, { insight });
+ *   const output = writeWorkbook(workbook, 'csv');
+ */
+
+const { readWorkbook, writeWorkbook, detectFormat, FORMATS } = require('./files');
+const { getSheetSchema, INTERNAL_SHEET_PREFIX } = require('./schema');
+const { executePlan, SHEETS_ONLY_ACTIONS } = require('./actions');
+
+module.exports = {
+  FORMATS,
+  INTERNAL_SHEET_PREFIX,
+  SHEETS_ONLY_ACTIONS,
+  detectFormat,
+  readWorkbook,
+  writeWorkbook,
+  getSheetSchema,
+  executePlan
+};
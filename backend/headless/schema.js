@@ -0,0 +1,267 @@
+/**
+ * Sheet schema of a headless Workbook, built exactly as getSheetSchema() in Code.gs
+ * builds it for a Google Sheet, so /plan sees the same input either way.
+ * Files have no charts, so "charts" is always empty.
+ */
+
+const { columnLetter: columnIndexToLetter } = require('./formula');
+
+// ============================================================
+// SHEET SCHEMA EXTRACTION
+// ============================================================
+
+// Sheets whose names start with this prefix belong to the agent (undo snapshots, logs) and are never described
+const INTERNAL_SHEET_PREFIX = '_';
+
+// Rows read per non-active sheet when summarizing it for cross-sheet awareness
+const OTHER_SHEET_SAMPLE_ROWS = 200;
+
+// Rows scanned for the header row
+const HEADER_SCAN_ROWS = 10;
+
+// Schema stats read every row up to this size, otherwise evenly spaced chunks of SCHEMA_CHUNK_ROWS
+const SCHEMA_MAX_ROWS = 5000;
+const SCHEMA_CHUNK_ROWS = 1000;
+
+// Bottom rows checked for totals or blank separators under the table
+const DATA_END_SCAN_ROWS = 20;
+
+/**
+ * Schema of the workbook: the active sheet in detail, every other sheet summarized under "sheets"
+ */
+function getSheetSchema(workbook) {
+  const activeSheet = workbook.getActiveSheet();
+  const schema = describeSheet(activeSheet);
+
+  schema.sheets = workbook.getSheets()
+    .filter(sheet => !sheet.getName().startsWith(INTERNAL_SHEET_PREFIX))
+    .map(sheet => {
+      if (sheet.getSheetId() !== activeSheet.getSheetId()) return summarizeSheet(sheet);
+      // The active sheet is already described in detail above
+      return {
+        sheetName: schema.sheetName,
+        isActive: true,
+        headers: schema.headers.map(h => ({ name: h.name, column: h.column, detectedType: h.detectedType })),
+        rowCount: schema.rowCount,
+        colCount: schema.colCount,
+        headerRow: schema.headerRow,
+        dataEndRow: schema.dataEndRow
+      };
+    });
+
+  return schema;
+}
+
+/**
+ * Detailed schema of one sheet: headers, types, top values, min/max and a diverse sample
+ */
+function describeSheet(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+
+  if (lastRow <= 1 || lastCol === 0) {
+    return { sheetName: sheet.getName(), headers: [], sampleData: [], rowCount: lastRow, colCount: 0, charts: [] };
+  }
+
+  const headerArea = readHeaderArea(sheet);
+  const headerRowIndex = detectHeaderRow(headerArea);
+  const headerRowNumber = headerRowIndex + 1;
+
+  const headers = headerArea[headerRowIndex].map((header, index) => ({
+    name: header ? String(header) : `Column ${columnIndexToLetter(index + 1)}`,
+    column: columnIndexToLetter(index + 1),
+    index: index
+  }));
+
+  const { rows: dataRows, rowNumbers, total: totalRows } = readDataSample(sheet, headerRowNumber + 1, lastRow, lastCol);
+
+  // Up to 9 rows: 3 from the start, 3 from the middle, 3 from the end
+  const totalDataRows = dataRows.length;
+  let sampledIndices = [];
+  if (totalDataRows <= 10) {
+    sampledIndices = dataRows.map((_, i) => i);
+  } else {
+    const mid = Math.floor(totalDataRows / 2);
+    sampledIndices = [0, 1, 2, mid - 1, mid, mid + 1, totalDataRows - 3, totalDataRows - 2, totalDataRows - 1];
+  }
+  sampledIndices = [...new Set(sampledIndices)]
+    .filter(i => i >= 0 && i < totalDataRows)
+    .sort((a, b) => a - b);
+
+  const sampleData = sampledIndices.map(idx => {
+    const row = dataRows[idx];
+    const rowObj = { _rowNumber: rowNumbers[idx] };
+    headers.forEach((h, i) => {
+      rowObj[h.name] = row[i];
+    });
+    return rowObj;
+  });
+
+  const columnTypes = headers.map((h, i) => {
+    const colValues = dataRows.map(row => row[i]).filter(v => v !== '' && v !== null);
+    const type = detectDataType(colValues);
+    const stats = { detectedType: type };
+
+    if (type === 'string' && colValues.length > 0) {
+      const counts = {};
+      colValues.forEach(v => {
+        const key = String(v).trim();
+        counts[key] = (counts[key] || 0) + 1;
+      });
+      stats.topValues = Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([value, count]) => ({ value, count }));
+    } else if (type === 'number' && colValues.length > 0) {
+      const nums = colValues.filter(v => typeof v === 'number');
+      if (nums.length > 0) {
+        stats.min = Math.min(...nums);
+        stats.max = Math.max(...nums);
+      }
+    }
+
+    return { ...h, ...stats };
+  });
+
+  return {
+    sheetName: sheet.getName(),
+    headers: columnTypes,
+    sampleData: sampleData,
+    rowCount: lastRow,
+    colCount: headers.length,
+    headerRow: headerRowNumber,
+    dataEndRow: findDataEndRow(sheet, headerRowNumber, lastRow, lastCol),
+    sampledRows: totalRows > dataRows.length ? dataRows.length : undefined,
+    charts: []
+  };
+}
+
+/**
+ * Lightweight description of a non-active sheet, from its first rows only
+ */
+function summarizeSheet(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  const summary = { sheetName: sheet.getName(), isActive: false, headers: [], rowCount: lastRow, colCount: lastCol };
+  if (lastRow === 0 || lastCol === 0) return summary;
+
+  const values = sheet.getRange(1, 1, Math.min(lastRow, OTHER_SHEET_SAMPLE_ROWS), lastCol).getValues();
+  const headerRowIndex = detectHeaderRow(values);
+  const dataRows = values.slice(headerRowIndex + 1);
+
+  summary.headerRow = headerRowIndex + 1;
+  summary.dataEndRow = findDataEndRow(sheet, summary.headerRow, lastRow, lastCol);
+  summary.headers = values[headerRowIndex].map((header, index) => ({
+    name: header ? String(header) : `Column ${columnIndexToLetter(index + 1)}`,
+    column: columnIndexToLetter(index + 1),
+    detectedType: detectDataType(dataRows.map(row => row[index]).filter(v => v !== '' && v !== null))
+  }));
+  return summary;
+}
+
+/**
+ * Index (0-based) of the first row with the most non-empty text cells
+ */
+function detectHeaderRow(values) {
+  let maxNonEmpty = 0;
+  let bestRow = 0;
+  const limit = Math.min(values.length, HEADER_SCAN_ROWS);
+
+  for (let i = 0; i < limit; i++) {
+    const nonEmptyCount = values[i].filter(cell => cell !== '' && cell !== null && typeof cell === 'string').length;
+    if (nonEmptyCount > maxNonEmpty) {
+      maxNonEmpty = nonEmptyCount;
+      bestRow = i;
+    }
+  }
+  return bestRow;
+}
+
+function readHeaderArea(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  if (lastRow === 0 || lastCol === 0) return [];
+  return sheet.getRange(1, 1, Math.min(lastRow, HEADER_SCAN_ROWS), lastCol).getValues();
+}
+
+/**
+ * 1-based row where data starts (the row after the header)
+ */
+function getDataStartRow(sheet) {
+  return detectHeaderRow(readHeaderArea(sheet)) + 2;
+}
+
+/**
+ * Data rows for schema stats: whole for small sheets, evenly spaced chunks otherwise.
+ * Returns { rows, rowNumbers, total } with 1-based sheet row numbers.
+ */
+function readDataSample(sheet, firstRow, lastRow, lastCol) {
+  const total = lastRow - firstRow + 1;
+  if (total <= 0) return { rows: [], rowNumbers: [], total: 0 };
+
+  if (total <= SCHEMA_MAX_ROWS) {
+    const rows = sheet.getRange(firstRow, 1, total, lastCol).getValues();
+    return { rows, rowNumbers: rows.map((_, i) => firstRow + i), total };
+  }
+
+  const chunkCount = Math.floor(SCHEMA_MAX_ROWS / SCHEMA_CHUNK_ROWS);
+  const span = total - SCHEMA_CHUNK_ROWS;
+  const rows = [];
+  const rowNumbers = [];
+  for (let c = 0; c < chunkCount; c++) {
+    const start = firstRow + Math.round(span * c / (chunkCount - 1));
+    sheet.getRange(start, 1, SCHEMA_CHUNK_ROWS, lastCol).getValues().forEach((row, i) => {
+      rows.push(row);
+      rowNumbers.push(start + i);
+    });
+  }
+  return { rows, rowNumbers, total };
+}
+
+/**
+ * Last row of the table itself, leaving out trailing blank rows and totals under it
+ */
+function findDataEndRow(sheet, headerRowNumber, lastRow, lastCol) {
+  const firstRow = Math.max(headerRowNumber + 1, lastRow - DATA_END_SCAN_ROWS + 1);
+  if (lastRow < firstRow) return lastRow;
+
+  const range = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, lastCol);
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const totalLabel = /^\s*(grand\s+|sub)?totals?\b/i;
+  const totalFormula = /^=\s*(SUM|SUBTOTAL|AVERAGE|COUNTA?|MIN|MAX)\(/i;
+
+  let end = lastRow;
+  for (let i = values.length - 1; i >= 0; i--) {
+    const blank = values[i].every(v => v === '' || v === null);
+    const summary = values[i].some(v => typeof v === 'string' && totalLabel.test(v)) ||
+      formulas[i].some(f => totalFormula.test(f));
+    if (!blank && !summary) break;
+    end = firstRow + i - 1;
+  }
+  return Math.max(end, headerRowNumber);
+}
+
+function detectDataType(values) {
+  if (values.length === 0) return 'empty';
+
+  const types = { number: 0, date: 0, string: 0 };
+  values.forEach(v => {
+    if (typeof v === 'number') types.number++;
+    else if (v instanceof Date) types.date++;
+    else types.string++;
+  });
+
+  const max = Math.max(types.number, types.date, types.string);
+  if (types.number === max) return 'number';
+  if (types.date === max) return 'date';
+  return 'string';
+}
+
+module.exports = {
+  INTERNAL_SHEET_PREFIX,
+  getSheetSchema,
+  detectHeaderRow,
+  readHeaderArea,
+  getDataStartRow
+};
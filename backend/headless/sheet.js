@@ -0,0 +1,619 @@
+/**
+ * In-memory spreadsheet for the headless executor.
+ * Implements the part of the SpreadsheetApp API the executors use (getRange, getValues,
+ * setFormulas, insertColumnAfter, deleteRows, sort, ...) so they read like their Code.gs
+ * originals. Formulas are evaluated on read by formula.js; inserting or deleting rows and
+ * columns rewrites the references in every formula of the workbook, as Sheets does.
+ */
+
+const {
+  FormulaError,
+  parse,
+  evaluateFormula,
+  transformReferences,
+  shiftFormula,
+  columnIndex,
+  columnLetter,
+  dateToSerial,
+  serialToDate
+} = require('./formula');
+
+// Apps Script reports at least this many rows and columns for a sheet
+const MIN_MAX_ROWS = 1000;
+const MIN_MAX_COLUMNS = 26;
+
+// Number formats that show a number as a date or time
+const DATE_FORMAT = /^(?:[^"]|"[^"]*")*?(y|d|h{1,2}:|mmm)/i;
+
+// ============================================================
+// WORKBOOK
+// ============================================================
+
+class Workbook {
+  constructor() {
+    this.sheets = [];
+    this.activeSheet = null;
+    this.nextSheetId = 0;
+    this.parsed = new Map();
+    this.computed = new Map();
+    this.computing = new Set();
+  }
+
+  getSheets() {
+    return this.sheets.slice();
+  }
+
+  getSheetByName(name) {
+    return this.sheets.find(s => s.name === name) || null;
+  }
+
+  getActiveSheet() {
+    return this.activeSheet;
+  }
+
+  setActiveSheet(sheet) {
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  /**
+   * Adds a sheet at the end. Like Sheets, the new sheet becomes the active one.
+   */
+  insertSheet(name) {
+    const sheetName = name || `Sheet${this.sheets.length + 1}`;
+    if (this.getSheetByName(sheetName)) throw new Error(`A sheet with the name "${sheetName}" already exists`);
+    const sheet = new Sheet(this, sheetName, this.nextSheetId++);
+    this.sheets.push(sheet);
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  parseCached(formula) {
+    if (!this.parsed.has(formula)) this.parsed.set(formula, parse(formula));
+    return this.parsed.get(formula);
+  }
+
+  // Any write may change a formula result
+  invalidate() {
+    this.computed.clear();
+  }
+
+  /**
+   * Value of a cell for formulas: numbers for dates, null for blanks, FormulaError for errors
+   */
+  readCell(sheet, row, col) {
+    const cell = sheet.cellAt(row, col);
+    if (!cell) return null;
+    if (!cell.f) return toFormulaValue(cell.v);
+
+    const key = `${sheet.id}:${row}:${col}`;
+    if (this.computed.has(key)) return this.computed.get(key);
+    if (this.computing.has(key)) return new FormulaError('#REF!', `Circular dependency at ${sheet.name}!${columnLetter(col)}${row}`);
+
+    this.computing.add(key);
+    let value;
+    try {
+      value = evaluateFormula(cell.f, { workbook: this, sheet, row, col });
+    } finally {
+      this.computing.delete(key);
+    }
+    value = toFormulaValue(value);
+    this.computed.set(key, value);
+    return value;
+  }
+
+  readRange(range) {
+    const rows = [];
+    for (let r = range.top; r <= range.bottom; r++) {
+      const row = [];
+      for (let c = range.left; c <= range.right; c++) row.push(this.readCell(range.sheet, r, c));
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Evaluates a formula as if it were in a cell of the sheet, without writing it
+   */
+  evaluate(sheet, formula, row, col) {
+    return evaluateFormula(formula, { workbook: this, sheet, row: row || 1, col: col || 1 });
+  }
+
+  /**
+   * Computes every formula, top to bottom, so long chains of formulas that refer to
+   * the row above (running totals) never recurse deeply
+   */
+  recalculate() {
+    this.sheets.forEach(sheet => {
+      sheet.cells.forEach((row, r) => (row || []).forEach((cell, c) => {
+        if (cell && cell.f) this.readCell(sheet, r + 1, c + 1);
+      }));
+    });
+  }
+
+  /**
+   * Rewrites the references to a sheet in every formula of the workbook.
+   * mapRow/mapCol receive a 1-based index and what it is ("cell", or the "start" or "end" of a range)
+   * and return the new index, or null when that row or column was deleted.
+   */
+  remapReferences(target, mapRow, mapCol) {
+    this.sheets.forEach(sheet => {
+      sheet.cells.forEach(row => (row || []).forEach(cell => {
+        if (!cell || !cell.f) return;
+        cell.f = transformReferences(cell.f, ({ sheetName, ref }) => {
+          const refSheet = sheetName !== null ? this.getSheetByName(sheetName) : sheet;
+          if (refSheet !== target) return undefined;
+          return remapReference(ref, mapRow, mapCol);
+        });
+      }));
+    });
+    this.invalidate();
+  }
+}
+
+function toFormulaValue(value) {
+  if (value instanceof Date) return dateToSerial(value);
+  if (value === '' || value === undefined) return null;
+  return value;
+}
+
+/**
+ * A reference after rows or columns moved. Single cells that were deleted become #REF!;
+ * ranges shrink to what is left of them.
+ */
+function remapReference(ref, mapRow, mapCol) {
+  const { start, end } = ref;
+  if (!end) {
+    const row = start.row === null ? null : mapRow(start.row, 'cell');
+    const col = mapCol(start.col, 'cell');
+    if (row === null && start.row !== null) return null;
+    if (col === null) return null;
+    return { start: { ...start, row, col }, end: null };
+  }
+  const startRow = start.row === null ? null : mapRow(start.row, 'start');
+  const endRow = end.row === null ? null : mapRow(end.row, 'end');
+  const startCol = mapCol(start.col, 'start');
+  const endCol = mapCol(end.col, 'end');
+  if ((start.row !== null && startRow === null) || (end.row !== null && endRow === null)) return null;
+  if (startCol === null || endCol === null) return null;
+  if (startRow !== null && endRow !== null && startRow > endRow) return null;
+  if (startCol > endCol) return null;
+  return { start: { ...start, row: startRow, col: startCol }, end: { ...end, row: endRow, col: endCol } };
+}
+
+/**
+ * Index mapping for removing the given sorted 1-based indices. A range end that was
+ * removed moves to the nearest kept index inside the range.
+ */
+function removalMap(removed) {
+  const isRemoved = new Set(removed);
+  const before = index => {
+    // Removed indices below this one
+    let lo = 0;
+    let hi = removed.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (removed[mid] < index) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  return (index, edge) => {
+    if (!isRemoved.has(index)) return index - before(index);
+    if (edge === 'cell') return null;
+    // A range start moves down to the next kept index, an end up to the previous one
+    return edge === 'start' ? index - before(index) : index - before(index) - 1;
+  };
+}
+
+// ============================================================
+// SHEET
+// ============================================================
+
+class Sheet {
+  constructor(workbook, name, id) {
+    this.workbook = workbook;
+    this.name = name;
+    this.id = id;
+    // cells[row - 1][col - 1] = { v: value, f: formula, z: number format }
+    this.cells = [];
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getSheetId() {
+    return this.id;
+  }
+
+  cellAt(row, col) {
+    const cells = this.cells[row - 1];
+    return cells ? cells[col - 1] : undefined;
+  }
+
+  cellFor(row, col) {
+    if (!this.cells[row - 1]) this.cells[row - 1] = [];
+    const cells = this.cells[row - 1];
+    if (!cells[col - 1]) cells[col - 1] = { v: '', f: '', z: '' };
+    return cells[col - 1];
+  }
+
+  getLastRow() {
+    for (let r = this.cells.length; r > 0; r--) {
+      if ((this.cells[r - 1] || []).some(hasContent)) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.cells.forEach(row => {
+      for (let c = (row || []).length; c > last; c--) {
+        if (hasContent(row[c - 1])) {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() {
+    return Math.max(MIN_MAX_ROWS, this.cells.length);
+  }
+
+  getMaxColumns() {
+    return Math.max(MIN_MAX_COLUMNS, ...this.cells.map(row => (row || []).length));
+  }
+
+  /**
+   * getRange("B2:C10"), getRange("A1") or getRange(row, column, numRows?, numColumns?)
+   */
+  getRange(row, col, numRows, numCols) {
+    if (typeof row === 'string') return this.getRangeByA1(row);
+    return new Range(this, row, col, numRows || 1, numCols || 1);
+  }
+
+  getRangeByA1(a1) {
+    const match = String(a1).replace(/^.*!/, '').match(/^\$?([A-Za-z]{1,3})\$?(\d+)?(?::\$?([A-Za-z]{1,3})\$?(\d+)?)?$/);
+    if (!match) throw new Error(`Range not found: ${a1}`);
+    const [, startCol, startRow, endCol, endRow] = match;
+    if (!startRow && !endCol) throw new Error(`Range not found: ${a1}`);
+    const top = startRow ? Number(startRow) : 1;
+    const left = columnIndex(startCol);
+    // Open-ended ranges (B:B, B2:B) stop at the last row with content
+    const bottom = !endCol ? top : (endRow ? Number(endRow) : Math.max(this.getLastRow(), top));
+    const right = endCol ? columnIndex(endCol) : left;
+    return new Range(this, Math.min(top, bottom), Math.min(left, right), Math.abs(bottom - top) + 1, Math.abs(right - left) + 1);
+  }
+
+  getDataRange() {
+    return new Range(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  insertColumnAfter(col) {
+    return this.insertColumnsAfter(col, 1);
+  }
+
+  insertColumnBefore(col) {
+    return this.insertColumnsAt(col, 1);
+  }
+
+  insertColumnsAfter(col, count) {
+    return this.insertColumnsAt(col + 1, count);
+  }
+
+  insertColumnsAt(col, count) {
+    this.cells.forEach(row => {
+      if (row && row.length >= col) row.splice(col - 1, 0, ...new Array(count));
+    });
+    // References at or after the insertion point move right, so a range spanning it grows
+    this.workbook.remapReferences(this, row => row, c => (c >= col ? c + count : c));
+    return this;
+  }
+
+  deleteColumn(col) {
+    return this.deleteColumns(col, 1);
+  }
+
+  deleteColumns(col, count) {
+    this.cells.forEach(row => {
+      if (row) row.splice(col - 1, count);
+    });
+    const removed = Array.from({ length: count }, (_, i) => col + i);
+    this.workbook.remapReferences(this, row => row, removalMap(removed));
+  }
+
+  deleteRow(row) {
+    this.deleteRows(row, 1);
+  }
+
+  deleteRows(row, count) {
+    this.removeRows(Array.from({ length: count }, (_, i) => row + i));
+  }
+
+  /**
+   * Deletes scattered rows in one pass (the headless counterpart of deleteRowsInBulk)
+   * @param {number[]} rows - 1-based row numbers
+   */
+  removeRows(rows) {
+    const removed = [...new Set(rows)].sort((a, b) => a - b);
+    if (removed.length === 0) return;
+    const isRemoved = new Set(removed);
+    this.cells = this.cells.filter((_, i) => !isRemoved.has(i + 1));
+    this.workbook.remapReferences(this, removalMap(removed), col => col);
+  }
+}
+
+function hasContent(cell) {
+  return Boolean(cell && (cell.f || (cell.v !== '' && cell.v !== null && cell.v !== undefined)));
+}
+
+// ============================================================
+// RANGE
+// ============================================================
+
+class Range {
+  constructor(sheet, row, col, numRows, numCols) {
+    if (row < 1 || col < 1) throw new Error('Range coordinates must be at least 1');
+    Object.assign(this, { sheet, row, col, numRows, numCols });
+  }
+
+  getSheet() {
+    return this.sheet;
+  }
+
+  getRow() {
+    return this.row;
+  }
+
+  getColumn() {
+    return this.col;
+  }
+
+  getNumRows() {
+    return this.numRows;
+  }
+
+  getNumColumns() {
+    return this.numCols;
+  }
+
+  getLastRow() {
+    return this.row + this.numRows - 1;
+  }
+
+  getLastColumn() {
+    return this.col + this.numCols - 1;
+  }
+
+  getA1Notation() {
+    const start = `${columnLetter(this.col)}${this.row}`;
+    return this.numRows === 1 && this.numCols === 1 ? start : `${start}:${columnLetter(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  offset(rowOffset, colOffset, numRows, numCols) {
+    return new Range(this.sheet, this.row + rowOffset, this.col + colOffset, numRows || this.numRows, numCols || this.numCols);
+  }
+
+  forEachCell(fn) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numCols; c++) fn(this.row + r, this.col + c, r, c);
+    }
+  }
+
+  /**
+   * Values as Apps Script returns them: '' for blanks, Dates for date cells,
+   * error codes ("#N/A") for formula errors
+   */
+  getValues() {
+    const values = Array.from({ length: this.numRows }, () => new Array(this.numCols));
+    this.forEachCell((row, col, r, c) => {
+      values[r][c] = displayValue(this.sheet, row, col);
+    });
+    return values;
+  }
+
+  getValue() {
+    return displayValue(this.sheet, this.row, this.col);
+  }
+
+  getFormulas() {
+    const formulas = Array.from({ length: this.numRows }, () => new Array(this.numCols));
+    this.forEachCell((row, col, r, c) => {
+      const cell = this.sheet.cellAt(row, col);
+      formulas[r][c] = cell && cell.f ? cell.f : '';
+    });
+    return formulas;
+  }
+
+  getNumberFormats() {
+    const formats = Array.from({ length: this.numRows }, () => new Array(this.numCols));
+    this.forEachCell((row, col, r, c) => {
+      const cell = this.sheet.cellAt(row, col);
+      formats[r][c] = cell && cell.z ? cell.z : '';
+    });
+    return formats;
+  }
+
+  /**
+   * Writes values; text starting with "=" is written as a formula, as in Sheets
+   */
+  setValues(values) {
+    this.checkSize(values);
+    this.forEachCell((row, col, r, c) => writeCell(this.sheet, row, col, values[r][c]));
+    this.sheet.workbook.invalidate();
+    return this;
+  }
+
+  setValue(value) {
+    this.forEachCell((row, col) => writeCell(this.sheet, row, col, value));
+    this.sheet.workbook.invalidate();
+    return this;
+  }
+
+  setFormulas(formulas) {
+    this.checkSize(formulas);
+    this.forEachCell((row, col, r, c) => writeFormula(this.sheet, row, col, formulas[r][c]));
+    this.sheet.workbook.invalidate();
+    return this;
+  }
+
+  /**
+   * The same formula in every cell, written for the top-left one and shifted like a fill
+   */
+  setFormula(formula) {
+    this.forEachCell((row, col, r, c) => writeFormula(this.sheet, row, col, shiftFormula(formula, r, c)));
+    this.sheet.workbook.invalidate();
+    return this;
+  }
+
+  setFormulaR1C1(formula) {
+    this.forEachCell((row, col) => writeFormula(this.sheet, row, col, r1c1ToA1(formula, row, col)));
+    this.sheet.workbook.invalidate();
+    return this;
+  }
+
+  setNumberFormat(format) {
+    this.forEachCell((row, col) => {
+      this.sheet.cellFor(row, col).z = format;
+    });
+    return this;
+  }
+
+  setNumberFormats(formats) {
+    this.checkSize(formats);
+    this.forEachCell((row, col, r, c) => {
+      this.sheet.cellFor(row, col).z = formats[r][c];
+    });
+    return this;
+  }
+
+  clearContent() {
+    this.forEachCell((row, col) => {
+      const cell = this.sheet.cellAt(row, col);
+      if (cell) Object.assign(cell, { v: '', f: '' });
+    });
+    this.sheet.workbook.invalidate();
+    return this;
+  }
+
+  clear() {
+    this.forEachCell((row, col) => {
+      const cells = this.sheet.cells[row - 1];
+      if (cells) cells[col - 1] = undefined;
+    });
+    this.sheet.workbook.invalidate();
+    return this;
+  }
+
+  /**
+   * Sorts the rows of the range: sort(2), sort({ column: 2, ascending: false }) or an array of those.
+   * Blank cells go last; formulas in moved rows are shifted to their new row.
+   */
+  sort(spec) {
+    const keys = (Array.isArray(spec) ? spec : [spec]).map(s => (typeof s === 'number' ? { column: s, ascending: true } : { ascending: true, ...s }));
+    const workbook = this.sheet.workbook;
+    const rows = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = this.row + r;
+      rows.push({
+        from: row,
+        keys: keys.map(k => workbook.readCell(this.sheet, row, k.column)),
+        cells: Array.from({ length: this.numCols }, (_, c) => this.sheet.cellAt(row, this.col + c))
+      });
+    }
+
+    rows.sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const result = compareForSort(a.keys[i], b.keys[i], keys[i].ascending);
+        if (result !== 0) return result;
+      }
+      return a.from - b.from;
+    });
+
+    rows.forEach((entry, r) => {
+      const row = this.row + r;
+      entry.cells.forEach((cell, c) => {
+        if (!this.sheet.cells[row - 1]) this.sheet.cells[row - 1] = [];
+        const moved = cell ? { ...cell, f: cell.f ? shiftFormula(cell.f, row - entry.from, 0) : '' } : undefined;
+        this.sheet.cells[row - 1][this.col + c - 1] = moved;
+      });
+    });
+    workbook.invalidate();
+    return this;
+  }
+
+  checkSize(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numCols)) {
+      throw new Error(`The data has ${values.length} rows but the range has ${this.numRows} rows and ${this.numCols} columns`);
+    }
+  }
+}
+
+function writeCell(sheet, row, col, value) {
+  if (typeof value === 'string' && value.startsWith('=') && value.length > 1) return writeFormula(sheet, row, col, value);
+  const cell = sheet.cellFor(row, col);
+  cell.v = value === null || value === undefined ? '' : value;
+  cell.f = '';
+}
+
+function writeFormula(sheet, row, col, formula) {
+  const cell = sheet.cellFor(row, col);
+  cell.f = formula ? String(formula) : '';
+  cell.v = '';
+}
+
+function displayValue(sheet, row, col) {
+  const cell = sheet.cellAt(row, col);
+  if (!cell) return '';
+  if (!cell.f) return cell.v;
+  const value = sheet.workbook.readCell(sheet, row, col);
+  if (value instanceof FormulaError) return value.code;
+  if (value === null) return '';
+  if (typeof value === 'number' && cell.z && DATE_FORMAT.test(cell.z)) return serialToDate(value);
+  return value;
+}
+
+// Ascending: numbers, then text, then booleans; blanks always last
+function compareForSort(a, b, ascending) {
+  const blankA = a === null || a instanceof FormulaError;
+  const blankB = b === null || b instanceof FormulaError;
+  if (blankA || blankB) return blankA === blankB ? 0 : (blankA ? 1 : -1);
+  const rank = v => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+  let result = rank(a) - rank(b);
+  if (result === 0) {
+    const left = typeof a === 'string' ? a.toLowerCase() : a;
+    const right = typeof b === 'string' ? b.toLowerCase() : b;
+    result = left < right ? -1 : (left > right ? 1 : 0);
+  }
+  return ascending ? result : -result;
+}
+
+/**
+ * An R1C1 formula written into one cell, in A1 notation: in row 5, R[-1]C3 becomes $C4
+ * (bracketed offsets stay relative, plain numbers become absolute)
+ */
+function r1c1ToA1(formula, row, col) {
+  const reference = /(?<![A-Za-z0-9_])R(\[-?\d+\]|\d+)?C(\[-?\d+\]|\d+)?(?![A-Za-z0-9_(])/g;
+  const convert = (part, base) => {
+    if (part === undefined) return { index: base, absolute: false };
+    if (part.startsWith('[')) return { index: base + Number(part.slice(1, -1)), absolute: false };
+    return { index: Number(part), absolute: true };
+  };
+  return String(formula)
+    .split(/('(?:[^']|'')*'|"(?:[^"]|"")*")/)
+    .map((text, i) => (i % 2 === 1 ? text : text.replace(reference, (m, r, c) => {
+      const target = { row: convert(r, row), col: convert(c, col) };
+      return `${target.col.absolute ? '$' : ''}${columnLetter(target.col.index)}${target.row.absolute ? '$' : ''}${target.row.index}`;
+    })))
+    .join('');
+}
+
+module.exports = {
+  Workbook,
+  Sheet,
+  Range,
+  DATE_FORMAT
+};
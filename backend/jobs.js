@@ -0,0 +1,93 @@
+/**
+ * In-memory progress of /plan requests.
+ * The Sidebar generates a job id per request and polls it (through Apps Script)
+ * while /plan runs, so it can show the classification and planning phases as they
+ * happen. A job can be cancelled; planning stops before its next sub-task.
+ * Jobs belong to the user whose request first used the id.
+ */
+
+const JOB_TTL_MS = 30 * 60 * 1000;
+
+const jobs = new Map();
+
+function pruneExpired() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.updatedAt < cutoff) jobs.delete(id);
+  }
+}
+
+function getJob(jobId) {
+  pruneExpired();
+  if (!jobs.has(jobId)) {
+    jobs.set(jobId, { phases: [], cancelled: false, updatedAt: Date.now() });
+  }
+  const job = jobs.get(jobId);
+  job.updatedAt = Date.now();
+  return job;
+}
+
+/**
+ * Adds a phase, or updates it when a phase with the same id was recorded before
+ * @param {string} jobId
+ * @param {object} phase - { id, label, status: running | success | error | skipped, detail? }
+ */
+function recordPhase(jobId, phase) {
+  if (!jobId) return;
+  const { phases } = getJob(jobId);
+  const existing = phases.find(p => p.id === phase.id);
+  if (existing) Object.assign(existing, phase);
+  else phases.push({ ...phase });
+}
+
+/**
+ * Phases recorded so far, in order, or null for an unknown job
+ */
+function getProgress(jobId) {
+  pruneExpired();
+  if (!jobId || !jobs.has(jobId)) return null;
+  const job = jobs.get(jobId);
+  return { phases: job.phases.map(p => ({ ...p })), cancelled: job.cancelled };
+}
+
+/**
+ * Ties a job to the user who first uses it.
+ * @returns {boolean} false when the job belongs to another user
+ */
+function claimJob(jobId, user) {
+  if (!jobId) return true;
+  const job = getJob(jobId);
+  if (job.user === undefined) job.user = user;
+  return job.user === user;
+}
+
+/**
+ * User the job belongs to, or null when there is no such job
+ */
+function ownerOf(jobId) {
+  pruneExpired();
+  return jobId && jobs.has(jobId) ? jobs.get(jobId).user : null;
+}
+
+/**
+ * Cancels the user's job. A job cancelled before its request arrives is claimed here.
+ * @returns {boolean} false when the job belongs to another user
+ */
+function cancelJob(jobId, user) {
+  if (!claimJob(jobId, user) || !jobId) return false;
+  getJob(jobId).cancelled = true;
+  return true;
+}
+
+function isCancelled(jobId) {
+  return Boolean(jobId && jobs.has(jobId) && jobs.get(jobId).cancelled);
+}
+
+module.exports = {
+  claimJob,
+  ownerOf,
+  recordPhase,
+  getProgress,
+  cancelJob,
+  isCancelled
+};
@@ -0,0 +1,825 @@
+/**
+ * Deterministic Plan Building
+ * Turns the LLM's structured plan for one intent into executable steps
+ * for Code.gs, and projects how those steps change the sheet schema.
+ */
+
+const { allSkills } = require('./skills/index');
+const { builders, wrapFormula } = require('./builders');
+const { ClarificationNeeded, columnOptions, valueOptions, normalize } = require('./clarify');
+
+// Column params that should be numeric; numeric columns are offered first when they are missing
+const NUMERIC_PARAMS = ['sum_column', 'average_column', 'weight_column'];
+
+// Fixed choices for params that aren't columns
+const PARAM_CHOICES = {
+  order: ['asc', 'desc'],
+  operator: ['equals', 'not_equals', 'greater', 'less', 'contains', 'not_contains', 'empty', 'not_empty']
+};
+
+/**
+ * Resolution helper to map column names/letters to column letters
+ */
+function resolveColumn(identifier, headers) {
+  if (!identifier || !headers) return identifier;
+  const idStr = String(identifier).trim();
+  // Look up in headers by name first, so headers like "ID" or "QTY" aren't taken for letters
+  const match = headers.find(h => h.name.toLowerCase() === idStr.toLowerCase());
+  if (match) return match.column;
+
+  // If it's already a single/double letter, return as is (A, B, AA, etc.)
+  if (/^[A-Z]{1,2}$/i.test(idStr)) return idStr.toUpperCase();
+
+  // Tolerate spacing, case and punctuation differences ("total_revenue" for "Total Revenue")
+  const loose = headers.filter(h => normalize(h.name) === normalize(idStr));
+  if (loose.length === 1) return loose[0].column;
+
+  // Without a schema there is nothing to check against
+  if (headers.length === 0) return idStr;
+
+  throw new ClarificationNeeded({
+    question: `I couldn't find a column called "${idStr}". Which column did you mean?`,
+    parameter: 'column',
+    options: columnOptions(headers, idStr),
+    unresolved: idStr
+  });
+}
+
+/**
+ * Clarification for a required parameter the plan left out: columns, values seen
+ * in the schema or the parameter's fixed choices are offered as answers
+ */
+function askForParam(param, { path, headers, label, params, choices }) {
+  let options = [];
+  const allowed = choices || PARAM_CHOICES[param];
+  if (Array.isArray(allowed)) {
+    options = allowed.map(v => ({ label: String(v).replace(/_/g, ' '), value: v }));
+  } else if (/column$|^columns$/.test(param)) {
+    options = columnOptions(headers, null, NUMERIC_PARAMS.includes(param) ? 'number' : null);
+  } else if (param === 'value') {
+    const column = params.column || params.criteria_column;
+    const known = headers.find(h => h.column === column || h.name === column);
+    if (known) options = valueOptions(headers, known.column);
+  }
+
+  return new ClarificationNeeded({
+    question: `Which ${param.replace(/_/g, ' ')} should I use for ${label}?`,
+    parameter: param,
+    options: options,
+    // Values may be typed; columns and fixed choices are picked
+    allowText: options.length === 0 || param === 'value',
+    path: path,
+    asList: param === 'columns'
+  });
+}
+
+/**
+ * Finds a sheet in the schema by name (case-insensitive).
+ * No name, or the active sheet's name, returns the active sheet's detailed schema.
+ */
+function findSheet(sheetSchema, sheetName) {
+  if (!sheetSchema) return null;
+  if (!sheetName || String(sheetName).toLowerCase() === String(sheetSchema.sheetName || '').toLowerCase()) {
+    return sheetSchema;
+  }
+  const wanted = String(sheetName).trim().toLowerCase();
+  return (sheetSchema.sheets || []).find(s => s.sheetName.toLowerCase() === wanted) || null;
+}
+
+/**
+ * First and last data row of a described sheet (header excluded, totals under the table
+ * excluded via dataEndRow), or null when the schema has no row information.
+ * last_row is null when earlier steps of the plan remove rows (see projectSchema).
+ */
+function dataBounds(sheet) {
+  if (!sheet) return null;
+  const firstRow = (sheet.headerRow || 1) + 1;
+  if (sheet.rowsChanged) return { first_row: firstRow, last_row: null };
+  const lastRow = sheet.dataEndRow || sheet.rowCount;
+  if (!lastRow || lastRow < firstRow) return null;
+  return { first_row: firstRow, last_row: lastRow };
+}
+
+/**
+ * Resolves a column that may be qualified with a sheet ("Customers!Email")
+ * @returns {{ sheetName: string|null, column: string }} sheetName is null for the default sheet
+ */
+function resolveSheetColumn(identifier, sheetSchema, defaultSheet) {
+  let sheetName = defaultSheet || null;
+  let columnId = identifier;
+
+  const qualified = String(identifier || '').match(/^'?(.+?)'?!(.+)$/);
+  if (qualified && findSheet(sheetSchema, qualified[1])) {
+    sheetName = qualified[1];
+    columnId = qualified[2];
+  }
+
+  const sheet = findSheet(sheetSchema, sheetName);
+  if (sheetName && !sheet) {
+    const sheetNames = (sheetSchema?.sheets || []).map(s => s.sheetName);
+    if (sheetNames.length === 0) throw new Error(`There is no sheet named "${sheetName}"`);
+    throw new ClarificationNeeded({
+      question: `There is no sheet named "${sheetName}". Which sheet did you mean?`,
+      parameter: 'sheet',
+      options: sheetNames.map(name => ({ label: name, value: name })),
+      unresolved: sheetName
+    });
+  }
+  const canonicalName = sheet && sheet !== sheetSchema ? sheet.sheetName : null;
+  return { sheetName: canonicalName, column: resolveColumn(columnId, sheet?.headers || []) };
+}
+
+/**
+ * Builds the steps for one intent's raw plan
+ * @param {string} intent - formula | insight | chart | clean_data | organization | pivot
+ * @param {object} rawPlan - Parsed planning response from the LLM
+ * @param {object} sheetSchema - Schema the plan was made against
+ * @param {object} context - { requestId, prompt, intentResult }
+ * @returns {{ steps: object[], summary: string }}
+ */
+function buildSteps(intent, rawPlan, sheetSchema, context) {
+  switch (intent) {
+    case 'formula':
+      return buildFormulaSteps(intent, rawPlan, sheetSchema, context);
+    case 'insight':
+      // Plans that answer with formula queries instead of choosing columns
+      if (Array.isArray(rawPlan.calculations) && !rawPlan.measures) {
+        return buildFormulaSteps(intent, rawPlan, sheetSchema, context);
+      }
+      return buildInsightSteps(rawPlan, sheetSchema, context);
+    case 'chart':
+      return buildChartSteps(rawPlan, sheetSchema, context);
+    case 'clean_data':
+      return buildCleanDataSteps(rawPlan, sheetSchema);
+    case 'organization':
+      return buildOrganizationSteps(rawPlan, sheetSchema);
+    case 'pivot':
+      return buildPivotSteps(rawPlan, sheetSchema, context);
+    default:
+      throw new Error(`Unsupported intent: ${intent}`);
+  }
+}
+
+function buildFormulaSteps(intent, rawPlan, sheetSchema, { requestId }) {
+  const steps = [];
+  let calcs = Array.isArray(rawPlan.calculations) ? rawPlan.calculations : [];
+  if (calcs.length === 0 && rawPlan.pattern) {
+    // Compatibility for single pattern if AI misses array
+    calcs = [{ pattern: rawPlan.pattern, parameters: rawPlan.parameters }];
+  }
+
+  calcs.forEach((calc, idx) => {
+    const pattern = calc.pattern;
+    const patternDef = allSkills.formula.patterns[pattern];
+
+    if (!patternDef) {
+      console.warn(`[${requestId}] Unsupported formula pattern: ${pattern}`);
+      return;
+    }
+
+    // Validate required params: ask for the first missing one
+    calc.parameters = calc.parameters || {};
+    const missingParams = patternDef.required_params.filter(p => calc.parameters[p] === undefined);
+    if (missingParams.length > 0) {
+      console.warn(`[${requestId}] Missing params for ${pattern}: ${missingParams.join(', ')}`);
+      throw askForParam(missingParams[0], {
+        path: Array.isArray(rawPlan.calculations) ? ['calculations', idx, 'parameters', missingParams[0]] : ['parameters', missingParams[0]],
+        headers: sheetSchema?.headers || [],
+        label: calc.label ? `"${calc.label}"` : pattern.replace(/_/g, ' '),
+        params: calc.parameters
+      });
+    }
+
+    const builderName = patternDef.builder;
+
+    // AUTO-RESOLVE COLUMNS in parameters
+    const resolvedParams = { ...calc.parameters };
+
+    // Aggregates may read another sheet ("sheet"); row-wise columns may be written to one ("target_sheet")
+    const sourceSheet = findSheet(sheetSchema, resolvedParams.sheet);
+    const targetSheet = findSheet(sheetSchema, resolvedParams.target_sheet);
+    if (!sourceSheet || !targetSheet) {
+      console.warn(`[${requestId}] Unknown sheet for ${pattern}: ${resolvedParams.sheet || resolvedParams.target_sheet}`);
+      return;
+    }
+    resolvedParams.sheet = sourceSheet === sheetSchema ? null : sourceSheet.sheetName;
+    const headers = (patternDef.type === 'row_wise' ? targetSheet : sourceSheet).headers || [];
+
+    // NORMALIZE CRITERIA: If AI sends an object like {"A": "Val"}, convert to array [{column: "A", value: "Val", operator: "equals"}]
+    if (resolvedParams.criteria && !Array.isArray(resolvedParams.criteria) && typeof resolvedParams.criteria === 'object') {
+      const normalized = [];
+      for (const [key, val] of Object.entries(resolvedParams.criteria)) {
+        normalized.push({
+          column: key,
+          value: val,
+          operator: 'equals'
+        });
+      }
+      resolvedParams.criteria = normalized;
+    }
+
+    if (resolvedParams.column) resolvedParams.column = resolveColumn(resolvedParams.column, headers);
+    if (resolvedParams.sum_column) resolvedParams.sum_column = resolveColumn(resolvedParams.sum_column, headers);
+    if (resolvedParams.average_column) resolvedParams.average_column = resolveColumn(resolvedParams.average_column, headers);
+    if (resolvedParams.criteria_column) resolvedParams.criteria_column = resolveColumn(resolvedParams.criteria_column, headers);
+    if (resolvedParams.weight_column) resolvedParams.weight_column = resolveColumn(resolvedParams.weight_column, headers);
+    if (resolvedParams.label_column) resolvedParams.label_column = resolveColumn(resolvedParams.label_column, headers);
+
+    if (resolvedParams.criteria && Array.isArray(resolvedParams.criteria)) {
+      resolvedParams.criteria = resolvedParams.criteria.map(c => ({
+        ...c,
+        column: resolveColumn(c.column || c.criteria_column, headers)
+      }));
+    }
+
+    if (resolvedParams.lookup_column) {
+      resolvedParams.lookup_column = resolveColumn(resolvedParams.lookup_column, headers);
+      const match = resolveSheetColumn(resolvedParams.match_column, sheetSchema, resolvedParams.lookup_sheet);
+      const ret = resolveSheetColumn(resolvedParams.return_column, sheetSchema, match.sheetName);
+      // Qualify the lookup range unless it is on the sheet the formula is written to
+      const lookupSheet = match.sheetName || sheetSchema.sheetName;
+      resolvedParams.lookup_sheet = lookupSheet === targetSheet.sheetName ? null : lookupSheet;
+      resolvedParams.match_column = match.column;
+      resolvedParams.return_column = ret.column;
+      const lookupBounds = dataBounds(findSheet(sheetSchema, lookupSheet));
+      if (lookupBounds) {
+        resolvedParams.lookup_first_row = lookupBounds.first_row;
+        resolvedParams.lookup_last_row = lookupBounds.last_row;
+      }
+    }
+
+    // Aggregates only read the data rows of their sheet
+    if (patternDef.type === 'aggregate') {
+      Object.assign(resolvedParams, dataBounds(sourceSheet));
+    }
+
+    // Row-wise formulas are written for the first data row and shifted down by Code.gs
+    if (patternDef.type === 'row_wise' && resolvedParams.start_row === undefined) {
+      resolvedParams.start_row = (targetSheet.headerRow || 1) + 1;
+    }
+
+    let formula;
+    try {
+      formula = builders[builderName](resolvedParams);
+    } catch (e) {
+      console.warn(`[${requestId}] Could not build ${pattern}: ${e.message}`);
+      return;
+    }
+    const finalFormula = wrapFormula(formula, allSkills.formula.rules);
+
+    if (patternDef.type === 'aggregate') {
+      steps.push({
+        stepNumber: idx + 1,
+        action: 'QUERY_VALUE',
+        description: calc.label || `Querying ${pattern}`,
+        params: {
+          formula: finalFormula,
+          label: calc.label || pattern
+        }
+      });
+    } else {
+      const stepParams = {
+        columnName: calc.parameters.column_name || pattern,
+        formula: finalFormula
+      };
+      if (targetSheet !== sheetSchema) stepParams.sheetName = targetSheet.sheetName;
+
+      steps.push({
+        stepNumber: idx + 1,
+        action: 'ADD_COLUMN',
+        description: `Calculating ${pattern}`,
+        params: stepParams
+      });
+    }
+  });
+
+  const summary = intent === 'formula' ? "Performing calculations." : "Analyzing data with queries.";
+  return { steps, summary };
+}
+
+/**
+ * One read-only ANALYZE_DATA step: Code.gs reads the chosen columns and
+ * sends them to /insight, which computes the statistics behind the answer.
+ * Falls back to the schema's detected types when the plan names no columns.
+ */
+function buildInsightSteps(rawPlan, sheetSchema, { prompt }) {
+  const headers = sheetSchema?.headers || [];
+  const maxColumns = allSkills.insight.rules.max_columns;
+  const resolveAll = (cols) => (Array.isArray(cols) ? cols : [])
+    .map(col => resolveColumn(col, headers))
+    .filter(col => headers.some(h => h.column === col));
+
+  let measures = resolveAll(rawPlan.measures);
+  let dimensions = resolveAll(rawPlan.dimensions);
+  let dateColumn = rawPlan.date_column ? resolveColumn(rawPlan.date_column, headers) : null;
+  if (dateColumn && !headers.some(h => h.column === dateColumn)) dateColumn = null;
+
+  if (measures.length === 0 && dimensions.length === 0) {
+    measures = headers.filter(h => h.detectedType === 'number').map(h => h.column);
+    // Low-cardinality text columns make useful breakdowns; ids and free text don't
+    dimensions = headers.filter(h => h.detectedType === 'string' && (h.topValues || []).length > 1 && (h.topValues || []).length < 10)
+      .map(h => h.column);
+    dateColumn = dateColumn || (headers.find(h => h.detectedType === 'date') || {}).column || null;
+  }
+
+  const columns = [
+    ...(dateColumn ? [{ column: dateColumn, role: 'date' }] : []),
+    ...measures.map(column => ({ column, role: 'measure' })),
+    ...dimensions.map(column => ({ column, role: 'dimension' }))
+  ].slice(0, maxColumns);
+
+  if (columns.length === 0) {
+    throw new Error('There are no columns to analyze');
+  }
+
+  return {
+    steps: [{
+      stepNumber: 1,
+      action: 'ANALYZE_DATA',
+      description: 'Computing statistics for the question',
+      params: {
+        question: prompt,
+        columns,
+        maxRows: allSkills.insight.rules.max_rows
+      }
+    }],
+    summary: 'Analyzing the data.'
+  };
+}
+
+function buildChartSteps(rawPlan, sheetSchema, { prompt, intentResult }) {
+  // Edits to charts that already exist ("make the revenue chart a line chart")
+  if (Array.isArray(rawPlan.chart_operations) && rawPlan.chart_operations.length > 0) {
+    return buildChartEditSteps(rawPlan.chart_operations, sheetSchema);
+  }
+
+  // CHART DECISION ENGINE
+  const chartGoal = rawPlan.chart_goal;
+  let chartType = intentResult.explicit_chart_type || rawPlan.explicit_chart_type;
+
+  if (!chartType && allSkills.chart.goals[chartGoal]) {
+    chartType = allSkills.chart.goals[chartGoal].default_type;
+  }
+
+  chartType = (chartType || 'column').toLowerCase();
+
+  // RESOLVE CHART COLUMNS
+  const headers = sheetSchema?.headers || [];
+  const resolvedX = resolveColumn(rawPlan.x_column, headers);
+  const resolvedY = Array.isArray(rawPlan.y_columns)
+    ? rawPlan.y_columns.map(col => resolveColumn(col, headers))
+    : [];
+
+  // Validate chart type
+  if (!allSkills.chart.supported_types.includes(chartType)) {
+    console.warn(`Fallback: Unsupported chart type ${chartType}, using column instead.`);
+    chartType = 'column';
+  }
+
+  // Apply rules: a pie shows one series; slices beyond pie_max_slices are folded into "Other" by Code.gs
+  if (chartType === 'pie' && resolvedY.length > 1) {
+    chartType = 'column';
+    console.log(`Fallback: Pie chart has ${resolvedY.length} series, switched to column.`);
+  }
+  if (chartType === 'combo' && resolvedY.length < 2) {
+    chartType = 'column';
+    console.log('Fallback: Combo chart needs two series, switched to column.');
+  }
+
+  // Categorical X values that repeat are aggregated per category in Code.gs
+  const aggregation = String(rawPlan.aggregation || 'sum').toLowerCase();
+
+  const steps = [{
+    stepNumber: 1,
+    action: 'CREATE_CHART',
+    description: `Creating ${chartType} chart for ${chartGoal}`,
+    params: {
+      chartType: chartType,
+      title: rawPlan.title || prompt,
+      xAxisColumn: chartType === 'histogram' ? null : resolvedX,
+      seriesColumns: resolvedY,
+      aggregation: allSkills.chart.aggregations.includes(aggregation) ? aggregation : 'sum',
+      styling: allSkills.chart.styling,
+      rules: allSkills.chart.rules
+    }
+  }];
+  return { steps, summary: `Creating a ${chartType} chart.` };
+}
+
+/**
+ * Finds a chart listed in the schema by id or title (exact, then partial match)
+ */
+function resolveChart(reference, sheetSchema) {
+  const charts = sheetSchema?.charts || [];
+  const ref = String(reference ?? '').trim().toLowerCase();
+  if (!ref) return charts.length === 1 ? charts[0] : null;
+  return charts.find(c => String(c.chartId) === ref)
+    || charts.find(c => c.title.toLowerCase() === ref)
+    || charts.find(c => c.title.toLowerCase().includes(ref))
+    || null;
+}
+
+function buildChartEditSteps(operations, sheetSchema) {
+  const chartSkill = allSkills.chart;
+  const headers = sheetSchema?.headers || [];
+  const steps = [];
+
+  operations.forEach((op, index) => {
+    const opName = op.operation;
+    if (!chartSkill.operations.hasOwnProperty(opName)) {
+      console.warn(`Unsupported chart operation: ${opName}`);
+      return;
+    }
+
+    const chart = resolveChart(op.chart, sheetSchema);
+    if (!chart) {
+      const charts = sheetSchema?.charts || [];
+      if (charts.length === 0) throw new Error('There are no charts on this sheet');
+      throw new ClarificationNeeded({
+        question: op.chart ? `Couldn't find a chart matching "${op.chart}". Which chart did you mean?` : 'Which chart should I change?',
+        parameter: 'chart',
+        options: charts.map(c => ({ label: `${c.title || 'Untitled'} (${c.type})`, value: String(c.chartId) })),
+        path: ['chart_operations', index, 'chart']
+      });
+    }
+    const target = { chartId: chart.chartId, chartTitle: chart.title };
+
+    if (opName === 'delete_chart') {
+      steps.push({
+        stepNumber: steps.length + 1,
+        action: 'DELETE_CHART',
+        description: `Deleting chart "${chart.title}"`,
+        params: target
+      });
+      return;
+    }
+
+    let chartType = op.chart_type ? String(op.chart_type).toLowerCase() : undefined;
+    if (chartType && !chartSkill.supported_types.includes(chartType)) {
+      console.warn(`Fallback: Unsupported chart type ${chartType}, keeping the current type.`);
+      chartType = undefined;
+    }
+
+    const params = {
+      ...target,
+      chartType,
+      title: op.title,
+      xAxisColumn: op.x_column ? resolveColumn(op.x_column, headers) : undefined,
+      seriesColumns: Array.isArray(op.y_columns) ? op.y_columns.map(col => resolveColumn(col, headers)) : undefined,
+      aggregation: op.aggregation,
+      xAxisTitle: op.x_axis_title,
+      yAxisTitle: op.y_axis_title,
+      colors: Array.isArray(op.colors) ? op.colors.slice(0, chartSkill.rules.max_colors) : undefined,
+      position: op.position,
+      rules: chartSkill.rules
+    };
+    Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+
+    steps.push({
+      stepNumber: steps.length + 1,
+      action: 'UPDATE_CHART',
+      description: `Updating chart "${chart.title}"`,
+      params
+    });
+  });
+
+  return { steps, summary: "Updating existing charts." };
+}
+
+// Operator spellings the LLM uses for filter_data, mapped to the supported operators
+const FILTER_OPERATOR_ALIASES = {
+  'not_equal_to': 'not_equals',
+  'not_equal': 'not_equals',
+  'is_not': 'not_equals',
+  '!=': 'not_equals',
+  'equal_to': 'equals',
+  'is': 'equals',
+  '==': 'equals',
+  'greater_than': 'greater',
+  '>': 'greater',
+  'less_than': 'less',
+  '<': 'less'
+};
+
+function buildCleanDataSteps(rawPlan, sheetSchema) {
+  if (!Array.isArray(rawPlan.operations)) {
+    throw new Error('Invalid clean_data operations format');
+  }
+
+  const steps = [];
+  rawPlan.operations.forEach((op, index) => {
+    const opName = op.operation;
+    if (!allSkills.clean_data.operations.hasOwnProperty(opName)) {
+      console.warn(`Unsupported cleaning operation: ${opName}`);
+      return;
+    }
+    const opDef = allSkills.clean_data.operations[opName];
+
+    const stepAction = opName === 'filter_data' ? 'FILTER_DATA' : 'CLEAN_DATA';
+    const headers = sheetSchema?.headers || [];
+
+    // Handle both flat and nested structure
+    const params = op.parameters || op;
+    const missing = (opDef.required_params || []).filter(p => params[p] === undefined || params[p] === null);
+    if (missing.length > 0) {
+      console.warn(`Missing params for ${opName}: ${missing.join(', ')}`);
+      throw askForParam(missing[0], {
+        path: ['operations', index, ...(op.parameters ? ['parameters'] : []), missing[0]],
+        headers: headers,
+        label: op.description ? `"${op.description}"` : opName.replace(/_/g, ' '),
+        params: params
+      });
+    }
+    const resolvedCol = resolveColumn(params.column, headers);
+
+    let operator = params.operator;
+    // Robust operator mapping
+    if (opName === 'filter_data') {
+      operator = FILTER_OPERATOR_ALIASES[operator?.toLowerCase()] || operator;
+    }
+
+    const stepParams = {
+      column: resolvedCol,
+      operation: opName,
+      operator: operator,
+      value: params.value,
+      fillValue: params.fillValue ?? params.fill_value
+    };
+
+    // Operation-specific params declared in skills.json, passed on in camelCase
+    (opDef.params || []).filter(p => p !== 'column' && params[p] !== undefined).forEach(p => {
+      stepParams[toCamelCase(p)] = params[p];
+    });
+    if (Array.isArray(stepParams.columns)) {
+      stepParams.columns = stepParams.columns.map(col => resolveColumn(col, headers));
+    }
+
+    steps.push({
+      stepNumber: index + 1,
+      action: stepAction,
+      description: `Performing ${opName}`,
+      params: stepParams
+    });
+  });
+  return { steps, summary: "Cleaning sheet data." };
+}
+
+function toCamelCase(name) {
+  return name.replace(/_([a-z])/g, (m, ch) => ch.toUpperCase());
+}
+
+function buildOrganizationSteps(rawPlan, sheetSchema) {
+  if (!Array.isArray(rawPlan.operations)) {
+    throw new Error('Invalid organization operations format');
+  }
+
+  const steps = [];
+  rawPlan.operations.forEach((op, index) => {
+    const opName = op.operation;
+    const opDef = allSkills.organization.operations[opName];
+    if (!opDef) {
+      console.warn(`Unsupported organization operation: ${opName}`);
+      return;
+    }
+    const stepAction = opName.toUpperCase(); // e.g. SORT_DATA, CONDITIONAL_FORMAT
+    const headers = sheetSchema?.headers || [];
+
+    // Handle nested if needed
+    const params = op.parameters || op;
+    const missing = (opDef.required_params || []).filter(p => params[p] === undefined || params[p] === null);
+    if (missing.length > 0) {
+      console.warn(`Missing params for ${opName}: ${missing.join(', ')}`);
+      throw askForParam(missing[0], {
+        path: ['operations', index, ...(op.parameters ? ['parameters'] : []), missing[0]],
+        headers: headers,
+        label: op.description ? `"${op.description}"` : opName.replace(/_/g, ' '),
+        params: params,
+        choices: missing[0] === 'format' ? opDef.formats : missing[0] === 'rule' ? opDef.rules : undefined
+      });
+    }
+
+    // Required and declared params, passed on in camelCase
+    const stepParams = {};
+    [...(opDef.required_params || []), ...(opDef.params || [])].forEach(p => {
+      if (params[p] !== undefined) stepParams[toCamelCase(p)] = params[p];
+    });
+    // Resolve column if present
+    if (params.column) stepParams.column = resolveColumn(params.column, headers);
+    if (typeof stepParams.columns === 'string' && !/^\d+$/.test(stepParams.columns)) {
+      stepParams.columns = resolveColumn(stepParams.columns, headers);
+    }
+
+    steps.push({
+      stepNumber: index + 1,
+      action: stepAction,
+      description: op.description || `Performing ${opName}`,
+      params: stepParams
+    });
+  });
+  return { steps, summary: "Organizing sheet data." };
+}
+
+const PIVOT_FUNCTION_ALIASES = {
+  'sum': 'sum',
+  'total': 'sum',
+  'average': 'average',
+  'avg': 'average',
+  'mean': 'average',
+  'count': 'count',
+  'min': 'min',
+  'minimum': 'min',
+  'max': 'max',
+  'maximum': 'max'
+};
+
+function buildPivotSteps(rawPlan, sheetSchema, { prompt }) {
+  const pivotSkill = allSkills.pivot.operations.create_pivot;
+  const rules = allSkills.pivot.rules;
+  const headers = sheetSchema?.headers || [];
+
+  // Dimensions may be plain columns or { column, group_by } for date grouping
+  const resolveDimension = (dim) => {
+    const spec = typeof dim === 'object' && dim !== null ? dim : { column: dim };
+    const groupBy = spec.group_by ? String(spec.group_by).toLowerCase() : null;
+    return {
+      column: resolveColumn(spec.column, headers),
+      groupBy: pivotSkill.supported_date_groupings.includes(groupBy) ? groupBy : null
+    };
+  };
+
+  const rows = (Array.isArray(rawPlan.rows) ? rawPlan.rows : []).map(resolveDimension).filter(d => d.column);
+  const columns = (Array.isArray(rawPlan.columns) ? rawPlan.columns : []).map(resolveDimension).filter(d => d.column);
+  const values = (Array.isArray(rawPlan.values) ? rawPlan.values : [])
+    .map(v => ({
+      column: resolveColumn(v.column, headers),
+      function: PIVOT_FUNCTION_ALIASES[String(v.function || 'sum').toLowerCase()]
+    }))
+    .filter(v => v.column && pivotSkill.supported_functions.includes(v.function));
+
+  if (rows.length === 0 || values.length === 0) {
+    throw new Error('A summary table needs at least one group-by column and one value to summarize');
+  }
+  if (rows.length > rules.max_row_groups || columns.length > rules.max_column_groups) {
+    throw new Error(`Summary tables support up to ${rules.max_row_groups} row groups and ${rules.max_column_groups} column groups`);
+  }
+
+  const sourceSheet = sheetSchema?.sheetName || null;
+  const outputSheet = rawPlan.output_sheet
+    || rules.default_output_sheet.replace('{{source_sheet}}', sourceSheet || 'Data');
+  const chartType = rawPlan.chart_type ? String(rawPlan.chart_type).toLowerCase() : null;
+
+  const steps = [{
+    stepNumber: 1,
+    action: 'CREATE_PIVOT',
+    description: `Summarizing ${values.map(v => `${v.function} of ${v.column}`).join(', ')} by ${rows.map(r => r.column).join(', ')}`,
+    params: {
+      sourceSheet,
+      outputSheet,
+      rows,
+      columns,
+      values,
+      showTotals: !(chartType && rules.hide_totals_when_charted)
+    }
+  }];
+
+  // The summary table is the chart's source: CREATE_CHART reads the last pivot's output sheet
+  if (chartType) {
+    steps.push({
+      stepNumber: 2,
+      action: 'CREATE_CHART',
+      description: `Charting the summary table as a ${chartType} chart`,
+      params: {
+        chartType: allSkills.chart.supported_types.includes(chartType) ? chartType : 'column',
+        title: rawPlan.title || prompt,
+        dataSource: 'last_pivot',
+        styling: allSkills.chart.styling,
+        rules: allSkills.chart.rules
+      }
+    });
+  }
+
+  return { steps, summary: `Building a summary table on "${outputSheet}".` };
+}
+
+// ============================================================
+// SCHEMA PROJECTION
+// ============================================================
+
+/**
+ * Returns the schema as it will look after the given steps have run,
+ * so later sub-tasks of a compound request plan against the right columns.
+ * Mirrors where Code.gs inserts and removes columns.
+ */
+function projectSchema(sheetSchema, steps) {
+  if (!sheetSchema || !Array.isArray(sheetSchema.headers)) return sheetSchema;
+
+  let headers = sheetSchema.headers.map(h => ({ ...h }));
+  let rowsChanged = Boolean(sheetSchema.rowsChanged);
+
+  steps.forEach(step => {
+    const params = step.params || {};
+    // Steps on other sheets leave the active sheet's columns alone
+    if (params.sheetName && params.sheetName !== sheetSchema.sheetName) return;
+    switch (step.action) {
+      case 'ADD_COLUMN': {
+        // Code.gs inserts after the reference column, or after the last column when none is given
+        const refIndex = params.referenceColumn ? columnToIndex(params.referenceColumn) : headers.length - 1;
+        const insertAt = params.position === 'before' ? refIndex : refIndex + 1;
+        headers = insertHeader(headers, insertAt, params.columnName);
+        break;
+      }
+      case 'YOY_CALCULATION':
+        headers = insertHeader(headers, headers.length, params.newColumnName || 'YoY Growth %');
+        break;
+      case 'DELETE_ROWS':
+      case 'FILTER_DATA':
+        rowsChanged = true;
+        break;
+      case 'CLEAN_DATA': {
+        // Split, merge and extract insert new columns next to their source columns
+        if (params.operation === 'remove_duplicates') {
+          rowsChanged = true;
+        } else if (params.operation === 'split_column') {
+          const names = params.newColumnNames?.length ? params.newColumnNames : [`${params.column} 1`, `${params.column} 2`];
+          names.forEach((name, i) => {
+            headers = insertHeader(headers, columnToIndex(params.column) + 1 + i, name);
+          });
+        } else if (params.operation === 'merge_columns' && Array.isArray(params.columns) && params.columns.length > 0) {
+          const after = Math.max(...params.columns.map(columnToIndex));
+          headers = insertHeader(headers, after + 1, params.newColumnName || params.columns.join(' + '));
+        } else if (params.operation === 'regex_extract' && params.newColumnName) {
+          headers = insertHeader(headers, columnToIndex(params.column) + 1, params.newColumnName);
+        }
+        break;
+      }
+      case 'CONDITIONAL_FORMAT': {
+        // Data bars are drawn in a new column right after the source column
+        if (String(params.rule).toLowerCase() === 'data_bars' && params.column) {
+          const source = headers[columnToIndex(params.column)];
+          headers = insertHeader(headers, columnToIndex(params.column) + 1, `${source ? source.name : params.column} Bar`);
+        }
+        break;
+      }
+      case 'DELETE_COLUMN': {
+        const removeAt = columnToIndex(params.column);
+        headers = reindexHeaders(headers.filter(h => h.index !== removeAt));
+        break;
+      }
+    }
+  });
+
+  const projected = { ...sheetSchema, headers, colCount: headers.length };
+  if (rowsChanged) {
+    // How many rows are left is only known once those steps have run, so later ranges stay open-ended
+    projected.rowsChanged = true;
+    projected.dataEndRow = null;
+  }
+  return projected;
+}
+
+function insertHeader(headers, insertAt, name) {
+  const next = headers.slice();
+  next.splice(insertAt, 0, { name: name, column: indexToColumn(insertAt), index: insertAt, detectedType: 'formula' });
+  return reindexHeaders(next);
+}
+
+function reindexHeaders(headers) {
+  return headers.map((h, i) => ({ ...h, index: i, column: indexToColumn(i) }));
+}
+
+/**
+ * Converts a column letter to a 0-based index (A = 0, B = 1, AA = 26)
+ */
+function columnToIndex(letter) {
+  const upper = String(letter).toUpperCase();
+  let result = 0;
+  for (let i = 0; i < upper.length; i++) {
+    result = result * 26 + upper.charCodeAt(i) - 64;
+  }
+  return result - 1;
+}
+
+/**
+ * Converts a 0-based index to a column letter (0 = A, 26 = AA)
+ */
+function indexToColumn(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letter = String.fromCharCode(65 + rem) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+module.exports = {
+  resolveColumn,
+  resolveSheetColumn,
+  buildSteps,
+  projectSchema,
+  columnToIndex,
+  indexToColumn,
+  FILTER_OPERATOR_ALIASES,
+  PIVOT_FUNCTION_ALIASES
+};
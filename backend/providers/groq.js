@@ -0,0 +1,28 @@
+const Groq = require('groq-sdk');
+
+const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+
+/**
+ * Groq chat completions provider
+ * @param {object} config - { apiKey, model }
+ */
+function createGroqProvider(config) {
+  const groq = new Groq({ apiKey: config.apiKey });
+  const model = config.model || DEFAULT_MODEL;
+
+  return {
+    name: 'groq',
+    model,
+    async complete({ messages, temperature = 0, json = false }) {
+      const completion = await groq.chat.completions.create({
+        messages,
+        model,
+        temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      });
+      return completion.choices[0].message.content;
+    }
+  };
+}
+
+module.exports = { createGroqProvider };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { createGroqProvider } = require('./groq');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '../fixtures/mock-responses.json');
+
+/**
+ * Creates the LLM provider selected by configuration (LLM_PROVIDER).
+ * Every provider exposes complete({ stage, prompt, messages, temperature, json }) -> string,
+ * where stage is "classification" | "planning" | "insight" and prompt is the user's request.
+ * @param {object} env - usually process.env
+ */
+function createProvider(env = process.env) {
+  const providerName = (env.LLM_PROVIDER || 'groq').toLowerCase();
+  let provider;
+
+  switch (providerName) {
+    case 'groq':
+      provider = createGroqProvider({ apiKey: env.GROQ_API_KEY, model: env.LLM_MODEL });
+      break;
+    case 'openai':
+      provider = createOpenAIProvider({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, model: env.LLM_MODEL });
+      break;
+    case 'mock':
+      provider = createMockProvider({ fixturesPath: env.MOCK_FIXTURES || DEFAULT_FIXTURES });
+      break;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected groq, openai or mock)`);
+  }
+
+  return env.LLM_RECORD_FIXTURES ? withRecorder(provider, env.LLM_RECORD_FIXTURES) : provider;
+}
+
+/**
+ * Wraps a provider so every response is appended to a fixture file the mock provider can replay
+ */
+function withRecorder(provider, fixturesPath) {
+  return {
+    ...provider,
+    async complete(request) {
+      const content = await provider.complete(request);
+
+      const fixtures = fs.existsSync(fixturesPath) ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+      const entries = fixtures[request.stage] || (fixtures[request.stage] = []);
+      let response = content;
+      try {
+        response = JSON.parse(content);
+      } catch (e) {
+        // Free-text answers (insight) are stored as-is
+      }
+      entries.push({ match: `^${escapeRegex(request.prompt || '')}$`, response });
+      fs.writeFileSync(fixturesPath, JSON.stringify(fixtures, null, 2));
+
+      return content;
+    }
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+
+/**
+ * Deterministic provider that replays recorded responses from a fixture file.
+ *
+ * Fixture format: { "<stage>": [ { "match": "<regex>", "response": <object|string> }, ... ] }
+ * Entries are tried in order against the user's prompt; the first match wins.
+ * An entry without "match" acts as the fallback for its stage. An entry with "attempt" only
+ * answers that repair attempt (0 = the first request, 1 = the first repair, ...), so a fixture
+ * can return an invalid plan and then its fix.
+ * @param {object} config - { fixturesPath }
+ */
+function createMockProvider(config) {
+  const fixtures = JSON.parse(fs.readFileSync(config.fixturesPath, 'utf8'));
+
+  return {
+    name: 'mock',
+    model: 'fixtures',
+    async complete({ stage, prompt, messages }) {
+      const entries = fixtures[stage] || [];
+      // Repairs resend the conversation with each earlier response as an assistant message
+      const attempt = (messages || []).filter(m => m.role === 'assistant').length;
+      const entry = entries.find(e => (!e.match || new RegExp(e.match, 'i').test(prompt || '')) &&
+        (e.attempt === undefined || e.attempt === attempt));
+
+      if (!entry) {
+        throw new Error(`No mock fixture for stage "${stage}" matching prompt: ${prompt}`);
+      }
+
+      return typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+    }
+  };
+}
+
+module.exports = { createMockProvider };
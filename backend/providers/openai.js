@@ -0,0 +1,43 @@
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Provider for any OpenAI-compatible /chat/completions endpoint
+ * (OpenAI, a local Ollama or llama.cpp server, vLLM, ...)
+ * @param {object} config - { baseUrl, apiKey, model }
+ */
+function createOpenAIProvider(config) {
+  const baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = config.model || DEFAULT_MODEL;
+
+  return {
+    name: 'openai',
+    model,
+    async complete({ messages, temperature = 0, json = false }) {
+      const headers = { 'Content-Type': 'application/json' };
+      // Local servers usually don't need a key
+      if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`LLM endpoint returned ${response.status}: ${body.slice(0, 300)}`);
+      }
+
+      const data = await response.json();
+      return data.choices[0].message.content;
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
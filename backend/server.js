@@ -1,36 +1,92 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const Groq = require('groq-sdk');
 const { getSkillsForIntent, allSkills } = require('./skills/index');
-const { builders, wrapFormula } = require('./builders');
+const { createProvider } = require('./providers');
+const sessions = require('./sessions');
+const jobs = require('./jobs');
+const usage = require('./usage');
+const { requireSignature, requireAdmin } = require('./auth');
+const audit = require('./audit');
+const { buildSteps, projectSchema } = require('./planner');
+const stats = require('./stats');
+const { ClarificationNeeded, toPublic, intentOptions, applyAnswer } = require('./clarify');
+const { validatePlan, formatRepairRequest, rejectInvalid } = require('./validator');
+const headless = require('./headless');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Groq client
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
+// Initialize the LLM provider selected by LLM_PROVIDER (groq | openai | mock)
+const llm = createProvider(process.env);
+console.log(`LLM provider: ${llm.name} (${llm.model})`);
 
-// Middleware
+// Middleware (the raw body is kept for signature checks)
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+
+// Every endpoint except /health and /admin needs a request signed by the add-on.
+// Offline mock runs may skip signing when no secret is configured.
+if (!process.env.AGENT_SHARED_SECRET) {
+  console.warn(llm.name === 'mock'
+    ? 'AGENT_SHARED_SECRET is not set: accepting unsigned requests (mock provider only)'
+    : 'AGENT_SHARED_SECRET is not set: all signed endpoints will refuse requests');
+}
+const signed = requireSignature({ secret: process.env.AGENT_SHARED_SECRET, allowUnsigned: llm.name === 'mock' });
+
+// Per-user limits on the endpoints that call the LLM (0 disables a limit)
+const LIMITS = {
+  perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '10', 10),
+  perDay: parseInt(process.env.DAILY_QUOTA || '200', 10)
+};
+
+/**
+ * Counts the request against the signed user's rate limit and daily quota; 429 when over either
+ */
+function limitUsage(endpoint) {
+  return (req, res, next) => {
+    const verdict = usage.recordRequest(req.agentUser, endpoint, LIMITS);
+    if (verdict.allowed) return next();
+
+    console.warn(`${req.agentUser} ${verdict.code} on /${endpoint} (retry in ${verdict.retryAfter}s)`);
+    res.set('Retry-After', String(verdict.retryAfter));
+    res.status(429).json({
+      success: false,
+      code: verdict.code,
+      error: verdict.message,
+      retryAfter: verdict.retryAfter,
+      quota: verdict.quota
+    });
+  };
+}
 
 const CLASSIFICATION_PROMPT = `Analyze the user prompt and classify the primary intent.
 
 ## Intent Guidelines:
 - "formula": Use this for ANY request that requires a calculation, sum, average, count, comparison, or specific numerical result from the spreadsheet data. If the user asks "How much", "What is the total", "Compare X and Y", or "Give me the percentage", it is a FORMULA intent.
-- "chart": Visualizing data with graphs/charts.
-- "clean_data": Filtering rows, removing duplicates, trim, or data formatting.
-- "organization": Sorting or styling large ranges.
-- "insight": Qualitative questions about what the data represents, schema explanations, or general trends that DON'T require a specific calculation.
+- "chart": Visualizing data with graphs/charts, including changing, restyling, moving or deleting charts that already exist (listed under "charts" in the schema).
+- "clean_data": Filtering rows, removing duplicates, trimming or normalizing text and case, standardizing dates, find/replace or extracting with patterns, splitting or merging columns, filling missing values.
+- "organization": Sorting, number formats (currency, decimals, percentages), conditional formatting ("highlight late orders in red", color scales, data bars), header styling, freezing rows/columns and dropdowns (data validation).
+- "pivot": Grouped summary tables: totals, averages, counts, min or max BROKEN DOWN BY one or more dimensions (e.g., "total revenue by region and month", "average order value per customer").
+- "insight": Open analytical questions about what the data shows: trends, drivers, comparisons, distributions, anomalies ("what's driving the drop in Q3 sales?", "any outliers?"), or what the data represents. Use "formula" instead when the user wants one specific number.
+
+## Compound requests:
+A prompt may ask for several things at once ("trim the names, drop empty emails, sort by revenue and chart it by region").
+Split it into "tasks": one entry per action, IN THE ORDER they should run, each with its own intent ("formula", "chart", "clean_data", "organization" or "pivot") and a short self-contained "instruction".
+For a single-action prompt, return exactly one task. "intent" is the intent of the first task.
+
+## Follow-ups:
+If a "Conversation so far" is provided, the current prompt may refer to earlier turns ("now make that a pie chart", "same thing but for 2023"). Resolve those references using the history and classify the intent of the CURRENT prompt.
 
 Return JSON only:
 {
-  "intent": "formula" | "chart" | "clean_data" | "organization" | "insight",
-  "explicit_chart_type": "line" | "bar" | "column" | "pie" | "scatter" | null,
-  "confidence": number
+  "intent": "formula" | "chart" | "clean_data" | "organization" | "pivot" | "insight",
+  "explicit_chart_type": "line" | "bar" | "column" | "pie" | "scatter" | "area" | "stacked" | "combo" | "histogram" | null,
+  "confidence": number,
+  "tasks": [
+    { "intent": "formula" | "chart" | "clean_data" | "organization" | "pivot", "instruction": string, "explicit_chart_type": string | null }
+  ]
 }`;
 
 const PLANNING_PROMPT = `You are a high-level spreadsheet action planner for a premium analytical tool.
@@ -41,6 +97,8 @@ Select supported patterns from the provided skills JSON.
 1. DATASET AGNOSTIC: Rely strictly on the provided "Schema" and "Headers" for column mapping. Your plan must be robust enough to work on 1,000s of rows based on the patterns identified in the sample data and schema.
 2. ACCURACY: If the user asks for a count with a condition (e.g., "how many orders in X"), use "count_if" or "count_ifs". Do NOT use simple "count" if a filter is implied.
 3. PROFESSIONALISM: Your "label" for each calculation must be clear and context-rich (e.g., "Total Orders for Festival Event" instead of just "Count").
+4. FOLLOW-UPS: If a "Conversation so far" is provided and the prompt refers to an earlier turn ("that chart", "same thing but for 2023"), reuse that turn's columns, conditions and settings and change only what the user asks for.
+5. MULTIPLE SHEETS: The schema describes the active sheet in detail and lists every sheet under "sheets". When the user refers to another sheet ("from the Customers tab", "match with Sheet2"), use the lookup patterns and name the sheets exactly as listed. Columns of other sheets also use their COLUMN LETTER.
 
 ## STRUCTURAL RULES:
 1. Do NOT generate raw formulas.
@@ -51,336 +109,634 @@ Select supported patterns from the provided skills JSON.
 Current Skills:
 {{SKILLS_JSON}}
 
-If intent = formula or insight:
+If intent = formula:
 Return: { 
   "conversational_answer": string, 
   "calculations": [
     { "pattern": string, "parameters": {}, "label": string }
   ]
 }
-## NOTE: For "OR" conditions (e.g., "Category is Fashion OR Footwear"), generate MULTIPLE calculation items in the array. 
+## NOTE: For "OR" conditions on one column (e.g., "Category is Fashion OR Footwear"), give the criterion's "value" as a list (["Fashion", "Footwear"]) in ONE calculation. Use the typed operators from the skills JSON rules; write dates as YYYY-MM-DD.
+
+If intent = insight:
+Return: { "conversational_answer": string, "measures": [ string ], "dimensions": [ string ], "date_column": string | null }
+## NOTE: Pick the columns needed to answer the question: numeric "measures" to analyze (most relevant first), categorical "dimensions" to break them down by, and the "date_column" for trends. Leave the rest out. Do not state any figures in "conversational_answer"; they are computed afterwards.
 
 If intent = chart:
-Return: { "conversational_answer": string, "chart_goal": string, "explicit_chart_type": string | null, "x_column": string, "y_columns": [] }
+Return: { "conversational_answer": string, "chart_goal": string, "explicit_chart_type": string | null, "x_column": string, "y_columns": [], "aggregation": "sum" | "average" | "count" | "none" }
+Or, to change charts that already exist (see "charts" in the schema), instead return: { "conversational_answer": string, "chart_operations": [ { "operation": "update_chart" | "delete_chart", "chart": string (title or chartId), "chart_type"?: string, "title"?: string, "x_column"?: string, "y_columns"?: [], "x_axis_title"?: string, "y_axis_title"?: string, "colors"?: [], "position"?: "right_of_data" | "below_data" | { "row": number, "column": string } } ] }
+## NOTE: Never create a new chart when the user asks to change one that exists; only include the fields that change.
+## NOTE: Pick only the columns the chart needs. "aggregation" applies when the X column repeats (e.g., one row per order, charted per region); use "count" for "number of X per Y" and "none" for a row-by-row chart.
 
 If intent = clean_data:
-Return: { "conversational_answer": string, "operations": [ { "operation": "filter_data" | "trim_whitespace" | "convert_to_number", "column": string, "operator"?: string, "value"?: any, "description": string } ] }
+Return: { "conversational_answer": string, "operations": [ { "operation": string, "column"?: string, "operator"?: string, "value"?: any, ...the operation's params from the skills JSON, "description": string } ] }
+## NOTE: Use only operations listed in the skills JSON, with the params listed there. Multi-column params ("columns") are arrays of column letters. "pattern" is a JavaScript regular expression.
 
 If intent = organization:
-Return: { "conversational_answer": string, "operations": [ { "operation": "sort_data" | "format_cells", "column"?: string, "order"?: string, "range"?: string, "format"?: string } ] }`;
+Return: { "conversational_answer": string, "operations": [ { "operation": "sort_data" | "format_cells" | "conditional_format" | "style_header" | "freeze_panes" | "data_validation", "column"?: string, ...the operation's params from the skills JSON, "description": string } ] }
+## NOTE: Formatting applies to a column's data rows unless a "range" is given. To highlight whole rows ("highlight late orders"), use conditional_format with "apply_to": "row", a rule on the deciding column, or "custom_formula" comparing columns (e.g. "=$F2>$E2" for delivered after due).
+
+If intent = pivot:
+Return: { "conversational_answer": string, "rows": [ string | { "column": string, "group_by": "year" | "quarter" | "month" | "year_quarter" | "year_month" | "day_of_week" } ], "columns": [ same as rows ], "values": [ { "column": string, "function": "sum" | "average" | "count" | "min" | "max" } ], "output_sheet"?: string, "chart_type"?: string | null, "title"?: string }
+## NOTE: Use "group_by" only on date columns (e.g., "by month" on an Order Date column). Set "chart_type" only if the user asked to chart the summary.`;
+
+const INSIGHT_PROMPT = `You are a data analyst answering a question about a spreadsheet.
+You are given numbered facts computed from the full data. Answer ONLY from these facts:
+- Every number you mention must appear in a fact, and the fact id must follow it in brackets, e.g. "Revenue fell 12.4% in 2024-Q3 [F8]".
+- Never estimate, extrapolate or invent figures. If the facts can't answer the question, say what is missing.
+- Lead with the direct answer, then the 2-4 most relevant supporting points. Keep it under 150 words. Plain text, no tables.`;
+
+const PLANNABLE_INTENTS = ['formula', 'chart', 'clean_data', 'organization', 'pivot', 'insight'];
+
+// How many times an invalid response is sent back to the LLM to fix before giving up on it
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.PLAN_REPAIR_ATTEMPTS || '2', 10);
 
 /**
- * Resolution helper to map column names/letters to column letters
+ * Parses an LLM response that should be JSON, tolerating a ```json fence around it
+ * @returns {{ value: any, error: string|null }}
  */
-function resolveColumn(identifier, headers) {
-  if (!identifier || !headers) return identifier;
-  const idStr = String(identifier).trim();
-  // If it's already a single/double letter, return as is (A, B, AA, etc.)
-  if (/^[A-Z]{1,2}$/i.test(idStr)) return idStr.toUpperCase();
-  
-  // Look up in headers by name
-  const match = headers.find(h => h.name.toLowerCase() === idStr.toLowerCase());
-  if (match) return match.column;
-
-  // Fallback to original
-  return idStr;
+function parseJsonResponse(content) {
+  const text = String(content ?? '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch (e) {
+    return { value: null, error: e.message };
+  }
 }
 
-app.post('/plan', async (req, res) => {
-  const requestId = Date.now();
-  console.log(`[${requestId}] POST /plan received`);
+/**
+ * Classifies the prompt. Unparseable responses are retried with a reminder to return JSON;
+ * returns null when no usable classification comes back. Raw responses go to the audit record.
+ */
+async function classifyPrompt(requestId, prompt, history, historyBlock, auditRecord) {
+  console.log(`[${requestId}] Classification Prompt Sent`);
+  const messages = [
+    { role: 'system', content: CLASSIFICATION_PROMPT },
+    { role: 'user', content: history ? `${historyBlock}Current prompt: ${prompt}` : prompt }
+  ];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const rawClassificationContent = await llm.complete({ stage: 'classification', prompt, messages, temperature: 0, json: true });
+    console.log(`[${requestId}] LLM Classification RAW:`, rawClassificationContent);
+    audit.recordResponse(auditRecord, 'classification', rawClassificationContent, { attempt });
 
-  try {
-    const { prompt, sheetSchema } = req.body;
-    if (!prompt) return res.status(400).json({ success: false, error: 'Prompt is required' });
+    const { value: intentResult, error } = parseJsonResponse(rawClassificationContent);
+    let problem = error ? `not valid JSON (${error})` : null;
+    if (!problem && !PLANNABLE_INTENTS.includes(intentResult?.intent)) {
+      problem = `"intent" must be one of: ${PLANNABLE_INTENTS.join(', ')}`;
+    }
+    if (!problem) {
+      console.log(`[${requestId}] Parsed intent:`, intentResult);
+      return intentResult;
+    }
 
-    // STEP 3: Intent Classification
-    console.log(`[${requestId}] Classification Prompt Sent`);
-    const classification = await groq.chat.completions.create({
-      messages: [{ role: 'system', content: CLASSIFICATION_PROMPT }, { role: 'user', content: prompt }],
-      model: 'llama-3.3-70b-versatile',
-      temperature: 0,
-      response_format: { type: 'json_object' }
-    });
+    console.warn(`[${requestId}] Unusable classification (attempt ${attempt + 1}): ${problem}`);
+    messages.push(
+      { role: 'assistant', content: rawClassificationContent },
+      { role: 'user', content: `Your answer was ${problem}. Return the classification as JSON only, in the requested shape.` }
+    );
+  }
+  return null;
+}
 
-    const rawClassificationContent = classification.choices[0].message.content;
-    const intentResult = JSON.parse(rawClassificationContent);
-    console.log(`[${requestId}] LLM Classification RAW:`, rawClassificationContent);
-    console.log(`[${requestId}] Parsed intent:`, intentResult);
+/**
+ * Normalizes the classifier's sub-tasks. Falls back to a single task
+ * built from the primary intent when "tasks" is missing or unusable.
+ */
+function normalizeTasks(intentResult, prompt) {
+  const tasks = Array.isArray(intentResult.tasks)
+    ? intentResult.tasks.filter(t => t && PLANNABLE_INTENTS.includes(t.intent))
+    : [];
 
-    if (intentResult.confidence < 0.6) {
-      return res.json({ success: false, answer: "I'm not sure what you want to do. Could you be more specific?", plan: { steps: [] } });
-    }
+  if (tasks.length === 0) {
+    return [{ intent: intentResult.intent, instruction: prompt, explicit_chart_type: intentResult.explicit_chart_type || null }];
+  }
 
-    const { intent } = intentResult;
-
-    // Handle 'insight' (simple Q&A) separately if needed, or route to planner
-    if (intent === 'insight') {
-      console.log(`[${requestId}] Insight Prompt Sent`);
-      const completion = await groq.chat.completions.create({
-        messages: [
-          { role: 'system', content: "You are an AI data analyst. Answer questions based on the provided schema." },
-          { role: 'user', content: `Schema: ${JSON.stringify(sheetSchema)}\nQuestion: ${prompt}` }
-        ],
-        model: 'llama-3.3-70b-versatile',
-        temperature: 0.1,
-      });
-      const insightResponse = completion.choices[0].message.content;
-      console.log(`[${requestId}] LLM Insight RAW:`, insightResponse);
-      return res.json({ success: true, answer: insightResponse, plan: { steps: [] } });
-    }
+  return tasks.map(t => ({
+    intent: t.intent,
+    instruction: t.instruction || prompt,
+    explicit_chart_type: t.explicit_chart_type || null
+  }));
+}
 
-    // STEP 4: Planning with Structured Skills
-    // Insight effectively uses formula skills to extract real data
-    const effectiveIntent = (intent === 'insight' || intent === 'formula') ? 'formula' : intent;
-    const skillSection = getSkillsForIntent(effectiveIntent);
-
-    console.log(`[${requestId}] Planning Prompt Sent for intent: ${intent}`);
-    const planCompletion = await groq.chat.completions.create({
-      messages: [
-        { role: 'system', content: PLANNING_PROMPT.replace('{{SKILLS_JSON}}', JSON.stringify(skillSection)) },
-        { role: 'user', content: `Prompt: ${prompt}\nSchema: ${JSON.stringify(sheetSchema)}` }
-      ],
-      model: 'llama-3.3-70b-versatile',
+/**
+ * Asks the LLM for the structured plan of a single sub-task, using that intent's skill section.
+ * The plan is validated against skills.json and the schema; problems are sent back for up to
+ * MAX_REPAIR_ATTEMPTS repairs, after which the items that are still invalid are rejected.
+ * @param {object} [tracking] - { jobId, phaseId, audit }: repairs are reported on the progress
+ *   phase, and every raw response is kept on the audit record
+ * @returns {{ rawPlan: object|null, rejected: object[] }} rawPlan is null when nothing usable is left
+ */
+async function planTask(requestId, task, prompt, sheetSchema, historyBlock, tracking = {}) {
+  const skillSection = getSkillsForIntent(task.intent);
+  const isSubTask = task.instruction !== prompt;
+  const messages = [
+    { role: 'system', content: PLANNING_PROMPT.replace('{{SKILLS_JSON}}', JSON.stringify(skillSection)) },
+    {
+      role: 'user',
+      content: `${historyBlock}Prompt: ${task.instruction}\n` +
+        (isSubTask ? `(This is one step of the larger request: "${prompt}". Plan ONLY this step, as intent = ${task.intent}.)\n` : '') +
+        `Schema: ${JSON.stringify(sheetSchema)}`
+    }
+  ];
+
+  // Latest plan that parsed, and its problems
+  let rawPlan = null;
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    console.log(`[${requestId}] Planning Prompt Sent for intent: ${task.intent}${attempt > 0 ? ` (repair ${attempt})` : ''}`);
+    const rawPlanContent = await llm.complete({
+      stage: 'planning',
+      prompt: task.instruction,
+      messages,
       temperature: 0,
-      response_format: { type: 'json_object' }
+      json: true
     });
-
-    const rawPlanContent = planCompletion.choices[0].message.content;
-    const rawPlan = JSON.parse(rawPlanContent);
     console.log(`[${requestId}] LLM Plan RAW:`, rawPlanContent);
-    console.log(`[${requestId}] Parsed plan:`, rawPlan);
+    audit.recordResponse(tracking.audit, 'planning', rawPlanContent, { task: task.intent, attempt });
+
+    const parsed = parseJsonResponse(rawPlanContent);
+    let problems;
+    if (parsed.error) {
+      problems = [{ item: 'plan', reason: `not valid JSON (${parsed.error})` }];
+    } else {
+      rawPlan = parsed.value;
+      errors = validatePlan(task.intent, rawPlan, sheetSchema);
+      problems = errors;
+      console.log(`[${requestId}] Parsed plan:`, rawPlan);
+    }
+    if (problems.length === 0) break;
 
-    // STEP 5 & 6 & 7: Deterministic Building & Dispatching 
-    const steps = [];
-    let summary = "";
+    console.warn(`[${requestId}] Plan problems (attempt ${attempt + 1}):`, problems.map(e => `${e.item}: ${e.reason}`));
+    if (attempt < MAX_REPAIR_ATTEMPTS) {
+      jobs.recordPhase(tracking.jobId, { id: tracking.phaseId, detail: `Fixing ${problems.length} problem(s), attempt ${attempt + 1} of ${MAX_REPAIR_ATTEMPTS}` });
+    }
+    messages.push(
+      { role: 'assistant', content: rawPlanContent },
+      { role: 'user', content: formatRepairRequest(problems) }
+    );
+  }
 
-    try {
-      if (intent === 'formula' || intent === 'insight') {
-        const calcs = rawPlan.calculations || [];
-        if (!Array.isArray(calcs) && rawPlan.pattern) {
-          // Compatibility for single pattern if AI misses array
-          calcs.push({ pattern: rawPlan.pattern, parameters: rawPlan.parameters });
-        }
-
-        calcs.forEach((calc, idx) => {
-          const pattern = calc.pattern;
-          const patternDef = allSkills.formula.patterns[pattern];
-
-          if (!patternDef) {
-            console.warn(`[${requestId}] Unsupported formula pattern: ${pattern}`);
-            return;
-          }
-
-          // Validate required params
-          const missingParams = patternDef.required_params.filter(p => calc.parameters[p] === undefined);
-          if (missingParams.length > 0) {
-            console.warn(`[${requestId}] Missing params for ${pattern}: ${missingParams.join(', ')}`);
-            return;
-          }
-
-          const builderName = patternDef.builder;
-
-          // AUTO-RESOLVE COLUMNS in parameters
-          const resolvedParams = { ...calc.parameters };
-          const headers = sheetSchema?.headers || [];
-
-          // NORMALIZE CRITERIA: If AI sends an object like {"A": "Val"}, convert to array [{column: "A", value: "Val", operator: "equals"}]
-          if (resolvedParams.criteria && !Array.isArray(resolvedParams.criteria) && typeof resolvedParams.criteria === 'object') {
-            const normalized = [];
-            for (const [key, val] of Object.entries(resolvedParams.criteria)) {
-              normalized.push({
-                column: key,
-                value: val,
-                operator: 'equals'
-              });
-            }
-            resolvedParams.criteria = normalized;
-          }
-
-          if (resolvedParams.column) resolvedParams.column = resolveColumn(resolvedParams.column, headers);
-          if (resolvedParams.sum_column) resolvedParams.sum_column = resolveColumn(resolvedParams.sum_column, headers);
-          if (resolvedParams.average_column) resolvedParams.average_column = resolveColumn(resolvedParams.average_column, headers);
-          if (resolvedParams.criteria_column) resolvedParams.criteria_column = resolveColumn(resolvedParams.criteria_column, headers);
-
-          if (resolvedParams.criteria && Array.isArray(resolvedParams.criteria)) {
-            resolvedParams.criteria = resolvedParams.criteria.map(c => ({
-              ...c,
-              column: resolveColumn(c.column || c.criteria_column, headers)
-            }));
-          }
-
-          const formula = builders[builderName](resolvedParams);
-          const finalFormula = wrapFormula(formula, allSkills.formula.rules);
-
-          if (patternDef.type === 'aggregate') {
-            steps.push({
-              stepNumber: idx + 1,
-              action: 'QUERY_VALUE',
-              description: calc.label || `Querying ${pattern}`,
-              params: {
-                formula: finalFormula,
-                label: calc.label || pattern
-              }
-            });
-          } else {
-            steps.push({
-              stepNumber: idx + 1,
-              action: 'ADD_COLUMN',
-              description: `Calculating ${pattern}`,
-              params: {
-                columnName: calc.parameters.column_name || pattern,
-                formula: finalFormula
-              }
-            });
-          }
-        });
-
-        summary = intent === 'formula' ? "Performing calculations." : "Analyzing data with queries.";
-      } else if (intent === 'chart') {
-        // CHART DECISION ENGINE
-        const chartGoal = rawPlan.chart_goal;
-        let chartType = intentResult.explicit_chart_type || rawPlan.explicit_chart_type;
-
-        if (!chartType && allSkills.chart.goals[chartGoal]) {
-          chartType = allSkills.chart.goals[chartGoal].default_type;
-        }
-
-        chartType = (chartType || 'column').toLowerCase();
-
-        // RESOLVE CHART COLUMNS
-        const headers = sheetSchema?.headers || [];
-        const resolvedX = resolveColumn(rawPlan.x_column, headers);
-        const resolvedY = Array.isArray(rawPlan.y_columns)
-          ? rawPlan.y_columns.map(col => resolveColumn(col, headers))
-          : [];
-
-        // Validate chart type
-        if (!allSkills.chart.supported_types.includes(chartType)) {
-          console.warn(`Fallback: Unsupported chart type ${chartType}, using column instead.`);
-          chartType = 'column';
-        }
-
-        // Apply rules
-        if (chartType === 'pie' && resolvedY.length > allSkills.chart.rules.pie_max_slices) {
-          chartType = 'bar';
-          console.log(`Fallback: Pie chart has too many slices, switched to bar.`);
-        }
-
-        steps.push({
-          stepNumber: 1,
-          action: 'CREATE_CHART',
-          description: `Creating ${chartType} chart for ${chartGoal}`,
-          params: {
-            chartType: chartType,
-            title: rawPlan.title || prompt,
-            xAxisColumn: resolvedX,
-            seriesColumns: resolvedY,
-            styling: allSkills.chart.styling
-          }
-        });
-        summary = `Creating a ${chartType} chart.`;
-      } else if (intent === 'clean_data') {
-        if (!Array.isArray(rawPlan.operations)) {
-          throw new Error('Invalid clean_data operations format');
-        }
-
-        rawPlan.operations.forEach((op, index) => {
-          const opName = op.operation;
-          if (!allSkills.clean_data.operations.hasOwnProperty(opName)) {
-            console.warn(`Unsupported cleaning operation: ${opName}`);
-            return;
-          }
-
-          const stepAction = opName === 'filter_data' ? 'FILTER_DATA' : 'CLEAN_DATA';
-          const headers = sheetSchema?.headers || [];
-
-          // Handle both flat and nested structure
-          const params = op.parameters || op;
-          const resolvedCol = resolveColumn(params.column, headers);
-
-          let operator = params.operator;
-          // Robust operator mapping
-          if (opName === 'filter_data') {
-            const opMap = {
-              'not_equal_to': 'not_equals',
-              'not_equal': 'not_equals',
-              'is_not': 'not_equals',
-              '!=': 'not_equals',
-              'equal_to': 'equals',
-              'is': 'equals',
-              '==': 'equals',
-              'greater_than': 'greater',
-              '>': 'greater',
-              'less_than': 'less',
-              '<': 'less'
-            };
-            operator = opMap[operator?.toLowerCase()] || operator;
-          }
-
-          steps.push({
-            stepNumber: index + 1,
-            action: stepAction,
-            description: `Performing ${opName}`,
-            params: {
-              column: resolvedCol,
-              operation: opName,
-              operator: operator,
-              value: params.value,
-              fillValue: params.fillValue
-            }
-          });
-        });
-        summary = "Cleaning sheet data.";
-      } else if (intent === 'organization') {
-        if (!Array.isArray(rawPlan.operations)) {
-          throw new Error('Invalid organization operations format');
-        }
-
-        rawPlan.operations.forEach((op, index) => {
-          const opName = op.operation;
-          const stepAction = opName.toUpperCase(); // SORT_DATA or FORMAT_CELLS
-          const headers = sheetSchema?.headers || [];
-
-          // Handle nested if needed
-          const params = op.parameters || op;
-          // Resolve column if present
-          if (params.column) params.column = resolveColumn(params.column, headers);
-
-          steps.push({
-            stepNumber: index + 1,
-            action: stepAction,
-            description: `Performing ${opName}`,
-            params: params
-          });
-        });
-        summary = "Organizing sheet data.";
+  if (!rawPlan) {
+    return {
+      rawPlan: null,
+      rejected: [{ task: task.intent, item: 'plan', description: task.instruction, reasons: ['the planner did not return valid JSON'] }]
+    };
+  }
+
+  const result = rejectInvalid(rawPlan, errors);
+  const rejected = result.rejected.map(r => ({ task: task.intent, ...r, description: r.description || task.instruction }));
+  if (rejected.length > 0) console.warn(`[${requestId}] Rejected:`, rejected);
+  return { rawPlan: result.rawPlan, rejected };
+}
+
+/**
+ * Plans the remaining sub-tasks of a request, in order. Each one is planned against the
+ * schema as it will look after the previous sub-tasks' steps have run. A paused request
+ * (state.rawPlan set) continues with that raw plan instead of asking the LLM again.
+ * Throws ClarificationNeeded with the state left at the task that needs an answer.
+ * Each sub-task is a progress phase of the job; a cancelled job stops before its next sub-task.
+ */
+async function planRemainingTasks(requestId, state, historyBlock, jobId) {
+  for (; state.taskIndex < state.tasks.length; state.taskIndex++) {
+    if (jobs.isCancelled(jobId)) return { error: null, cancelled: true };
+
+    const task = state.tasks[state.taskIndex];
+    const phase = { jobId, phaseId: `plan_${state.taskIndex}`, audit: state.audit };
+    const label = state.tasks.length > 1
+      ? `Planning step ${state.taskIndex + 1} of ${state.tasks.length} (${task.intent.replace('_', ' ')})`
+      : `Planning (${task.intent.replace('_', ' ')})`;
+    jobs.recordPhase(jobId, { id: phase.phaseId, label, status: 'running', detail: null });
+
+    if (!state.rawPlan) {
+      const planned = await planTask(requestId, task, state.prompt, state.workingSchema, historyBlock, phase);
+      state.rejected.push(...planned.rejected);
+      // Nothing usable left of this sub-task; the rest of the request still runs
+      if (!planned.rawPlan) {
+        jobs.recordPhase(jobId, { id: phase.phaseId, status: 'error', detail: 'No valid plan' });
+        continue;
       }
+      state.rawPlan = planned.rawPlan;
+    }
+
+    // STEP 5 & 6 & 7: Deterministic Building & Dispatching 
+    let built;
+    try {
+      built = buildSteps(task.intent, state.rawPlan, state.workingSchema, {
+        requestId,
+        prompt: task.instruction,
+        intentResult: { ...state.intentResult, explicit_chart_type: task.explicit_chart_type || state.intentResult.explicit_chart_type }
+      });
     } catch (valError) {
+      if (valError instanceof ClarificationNeeded) {
+        jobs.recordPhase(jobId, { id: phase.phaseId, status: 'success', detail: 'Needs your answer' });
+        throw valError;
+      }
       console.error(`[${requestId}] Validation/Build Error:`, valError.message);
-      return res.json({ success: false, answer: `I couldn't complete that: ${valError.message}`, plan: { steps: [] } });
+      jobs.recordPhase(jobId, { id: phase.phaseId, status: 'error', detail: valError.message });
+      return { error: `I couldn't complete that: ${valError.message}` };
     }
+    const taskRejected = state.rejected.filter(r => r.task === task.intent).length;
+    jobs.recordPhase(jobId, {
+      id: phase.phaseId,
+      status: 'success',
+      detail: `${built.steps.length} step(s)` + (taskRejected > 0 ? `, ${taskRejected} rejected` : '')
+    });
 
-    res.json({
+    // Merge into one plan with continuous step numbering
+    built.steps.forEach(step => state.steps.push({ ...step, stepNumber: state.steps.length + 1 }));
+    if (state.rawPlan.conversational_answer) state.answers.push(state.rawPlan.conversational_answer);
+    state.summaries.push(built.summary);
+
+    state.workingSchema = projectSchema(state.workingSchema, built.steps);
+    state.rawPlan = null;
+  }
+  return { error: null, cancelled: false };
+}
+
+/**
+ * Pauses a request on a clarification question. The Sidebar answers with the
+ * returned id, and /plan resumes the same plan from where it stopped.
+ */
+function askClarification(requestId, sessionId, state, details) {
+  const clarificationId = sessions.savePending(sessionId, { state, details });
+  console.log(`[${requestId}] Clarification needed (${details.parameter || details.kind}): ${details.question}`);
+  return {
+    body: {
       success: true,
-      answer: rawPlan.conversational_answer || summary,
-      plan: { summary, steps },
+      answer: details.question,
+      clarification: toPublic(details, clarificationId),
+      plan: { steps: [] },
       error: null
+    },
+    state,
+    status: 'clarification'
+  };
+}
+
+/**
+ * Finishes a /plan response and writes the run to the audit log. The response carries the
+ * job's recorded phases and the audit entry (raw LLM responses), which Apps Script keeps
+ * in its progress list and the _Agent Log sheet.
+ * @param {object} outcome - { jobId, state, status }
+ */
+function planResponse(body, { jobId, state, status }) {
+  const response = { ...body };
+  const progress = jobs.getProgress(jobId);
+  if (progress) response.progress = progress.phases;
+
+  if (state?.audit) {
+    audit.writeRun(state.audit, {
+      status,
+      intents: state.tasks.map(t => t.intent),
+      steps: state.steps,
+      rejected: state.rejected,
+      answer: body.answer,
+      question: body.clarification?.question
     });
+    response.audit = audit.toPublic(state.audit);
+  }
+  return response;
+}
 
+/**
+ * Plans a prompt, or resumes a paused one with its clarification answer: classification,
+ * then every sub-task in order. Shared by /plan and /run.
+ * @param {object} input - { prompt, sheetSchema, sessionId, clarificationId, answer }
+ * @param {object} context - { user, jobId }
+ * @returns {Promise<{ body: object, state?: object, status?: string, httpStatus?: number }>}
+ *   httpStatus is set when the request is refused before planning
+ */
+async function planRequest(requestId, input, { user, jobId }) {
+  const { prompt, sheetSchema, sessionId, clarificationId, answer: clarificationAnswer } = input;
+  if (!prompt && !clarificationId) return { httpStatus: 400, body: { success: false, error: 'Prompt is required' } };
+  // Another user's session or job id is answered as if it didn't exist
+  if (!sessions.claimSession(sessionId, user)) return { httpStatus: 404, body: { success: false, error: 'Unknown session' } };
+  if (!jobs.claimJob(jobId, user)) return { httpStatus: 404, body: { success: false, error: 'Unknown job' } };
+
+  // Earlier turns of this conversation, so follow-ups can refer to them
+  const history = sessions.formatHistory(sessionId);
+  const historyBlock = history ? `Conversation so far:\n${history}\n\n` : '';
+
+  let state;
+  if (clarificationId) {
+    // Resume a paused request with the user's answer
+    const pending = sessions.takePending(sessionId, clarificationId);
+    if (!pending) {
+      return { body: { success: false, answer: 'That question has expired. Please send your request again.', plan: { steps: [] } } };
+    }
+    let answerProblem = null;
+    if (clarificationAnswer === undefined || clarificationAnswer === null || clarificationAnswer === '') {
+      answerProblem = 'answer is required';
+    } else if (pending.details.kind === 'intent' && !PLANNABLE_INTENTS.includes(clarificationAnswer)) {
+      answerProblem = `answer must be one of: ${PLANNABLE_INTENTS.join(', ')}`;
+    }
+    if (answerProblem) {
+      // The question still stands, under a new id
+      const retryId = sessions.savePending(sessionId, { state: pending.state, details: pending.details });
+      return { httpStatus: 400, body: { success: false, error: answerProblem, clarification: toPublic(pending.details, retryId) } };
+    }
+    state = pending.state;
+    state.audit = state.audit || audit.createRecord({ user, sessionId, prompt: state.prompt, sheetSchema: state.workingSchema });
+    console.log(`[${requestId}] Resuming with answer for ${pending.details.parameter || pending.details.kind}:`, clarificationAnswer);
+    if (pending.details.kind === 'intent') {
+      state.intentResult = { ...state.intentResult, intent: clarificationAnswer, tasks: undefined };
+      state.tasks = normalizeTasks(state.intentResult, state.prompt);
+    } else {
+      state.rawPlan = applyAnswer(state.rawPlan, pending.details, clarificationAnswer);
+    }
+  } else {
+    // STEP 3: Intent Classification
+    const auditRecord = audit.createRecord({ user, sessionId, prompt, sheetSchema });
+    jobs.recordPhase(jobId, { id: 'classify', label: 'Understanding the request', status: 'running' });
+    const intentResult = await classifyPrompt(requestId, prompt, history, historyBlock, auditRecord);
+    jobs.recordPhase(jobId, {
+      id: 'classify',
+      status: intentResult ? 'success' : 'error',
+      detail: intentResult ? normalizeTasks(intentResult, prompt).map(t => t.intent.replace('_', ' ')).join(' → ') : 'Unclear request'
+    });
+
+    state = {
+      prompt,
+      intentResult,
+      tasks: [],
+      taskIndex: 0,
+      rawPlan: null,
+      steps: [],
+      answers: [],
+      summaries: [],
+      rejected: [],
+      workingSchema: sheetSchema,
+      audit: auditRecord
+    };
+
+    if (!intentResult || intentResult.confidence < 0.6) {
+      return askClarification(requestId, sessionId, state, new ClarificationNeeded({
+        kind: 'intent',
+        question: "I'm not sure what you'd like to do. Which of these is closest?",
+        parameter: 'intent',
+        options: intentOptions(intentResult?.intent)
+      }).details);
+    }
+
+    state.tasks = normalizeTasks(intentResult, prompt);
+  }
+
+  // STEP 4: Plan every sub-task in order
+  console.log(`[${requestId}] Sub-tasks:`, state.tasks.map(t => t.intent).join(' -> '));
+
+  let outcome;
+  try {
+    outcome = await planRemainingTasks(requestId, state, historyBlock, jobId);
+  } catch (e) {
+    if (e instanceof ClarificationNeeded) return askClarification(requestId, sessionId, state, e.details);
+    throw e;
+  }
+  if (outcome.cancelled) {
+    console.log(`[${requestId}] Cancelled by the user`);
+    return { body: { success: false, cancelled: true, answer: 'Request cancelled. Nothing was changed.', plan: { steps: [] } }, state, status: 'cancelled' };
+  }
+  if (outcome.error) {
+    return { body: { success: false, answer: outcome.error, plan: { steps: [] } }, state, status: 'error' };
+  }
+
+  const { steps, tasks, rejected } = state;
+  const summary = state.summaries.join(' ');
+
+  // Everything the request asked for was rejected
+  if (steps.length === 0 && rejected.length > 0) {
+    const reasons = rejected.map(r => `${r.description}: ${r.reasons.join('; ')}`).join('\n');
+    return { body: { success: false, answer: `I couldn't build a valid plan for that request.\n${reasons}`, rejected, plan: { steps: [] } }, state, status: 'rejected' };
+  }
+
+  // Skills with rules.preview_required must be confirmed in the Sidebar before they run
+  const previewRequired = tasks.some(task => Boolean(allSkills[task.intent]?.rules?.preview_required));
+
+  const answer = state.answers.join(' ') || summary;
+  const turnIntent = tasks.map(task => task.intent).join(' + ');
+  const turnId = sessions.recordTurn(sessionId, { prompt: state.prompt, intent: turnIntent, answer, steps });
+
+  return {
+    body: {
+      success: true,
+      answer,
+      plan: { summary, steps, previewRequired },
+      rejected,
+      turnId,
+      error: null
+    },
+    state,
+    status: 'planned'
+  };
+}
+
+app.post('/plan', signed, limitUsage('plan'), async (req, res) => {
+  const requestId = Date.now();
+  console.log(`[${requestId}] POST /plan received from ${req.agentUser}`);
+
+  try {
+    const { jobId } = req.body;
+    const result = await planRequest(requestId, req.body, { user: req.agentUser, jobId });
+    if (result.httpStatus) return res.status(result.httpStatus).json(result.body);
+    res.json(planResponse(result.body, { jobId, state: result.state, status: result.status }));
   } catch (error) {
     console.error(`[${requestId}] Server Error:`, error);
+    jobs.recordPhase(req.body?.jobId, { id: 'server', label: 'Planning failed', status: 'error', detail: error.message });
     res.status(500).json({ success: false, error: 'Internal server error during planning' });
   }
 });
 
+/**
+ * Grounded insight: computes statistics from the columns of an ANALYZE_DATA step and has
+ * the LLM write the answer from those facts only. Shared by /insight and /run.
+ * @returns {Promise<{ success: boolean, answer: string, facts: object[], ungrounded?: string[] }>}
+ */
+async function answerInsight(requestId, { question, columns, firstRow }) {
+  const facts = stats.analyze({ question, columns, firstRow }, { maxFacts: allSkills.insight.rules.max_facts });
+  console.log(`[${requestId}] Computed ${facts.length} facts`);
+  if (facts.length === 0) {
+    return { success: true, answer: "I couldn't compute any statistics from those columns.", facts: [] };
+  }
+
+  const answer = await llm.complete({
+    stage: 'insight',
+    prompt: question,
+    messages: [
+      { role: 'system', content: INSIGHT_PROMPT },
+      { role: 'user', content: `Question: ${question}\n\nFacts:\n${facts.map(f => `[${f.id}] ${f.text}`).join('\n')}` }
+    ],
+    temperature: 0.1
+  });
+  console.log(`[${requestId}] LLM Insight RAW:`, answer);
+
+  // Flag figures that can't be traced back to a computed fact
+  const ungrounded = stats.findUngroundedNumbers(answer, facts);
+  if (ungrounded.length > 0) console.warn(`[${requestId}] Ungrounded numbers in insight:`, ungrounded);
+
+  const cited = facts.filter(f => answer.includes(`[${f.id}]`));
+  return { success: true, answer, facts: cited.map(({ id, text }) => ({ id, text })), ungrounded };
+}
+
+// Column data sent by Apps Script for an ANALYZE_DATA step
+app.post('/insight', signed, limitUsage('insight'), async (req, res) => {
+  const requestId = Date.now();
+  console.log(`[${requestId}] POST /insight received from ${req.agentUser}`);
+
+  try {
+    const { question, columns, firstRow } = req.body;
+    if (!question || !Array.isArray(columns) || columns.length === 0) {
+      return res.status(400).json({ success: false, error: 'question and columns are required' });
+    }
+    res.json(await answerInsight(requestId, { question, columns, firstRow }));
+  } catch (error) {
+    console.error(`[${requestId}] /insight Error:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Headless run: plans a prompt against an uploaded CSV or XLSX file and executes the plan
+ * on a copy of it here, without Google Sheets (see headless/). Nothing needs confirming:
+ * the caller keeps the original file. Returns the transformed file, the answers, and for
+ * CSV any sheet the plan added (e.g. a summary table) under extraFiles.
+ * Body: { file (base64), filename or format, sheetName?, prompt, sessionId?, jobId? }
+ * A clarification comes back as from /plan; send the file again with sessionId, clarificationId and answer.
+ */
+app.post('/run', signed, limitUsage('plan'), async (req, res) => {
+  const requestId = Date.now();
+  console.log(`[${requestId}] POST /run received from ${req.agentUser}`);
+
+  const { file, filename, format, sheetName, jobId } = req.body;
+  if (!file) return res.status(400).json({ success: false, error: 'file is required (base64 contents of a CSV or XLSX file)' });
+  // Clarification answers resume a paused request, which needs a session
+  const sessionId = req.body.sessionId || `run_${requestId}`;
+
+  let workbook;
+  let fileFormat;
+  try {
+    fileFormat = headless.detectFormat(filename, format);
+    workbook = headless.readWorkbook(Buffer.from(file, 'base64'), { filename, format: fileFormat, sheetName });
+  } catch (e) {
+    return res.status(400).json({ success: false, error: `Could not read the file: ${e.message}` });
+  }
+
+  try {
+    // Through JSON, so dates in the schema look as they do when Apps Script sends it
+    const sheetSchema = JSON.parse(JSON.stringify(headless.getSheetSchema(workbook)));
+    const result = await planRequest(requestId, { ...req.body, sessionId, sheetSchema }, { user: req.agentUser, jobId });
+    if (result.httpStatus) return res.status(result.httpStatus).json(result.body);
+
+    const response = planResponse(result.body, { jobId, state: result.state, status: result.status });
+    if (result.status !== 'planned') return res.json({ ...response, sessionId });
+
+    const sheetsBefore = workbook.getSheets().map(sheet => sheet.getName());
+    const execution = await headless.executePlan(workbook, result.body.plan, {
+      insight: payload => answerInsight(requestId, payload),
+      onPhase: phase => jobs.recordPhase(jobId, phase),
+      isCancelled: () => jobs.isCancelled(jobId)
+    });
+    console.log(`[${requestId}] Executed ${execution.stepResults.length} step(s) on ${filename || fileFormat}`);
+
+    // Same report Apps Script sends after running a plan
+    const results = execution.stepResults.map(r => ({ action: r.action, status: r.status, result: r.result, error: r.error }));
+    audit.writeResults(result.state.audit?.id, req.agentUser, results);
+    sessions.recordResults(sessionId, result.body.turnId, results);
+
+    const output = headless.writeWorkbook(workbook, fileFormat);
+    // A CSV holds one sheet: sheets the plan added (summary tables) come back as files of their own
+    const addedSheets = fileFormat === 'csv'
+      ? workbook.getSheets().map(sheet => sheet.getName()).filter(name => !sheetsBefore.includes(name) && !name.startsWith(headless.INTERNAL_SHEET_PREFIX))
+      : [];
+    res.json({
+      ...response,
+      progress: jobs.getProgress(jobId)?.phases || response.progress,
+      sessionId,
+      execution,
+      answers: execution.stepResults
+        .filter(r => r.status === 'success' && /^(RESULT|INSIGHT):/.test(String(r.result)))
+        .map(r => String(r.result).replace(/^(RESULT|INSIGHT):\s*/, '')),
+      format: fileFormat,
+      filename: outputName(filename, fileFormat),
+      file: output.toString('base64'),
+      extraFiles: addedSheets.map(name => ({
+        sheetName: name,
+        filename: `${name.replace(/[/\\]/g, '_')}.csv`,
+        file: headless.writeWorkbook(workbook, 'csv', { sheetName: name }).toString('base64')
+      }))
+    });
+  } catch (error) {
+    console.error(`[${requestId}] /run Error:`, error);
+    jobs.recordPhase(jobId, { id: 'server', label: 'Run failed', status: 'error', detail: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error during the run' });
+  }
+});
+
+// sales.csv -> sales (agent).csv
+function outputName(filename, format) {
+  const base = filename ? path.basename(filename, path.extname(filename)) : 'result';
+  return `${base} (agent).${format}`;
+}
+
+// Execution results for a planned turn (QUERY_VALUE answers, step statuses)
+app.post('/session/results', signed, (req, res) => {
+  const { sessionId, turnId, auditId, results } = req.body;
+  if (!sessionId || !turnId) return res.status(400).json({ success: false, error: 'sessionId and turnId are required' });
+
+  if (sessions.ownerOf(sessionId) !== req.agentUser) return res.status(404).json({ success: false, error: 'Unknown session' });
+
+  const reported = Array.isArray(results) ? results : [];
+  audit.writeResults(auditId, req.agentUser, reported);
+  const recorded = sessions.recordResults(sessionId, turnId, reported);
+  res.json({ success: recorded });
+});
+
+// Progress of a /plan request, polled by the Sidebar through Apps Script
+app.get('/jobs/:jobId', signed, (req, res) => {
+  const progress = jobs.getProgress(req.params.jobId);
+  if (!progress || jobs.ownerOf(req.params.jobId) !== req.agentUser) return res.status(404).json({ success: false, error: 'Unknown job' });
+  res.json({ success: true, ...progress });
+});
+
+// Stops a /plan request before its next sub-task
+app.post('/jobs/:jobId/cancel', signed, (req, res) => {
+  if (!jobs.cancelJob(req.params.jobId, req.agentUser)) return res.status(404).json({ success: false, error: 'Unknown job' });
+  res.json({ success: true });
+});
+
+// Starts a new conversation
+app.post('/session/reset', signed, (req, res) => {
+  const { sessionId } = req.body;
+  if (!sessionId) return res.status(400).json({ success: false, error: 'sessionId is required' });
+
+  const owner = sessions.ownerOf(sessionId);
+  if (owner && owner !== req.agentUser) return res.status(404).json({ success: false, error: 'Unknown session' });
+
+  sessions.resetSession(sessionId);
+  res.json({ success: true });
+});
+
+// Requests per user and day, and how often each user hit a limit
+app.get('/admin/usage', requireAdmin(process.env.ADMIN_TOKEN), (req, res) => {
+  res.json({ success: true, ...usage.report(LIMITS) });
+});
+
+// Latest audited runs (prompt, raw LLM responses, steps, results); ?limit=&user=
+app.get('/admin/audit', requireAdmin(process.env.ADMIN_TOKEN), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  res.json({ success: true, runs: audit.readRecent({ limit, user: req.query.user }) });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Excel Agent Backend running on http://localhost:${PORT}`);
-});
+// Start server (skipped when required by tests or other tools)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Excel Agent Backend running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,152 @@
+/**
+ * In-memory conversation sessions.
+ * Keeps a bounded history of prompts, plans and execution results per session
+ * so follow-up prompts ("now make that a pie chart") can refer to earlier turns.
+ * Sessions belong to the user whose request first used the id.
+ */
+
+const MAX_TURNS = 6;
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_STEP_CHARS = 300;
+
+let nextPendingId = 1;
+
+const sessions = new Map();
+
+function getSession(sessionId) {
+  pruneExpired();
+  if (!sessions.has(sessionId)) {
+    sessions.set(sessionId, { turns: [], nextTurnId: 1, updatedAt: Date.now() });
+  }
+  const session = sessions.get(sessionId);
+  session.updatedAt = Date.now();
+  return session;
+}
+
+function pruneExpired() {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const [id, session] of sessions) {
+    if (session.updatedAt < cutoff) sessions.delete(id);
+  }
+}
+
+/**
+ * Records a planned turn and returns its id
+ * @param {string} sessionId
+ * @param {object} turn - { prompt, intent, answer, steps }
+ * @returns {number|null} turnId
+ */
+function recordTurn(sessionId, turn) {
+  if (!sessionId) return null;
+  const session = getSession(sessionId);
+  const turnId = session.nextTurnId++;
+
+  session.turns.push({
+    turnId,
+    prompt: turn.prompt,
+    intent: turn.intent,
+    answer: turn.answer,
+    steps: (turn.steps || []).map(step => ({ action: step.action, params: step.params })),
+    results: null
+  });
+
+  if (session.turns.length > MAX_TURNS) {
+    session.turns.splice(0, session.turns.length - MAX_TURNS);
+  }
+  return turnId;
+}
+
+/**
+ * Attaches execution results (QUERY_VALUE answers, step statuses) to a recorded turn
+ */
+function recordResults(sessionId, turnId, results) {
+  if (!sessionId || !sessions.has(sessionId)) return false;
+  const turn = getSession(sessionId).turns.find(t => t.turnId === turnId);
+  if (!turn) return false;
+  turn.results = results;
+  return true;
+}
+
+/**
+ * Keeps a request paused on a clarification question until it is answered.
+ * A session has at most one open question; asking a new one replaces it.
+ * @returns {string|null} clarificationId
+ */
+function savePending(sessionId, pending) {
+  if (!sessionId) return null;
+  const id = `c${nextPendingId++}`;
+  getSession(sessionId).pending = { id, ...pending };
+  return id;
+}
+
+/**
+ * Returns and forgets the paused request with this id, or null when it expired
+ */
+function takePending(sessionId, clarificationId) {
+  if (!sessionId || !sessions.has(sessionId)) return null;
+  const session = getSession(sessionId);
+  if (!session.pending || session.pending.id !== clarificationId) return null;
+  const pending = session.pending;
+  session.pending = null;
+  return pending;
+}
+
+/**
+ * Ties a session to the user who first uses it.
+ * @returns {boolean} false when the session belongs to another user
+ */
+function claimSession(sessionId, user) {
+  if (!sessionId) return true;
+  const session = getSession(sessionId);
+  if (session.user === undefined) session.user = user;
+  return session.user === user;
+}
+
+/**
+ * User the session belongs to, or null when there is no such session
+ */
+function ownerOf(sessionId) {
+  pruneExpired();
+  return sessions.has(sessionId) ? sessions.get(sessionId).user : null;
+}
+
+function resetSession(sessionId) {
+  return sessions.delete(sessionId);
+}
+
+/**
+ * Renders the session history as plain text for the classification and planning prompts.
+ * Returns an empty string when there is no history.
+ */
+function formatHistory(sessionId) {
+  if (!sessionId || !sessions.has(sessionId)) return '';
+  const { turns } = getSession(sessionId);
+  if (turns.length === 0) return '';
+
+  return turns.map((turn, idx) => {
+    const lines = [`Turn ${idx + 1}:`, `  User: ${turn.prompt}`];
+    if (turn.intent) lines.push(`  Intent: ${turn.intent}`);
+    turn.steps.forEach(step => {
+      const { styling, rules, ...params } = step.params || {};
+      lines.push(`  Step: ${step.action} ${JSON.stringify(params).slice(0, MAX_STEP_CHARS)}`);
+    });
+    if (turn.answer) lines.push(`  Answer: ${String(turn.answer).slice(0, MAX_STEP_CHARS)}`);
+    if (Array.isArray(turn.results)) {
+      turn.results.forEach(r => {
+        lines.push(`  Result: ${r.status === 'error' ? `ERROR ${r.error}` : String(r.result).slice(0, MAX_STEP_CHARS)}`);
+      });
+    }
+    return lines.join('\n');
+  }).join('\n');
+}
+
+module.exports = {
+  claimSession,
+  ownerOf,
+  recordTurn,
+  recordResults,
+  savePending,
+  takePending,
+  resetSession,
+  formatHistory
+};
@@ -0,0 +1,391 @@
+/**
+ * Statistics Engine
+ * Computes descriptive stats, distributions, group breakdowns, correlations,
+ * trends and outliers from column data sent by Apps Script. Every result is a
+ * numbered fact ("F1", "F2", ...) so insight answers can cite where each figure comes from.
+ */
+
+const DEFAULTS = {
+  maxFacts: 60,
+  maxGroups: 5,
+  minCorrelation: 0.3,
+  outlierIqrMultiplier: 1.5
+};
+
+/**
+ * Runs every analysis that fits the given columns
+ * @param {object} input - { question, columns: [{ name, column, role, values }], firstRow }
+ *   role is "measure" (numeric), "dimension" (categorical) or "date";
+ *   firstRow is the sheet row of values[0], used to point at outlier rows.
+ * @param {object} options - Overrides for DEFAULTS
+ * @returns {object[]} facts - [{ id, kind, text, data }]
+ */
+function analyze(input, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const columns = (input.columns || []).filter(c => Array.isArray(c.values));
+  const firstRow = input.firstRow || 2;
+
+  const measures = columns.filter(c => c.role === 'measure')
+    .map(c => ({ ...c, nums: c.values.map(toNumber) }));
+  const dimensions = columns.filter(c => c.role === 'dimension')
+    .map(c => ({ ...c, keys: c.values.map(toCategory) }));
+  const dateColumn = columns.find(c => c.role === 'date');
+
+  const facts = [];
+  const add = (kind, text, data) => facts.push({ kind, text, data });
+
+  measures.forEach(m => describeMeasure(m, add));
+  dimensions.forEach(d => describeDimension(d, opts, add));
+  dimensions.forEach(d => measures.slice(0, 2).forEach(m => breakdown(d, m, opts, add)));
+  correlations(measures, opts, add);
+  if (dateColumn) {
+    const granularity = pickGranularity(input.question, dateColumn);
+    measures.slice(0, 2).forEach(m => trend(dateColumn, m, dimensions, granularity, input.question, opts, add));
+  }
+  measures.forEach(m => outliers(m, firstRow, opts, add));
+
+  return facts.slice(0, opts.maxFacts).map((fact, i) => ({ id: `F${i + 1}`, ...fact }));
+}
+
+// ============================================================
+// ANALYSES
+// ============================================================
+
+function describeMeasure(m, add) {
+  const nums = m.nums.filter(n => n !== null);
+  if (nums.length === 0) return;
+  const sorted = nums.slice().sort((a, b) => a - b);
+  const total = sum(nums);
+  const mean = total / nums.length;
+  const data = {
+    column: m.name,
+    count: nums.length,
+    missing: m.nums.length - nums.length,
+    sum: total,
+    mean,
+    median: quantile(sorted, 0.5),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    stdDev: Math.sqrt(sum(nums.map(n => (n - mean) ** 2)) / nums.length)
+  };
+  add('descriptive',
+    `${m.name}: ${data.count} values (${data.missing} missing), total ${fmt(data.sum)}, mean ${fmt(data.mean)}, ` +
+    `median ${fmt(data.median)}, min ${fmt(data.min)}, max ${fmt(data.max)}, std dev ${fmt(data.stdDev)}`,
+    data);
+}
+
+function describeDimension(d, opts, add) {
+  const counts = countBy(d.keys);
+  const present = d.keys.filter(k => k !== null).length;
+  if (present === 0) return;
+  const top = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, opts.maxGroups)
+    .map(([value, count]) => ({ value, count, share: count / present }));
+  add('distribution',
+    `${d.name}: ${counts.size} distinct values; most common ${top.map(t => `${t.value} (${t.count}, ${pct(t.share)})`).join(', ')}`,
+    { column: d.name, distinct: counts.size, top });
+}
+
+function breakdown(d, m, opts, add) {
+  const groups = new Map();
+  d.keys.forEach((key, i) => {
+    const n = m.nums[i];
+    if (key === null || n === null) return;
+    if (!groups.has(key)) groups.set(key, { sum: 0, count: 0 });
+    const g = groups.get(key);
+    g.sum += n;
+    g.count++;
+  });
+  if (groups.size < 2) return;
+
+  const total = sum(Array.from(groups.values()).map(g => g.sum));
+  const ranked = Array.from(groups.entries())
+    .map(([group, g]) => ({ group, sum: g.sum, mean: g.sum / g.count, count: g.count, share: total ? g.sum / total : 0 }))
+    .sort((a, b) => b.sum - a.sum);
+  const top = ranked.slice(0, opts.maxGroups);
+  const bottom = ranked[ranked.length - 1];
+
+  add('breakdown',
+    `${m.name} by ${d.name}: ` +
+    top.map(r => `${r.group} ${fmt(r.sum)} (${pct(r.share)}, avg ${fmt(r.mean)})`).join(', ') +
+    (ranked.length > top.length ? `; lowest ${bottom.group} ${fmt(bottom.sum)} (${pct(bottom.share)})` : ''),
+    { measure: m.name, dimension: d.name, groups: ranked.length, top, bottom });
+}
+
+function correlations(measures, opts, add) {
+  for (let i = 0; i < measures.length; i++) {
+    for (let j = i + 1; j < measures.length; j++) {
+      const pairs = measures[i].nums
+        .map((x, k) => [x, measures[j].nums[k]])
+        .filter(([x, y]) => x !== null && y !== null);
+      if (pairs.length < 5) continue;
+      const r = pearson(pairs);
+      if (r === null || Math.abs(r) < opts.minCorrelation) continue;
+      const strength = Math.abs(r) >= 0.7 ? 'strong' : 'moderate';
+      add('correlation',
+        `${measures[i].name} and ${measures[j].name} have a ${strength} ${r > 0 ? 'positive' : 'negative'} correlation (r = ${r.toFixed(2)}, n = ${pairs.length})`,
+        { a: measures[i].name, b: measures[j].name, r, n: pairs.length });
+    }
+  }
+}
+
+/**
+ * Period totals, overall change, biggest rise and drop, and which groups drove
+ * the change into the period the question asks about (or the biggest drop).
+ */
+function trend(dateColumn, m, dimensions, granularity, question, opts, add) {
+  const periodKeys = dateColumn.values.map(v => periodKey(toDate(v), granularity));
+  const totals = new Map();
+  periodKeys.forEach((key, i) => {
+    const n = m.nums[i];
+    if (key === null || n === null) return;
+    totals.set(key, (totals.get(key) || 0) + n);
+  });
+  const periods = Array.from(totals.keys()).sort();
+  if (periods.length < 2) return;
+
+  const series = periods.map(p => ({ period: p, total: totals.get(p) }));
+  const shown = series.slice(-12);
+  add('trend',
+    `${m.name} per ${granularity}${series.length > shown.length ? ` (last ${shown.length})` : ''}: ` +
+    shown.map(s => `${s.period} ${fmt(s.total)}`).join(', '),
+    { measure: m.name, granularity, series });
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const slope = linearSlope(series.map(s => s.total));
+  add('trend',
+    `${m.name} went from ${fmt(first.total)} in ${first.period} to ${fmt(last.total)} in ${last.period}` +
+    (first.total ? ` (${signedPct((last.total - first.total) / Math.abs(first.total))})` : '') +
+    `; the overall trend is ${slope > 0 ? 'upward' : slope < 0 ? 'downward' : 'flat'} (${fmt(slope)} per ${granularity})`,
+    { measure: m.name, from: first, to: last, slope });
+
+  const changes = series.slice(1).map((s, i) => ({
+    from: series[i].period,
+    to: s.period,
+    change: s.total - series[i].total,
+    changePct: series[i].total ? (s.total - series[i].total) / Math.abs(series[i].total) : null
+  }));
+  const drop = changes.reduce((min, c) => (c.change < min.change ? c : min), changes[0]);
+  const rise = changes.reduce((max, c) => (c.change > max.change ? c : max), changes[0]);
+  if (drop.change < 0) {
+    add('trend', `Biggest drop in ${m.name}: ${drop.from} to ${drop.to}, ${fmt(drop.change)}${drop.changePct !== null ? ` (${signedPct(drop.changePct)})` : ''}`,
+      { measure: m.name, ...drop });
+  }
+  if (rise.change > 0) {
+    add('trend', `Biggest rise in ${m.name}: ${rise.from} to ${rise.to}, +${fmt(rise.change)}${rise.changePct !== null ? ` (${signedPct(rise.changePct)})` : ''}`,
+      { measure: m.name, ...rise });
+  }
+
+  // Drivers: the period named in the question, else the biggest drop
+  const asked = findAskedPeriod(question, periods, granularity);
+  const focus = (asked && changes.find(c => c.to === asked)) || (drop.change < 0 ? drop : null);
+  if (!focus) return;
+
+  dimensions.forEach(d => {
+    const byGroup = new Map();
+    d.keys.forEach((key, i) => {
+      const n = m.nums[i];
+      if (key === null || n === null) return;
+      const p = periodKeys[i];
+      if (p !== focus.from && p !== focus.to) return;
+      if (!byGroup.has(key)) byGroup.set(key, { before: 0, after: 0 });
+      byGroup.get(key)[p === focus.from ? 'before' : 'after'] += n;
+    });
+
+    const contributions = Array.from(byGroup.entries())
+      .map(([group, g]) => ({ group, before: g.before, after: g.after, change: g.after - g.before }))
+      // Groups moving in the same direction as the total explain it; largest first
+      .filter(c => Math.sign(c.change) === Math.sign(focus.change))
+      .sort((a, b) => (focus.change < 0 ? a.change - b.change : b.change - a.change))
+      .slice(0, 3);
+    if (contributions.length === 0) return;
+
+    add('driver',
+      `Change in ${m.name} from ${focus.from} to ${focus.to} (${fmt(focus.change)}) by ${d.name}: ` +
+      contributions.map(c => `${c.group} ${c.change > 0 ? '+' : ''}${fmt(c.change)} (${fmt(c.before)} → ${fmt(c.after)}` +
+        `${focus.change ? `, ${pct(c.change / focus.change)} of the change` : ''})`).join(', '),
+      { measure: m.name, dimension: d.name, from: focus.from, to: focus.to, totalChange: focus.change, contributions });
+  });
+}
+
+function outliers(m, firstRow, opts, add) {
+  const nums = m.nums.filter(n => n !== null);
+  if (nums.length < 8) return;
+  const sorted = nums.slice().sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  if (iqr === 0) return;
+  const low = q1 - opts.outlierIqrMultiplier * iqr;
+  const high = q3 + opts.outlierIqrMultiplier * iqr;
+
+  const found = m.nums
+    .map((n, i) => ({ value: n, row: firstRow + i }))
+    .filter(o => o.value !== null && (o.value < low || o.value > high))
+    .sort((a, b) => Math.abs(b.value - (q1 + q3) / 2) - Math.abs(a.value - (q1 + q3) / 2));
+  if (found.length === 0) return;
+
+  add('outliers',
+    `${m.name} has ${found.length} outlier(s) outside ${fmt(low)} to ${fmt(high)}; most extreme: ` +
+    found.slice(0, 3).map(o => `${fmt(o.value)} (row ${o.row})`).join(', '),
+    { column: m.name, count: found.length, low, high, examples: found.slice(0, 3) });
+}
+
+// ============================================================
+// GROUNDING CHECK
+// ============================================================
+
+/**
+ * Returns the numbers in an answer that do not appear in any fact.
+ * Small integers (counts, ids, years) are ignored.
+ */
+function findUngroundedNumbers(answer, facts) {
+  const factNumbers = new Set();
+  facts.forEach(f => extractNumbers(f.text).forEach(n => factNumbers.add(n)));
+  return extractNumbers(String(answer).replace(/\[F\d+\]/g, ''))
+    .filter(n => !factNumbers.has(n) && !(Number.isInteger(Number(n)) && Math.abs(Number(n)) <= 31));
+}
+
+function extractNumbers(text) {
+  return (String(text).match(/-?\d[\d,]*(\.\d+)?/g) || []).map(n => n.replace(/,/g, ''));
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function toNumber(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (value === null || value === undefined || value === '') return null;
+  const cleaned = String(value).replace(/[^0-9.\-]/g, '');
+  if (cleaned === '' || cleaned === '-' || cleaned === '.') return null;
+  const n = parseFloat(cleaned);
+  return isNaN(n) ? null : n;
+}
+
+function toCategory(value) {
+  if (value === null || value === undefined) return null;
+  const key = String(value).trim();
+  return key === '' ? null : key;
+}
+
+/**
+ * Apps Script sends dates as "yyyy-MM-dd" in the spreadsheet's time zone
+ */
+function toDate(value) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return { year: Number(match[1]), month: Number(match[2]) };
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : { year: parsed.getUTCFullYear(), month: parsed.getUTCMonth() + 1 };
+}
+
+function periodKey(date, granularity) {
+  if (!date) return null;
+  if (granularity === 'quarter') return `${date.year}-Q${Math.ceil(date.month / 3)}`;
+  return `${date.year}-${String(date.month).padStart(2, '0')}`;
+}
+
+/**
+ * Quarters when the question talks about quarters or the data spans more than two years
+ */
+function pickGranularity(question, dateColumn) {
+  if (/\bq[1-4]\b|quarter/i.test(question || '')) return 'quarter';
+  const months = new Set(dateColumn.values.map(v => periodKey(toDate(v), 'month')).filter(Boolean));
+  return months.size > 24 ? 'quarter' : 'month';
+}
+
+/**
+ * Matches "Q3", "Q3 2024", "March" or "2024-03" in the question to one of the periods (latest year wins)
+ */
+function findAskedPeriod(question, periods, granularity) {
+  const text = String(question || '');
+  const year = (text.match(/\b(19|20)\d{2}\b/) || [])[0];
+  const candidates = [];
+
+  if (granularity === 'quarter') {
+    const q = text.match(/\bq([1-4])\b/i);
+    if (q) periods.filter(p => p.endsWith(`-Q${q[1]}`)).forEach(p => candidates.push(p));
+  } else {
+    const iso = text.match(/\b(\d{4})-(\d{2})\b/);
+    if (iso) candidates.push(`${iso[1]}-${iso[2]}`);
+    const monthIndex = MONTH_NAMES.findIndex(name => new RegExp(`\\b${name}`, 'i').test(text));
+    if (monthIndex >= 0) {
+      periods.filter(p => p.endsWith(`-${String(monthIndex + 1).padStart(2, '0')}`)).forEach(p => candidates.push(p));
+    }
+  }
+
+  const matching = candidates.filter(p => periods.includes(p) && (!year || p.startsWith(year)));
+  return matching.length > 0 ? matching.sort()[matching.length - 1] : null;
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function countBy(keys) {
+  const counts = new Map();
+  keys.forEach(k => {
+    if (k !== null) counts.set(k, (counts.get(k) || 0) + 1);
+  });
+  return counts;
+}
+
+function sum(nums) {
+  return nums.reduce((a, b) => a + b, 0);
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  return sorted[base + 1] !== undefined ? sorted[base] + rest * (sorted[base + 1] - sorted[base]) : sorted[base];
+}
+
+function pearson(pairs) {
+  const n = pairs.length;
+  const meanX = sum(pairs.map(p => p[0])) / n;
+  const meanY = sum(pairs.map(p => p[1])) / n;
+  let cov = 0, varX = 0, varY = 0;
+  pairs.forEach(([x, y]) => {
+    cov += (x - meanX) * (y - meanY);
+    varX += (x - meanX) ** 2;
+    varY += (y - meanY) ** 2;
+  });
+  if (varX === 0 || varY === 0) return null;
+  return cov / Math.sqrt(varX * varY);
+}
+
+/**
+ * Least-squares slope of a series against its position (0, 1, 2, ...)
+ */
+function linearSlope(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = sum(values) / n;
+  let num = 0, den = 0;
+  values.forEach((y, x) => {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return den === 0 ? 0 : num / den;
+}
+
+function fmt(n) {
+  if (n === null || n === undefined || isNaN(n)) return 'n/a';
+  const digits = Math.abs(n) >= 1000 ? 0 : 2;
+  return Number(n).toLocaleString('en-US', { maximumFractionDigits: digits });
+}
+
+function pct(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function signedPct(ratio) {
+  return `${ratio > 0 ? '+' : ''}${pct(ratio)}`;
+}
+
+module.exports = {
+  analyze,
+  findUngroundedNumbers
+};
@@ -0,0 +1,55 @@
+/**
+ * Formula builders, evaluated on a small sheet with the headless formula engine
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { builders, wrapFormula } = require('../builders');
+const { Workbook } = require('../headless/sheet');
+
+// Region, Revenue, Cost (negative)
+const ROWS = [
+  ['Region', 'Revenue', 'Cost'],
+  ['North', 100, -10],
+  ['North', 300, -30],
+  ['South', 250, -25],
+  ['South', '', -5],
+  ['South', 'n/a', -15],
+  ['East', 80, -8]
+];
+const bounds = { first_row: 2, last_row: ROWS.length };
+
+function evaluate(formula) {
+  const workbook = new Workbook();
+  const sheet = workbook.insertSheet('Data');
+  sheet.getRange(1, 1, ROWS.length, ROWS[0].length).setValues(ROWS);
+  return workbook.evaluate(sheet, formula, 1000, 26);
+}
+
+const oneOf = (...value) => [{ column: 'A', operator: 'equals', value }];
+
+test('MIN and MAX with OR values ignore values that have no rows', () => {
+  // "West" has no rows: MINIFS over each combination would give 0
+  assert.equal(evaluate(builders.buildMin({ ...bounds, column: 'B', criteria: oneOf('North', 'West') })), 100);
+  assert.equal(evaluate(builders.buildMax({ ...bounds, column: 'C', criteria: oneOf('North', 'West') })), -10);
+  assert.equal(evaluate(builders.buildMax({ ...bounds, column: 'B', criteria: oneOf('North', 'East') })), 300);
+});
+
+test('MIN and MAX with single values use MINIFS and MAXIFS', () => {
+  const formula = builders.buildMin({ ...bounds, column: 'B', criteria: oneOf('South') });
+  assert.equal(formula, '=MINIFS(B2:B7, A2:A7, "=South")');
+  assert.equal(evaluate(formula), 250);
+});
+
+test('MIN with OR values and no matching rows is blank', () => {
+  const formula = wrapFormula(builders.buildMin({ ...bounds, column: 'B', criteria: oneOf('West', 'Central') }), { wrap_with_iferror: true });
+  assert.equal(evaluate(formula), '');
+});
+
+test('the OR average skips blank and text values, as AVERAGEIFS does', () => {
+  const single = evaluate(builders.buildAverageIfs({ ...bounds, average_column: 'B', criteria: oneOf('South') }));
+  const either = evaluate(builders.buildAverageIfs({ ...bounds, average_column: 'B', criteria: oneOf('South', 'West') }));
+  assert.equal(single, 250);
+  assert.equal(either, 250);
+  assert.equal(evaluate(builders.buildAverageIfs({ ...bounds, average_column: 'B', criteria: oneOf('North', 'South') })), (100 + 300 + 250) / 3);
+});
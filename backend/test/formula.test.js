@@ -0,0 +1,132 @@
+/**
+ * The headless formula engine against the formulas builders.js emits, evaluated on
+ * fixtures/orders.csv read the way POST /run reads it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { builders, wrapFormula } = require('../builders');
+const { readWorkbook } = require('../headless');
+const { shiftFormula } = require('../headless/formula');
+
+// A Customer, B Region, C Order Date, D Revenue, E Units, F Email; rows 2-7
+const ORDERS = fs.readFileSync(path.join(__dirname, 'fixtures', 'orders.csv'));
+const bounds = { first_row: 2, last_row: 7 };
+
+const region = (...value) => ({ column: 'B', operator: 'equals', value: value.length > 1 ? value : value[0] });
+const customer = (...value) => ({ column: 'A', operator: 'equals', value });
+const email = (operator, value = '') => ({ column: 'F', operator, value });
+const customers = {
+  lookup_column: 'A',
+  lookup_sheet: 'Customers',
+  match_column: 'B',
+  return_column: 'A',
+  start_row: 2,
+  lookup_first_row: 2,
+  lookup_last_row: 6
+};
+
+function loadOrders() {
+  const workbook = readWorkbook(ORDERS, { filename: 'orders.csv' });
+  const lookup = workbook.insertSheet('Customers');
+  lookup.getRange(1, 1, 6, 3).setValues([
+    ['Tier', 'Name', 'Since'],
+    ['Gold', 'Alice', 2019],
+    ['Silver', 'Bob', 2021],
+    ['Gold', 'Carol', 2020],
+    ['Silver', 'Eve', 2023],
+    ['Bronze', 'Frank', 2022]
+  ]);
+  return { workbook, sheet: workbook.getSheetByName('orders') };
+}
+
+// Evaluated from J2, so row-relative keys (A2, D3) point at the first orders
+function evaluate(formula, row = 2) {
+  const { workbook, sheet } = loadOrders();
+  return workbook.evaluate(sheet, formula, row, 10);
+}
+
+const CASES = [
+  ['sum', 'buildSum', { column: 'D' }, 910],
+  ['average', 'buildAverage', { column: 'D' }, 910 / 6],
+  ['count (COUNTA skips the empty email)', 'buildCount', { column: 'F' }, 5],
+  ['median', 'buildMedian', { column: 'D' }, 110],
+  ['median of one region', 'buildMedian', { column: 'D', criteria: [region('South')] }, 185],
+  ['min', 'buildMin', { column: 'D' }, 60],
+  ['max of one region (MAXIFS)', 'buildMax', { column: 'D', criteria: [region('South')] }, 250],
+  ['min of either region', 'buildMin', { column: 'D', criteria: [region('North', 'West')] }, 60],
+  ['average if', 'buildAverageIf', { average_column: 'D', criteria_column: 'B', operator: 'equals', value: 'North' }, 200],
+  ['average of either region', 'buildAverageIfs', { average_column: 'D', criteria: [region('North', 'South')] }, 192.5],
+  ['count if', 'buildCountIf', { criteria_column: 'B', operator: 'equals', value: 'South' }, 2],
+  ['count if on or after a date', 'buildCountIf', { criteria_column: 'C', operator: 'greater_or_equal', value: '2024-02-01' }, 4],
+  ['count of either region over 100', 'buildCountIfs', {
+    criteria: [region('North', 'South'), { column: 'D', operator: 'greater', value: 100 }]
+  }, 3],
+  ['count of none of the regions', 'buildCountIfs', { criteria: [{ column: 'B', operator: 'not_equals', value: ['North', 'South'] }] }, 2],
+  ['count containing text', 'buildCountIfs', { criteria: [email('contains', 'shop')] }, 1],
+  ['count starting with text', 'buildCountIfs', { criteria: [email('starts_with', 'a')] }, 2],
+  ['count matching a wildcard', 'buildCountIfs', { criteria: [email('matches', '*@x.com')] }, 4],
+  ['count of empty cells', 'buildCountIfs', { criteria: [email('empty')] }, 1],
+  ['sum if on or after a date', 'buildSumIf', { sum_column: 'D', criteria_column: 'C', operator: 'greater_or_equal', value: '2024-02-01' }, 560],
+  ['sum over two OR columns (across and down)', 'buildSumIfs', {
+    sum_column: 'D',
+    criteria: [region('North', 'South'), customer('Alice', 'Eve')]
+  }, 220],
+  ['distinct count', 'buildDistinctCount', { column: 'A' }, 5],
+  ['distinct count of either region', 'buildDistinctCount', { column: 'A', criteria: [region('North', 'West')] }, 2],
+  ['percentile as a percentage', 'buildPercentile', { column: 'D', percentile: 90 }, 275],
+  ['percentile as a fraction', 'buildPercentile', { column: 'D', percentile: 0.5 }, 110],
+  ['top values', 'buildTopN', { column: 'D', n: 2 }, '300, 250'],
+  ['top values with labels', 'buildTopN', { column: 'D', label_column: 'A', n: 2 }, 'Carol: 300; Bob: 250'],
+  ['bottom values with labels', 'buildTopN', { column: 'D', label_column: 'A', n: 2, order: 'asc' }, 'Alice: 60;   Dan : 80'],
+  ['top value of one region', 'buildTopN', { column: 'D', label_column: 'A', n: 1, criteria: [region('South')] }, 'Bob: 250'],
+  ['weighted average', 'buildWeightedAverage', { column: 'D', weight_column: 'E' }, 2950 / 16],
+  ['percent growth', 'buildPercentGrowth', { current_cell: 'D3', previous_cell: 'D2' }, 1.5],
+  ['running total', 'buildRunningTotal', { column: 'D', start_row: 2 }, 100],
+  ['lookup (XLOOKUP)', 'buildLookup', customers, 'Gold'],
+  ['VLOOKUP', 'buildVlookup', { ...customers, return_column: 'C' }, 2019],
+  ['VLOOKUP to the left becomes INDEX/MATCH', 'buildVlookup', customers, 'Gold']
+];
+
+for (const [name, builder, params, expected] of CASES) {
+  test(`${builder}: ${name}`, () => {
+    const formula = builders[builder]({ ...bounds, ...params });
+    const value = evaluate(formula);
+    if (typeof expected === 'number') assert.ok(Math.abs(value - expected) < 1e-9, `${formula} gave ${value}, expected ${expected}`);
+    else assert.equal(value, expected, formula);
+  });
+}
+
+test('the emitted forms are the ones the cases above cover', () => {
+  assert.match(builders.buildCountIfs({ ...bounds, criteria: [region('North', 'South')] }), /^=ARRAYFORMULA\(SUM\(COUNTIFS\(B2:B7, \{"=North", "=South"\}\)\)\)$/);
+  assert.match(builders.buildSumIfs({ ...bounds, sum_column: 'D', criteria: [region('North', 'South'), customer('Alice', 'Eve')] }), /\{"=Alice"; "=Eve"\}/);
+  assert.match(builders.buildDistinctCount({ ...bounds, column: 'A' }), /^=COUNTUNIQUE\(/);
+  assert.match(builders.buildTopN({ ...bounds, column: 'D', n: 2 }), /^=TEXTJOIN\(", ", TRUE, SORTN\(FILTER\(/);
+  assert.match(builders.buildTopN({ ...bounds, column: 'D', label_column: 'A', n: 2 }), /^=LET\(top, SORTN\(FILTER\(\{A2:A7, D2:D7\}/);
+  assert.match(builders.buildLookup(customers), /^=XLOOKUP\(A2, 'Customers'!\$B\$2:\$B\$6/);
+  assert.match(builders.buildVlookup(customers), /^=INDEX\(/);
+});
+
+test('row-wise formulas evaluate on the row they are filled down to', () => {
+  const lookup = builders.buildLookup(customers);
+  // Row 5 is "  Dan ", who is not in Customers
+  assert.equal(evaluate(shiftFormula(lookup, 2, 0), 4), 'Gold');
+  assert.equal(evaluate(shiftFormula(lookup, 3, 0), 5), '');
+  assert.equal(evaluate(shiftFormula(builders.buildRunningTotal({ column: 'D', start_row: 2 }), 2, 0), 4), 650);
+});
+
+test('MINIFS and MAXIFS under ARRAYFORMULA give 0 for a combination without rows', () => {
+  // Why buildMin/buildMax take OR values through FILTER instead
+  assert.equal(evaluate('=ARRAYFORMULA(MIN(MINIFS(D2:D7, B2:B7, {"=North", "=West"})))'), 60);
+  assert.equal(evaluate('=ARRAYFORMULA(MIN(MINIFS(D2:D7, B2:B7, {"=North", "=Central"})))'), 0);
+  assert.equal(evaluate('=ARRAYFORMULA(MAXIFS(D2:D7, B2:B7, {"=North"; "=South"}))'), 300);
+});
+
+test('the planner wrapping turns errors into blanks', () => {
+  const wrap = formula => wrapFormula(formula, { wrap_with_iferror: true });
+  assert.equal(evaluate(wrap(builders.buildAverageIf({ ...bounds, average_column: 'D', criteria_column: 'B', operator: 'equals', value: 'Central' }))), '');
+  assert.equal(evaluate(wrap(builders.buildTopN({ ...bounds, column: 'D', n: 3, criteria: [region('Central')] }))), '');
+  assert.equal(evaluate(wrap(builders.buildPercentGrowth({ current_cell: 'D3', previous_cell: 'E8' }))), '');
+});
@@ -0,0 +1,86 @@
+/**
+ * Shared setup for the backend tests: the app on the mock provider, listening on a free
+ * local port, with signed requests and no rate limits. Require it before anything that
+ * loads server.js, since the environment is read when the modules load.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SECRET = 'test-secret';
+const USER = 'tester@example.com';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.AGENT_SHARED_SECRET = SECRET;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.DAILY_QUOTA = '0';
+process.env.AUDIT_LOG_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'agent-test-')), 'audit.jsonl');
+
+// The pipeline logs every LLM response; keep the test output readable
+console.log = () => {};
+console.warn = () => {};
+
+const { sign } = require('../auth');
+const app = require('../server');
+
+/**
+ * Starts the app. Returns { url, post(path, body, user?), get(path, user?), close() }; post
+ * and get send a request signed for the user (USER by default) and resolve to { status, body }.
+ */
+async function startServer() {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, route, body, user) {
+    const timestamp = String(Date.now());
+    const response = await fetch(`${url}${route}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Agent-User': user,
+        'X-Agent-Timestamp': timestamp,
+        'X-Agent-Signature': sign(SECRET, timestamp, user, method, route, body)
+      },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const post = (route, payload, user = USER) => request('POST', route, JSON.stringify(payload), user);
+  const get = (route, user = USER) => request('GET', route, undefined, user);
+
+  return { url, post, get, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Schema of a small orders sheet, as getSheetSchema() in Code.gs sends it
+function ordersSchema(overrides = {}) {
+  const headers = [
+    { name: 'Customer', column: 'A', index: 0, detectedType: 'string' },
+    { name: 'Email', column: 'B', index: 1, detectedType: 'string' },
+    { name: 'Region', column: 'C', index: 2, detectedType: 'string', topValues: [{ value: 'North', count: 2 }] },
+    { name: 'Order Date', column: 'D', index: 3, detectedType: 'date' },
+    { name: 'Revenue', column: 'E', index: 4, detectedType: 'number', min: 80, max: 300 }
+  ];
+  return {
+    sheetName: 'Orders',
+    headers,
+    sampleData: [],
+    rowCount: 6,
+    colCount: headers.length,
+    headerRow: 1,
+    dataEndRow: 6,
+    charts: [],
+    sheets: [{ sheetName: 'Orders', isActive: true, headers, rowCount: 6, colCount: headers.length, headerRow: 1, dataEndRow: 6 }],
+    ...overrides
+  };
+}
+
+module.exports = {
+  SECRET,
+  USER,
+  startServer,
+  ordersSchema
+};
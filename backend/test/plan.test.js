@@ -0,0 +1,123 @@
+/**
+ * /plan end to end against the mock provider (fixtures/mock-responses.json)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ordersSchema } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+test('plans a single intent', async () => {
+  const { status, body } = await server.post('/plan', { prompt: 'total revenue', sheetSchema: ordersSchema(), sessionId: 'single' });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.answer, 'Calculating total revenue.');
+  assert.deepEqual(body.plan.steps.map(s => s.action), ['QUERY_VALUE']);
+  assert.equal(body.plan.steps[0].params.formula, '=IFERROR(SUM(E2:E6), "")');
+  assert.equal(body.plan.previewRequired, false);
+  assert.ok(body.audit.id);
+});
+
+test('plans every sub-task of a compound prompt in order', async () => {
+  const { body } = await server.post('/plan', {
+    prompt: 'trim the names, drop empty emails, sort by revenue and chart it by region',
+    sheetSchema: ordersSchema(),
+    sessionId: 'compound'
+  });
+
+  assert.equal(body.success, true);
+  assert.deepEqual(body.plan.steps.map(s => s.action), ['CLEAN_DATA', 'FILTER_DATA', 'SORT_DATA', 'CREATE_CHART']);
+  assert.deepEqual(body.plan.steps.map(s => s.stepNumber), [1, 2, 3, 4]);
+  assert.deepEqual(body.plan.steps[0].params, { column: 'A', operation: 'trim_whitespace' });
+  assert.equal(body.plan.steps[1].params.column, 'B');
+  assert.deepEqual(body.plan.steps[3].params.seriesColumns, ['E']);
+  assert.deepEqual(body.audit.plans.map(p => p.task), ['clean_data', 'clean_data', 'organization', 'chart']);
+});
+
+test('asks about a missing column and resumes with the answer', async () => {
+  const schema = ordersSchema();
+  schema.headers[2] = { ...schema.headers[2], name: 'Sales Region' };
+
+  const first = await server.post('/plan', { prompt: 'how many orders in north', sheetSchema: schema, sessionId: 'clarify' });
+  assert.equal(first.body.success, true);
+  assert.deepEqual(first.body.plan.steps, []);
+  const { clarification } = first.body;
+  assert.match(clarification.question, /Region/);
+  assert.ok(clarification.options.some(o => o.value === 'C'));
+
+  const second = await server.post('/plan', { sessionId: 'clarify', clarificationId: clarification.id, answer: 'C' });
+  assert.equal(second.body.success, true);
+  assert.equal(second.body.clarification, undefined);
+  assert.equal(second.body.plan.steps[0].params.formula, '=IFERROR(COUNTIFS(C2:C6, "=North"), "")');
+  // The resumed request is the same audited run
+  assert.equal(second.body.audit.id, first.body.audit.id);
+
+  const again = await server.post('/plan', { sessionId: 'clarify', clarificationId: clarification.id, answer: 'C' });
+  assert.equal(again.body.success, false);
+  assert.match(again.body.answer, /expired/);
+});
+
+test('sends an invalid plan back for repair', async () => {
+  const { body } = await server.post('/plan', { prompt: 'grand total revenue', sheetSchema: ordersSchema(), sessionId: 'repair' });
+
+  assert.equal(body.success, true);
+  assert.deepEqual(body.rejected, []);
+  assert.equal(body.plan.steps[0].params.formula, '=IFERROR(SUM(E2:E6), "")');
+  assert.deepEqual(body.audit.plans.map(p => p.attempt), [0, 1]);
+  assert.match(body.audit.plans[0].raw, /grand_total/);
+});
+
+test('rejects a plan that is still invalid after the repair attempts', async () => {
+  const { body } = await server.post('/plan', { prompt: 'total revenue as a geometric mean', sheetSchema: ordersSchema(), sessionId: 'rejected' });
+
+  assert.equal(body.success, false);
+  assert.deepEqual(body.plan.steps, []);
+  assert.equal(body.rejected.length, 1);
+  assert.match(body.rejected[0].reasons[0], /unknown pattern "geometric_mean"/);
+  assert.equal(body.audit.plans.length, 3);
+});
+
+test('refuses unsigned requests', async () => {
+  const response = await fetch(`${server.url}/plan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Agent-User': 'someone@example.com' },
+    body: JSON.stringify({ prompt: 'total revenue', sheetSchema: ordersSchema() })
+  });
+  assert.equal(response.status, 401);
+});
+
+test('refuses an intent answer that is not one of the choices and keeps the question', async () => {
+  const first = await server.post('/plan', { prompt: 'hmm', sheetSchema: ordersSchema(), sessionId: 'intent' });
+  const { clarification } = first.body;
+  assert.equal(clarification.parameter, 'intent');
+
+  const refused = await server.post('/plan', { sessionId: 'intent', clarificationId: clarification.id, answer: 'drop_table' });
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.error, /must be one of/);
+  assert.notEqual(refused.body.clarification.id, clarification.id);
+
+  const answered = await server.post('/plan', { sessionId: 'intent', clarificationId: refused.body.clarification.id, answer: 'formula' });
+  assert.equal(answered.body.success, true);
+  assert.deepEqual(answered.body.plan.steps.map(s => s.action), ['QUERY_VALUE']);
+});
+
+test("keeps one user's session and job away from another", async () => {
+  const planned = await server.post('/plan', { prompt: 'total revenue', sheetSchema: ordersSchema(), sessionId: 'owned', jobId: 'owned-job' });
+  assert.equal(planned.body.success, true);
+  const other = 'someone-else@example.com';
+
+  assert.equal((await server.get('/jobs/owned-job', other)).status, 404);
+  assert.equal((await server.post('/jobs/owned-job/cancel', {}, other)).status, 404);
+  assert.equal((await server.post('/session/results', { sessionId: 'owned', turnId: planned.body.turnId, results: [] }, other)).status, 404);
+  assert.equal((await server.post('/session/reset', { sessionId: 'owned' }, other)).status, 404);
+  assert.equal((await server.post('/plan', { prompt: 'total revenue', sheetSchema: ordersSchema(), sessionId: 'owned' }, other)).status, 404);
+
+  assert.equal((await server.get('/jobs/owned-job')).body.success, true);
+  assert.equal((await server.post('/session/results', { sessionId: 'owned', turnId: planned.body.turnId, results: [] })).body.success, true);
+  assert.equal((await server.post('/jobs/owned-job/cancel', {})).body.success, true);
+  assert.equal((await server.post('/session/reset', { sessionId: 'owned' })).body.success, true);
+});
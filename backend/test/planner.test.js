@@ -0,0 +1,52 @@
+/**
+ * Schema projection between the sub-tasks of a compound plan
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ordersSchema } = require('./helpers');
+const { buildSteps, projectSchema } = require('../planner');
+
+const context = { requestId: 'test', prompt: 'test', intentResult: {} };
+const sumRevenue = { calculations: [{ pattern: 'sum', parameters: { column: 'Revenue' }, label: 'Total' }] };
+const lookupEmail = {
+  calculations: [{
+    pattern: 'lookup',
+    parameters: { lookup_column: 'Customer', lookup_sheet: 'Orders', match_column: 'Customer', return_column: 'Email', column_name: 'Email again' },
+    label: 'Email again'
+  }]
+};
+
+test('aggregates stay bounded to the data rows when no rows are removed', () => {
+  const schema = projectSchema(ordersSchema({ dataEndRow: 5 }), [{ action: 'SORT_DATA', params: { column: 'E', order: 'desc' } }]);
+  const { steps } = buildSteps('formula', sumRevenue, schema, context);
+  assert.equal(steps[0].params.formula, '=IFERROR(SUM(E2:E5), "")');
+});
+
+for (const step of [
+  { action: 'FILTER_DATA', params: { column: 'B', operator: 'not_empty', value: '' } },
+  { action: 'DELETE_ROWS', params: { column: 'C', operator: 'equals', value: 'North' } },
+  { action: 'CLEAN_DATA', params: { column: 'A', operation: 'remove_duplicates' } }
+]) {
+  test(`ranges after ${step.params.operation || step.action} run to the end of the column`, () => {
+    const schema = projectSchema(ordersSchema({ dataEndRow: 5 }), [step]);
+    assert.equal(schema.rowsChanged, true);
+    assert.equal(schema.dataEndRow, null);
+
+    assert.equal(buildSteps('formula', sumRevenue, schema, context).steps[0].params.formula, '=IFERROR(SUM(E2:E), "")');
+    assert.match(buildSteps('formula', lookupEmail, schema, context).steps[0].params.formula, /\$A\$2:\$A, \$B\$2:\$B/);
+  });
+}
+
+test('row changes carry over to later projections', () => {
+  const filtered = projectSchema(ordersSchema(), [{ action: 'FILTER_DATA', params: { column: 'B', operator: 'not_empty' } }]);
+  const next = projectSchema(filtered, [{ action: 'ADD_COLUMN', params: { columnName: 'Margin' } }]);
+  assert.equal(next.rowsChanged, true);
+  assert.equal(next.headers.length, 6);
+});
+
+test('row changes on another sheet leave the active sheet bounded', () => {
+  const schema = projectSchema(ordersSchema(), [{ action: 'FILTER_DATA', params: { sheetName: 'Customers', column: 'B', operator: 'not_empty' } }]);
+  assert.equal(schema.rowsChanged, undefined);
+  assert.equal(schema.dataEndRow, 6);
+});
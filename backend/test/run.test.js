@@ -0,0 +1,142 @@
+/**
+ * Plans executed on fixtures/orders.csv, through POST /run and through cli.js
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'orders.csv');
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+let server;
+const tempDirs = [];
+before(async () => { server = await startServer(); });
+after(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  return server.close();
+});
+
+function run(prompt, extra = {}) {
+  return server.post('/run', { file: fs.readFileSync(FIXTURE).toString('base64'), filename: 'orders.csv', prompt, ...extra });
+}
+
+const decode = file => Buffer.from(file, 'base64').toString('utf8');
+
+/**
+ * Runs cli.js on a copy of the fixture in a temp dir (the CLI writes its result next to
+ * the input). Resolves to { code, stdout, stderr, dir }.
+ */
+function runCli(args, { header } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-cli-'));
+  tempDirs.push(dir);
+  let csv = fs.readFileSync(FIXTURE, 'utf8');
+  if (header) csv = csv.replace(/^[^\n]*/, header);
+  fs.writeFileSync(path.join(dir, 'orders.csv'), csv);
+
+  return new Promise(resolve => {
+    // stdin is not a terminal here, so unanswered questions end the run
+    execFile(process.execPath, [CLI, 'orders.csv', ...args], { cwd: dir, env: process.env, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr, dir });
+    });
+  });
+}
+
+test('/run answers a calculation and returns the file unchanged', async () => {
+  const { status, body } = await run('total revenue');
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.deepEqual(body.answers, ['Total Revenue: 910']);
+  assert.equal(body.filename, 'orders (agent).csv');
+  assert.equal(decode(body.file), fs.readFileSync(FIXTURE, 'utf8').replace('  Dan ', '"  Dan "'));
+});
+
+test('/run executes every step of a compound plan on the file', async () => {
+  const { body } = await run('trim the names, drop empty emails, sort by revenue and chart it by region');
+
+  assert.deepEqual(body.execution.stepResults.map(r => [r.action, r.status]), [
+    ['CLEAN_DATA', 'success'],
+    ['FILTER_DATA', 'success'],
+    ['SORT_DATA', 'success'],
+    ['CREATE_CHART', 'skipped']
+  ]);
+  const rows = decode(body.file).trim().split('\n');
+  assert.equal(rows[0], 'Customer,Region,Order Date,Revenue,Units,Email');
+  // Bob had no email; Dan is trimmed; sorted by revenue, highest first
+  assert.deepEqual(rows.slice(1).map(row => row.split(',')[0]), ['Carol', 'Eve', 'Alice', 'Dan', 'Alice']);
+});
+
+test('/run returns a summary table of a CSV as a file of its own', async () => {
+  const { body } = await run('revenue by region and month');
+
+  assert.equal(body.success, true);
+  assert.deepEqual(body.extraFiles.map(f => f.filename), ['Pivot - orders.csv']);
+  assert.deepEqual(decode(body.extraFiles[0].file).trim().split('\n'), [
+    'Region,2024-Jan,2024-Feb,2024-Mar,Grand Total',
+    'East,,80,,80',
+    'North,100,300,,400',
+    'South,250,,120,370',
+    'West,,,60,60',
+    'Grand Total,350,380,180,910'
+  ]);
+});
+
+test('/run refuses a file it cannot read', async () => {
+  const { status, body } = await server.post('/run', { file: Buffer.from('x').toString('base64'), filename: 'orders.pdf', prompt: 'total revenue' });
+  assert.equal(status, 400);
+  assert.match(body.error, /Could not read the file/);
+});
+
+test('the CLI writes the result next to the input', async () => {
+  const { code, stdout, dir } = await runCli(['remove rows without an email']);
+
+  assert.equal(code, 0);
+  assert.match(stdout, /✓ FILTER_DATA/);
+  const written = fs.readFileSync(path.join(dir, 'orders (agent).csv'), 'utf8');
+  assert.equal(written.trim().split('\n').length, 6);
+  assert.doesNotMatch(written, /^Bob,/m);
+  // The input is never modified
+  assert.equal(fs.readFileSync(path.join(dir, 'orders.csv'), 'utf8'), fs.readFileSync(FIXTURE, 'utf8'));
+});
+
+test('the CLI stops with exit code 2 on an unanswered question and resumes with --answer', async () => {
+  const header = 'Customer,Sales Region,Order Date,Revenue,Units,Email';
+
+  const unanswered = await runCli(['how many orders in north'], { header });
+  assert.equal(unanswered.code, 2);
+  assert.match(unanswered.stderr, /Needs an answer: .*Region/);
+  assert.match(unanswered.stderr, /--answer "B"/);
+
+  const answered = await runCli(['how many orders in north', '--answer', 'B', '--json'], { header });
+  assert.equal(answered.code, 0);
+  const result = JSON.parse(answered.stdout);
+  assert.deepEqual(result.answers, ['Orders in North: 2']);
+  assert.deepEqual(result.written, [path.join('.', 'orders (agent).csv')]);
+});
+
+test('the CLI keeps file names from the backend inside the output directory', async () => {
+  // A backend answering with names that point elsewhere
+  const remote = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const file = Buffer.from('a\n1\n').toString('base64');
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ success: true, filename: '../../escaped.csv', file, extraFiles: [{ filename: 'Q1/Q2.csv', file }] }));
+    });
+  });
+  await new Promise(resolve => remote.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const { code, dir } = await runCli(['total revenue', '--backend', `http://127.0.0.1:${remote.address().port}`]);
+    assert.equal(code, 0);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['.._.._escaped.csv', 'Q1_Q2.csv', 'orders.csv']);
+  } finally {
+    await new Promise(resolve => remote.close(resolve));
+  }
+});
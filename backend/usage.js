@@ -0,0 +1,101 @@
+/**
+ * In-memory usage per user: a sliding one-minute rate limit and a daily quota
+ * (UTC days) on the endpoints that call the LLM, plus the counts behind /admin/usage.
+ * Counts start over when the server restarts.
+ */
+
+const MINUTE_MS = 60 * 1000;
+// Days of per-user history kept for the admin report
+const HISTORY_DAYS = 7;
+
+const users = new Map();
+
+function today(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function getUser(user) {
+  if (!users.has(user)) {
+    users.set(user, { recent: [], days: {}, rateLimited: 0, overQuota: 0, lastSeen: null });
+  }
+  return users.get(user);
+}
+
+function pruneDays(entry, now) {
+  const cutoff = today(now - HISTORY_DAYS * 24 * 60 * MINUTE_MS);
+  Object.keys(entry.days).filter(day => day < cutoff).forEach(day => delete entry.days[day]);
+}
+
+/**
+ * Counts a request against the user's limits, unless it is over one of them
+ * @param {string} user
+ * @param {string} endpoint - e.g. "plan", "insight"
+ * @param {{ perMinute: number, perDay: number }} limits - 0 disables a limit
+ * @returns {{ allowed: boolean, code?: string, message?: string, retryAfter?: number, quota: object }}
+ */
+function recordRequest(user, endpoint, limits, now = Date.now()) {
+  const entry = getUser(user);
+  entry.recent = entry.recent.filter(t => t > now - MINUTE_MS);
+  pruneDays(entry, now);
+
+  const day = entry.days[today(now)] || (entry.days[today(now)] = { total: 0 });
+  const resetsAt = nextUtcMidnight(now);
+  const quota = { limit: limits.perDay || null, used: day.total, resetsAt: new Date(resetsAt).toISOString() };
+
+  if (limits.perDay && day.total >= limits.perDay) {
+    entry.overQuota++;
+    return {
+      allowed: false,
+      code: 'quota_exceeded',
+      message: `You've used all ${limits.perDay} requests for today. The quota resets at midnight UTC.`,
+      retryAfter: Math.ceil((resetsAt - now) / 1000),
+      quota
+    };
+  }
+  if (limits.perMinute && entry.recent.length >= limits.perMinute) {
+    entry.rateLimited++;
+    return {
+      allowed: false,
+      code: 'rate_limited',
+      message: `Too many requests: at most ${limits.perMinute} per minute. Please wait a moment and try again.`,
+      retryAfter: Math.max(1, Math.ceil((entry.recent[0] + MINUTE_MS - now) / 1000)),
+      quota
+    };
+  }
+
+  entry.recent.push(now);
+  day.total++;
+  day[endpoint] = (day[endpoint] || 0) + 1;
+  entry.lastSeen = new Date(now).toISOString();
+  return { allowed: true, quota: { ...quota, used: day.total } };
+}
+
+/**
+ * Usage per user for the admin report, busiest today first
+ */
+function report(limits, now = Date.now()) {
+  const day = today(now);
+  const rows = [...users.entries()].map(([user, entry]) => {
+    pruneDays(entry, now);
+    return {
+      user,
+      today: entry.days[day] || { total: 0 },
+      days: entry.days,
+      rateLimited: entry.rateLimited,
+      overQuota: entry.overQuota,
+      lastSeen: entry.lastSeen
+    };
+  });
+  rows.sort((a, b) => b.today.total - a.today.total);
+  return { day, limits, users: rows };
+}
+
+module.exports = {
+  recordRequest,
+  report
+};
@@ -0,0 +1,416 @@
+/**
+ * Plan Validation
+ * Checks the LLM's structured plan against skills.json and the sheet schema before any
+ * steps are built: known patterns and operations, required params, allowed operators and
+ * choices, chart types, and column letters or names that exist in the schema.
+ * Errors are sent back to the LLM to repair; whatever is still invalid afterwards is
+ * rejected (dropped from the plan and reported) rather than silently skipped.
+ */
+
+const { allSkills } = require('./skills/index');
+const { normalize } = require('./clarify');
+const { FILTER_OPERATOR_ALIASES, PIVOT_FUNCTION_ALIASES } = require('./planner');
+
+// Column params of formula patterns, checked against the sheet the pattern reads
+const FORMULA_COLUMN_PARAMS = ['column', 'sum_column', 'average_column', 'criteria_column', 'weight_column', 'label_column', 'lookup_column'];
+
+// Operators whose criterion needs no value
+const VALUELESS_OPERATORS = ['empty', 'not_empty'];
+
+const CHART_POSITIONS = ['right_of_data', 'below_data'];
+
+/**
+ * Validates one intent's raw plan
+ * @param {string} intent - formula | insight | chart | clean_data | organization | pivot
+ * @param {object} rawPlan - Parsed planning response from the LLM
+ * @param {object} sheetSchema - Schema the plan was made against
+ * @returns {Array<{ list: string|null, index: number|null, item: string, label: string, reason: string, ask: boolean }>}
+ *   One entry per problem. "list"/"index" locate the plan item (null for the plan as a whole);
+ *   "ask" marks problems the user can answer (unknown column names, missing params), which
+ *   are left to a clarification question instead of being rejected.
+ */
+function validatePlan(intent, rawPlan, sheetSchema) {
+  const errors = [];
+  if (!rawPlan || typeof rawPlan !== 'object' || Array.isArray(rawPlan)) {
+    return [planError('the plan must be a JSON object')];
+  }
+
+  const report = (list, index, label) => (reason, ask = false) => {
+    errors.push({ list, index, item: list === null ? 'plan' : `${list}[${index}]`, label: label || '', reason, ask });
+  };
+
+  switch (intent) {
+    case 'formula':
+      validateCalculations(rawPlan, sheetSchema, report);
+      break;
+    case 'insight':
+      if (Array.isArray(rawPlan.calculations) && !rawPlan.measures) {
+        validateCalculations(rawPlan, sheetSchema, report);
+      } else {
+        validateInsight(rawPlan, sheetSchema, report(null, null));
+      }
+      break;
+    case 'chart':
+      if (Array.isArray(rawPlan.chart_operations) && rawPlan.chart_operations.length > 0) {
+        rawPlan.chart_operations.forEach((op, index) => validateChartOperation(op, sheetSchema, report('chart_operations', index, op?.chart)));
+      } else {
+        validateChart(rawPlan, sheetSchema, report(null, null));
+      }
+      break;
+    case 'clean_data':
+    case 'organization':
+      validateOperations(intent, rawPlan, sheetSchema, report);
+      break;
+    case 'pivot':
+      validatePivot(rawPlan, sheetSchema, report(null, null));
+      break;
+    default:
+      errors.push(planError(`unsupported intent "${intent}"`));
+  }
+  return errors;
+}
+
+function planError(reason) {
+  return { list: null, index: null, item: 'plan', label: '', reason, ask: false };
+}
+
+// ============================================================
+// PER-INTENT CHECKS
+// ============================================================
+
+function validateCalculations(rawPlan, sheetSchema, report) {
+  const patterns = allSkills.formula.patterns;
+  const listed = Array.isArray(rawPlan.calculations);
+  const calcs = listed ? rawPlan.calculations : (rawPlan.pattern ? [rawPlan] : []);
+  if (calcs.length === 0) {
+    report(null, null)('"calculations" must be a non-empty list');
+    return;
+  }
+
+  calcs.forEach((calc, index) => {
+    const fail = listed ? report('calculations', index, calc?.label || calc?.pattern) : report(null, null);
+    const patternDef = patterns[calc?.pattern];
+    if (!patternDef) {
+      fail(`unknown pattern "${calc?.pattern}"; use one of: ${Object.keys(patterns).join(', ')}`);
+      return;
+    }
+    const params = calc.parameters;
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      fail('"parameters" must be an object');
+      return;
+    }
+    patternDef.required_params.filter(p => params[p] === undefined || params[p] === null)
+      .forEach(p => fail(`missing required param "${p}" for ${calc.pattern}`, true));
+
+    // Aggregates read "sheet"; row-wise columns are written to "target_sheet"
+    const sheetParam = patternDef.type === 'row_wise' ? 'target_sheet' : 'sheet';
+    const sheet = checkSheet(params[sheetParam], sheetSchema, sheetParam, fail);
+    if (!sheet) return;
+
+    FORMULA_COLUMN_PARAMS.filter(p => params[p] !== undefined && params[p] !== null)
+      .forEach(p => checkColumn(params[p], sheet, p, fail));
+
+    if (params.match_column !== undefined || params.return_column !== undefined) {
+      const lookupSheet = checkSheet(params.lookup_sheet, sheetSchema, 'lookup_sheet', fail);
+      if (lookupSheet) {
+        ['match_column', 'return_column'].filter(p => params[p] !== undefined)
+          .forEach(p => checkQualifiedColumn(params[p], sheetSchema, lookupSheet, p, fail));
+      }
+    }
+
+    if (params.operator !== undefined) checkFormulaOperator(params.operator, 'operator', fail);
+
+    if (params.criteria !== undefined) {
+      if (Array.isArray(params.criteria)) {
+        params.criteria.forEach((c, i) => checkCriterion(c, sheet, `criteria[${i}]`, fail));
+      } else if (params.criteria && typeof params.criteria === 'object') {
+        // { "<column>": value } shorthand: equality on each column
+        Object.keys(params.criteria).forEach(col => checkColumn(col, sheet, 'criteria', fail));
+      } else {
+        fail('"criteria" must be a list of { column, operator, value }');
+      }
+    }
+
+    ['n', 'percentile'].filter(p => params[p] !== undefined).forEach(p => {
+      if (!Number.isFinite(Number(params[p]))) fail(`"${p}" must be a number`);
+    });
+  });
+}
+
+function validateInsight(rawPlan, sheetSchema, fail) {
+  ['measures', 'dimensions'].forEach(key => {
+    if (rawPlan[key] === undefined || rawPlan[key] === null) return;
+    if (!Array.isArray(rawPlan[key])) {
+      fail(`"${key}" must be a list of columns`);
+      return;
+    }
+    rawPlan[key].forEach(col => checkColumn(col, sheetSchema, key, fail));
+  });
+  if (rawPlan.date_column) checkColumn(rawPlan.date_column, sheetSchema, 'date_column', fail);
+}
+
+function validateChart(rawPlan, sheetSchema, fail) {
+  const chartSkill = allSkills.chart;
+  const chartType = rawPlan.explicit_chart_type ? String(rawPlan.explicit_chart_type).toLowerCase() : null;
+  if (chartType) checkChoice(chartType, chartSkill.supported_types, 'explicit_chart_type', fail);
+
+  if (chartType !== 'histogram') {
+    if (!rawPlan.x_column) fail('missing required param "x_column"', true);
+    else checkColumn(rawPlan.x_column, sheetSchema, 'x_column', fail);
+  }
+  if (!Array.isArray(rawPlan.y_columns) || rawPlan.y_columns.length === 0) {
+    fail('"y_columns" must be a non-empty list of columns');
+  } else {
+    rawPlan.y_columns.forEach(col => checkColumn(col, sheetSchema, 'y_columns', fail));
+  }
+  if (rawPlan.aggregation !== undefined && rawPlan.aggregation !== null) {
+    checkChoice(String(rawPlan.aggregation).toLowerCase(), chartSkill.aggregations, 'aggregation', fail);
+  }
+}
+
+function validateChartOperation(op, sheetSchema, fail) {
+  const chartSkill = allSkills.chart;
+  if (!op || !chartSkill.operations[op.operation]) {
+    fail(`unknown chart operation "${op?.operation}"; use one of: ${Object.keys(chartSkill.operations).join(', ')}`);
+    return;
+  }
+  // A chart that can't be found is asked about while building
+  if (op.chart_type) checkChoice(String(op.chart_type).toLowerCase(), chartSkill.supported_types, 'chart_type', fail);
+  if (op.x_column) checkColumn(op.x_column, sheetSchema, 'x_column', fail);
+  if (op.y_columns !== undefined) {
+    if (!Array.isArray(op.y_columns)) fail('"y_columns" must be a list of columns');
+    else op.y_columns.forEach(col => checkColumn(col, sheetSchema, 'y_columns', fail));
+  }
+  if (op.aggregation) checkChoice(String(op.aggregation).toLowerCase(), chartSkill.aggregations, 'aggregation', fail);
+  if (op.position !== undefined && !CHART_POSITIONS.includes(op.position)) {
+    const valid = op.position && typeof op.position === 'object' && Number.isInteger(Number(op.position.row)) && /^[A-Z]{1,2}$/i.test(String(op.position.column || ''));
+    if (!valid) fail(`"position" must be ${CHART_POSITIONS.join(', ')} or { row, column }`);
+  }
+}
+
+function validateOperations(intent, rawPlan, sheetSchema, report) {
+  const operations = allSkills[intent].operations;
+  if (!Array.isArray(rawPlan.operations) || rawPlan.operations.length === 0) {
+    report(null, null)('"operations" must be a non-empty list');
+    return;
+  }
+
+  rawPlan.operations.forEach((op, index) => {
+    const fail = report('operations', index, op?.description || op?.operation);
+    const opDef = op && operations[op.operation];
+    if (!opDef) {
+      fail(`unknown operation "${op?.operation}"; use one of: ${Object.keys(operations).join(', ')}`);
+      return;
+    }
+    const params = op.parameters || op;
+    (opDef.required_params || []).filter(p => params[p] === undefined || params[p] === null)
+      .forEach(p => fail(`missing required param "${p}" for ${op.operation}`, true));
+
+    if (params.column !== undefined && params.column !== null) checkColumn(params.column, sheetSchema, 'column', fail);
+    if (params.columns !== undefined && params.columns !== null) {
+      if (Array.isArray(params.columns)) {
+        params.columns.forEach(col => checkColumn(col, sheetSchema, 'columns', fail));
+      } else if (op.operation === 'freeze_panes') {
+        if (!/^\d+$/.test(String(params.columns))) checkColumn(params.columns, sheetSchema, 'columns', fail);
+      } else {
+        fail('"columns" must be a list of columns');
+      }
+    }
+
+    // Enumerated params declared by the operation
+    if (params.operator !== undefined && opDef.supported_operators) {
+      const operator = FILTER_OPERATOR_ALIASES[String(params.operator).toLowerCase()] || params.operator;
+      checkChoice(operator, opDef.supported_operators, 'operator', fail);
+      if (!VALUELESS_OPERATORS.includes(operator) && (params.value === undefined || params.value === null)) {
+        fail(`missing required param "value" for operator ${operator}`, true);
+      }
+    }
+    if (params.case !== undefined && opDef.supported_cases) checkChoice(params.case, opDef.supported_cases, 'case', fail);
+    if (params.strategy !== undefined && opDef.supported_strategies) checkChoice(params.strategy, opDef.supported_strategies, 'strategy', fail);
+    if (params.format !== undefined && opDef.formats) checkChoice(params.format, opDef.formats, 'format', fail);
+    if (params.rule !== undefined && opDef.rules) checkChoice(params.rule, opDef.rules, 'rule', fail);
+    if (params.order !== undefined && op.operation === 'sort_data') checkChoice(String(params.order).toLowerCase(), ['asc', 'desc'], 'order', fail);
+
+    if (typeof params.pattern === 'string' && /^regex_/.test(op.operation)) {
+      try {
+        new RegExp(params.pattern, params.flags || '');
+      } catch (e) {
+        fail(`"pattern" is not a valid regular expression: ${e.message}`);
+      }
+    }
+  });
+}
+
+function validatePivot(rawPlan, sheetSchema, fail) {
+  const pivotSkill = allSkills.pivot.operations.create_pivot;
+  const rules = allSkills.pivot.rules;
+
+  const checkDimensions = (key, max) => {
+    const dims = rawPlan[key];
+    if (dims === undefined || dims === null) return [];
+    if (!Array.isArray(dims)) {
+      fail(`"${key}" must be a list`);
+      return [];
+    }
+    dims.forEach(dim => {
+      const spec = typeof dim === 'object' && dim !== null ? dim : { column: dim };
+      checkColumn(spec.column, sheetSchema, key, fail);
+      if (spec.group_by) checkChoice(String(spec.group_by).toLowerCase(), pivotSkill.supported_date_groupings, 'group_by', fail);
+    });
+    if (dims.length > max) fail(`"${key}" allows at most ${max} groups`);
+    return dims;
+  };
+
+  if (checkDimensions('rows', rules.max_row_groups).length === 0) fail('missing required param "rows"', true);
+  checkDimensions('columns', rules.max_column_groups);
+
+  if (!Array.isArray(rawPlan.values) || rawPlan.values.length === 0) {
+    fail('missing required param "values"', true);
+  } else {
+    rawPlan.values.forEach(v => {
+      checkColumn(v?.column, sheetSchema, 'values', fail);
+      const fn = PIVOT_FUNCTION_ALIASES[String(v?.function || 'sum').toLowerCase()];
+      if (!pivotSkill.supported_functions.includes(fn)) {
+        fail(`"function" must be one of: ${pivotSkill.supported_functions.join(', ')} (got "${v?.function}")`);
+      }
+    });
+  }
+  if (rawPlan.chart_type) checkChoice(String(rawPlan.chart_type).toLowerCase(), allSkills.chart.supported_types, 'chart_type', fail);
+}
+
+// ============================================================
+// SHARED CHECKS
+// ============================================================
+
+/**
+ * A column identifier exists when it names a header (exactly or ignoring case and
+ * punctuation) or is a letter within the sheet's columns. Unknown names are "ask" errors.
+ */
+function checkColumn(identifier, sheet, param, fail) {
+  const headers = sheet?.headers || [];
+  // Without a schema there is nothing to check against
+  if (headers.length === 0) return;
+  const id = String(identifier ?? '').trim();
+  if (!id) {
+    fail(`"${param}" is empty`, true);
+    return;
+  }
+  if (headers.some(h => normalize(h.name) === normalize(id))) return;
+
+  if (/^[A-Z]{1,2}$/i.test(id)) {
+    const lastColumn = Math.max(sheet.colCount || 0, headers.length);
+    if (columnNumber(id) <= lastColumn) return;
+    fail(`column ${id.toUpperCase()} in "${param}" is outside the sheet (last column is ${headers[headers.length - 1].column})`);
+    return;
+  }
+  fail(`"${param}" names a column that doesn't exist: "${id}"`, true);
+}
+
+/**
+ * Column that may be qualified with a sheet ("Customers!Email"), otherwise on defaultSheet
+ */
+function checkQualifiedColumn(identifier, sheetSchema, defaultSheet, param, fail) {
+  const qualified = String(identifier ?? '').match(/^'?(.+?)'?!(.+)$/);
+  if (qualified) {
+    const sheet = checkSheet(qualified[1], sheetSchema, param, fail);
+    if (sheet) checkColumn(qualified[2], sheet, param, fail);
+    return;
+  }
+  checkColumn(identifier, defaultSheet, param, fail);
+}
+
+/**
+ * Sheet named in the schema (no name means the active sheet); reports and returns null otherwise
+ */
+function checkSheet(sheetName, sheetSchema, param, fail) {
+  if (!sheetName || !sheetSchema) return sheetSchema || {};
+  const wanted = String(sheetName).trim().toLowerCase();
+  if (wanted === String(sheetSchema.sheetName || '').toLowerCase()) return sheetSchema;
+  const sheets = sheetSchema.sheets || [];
+  // Without a sheet list there is nothing to check against
+  if (sheets.length === 0) return {};
+  const sheet = sheets.find(s => s.sheetName.toLowerCase() === wanted);
+  if (!sheet) fail(`"${param}" names a sheet that doesn't exist: "${sheetName}"`, true);
+  return sheet || null;
+}
+
+function checkCriterion(criterion, sheet, param, fail) {
+  if (!criterion || typeof criterion !== 'object') {
+    fail(`"${param}" must be { column, operator, value }`);
+    return;
+  }
+  const column = criterion.column || criterion.criteria_column;
+  if (!column) fail(`missing "column" in ${param}`, true);
+  else checkColumn(column, sheet, `${param}.column`, fail);
+
+  const operator = criterion.operator || 'equals';
+  checkFormulaOperator(operator, `${param}.operator`, fail);
+  if (!VALUELESS_OPERATORS.includes(operator) && (criterion.value === undefined || criterion.value === null)) {
+    fail(`missing "value" in ${param}`, true);
+  }
+}
+
+function checkFormulaOperator(operator, param, fail) {
+  const { operators, operator_aliases: aliases = {} } = allSkills.formula;
+  const name = String(operator).toLowerCase();
+  if (!operators.includes(name) && !Object.prototype.hasOwnProperty.call(aliases, name)) {
+    fail(`"${param}" must be one of: ${operators.join(', ')} (got "${operator}")`);
+  }
+}
+
+function checkChoice(value, allowed, param, fail) {
+  if (!allowed.includes(value)) fail(`"${param}" must be one of: ${allowed.join(', ')} (got "${value}")`);
+}
+
+function columnNumber(letter) {
+  return String(letter).toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
+// ============================================================
+// REPAIR & REJECTION
+// ============================================================
+
+/**
+ * Message sent back to the LLM listing what to fix
+ */
+function formatRepairRequest(errors) {
+  return 'Your plan has problems:\n' +
+    errors.map(e => `- ${e.item}: ${e.reason}`).join('\n') +
+    '\nReturn the corrected plan as JSON only, in the same shape. Use only patterns, operations, operators and ' +
+    'chart types from the skills JSON and column letters from the schema. Keep the parts that were correct unchanged.';
+}
+
+/**
+ * Drops the plan items that are still invalid after the repair attempts.
+ * Items whose only problems are "ask" errors are kept, so building asks the user instead.
+ * @returns {{ rawPlan: object|null, rejected: Array<{ item: string, description: string, reasons: string[] }> }}
+ *   rawPlan is null when the plan as a whole is invalid
+ */
+function rejectInvalid(rawPlan, errors) {
+  const fatal = errors.filter(e => !e.ask);
+  if (fatal.length === 0) return { rawPlan, rejected: [] };
+
+  const byItem = new Map();
+  fatal.forEach(e => {
+    if (!byItem.has(e.item)) byItem.set(e.item, { list: e.list, index: e.index, item: e.item, description: e.label, reasons: [] });
+    byItem.get(e.item).reasons.push(e.reason);
+  });
+  const rejected = [...byItem.values()];
+
+  if (rejected.some(r => r.list === null)) {
+    return { rawPlan: null, rejected: rejected.map(({ item, description, reasons }) => ({ item, description, reasons })) };
+  }
+
+  const plan = { ...rawPlan };
+  rejected.forEach(r => {
+    const dropped = new Set(rejected.filter(x => x.list === r.list).map(x => x.index));
+    plan[r.list] = rawPlan[r.list].filter((_, i) => !dropped.has(i));
+  });
+  return { rawPlan: plan, rejected: rejected.map(({ item, description, reasons }) => ({ item, description, reasons })) };
+}
+
+module.exports = {
+  validatePlan,
+  formatRepairRequest,
+  rejectInvalid
+};